@@ -0,0 +1,120 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🔑 API Key Admin Controller
+ * --------------------------------------------------------------------------
+ * Admin endpoints to issue, list, rotate and revoke client API keys.
+ * --------------------------------------------------------------------------
+ */
+
+import {
+  issueApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys,
+} from "./apiKeyService.js";
+import { isKnownBrand } from "./templates.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "apiKeyController" });
+
+/**
+ * Sends the standard 500 response for unexpected errors.
+ */
+const internalError = (res, error, context) => {
+  log.error(`❌ ${context}`, { error });
+  return res.status(500).json({
+    success: false,
+    message: "Internal server error",
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * Issues a new API key. The plaintext key is returned only in this response.
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, plan, quotas, brand } = req.body;
+
+    if (brand && !isKnownBrand(brand)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown brand "${brand}"`,
+      });
+    }
+
+    const { key, record } = await issueApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      plan: plan || null,
+      quotas: quotas || null,
+      brand: brand || null,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Store this key now - it will not be shown again.",
+      key,
+      apiKey: record,
+    });
+  } catch (error) {
+    return internalError(res, error, "Failed to issue API key");
+  }
+};
+
+/**
+ * Lists all API keys (without secrets).
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys();
+    return res.status(200).json({ success: true, count: apiKeys.length, apiKeys });
+  } catch (error) {
+    return internalError(res, error, "Failed to list API keys");
+  }
+};
+
+/**
+ * Rotates a key: issues a replacement and schedules the old one to expire.
+ */
+export const rotateKey = async (req, res) => {
+  try {
+    const rotated = await rotateApiKey(req.params.id);
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        message: "Active API key not found",
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Store this key now - it will not be shown again.",
+      key: rotated.key,
+      apiKey: rotated.record,
+    });
+  } catch (error) {
+    return internalError(res, error, "Failed to rotate API key");
+  }
+};
+
+/**
+ * Revokes a key immediately.
+ */
+export const revokeKey = async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    return res.status(200).json({ success: true, apiKey: revoked });
+  } catch (error) {
+    return internalError(res, error, "Failed to revoke API key");
+  }
+};
@@ -0,0 +1,205 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🔑 API Key Service
+ * --------------------------------------------------------------------------
+ * Issues, rotates and revokes client API keys. Keys are shown once and
+ * stored only as SHA-256 hashes, with scoped permissions, a quota plan and
+ * an optional default report brand.
+ * Also signs short-lived resource URLs (e.g. PDF reports fetched by the
+ * WhatsApp provider, which cannot send an API key).
+ * --------------------------------------------------------------------------
+ */
+
+import crypto from "crypto";
+import { createCollection } from "./storage.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "apiKeyService" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  KEY_PREFIX: "mjk_",
+  ROTATION_GRACE_MS:
+    parseInt(process.env.API_KEY_ROTATION_GRACE_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  SIGNING_SECRET: process.env.API_SIGNING_SECRET,
+  USAGE_WRITE_INTERVAL: 60 * 1000,
+};
+
+export const SCOPES = {
+  RUN_AUDITS: "audits:run",
+  SEND_WHATSAPP: "whatsapp:send",
+  READ_HISTORY: "history:read",
+  ADMIN: "admin",
+};
+
+const signingSecret =
+  CONFIG.SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (!CONFIG.SIGNING_SECRET) {
+  log.warn(
+    "⚠️  Warning: API_SIGNING_SECRET is not set - signed report links will not survive a restart"
+  );
+}
+
+const keys = createCollection("api-keys");
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Hashes a plaintext API key for storage and lookup.
+ */
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Generates a new plaintext API key.
+ */
+const generateKey = () =>
+  `${CONFIG.KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+
+/**
+ * Strips the hash from a key record for API responses.
+ */
+export const toPublicKey = ({ hash, ...key }) => key;
+
+/**
+ * True when a key record can currently authenticate.
+ */
+const isUsable = (key, now = Date.now()) =>
+  key.status === "active" &&
+  (!key.expiresAt || new Date(key.expiresAt).getTime() > now);
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 KEY MANAGEMENT */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Issues a new key. Resolves with `{ key, record }`; the plaintext key is
+ * never stored and cannot be retrieved again. `clientId` identifies the
+ * tenant that owns audits and quota usage, and survives rotation.
+ */
+export const issueApiKey = async ({
+  name,
+  scopes,
+  plan = null,
+  quotas = null,
+  brand = null,
+  clientId,
+}) => {
+  const key = generateKey();
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const record = await keys.insert({
+    id,
+    clientId: clientId || id,
+    name,
+    prefix: key.slice(0, CONFIG.KEY_PREFIX.length + 6),
+    hash: hashKey(key),
+    scopes,
+    plan,
+    quotas,
+    brand,
+    status: "active",
+    createdAt: now,
+    lastUsedAt: null,
+    expiresAt: null,
+    rotatedTo: null,
+  });
+  log.info(`🔑 Issued API key ${record.prefix}… (${name})`);
+  return { key, record: toPublicKey(record) };
+};
+
+/**
+ * Replaces a key with a new one carrying the same settings. The old key
+ * keeps working for the rotation grace period.
+ */
+export const rotateApiKey = async (id) => {
+  const existing = await keys.get(id);
+  if (!existing || !isUsable(existing)) return null;
+
+  const issued = await issueApiKey({
+    name: existing.name,
+    scopes: existing.scopes,
+    plan: existing.plan,
+    quotas: existing.quotas,
+    brand: existing.brand,
+    clientId: existing.clientId,
+  });
+  await keys.update(id, {
+    expiresAt: new Date(Date.now() + CONFIG.ROTATION_GRACE_MS).toISOString(),
+    rotatedTo: issued.record.id,
+  });
+  return issued;
+};
+
+/**
+ * Revokes a key immediately. Resolves with the updated record or null.
+ */
+export const revokeApiKey = async (id) => {
+  const updated = await keys.update(id, {
+    status: "revoked",
+    revokedAt: new Date().toISOString(),
+  });
+  return updated && toPublicKey(updated);
+};
+
+/**
+ * Lists all keys without their hashes.
+ */
+export const listApiKeys = async () =>
+  (await keys.find()).map(toPublicKey).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+/**
+ * Resolves a plaintext key to its usable record, or null.
+ */
+export const verifyApiKey = async (key) => {
+  if (!key?.startsWith(CONFIG.KEY_PREFIX)) return null;
+
+  const hash = hashKey(key);
+  const [record] = await keys.find((candidate) => candidate.hash === hash);
+  if (!record || !isUsable(record)) return null;
+
+  // Throttle last-used writes to once a minute per key
+  const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > CONFIG.USAGE_WRITE_INTERVAL) {
+    await keys.update(record.id, { lastUsedAt: new Date().toISOString() });
+  }
+  return toPublicKey(record);
+};
+
+/* -------------------------------------------------------------------------- */
+/* ✍️ SIGNED URLS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns `{ expires, signature }` query parameters granting access to a
+ * resource until `ttlMs` from now.
+ */
+export const signResource = (resource, ttlMs) => {
+  const expires = String(Date.now() + ttlMs);
+  const signature = crypto
+    .createHmac("sha256", signingSecret)
+    .update(`${resource}:${expires}`)
+    .digest("hex");
+  return { expires, signature };
+};
+
+/**
+ * Verifies signed query parameters for a resource.
+ */
+export const verifyResourceSignature = (resource, { expires, signature } = {}) => {
+  if (!expires || !signature || Number(expires) < Date.now()) return false;
+  const expected = crypto
+    .createHmac("sha256", signingSecret)
+    .update(`${resource}:${expires}`)
+    .digest("hex");
+  const given = Buffer.from(String(signature));
+  return (
+    given.length === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(given, Buffer.from(expected))
+  );
+};
@@ -0,0 +1,171 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🧪 Audit Controller
+ * --------------------------------------------------------------------------
+ * Runs PageSpeed for both strategies and returns the normalized report
+ * that the WhatsApp sender consumes by audit id. Also serves standalone
+ * on-page SEO analyses, the stored audit history and per-URL score trends.
+ * --------------------------------------------------------------------------
+ */
+
+import { pageSpeedErrorBody } from "./pagespeedService.js";
+import { getCacheOptions } from "./pagespeedCache.js";
+import { performAudit } from "./auditService.js";
+import { analyzePage } from "./onPageAnalyzer.js";
+import {
+  getAudit,
+  listAudits,
+  getScoreTrend,
+} from "./auditStore.js";
+import { canAccess, getOwnerFilter } from "./authMiddleware.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "auditController" });
+
+/**
+ * Handles a full mobile + desktop audit of a URL.
+ */
+export const runAudit = async (req, res) => {
+  try {
+    const { url, email } = req.body;
+
+    let audit;
+    try {
+      audit = await performAudit({
+        url,
+        email,
+        ownerId: req.apiKey.clientId,
+        cacheOptions: getCacheOptions(req),
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json(pageSpeedErrorBody(error));
+    }
+
+    log.info(`✅ Audit ${audit.id} completed for ${url}`);
+    return res.status(200).json({
+      success: true,
+      auditId: audit.id,
+      createdAt: audit.createdAt,
+      report: audit.report,
+    });
+  } catch (error) {
+    log.error("❌ Unexpected error", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Runs only the on-page SEO analyzer (no PageSpeed call, nothing stored).
+ */
+export const runOnPageAnalysis = async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    let analysis;
+    try {
+      analysis = await analyzePage(url);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res
+        .status(error.status)
+        .json({ success: false, code: error.code, message: error.message });
+    }
+
+    log.info(
+      `🔬 On-page analysis for ${url}: ${analysis.issues.critical} critical, ${analysis.issues.warning} warnings`
+    );
+    return res.status(200).json({ success: true, analysis });
+  } catch (error) {
+    log.error("❌ Unexpected error", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Lists stored audits, filterable by url, strategy and from/to dates.
+ */
+export const listAuditHistory = async (req, res) => {
+  try {
+    const { url, strategy, from, to, limit } = req.query;
+    const audits = await listAudits({
+      ownerId: getOwnerFilter(req),
+      url,
+      strategy,
+      from,
+      to,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: audits.length,
+      audits,
+    });
+  } catch (error) {
+    log.error("❌ Failed to list audits", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Returns a single stored audit including its full report.
+ */
+export const getAuditById = async (req, res) => {
+  try {
+    const audit = await getAudit(req.params.id);
+
+    if (!audit || !canAccess(req, audit.ownerId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Audit not found",
+      });
+    }
+
+    return res.status(200).json({ success: true, audit });
+  } catch (error) {
+    log.error("❌ Failed to load audit", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Returns the score history of a URL with deltas between runs.
+ */
+export const getAuditTrend = async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    const trend = await getScoreTrend(url, getOwnerFilter(req));
+
+    return res.status(200).json({
+      success: true,
+      url,
+      runs: trend.length,
+      trend,
+    });
+  } catch (error) {
+    log.error("❌ Failed to compute trend", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🧵 Audit Job Controller
+ * --------------------------------------------------------------------------
+ * Queues audits in the background and reports their status, either by
+ * polling or through a server-sent-events stream.
+ * --------------------------------------------------------------------------
+ */
+
+import { auditQueue, enqueueAudit } from "./auditService.js";
+import { JOB_STATUS } from "./jobQueue.js";
+import { getCacheOptions } from "./pagespeedCache.js";
+import { canAccess } from "./authMiddleware.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "auditJobController" });
+
+/**
+ * Shapes a stored job for API responses.
+ */
+const toJobResponse = (job) => ({
+  id: job.id,
+  status: job.status,
+  url: job.input.url,
+  strategies: job.input.strategies,
+  progress: job.progress,
+  attempts: job.attempts,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  finishedAt: job.finishedAt,
+});
+
+const isFinished = (job) =>
+  job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED;
+
+/**
+ * Queues an audit job and returns its id immediately.
+ */
+export const createAuditJob = async (req, res) => {
+  try {
+    const { url, email, strategies } = req.body;
+
+    const job = await enqueueAudit({
+      url,
+      email,
+      ownerId: req.apiKey.clientId,
+      strategies: [...new Set(strategies)],
+      cacheOptions: getCacheOptions(req),
+    });
+
+    log.info(`🧵 Audit job ${job.id} queued for ${url}`);
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/audit-jobs/${job.id}`,
+      eventsUrl: `/api/audit-jobs/${job.id}/events`,
+    });
+  } catch (error) {
+    log.error("❌ Failed to queue audit job", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Returns the current status of an audit job.
+ */
+export const getAuditJob = async (req, res) => {
+  try {
+    const job = await auditQueue.get(req.params.id);
+
+    if (!job || !canAccess(req, job.input.ownerId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    return res.status(200).json({ success: true, job: toJobResponse(job) });
+  } catch (error) {
+    log.error("❌ Failed to load audit job", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Streams job updates as server-sent events until the job finishes.
+ */
+export const streamAuditJob = async (req, res) => {
+  try {
+    const job = await auditQueue.get(req.params.id);
+
+    if (!job || !canAccess(req, job.input.ownerId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const send = (current) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${current.status}\n`);
+      res.write(`data: ${JSON.stringify(toJobResponse(current))}\n\n`);
+      if (isFinished(current)) close();
+    };
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+    const close = () => {
+      clearInterval(heartbeat);
+      auditQueue.events.off(job.id, send);
+      res.end();
+    };
+
+    req.on("close", close);
+    auditQueue.events.on(job.id, send);
+    send((await auditQueue.get(job.id)) || job);
+  } catch (error) {
+    log.error("❌ Failed to stream audit job", { error });
+    if (res.headersSent) return res.end();
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🧪 Audit Service
+ * --------------------------------------------------------------------------
+ * Runs PageSpeed for the requested strategies alongside the on-page SEO
+ * analyzer, builds the normalized report and stores the audit. Used
+ * synchronously by POST /api/audit and in the background by the audit job
+ * queue.
+ * --------------------------------------------------------------------------
+ */
+
+import { getBackoffDelay, STRATEGIES } from "./pagespeedService.js";
+import { getPageSpeed } from "./pagespeedCache.js";
+import { buildReport } from "./reportAggregator.js";
+import { analyzePage } from "./onPageAnalyzer.js";
+import { saveAudit } from "./auditStore.js";
+import { createJobQueue } from "./jobQueue.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "auditService" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  JOB_CONCURRENCY: parseInt(process.env.AUDIT_JOB_CONCURRENCY) || 2,
+  JOB_MAX_ATTEMPTS: parseInt(process.env.AUDIT_JOB_MAX_ATTEMPTS) || 3,
+  JOB_STORE: process.env.AUDIT_JOB_STORE, // "memory" | "file", defaults to STORAGE_DRIVER
+  ONPAGE_ENABLED: process.env.ONPAGE_ANALYSIS_ENABLED !== "false",
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 AUDIT RUNNER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Runs the on-page analyzer without failing the audit: PageSpeed scores are
+ * still worth reporting when the page's HTML cannot be fetched directly.
+ */
+const analyzeOnPage = async (url) => {
+  if (!CONFIG.ONPAGE_ENABLED) return null;
+  try {
+    return await analyzePage(url);
+  } catch (error) {
+    log.warn(`⚠️  On-page analysis skipped for ${url}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Audits a URL with the given strategies and stores the result.
+ * `onProgress({ [strategy]: state })` is called as each strategy moves
+ * through running → done/failed. `cacheOptions` are passed to the
+ * PageSpeed cache (see getPageSpeed).
+ */
+export const performAudit = async ({
+  url,
+  email,
+  ownerId = null,
+  strategies = STRATEGIES,
+  cacheOptions = {},
+  onProgress = () => {},
+}) => {
+  const onPagePromise = analyzeOnPage(url);
+  const results = await Promise.all(
+    strategies.map(async (strategy) => {
+      await onProgress({ [strategy]: "running" });
+      try {
+        const { data } = await getPageSpeed(url, strategy, cacheOptions);
+        await onProgress({ [strategy]: "done" });
+        return [strategy, data];
+      } catch (error) {
+        await onProgress({ [strategy]: "failed" });
+        throw error;
+      }
+    })
+  );
+
+  const report = buildReport({
+    url,
+    email,
+    onPage: await onPagePromise,
+    ...Object.fromEntries(results),
+  });
+  const strategy = strategies.length === 1 ? strategies[0] : "both";
+  return saveAudit({ url, strategy, report, ownerId });
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🧵 AUDIT JOB QUEUE */
+/* -------------------------------------------------------------------------- */
+
+export const auditQueue = createJobQueue({
+  name: "audit-jobs",
+  concurrency: CONFIG.JOB_CONCURRENCY,
+  maxAttempts: CONFIG.JOB_MAX_ATTEMPTS,
+  retryDelay: getBackoffDelay,
+  driver: CONFIG.JOB_STORE,
+  handler: async (job, updateProgress) => {
+    const { url, email, strategies, ownerId, cacheOptions } = job.input;
+    const audit = await performAudit({
+      url,
+      email,
+      ownerId,
+      strategies,
+      cacheOptions,
+      onProgress: updateProgress,
+    });
+    return { auditId: audit.id, report: audit.report };
+  },
+});
+
+/**
+ * Queues a background audit and resolves with the stored job.
+ */
+export const enqueueAudit = ({
+  url,
+  email,
+  ownerId = null,
+  strategies = STRATEGIES,
+  cacheOptions = {},
+}) =>
+  auditQueue.add(
+    { url, email, strategies, ownerId, cacheOptions },
+    Object.fromEntries(strategies.map((strategy) => [strategy, "pending"]))
+  );
@@ -0,0 +1,191 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🗂️ Audit Store
+ * --------------------------------------------------------------------------
+ * Persists every audit (URL, strategy, scores, web vitals, normalized
+ * report and WhatsApp delivery results) and answers history and trend
+ * queries over them.
+ * --------------------------------------------------------------------------
+ */
+
+import { randomUUID } from "crypto";
+import { createCollection } from "./storage.js";
+
+const audits = createCollection("audits");
+
+export const SCORE_KEYS = [
+  "overall",
+  "performance",
+  "mobile",
+  "desktop",
+  "seo",
+  "accessibility",
+  "bestPractices",
+];
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Normalizes a URL for history lookups (case-insensitive host, no trailing
+ * slash, no fragment).
+ */
+export const toUrlKey = (url) => {
+  try {
+    const parsed = new URL(url);
+    const pathname = parsed.pathname.replace(/\/+$/, "");
+    return `${parsed.protocol}//${parsed.host}${pathname}${parsed.search}`.toLowerCase();
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+};
+
+/**
+ * Extracts the stored score set from a normalized report. Scores that the
+ * audit's strategy did not measure are null.
+ */
+const scoresFromReport = (report, strategy) => ({
+  overall: report.overallScore,
+  performance: report.performanceScore,
+  mobile: strategy === "desktop" ? null : report.mobileScore,
+  desktop: strategy === "mobile" ? null : report.desktopScore,
+  seo: report.seoScore,
+  accessibility: report.accessibilityScore,
+  bestPractices: report.bestPracticesScore,
+});
+
+/**
+ * Computes per-score differences between two score sets.
+ */
+export const diffScores = (current, previous) => {
+  const delta = {};
+  for (const key of SCORE_KEYS) {
+    const now = current?.[key];
+    const before = previous?.[key];
+    delta[key] =
+      typeof now === "number" && typeof before === "number" ? now - before : null;
+  }
+  return delta;
+};
+
+/**
+ * Strips the full report from an audit for list responses.
+ */
+const toSummary = ({ report, ...summary }) => summary;
+
+/* -------------------------------------------------------------------------- */
+/* 💾 STORE OPERATIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Saves a normalized report and returns the stored audit record.
+ * `strategy` is "mobile", "desktop" or "both"; `ownerId` is the API key
+ * that requested it.
+ */
+export const saveAudit = async ({ url, strategy = "both", report, ownerId = null }) => {
+  const audit = {
+    id: randomUUID(),
+    ownerId,
+    url,
+    urlKey: toUrlKey(url),
+    strategy,
+    createdAt: new Date().toISOString(),
+    scores: scoresFromReport(report, strategy),
+    metrics: report.metrics,
+    deliveries: [],
+    report,
+  };
+  return audits.insert(audit);
+};
+
+/**
+ * Returns a stored audit by id, or null if unknown.
+ */
+export const getAudit = (id) => audits.get(id);
+
+/**
+ * Appends a batch of WhatsApp delivery results to an audit.
+ */
+export const recordDeliveries = (id, results) =>
+  audits.update(id, (audit) => ({
+    ...audit,
+    deliveries: [
+      ...audit.deliveries,
+      { sentAt: new Date().toISOString(), results },
+    ],
+  }));
+
+/**
+ * Lists audit summaries (newest first), optionally filtered by owner, URL,
+ * strategy and a createdAt date range.
+ */
+export const listAudits = async ({ ownerId, url, strategy, from, to, limit = 50 } = {}) => {
+  const urlKey = url ? toUrlKey(url) : null;
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+
+  const matches = await audits.find((audit) => {
+    const time = new Date(audit.createdAt).getTime();
+    return (
+      (ownerId === undefined || audit.ownerId === ownerId) &&
+      (!urlKey || audit.urlKey === urlKey) &&
+      (!strategy || audit.strategy === strategy) &&
+      time >= fromTime &&
+      time <= toTime
+    );
+  });
+
+  return matches
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(toSummary);
+};
+
+/**
+ * Returns the latest audit of the same URL, strategy and owner that
+ * precedes the given audit, or null. Unowned audits only match each other.
+ */
+export const getPreviousAudit = async (audit) => {
+  const ownerId = audit.ownerId ?? null;
+  const earlier = await audits.find(
+    (other) =>
+      other.urlKey === audit.urlKey &&
+      other.strategy === audit.strategy &&
+      (other.ownerId ?? null) === ownerId &&
+      other.createdAt < audit.createdAt
+  );
+  return (
+    earlier.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null
+  );
+};
+
+/**
+ * Returns the score history of a URL (oldest first), with deltas from the
+ * previous run of the same strategy. `ownerId` limits it to one client.
+ */
+export const getScoreTrend = async (url, ownerId) => {
+  const urlKey = toUrlKey(url);
+  const history = (
+    await audits.find(
+      (audit) =>
+        audit.urlKey === urlKey &&
+        (ownerId === undefined || audit.ownerId === ownerId)
+    )
+  ).sort(
+    (a, b) => a.createdAt.localeCompare(b.createdAt)
+  );
+
+  const lastByStrategy = {};
+  return history.map(({ id, strategy, createdAt, scores }) => {
+    const previous = lastByStrategy[strategy];
+    lastByStrategy[strategy] = scores;
+    return {
+      id,
+      strategy,
+      createdAt,
+      scores,
+      delta: previous ? diffScores(scores, previous) : null,
+    };
+  });
+};
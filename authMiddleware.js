@@ -0,0 +1,112 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🛡️ Auth Middleware
+ * --------------------------------------------------------------------------
+ * Authenticates `Authorization: Bearer <api key>` on the /api router and
+ * enforces per-route scopes. ADMIN_API_KEY acts as a bootstrap admin key
+ * for issuing the first client keys.
+ * --------------------------------------------------------------------------
+ */
+
+import crypto from "crypto";
+import { verifyApiKey, verifyResourceSignature, SCOPES } from "./apiKeyService.js";
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+/**
+ * Extracts the bearer token from the Authorization header.
+ */
+export const getBearerToken = (req) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token.trim() : null;
+};
+
+/**
+ * Compares a presented token with a configured secret in constant time.
+ * Both sides are hashed so the comparison runs on equal-length buffers
+ * whatever the input.
+ */
+export const isMatchingToken = (token, secret) => {
+  if (!token || !secret) return false;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(secret));
+};
+
+/**
+ * True when the token is the configured bootstrap admin key.
+ */
+const isAdminToken = (token) => isMatchingToken(token, ADMIN_API_KEY);
+
+/**
+ * Resolves the API key, if any, into `req.apiKey`. Requests without a key
+ * continue unauthenticated; an invalid or revoked key is rejected.
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) return next();
+
+    if (isAdminToken(token)) {
+      req.apiKey = { id: "admin", clientId: "admin", name: "Bootstrap admin", scopes: Object.values(SCOPES) };
+      return next();
+    }
+
+    const apiKey = await verifyApiKey(token);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid, expired or revoked API key",
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * True when the request's key may access a resource owned by `ownerId`.
+ * Admin keys see everything; other keys only what they created.
+ */
+export const canAccess = (req, ownerId) =>
+  Boolean(req.apiKey) &&
+  (req.apiKey.scopes.includes(SCOPES.ADMIN) || req.apiKey.clientId === ownerId);
+
+/**
+ * Returns the owner id to filter listings by, or undefined for admins.
+ */
+export const getOwnerFilter = (req) =>
+  req.apiKey?.scopes.includes(SCOPES.ADMIN) ? undefined : req.apiKey?.clientId;
+
+/**
+ * Requires an authenticated key holding `scope`. With `signedResource`,
+ * a valid signed URL for that resource is accepted instead of a key.
+ */
+export const requireScope = (scope, { signedResource } = {}) => {
+  const middleware = (req, res, next) => {
+    if (signedResource && verifyResourceSignature(signedResource(req), req.query)) {
+      return next();
+    }
+
+    if (!req.apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: "API key required. Send it as 'Authorization: Bearer <key>'.",
+      });
+    }
+
+    if (scope && !req.apiKey.scopes.includes(scope) && !req.apiKey.scopes.includes(SCOPES.ADMIN)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key lacks the '${scope}' permission`,
+      });
+    }
+
+    next();
+  };
+  // Read by the OpenAPI builder to document the route's permission
+  middleware.scope = scope;
+  return middleware;
+};
@@ -0,0 +1,65 @@
+/**
+ * --------------------------------------------------------------------------
+ * ⏰ Clock
+ * --------------------------------------------------------------------------
+ * Time source used by the scheduler. The system clock wraps Date.now and
+ * timers; the manual clock only moves when advanced, so schedules can be
+ * exercised deterministically.
+ * --------------------------------------------------------------------------
+ */
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+/**
+ * Creates a clock that starts at `start` (ms or Date) and only moves when
+ * `advance(ms)` or `set(time)` is called. Timers due within the advanced
+ * span fire in order, and their returned promises are awaited.
+ */
+export const createManualClock = (start = 0) => {
+  let current = new Date(start).getTime();
+  let nextId = 1;
+  const timers = new Map();
+
+  const runDue = async (until) => {
+    for (;;) {
+      const [timer] = [...timers.values()].sort((a, b) => a.at - b.at || a.id - b.id);
+      if (!timer || timer.at > until) break;
+      timers.delete(timer.id);
+      current = Math.max(current, timer.at);
+      await timer.fn();
+    }
+    current = until;
+  };
+
+  return {
+    now: () => current,
+
+    setTimeout(fn, ms = 0) {
+      const id = nextId++;
+      timers.set(id, { id, fn, at: current + Math.max(0, ms) });
+      return id;
+    },
+
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+
+    /**
+     * Moves time forward by `ms`, firing due timers.
+     */
+    advance(ms) {
+      return runDue(current + ms);
+    },
+
+    /**
+     * Moves time forward to `time` (ms or Date), firing due timers.
+     */
+    set(time) {
+      return runDue(Math.max(current, new Date(time).getTime()));
+    },
+  };
+};
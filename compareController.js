@@ -0,0 +1,92 @@
+/**
+ * --------------------------------------------------------------------------
+ * ⚔️ Comparison Controller
+ * --------------------------------------------------------------------------
+ * Runs competitor comparison audits and serves stored comparisons.
+ * --------------------------------------------------------------------------
+ */
+
+import { pageSpeedErrorBody } from "./pagespeedService.js";
+import { runComparison, getComparison } from "./compareService.js";
+import { canAccess } from "./authMiddleware.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "compareController" });
+
+/**
+ * Normalizes a competitor entry (a URL string or `{ url, name }`); returns
+ * null when it has no valid URL.
+ */
+const toCompetitor = (entry) => {
+  const { url, name = null } = typeof entry === "string" ? { url: entry } : entry || {};
+  try {
+    new URL(url);
+  } catch {
+    return null;
+  }
+  return { url, name: typeof name === "string" && name.trim() ? name.trim() : null };
+};
+
+/**
+ * Audits a prospect URL against competitor URLs.
+ * Body: { url, email?, competitors: (string | { url, name })[] }
+ */
+export const createComparison = async (req, res) => {
+  try {
+    const { url, email, competitors } = req.body;
+
+    const rivals = competitors.map(toCompetitor);
+
+    let comparison;
+    try {
+      comparison = await runComparison({
+        url,
+        competitors: rivals,
+        email,
+        ownerId: req.apiKey.clientId,
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json(pageSpeedErrorBody(error));
+    }
+
+    log.info(`⚔️ Comparison ${comparison.id} completed for ${url} vs ${rivals.length} competitor(s)`);
+    return res.status(200).json({
+      success: true,
+      comparisonId: comparison.id,
+      comparison,
+    });
+  } catch (error) {
+    log.error("❌ Unexpected error", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Returns a stored comparison.
+ */
+export const getComparisonById = async (req, res) => {
+  try {
+    const comparison = await getComparison(req.params.id);
+
+    if (!comparison || !canAccess(req, comparison.ownerId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Comparison not found",
+      });
+    }
+
+    return res.status(200).json({ success: true, comparison });
+  } catch (error) {
+    log.error("❌ Failed to load comparison", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * --------------------------------------------------------------------------
+ * ⚔️ Competitor Comparison Service
+ * --------------------------------------------------------------------------
+ * Audits a prospect's URL alongside competitor URLs (mobile + desktop),
+ * lines the reports up metric by metric and stores the comparison so it
+ * can be sent over WhatsApp by id. Every site is also stored as a regular
+ * audit, so history and trends keep working.
+ * --------------------------------------------------------------------------
+ */
+
+import { randomUUID } from "crypto";
+import { performAudit } from "./auditService.js";
+import { buildComparisonReport } from "./reportAggregator.js";
+import { createCollection } from "./storage.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "compareService" });
+
+const CONFIG = {
+  MAX_COMPETITORS: parseInt(process.env.COMPARE_MAX_COMPETITORS) || 3,
+};
+
+export const COMPARE_MAX_COMPETITORS = CONFIG.MAX_COMPETITORS;
+
+const comparisons = createCollection("comparisons");
+
+/**
+ * Audits the prospect and competitors in parallel and stores the
+ * comparison. A competitor that fails is kept with its error; if the
+ * prospect's own audit fails the comparison fails with that error.
+ * `competitors` entries are `{ url, name }` (name optional).
+ */
+export const runComparison = async ({ url, competitors, email, ownerId = null }) => {
+  const targets = [{ url, name: null }, ...competitors];
+
+  const settled = await Promise.allSettled(
+    targets.map((target) => performAudit({ url: target.url, email, ownerId }))
+  );
+  if (settled[0].status === "rejected") throw settled[0].reason;
+
+  const sites = targets.map((target, i) =>
+    settled[i].status === "fulfilled"
+      ? { ...target, auditId: settled[i].value.id, report: settled[i].value.report }
+      : { ...target, error: settled[i].reason.message }
+  );
+
+  for (const site of sites.filter((site) => site.error)) {
+    log.warn(`⚠️  Comparison audit failed (${site.url}): ${site.error}`);
+  }
+
+  return comparisons.insert({
+    id: randomUUID(),
+    ownerId,
+    url,
+    createdAt: new Date().toISOString(),
+    ...buildComparisonReport({ sites }),
+  });
+};
+
+/**
+ * Loads a stored comparison by id (null when missing).
+ */
+export const getComparison = (id) => comparisons.get(id);
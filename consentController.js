@@ -0,0 +1,175 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🛂 Consent Controller
+ * --------------------------------------------------------------------------
+ * Endpoints to record WhatsApp opt-ins and opt-outs, look up a number's
+ * consent, and manage the do-not-contact list. Numbers are parsed like
+ * report recipients (local numbers use the caller's brand country code).
+ * --------------------------------------------------------------------------
+ */
+
+import {
+  getConsent,
+  recordOptIn,
+  recordOptOut,
+  suppressNumber,
+  unsuppressNumber,
+  listSuppressions,
+  checkRecipientConsent,
+  CONSENT_REASONS,
+} from "./consentStore.js";
+import { parsePhoneNumber } from "./phoneNumber.js";
+import { resolveTemplate } from "./templates.js";
+import { SCOPES } from "./apiKeyService.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "consentController" });
+
+/**
+ * Sends the standard 500 response for unexpected errors.
+ */
+const internalError = (res, error, context) => {
+  log.error(`❌ ${context}`, { error });
+  return res.status(500).json({
+    success: false,
+    message: "Internal server error",
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * Parses a phone number from the request, or sends a 400 and returns null.
+ */
+const parseRequestNumber = (req, res, input) => {
+  const { countryCode } = resolveTemplate({ brand: req.apiKey?.brand });
+  const parsed = parsePhoneNumber(input, countryCode);
+  if (parsed.valid) return parsed;
+  res.status(400).json({ success: false, reason: parsed.reason, message: parsed.error });
+  return null;
+};
+
+/**
+ * Records an opt-in with its source. A number that opted out can only be
+ * opted back in by its own START reply or by an admin key.
+ */
+export const createConsent = async (req, res) => {
+  try {
+    const parsed = parseRequestNumber(req, res, req.body.phoneNumber);
+    if (!parsed) return;
+
+    const existing = await getConsent(parsed.digits);
+    const optedOut = existing?.suppression?.reason === CONSENT_REASONS.OPTED_OUT;
+    if (optedOut && !req.apiKey.scopes.includes(SCOPES.ADMIN)) {
+      return res.status(409).json({
+        success: false,
+        reason: CONSENT_REASONS.OPTED_OUT,
+        message:
+          "Recipient has opted out. Only their START reply or an admin can opt them back in.",
+      });
+    }
+
+    const consent = await recordOptIn(parsed.digits, {
+      source: req.body.source,
+      recordedBy: req.apiKey.clientId,
+    });
+    const status = await checkRecipientConsent(parsed.digits);
+    return res.status(201).json({ success: true, consent, canMessage: status.allowed });
+  } catch (error) {
+    return internalError(res, error, "Failed to record consent");
+  }
+};
+
+/**
+ * Returns a number's consent record and whether it can be messaged.
+ */
+export const getConsentStatus = async (req, res) => {
+  try {
+    const parsed = parseRequestNumber(req, res, req.params.phoneNumber);
+    if (!parsed) return;
+
+    const consent = await getConsent(parsed.digits);
+    const status = await checkRecipientConsent(parsed.digits);
+    return res.status(200).json({
+      success: true,
+      phoneNumber: parsed.e164,
+      region: parsed.region,
+      canMessage: status.allowed,
+      ...(!status.allowed && { reason: status.reason }),
+      consent,
+    });
+  } catch (error) {
+    return internalError(res, error, "Failed to load consent");
+  }
+};
+
+/**
+ * Records an opt-out made through the API (e.g. an unsubscribe link).
+ */
+export const revokeConsent = async (req, res) => {
+  try {
+    const parsed = parseRequestNumber(req, res, req.params.phoneNumber);
+    if (!parsed) return;
+
+    const consent = await recordOptOut(parsed.digits, {
+      source: "api",
+      recordedBy: req.apiKey.clientId,
+    });
+    return res.status(200).json({ success: true, consent });
+  } catch (error) {
+    return internalError(res, error, "Failed to record opt-out");
+  }
+};
+
+/**
+ * Lists the do-not-contact list, opt-outs included.
+ */
+export const getSuppressions = async (req, res) => {
+  try {
+    const suppressions = await listSuppressions();
+    return res.status(200).json({ success: true, count: suppressions.length, suppressions });
+  } catch (error) {
+    return internalError(res, error, "Failed to list suppressions");
+  }
+};
+
+/**
+ * Adds a number to the do-not-contact list.
+ */
+export const createSuppression = async (req, res) => {
+  try {
+    const parsed = parseRequestNumber(req, res, req.body.phoneNumber);
+    if (!parsed) return;
+
+    const consent = await suppressNumber(parsed.digits, {
+      note: req.body.note || null,
+      source: "api",
+      recordedBy: req.apiKey.clientId,
+    });
+    log.info(`🚫 ${parsed.digits} added to the do-not-contact list`);
+    return res.status(201).json({ success: true, consent });
+  } catch (error) {
+    return internalError(res, error, "Failed to suppress number");
+  }
+};
+
+/**
+ * Lifts a number's suppression (do-not-contact entry or opt-out).
+ */
+export const deleteSuppression = async (req, res) => {
+  try {
+    const parsed = parseRequestNumber(req, res, req.params.phoneNumber);
+    if (!parsed) return;
+
+    const consent = await unsuppressNumber(parsed.digits, {
+      source: "api",
+      recordedBy: req.apiKey.clientId,
+    });
+    if (!consent) {
+      return res.status(404).json({ success: false, message: "Number is not suppressed" });
+    }
+    log.info(`✅ Suppression lifted for ${parsed.digits}`);
+    return res.status(200).json({ success: true, consent });
+  } catch (error) {
+    return internalError(res, error, "Failed to lift suppression");
+  }
+};
@@ -0,0 +1,200 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🛂 Consent Registry
+ * --------------------------------------------------------------------------
+ * Per-number WhatsApp consent: opt-ins (with source and timestamp),
+ * opt-outs from STOP/unsubscribe replies or the API, and a do-not-contact
+ * suppression list. Every sender checks checkRecipientConsent() before
+ * messaging a number.
+ *
+ * A number is suppressed when it opted out or was added to the
+ * do-not-contact list. An opt-in (e.g. a START reply) lifts an opt-out
+ * suppression but never a manual do-not-contact entry. With
+ * CONSENT_REQUIRE_OPT_IN (default on), numbers without a recorded opt-in
+ * are refused as well.
+ *
+ * Records are keyed by E.164 digits without the "+" (see phoneNumber.js)
+ * and keep an append-only history of consent events.
+ * --------------------------------------------------------------------------
+ */
+
+import { createCollection } from "./storage.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "consentStore" });
+
+const consents = createCollection("consents");
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  REQUIRE_OPT_IN: process.env.CONSENT_REQUIRE_OPT_IN !== "false",
+};
+
+export const CONSENT_REASONS = {
+  SUPPRESSED: "suppressed",
+  OPTED_OUT: "opted_out",
+  NO_CONSENT: "no_consent",
+};
+
+// Keywords are matched against the whole reply, case-insensitively
+const OPT_OUT_KEYWORDS = [
+  "stop",
+  "stopall",
+  "unsubscribe",
+  "cancel",
+  "end",
+  "quit",
+  "opt out",
+  "optout",
+];
+const OPT_IN_KEYWORDS = ["start", "unstop", "subscribe", "opt in", "optin"];
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Applies `change(record, at)` to a number's record (creating it first)
+ * and appends `event` to its history.
+ */
+const updateRecord = async (digits, event, change) => {
+  const now = new Date().toISOString();
+  const apply = (record) => ({
+    ...record,
+    ...change(record, now),
+    history: [...record.history, { ...event, at: now }],
+    updatedAt: now,
+  });
+
+  const updated = await consents.update(digits, apply);
+  if (updated) return updated;
+  return consents.insert(
+    apply({
+      id: digits,
+      phoneNumber: `+${digits}`,
+      optIn: null,
+      optOut: null,
+      suppression: null,
+      history: [],
+      createdAt: now,
+    })
+  );
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛂 CONSENT EVENTS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns a number's consent record, or null when nothing was recorded.
+ */
+export const getConsent = (digits) => consents.get(digits);
+
+/**
+ * Records an opt-in. `source` says where consent was given (e.g.
+ * "website-form", "whatsapp-reply:meta"). Lifts an opt-out suppression.
+ */
+export const recordOptIn = (digits, { source, recordedBy = null }) =>
+  updateRecord(digits, { event: "opt_in", source, recordedBy }, (record, at) => ({
+    optIn: { source, at, recordedBy },
+    optOut: null,
+    suppression:
+      record.suppression?.reason === CONSENT_REASONS.OPTED_OUT ? null : record.suppression,
+  }));
+
+/**
+ * Records an opt-out and suppresses the number. A do-not-contact entry is
+ * kept as is, so a later opt-in cannot lift it.
+ */
+export const recordOptOut = (digits, { source, recordedBy = null }) => {
+  log.info(`🛑 ${digits} opted out (${source})`);
+  return updateRecord(digits, { event: "opt_out", source, recordedBy }, (record, at) => ({
+    optOut: { source, at, recordedBy },
+    suppression:
+      record.suppression?.reason === CONSENT_REASONS.SUPPRESSED
+        ? record.suppression
+        : { reason: CONSENT_REASONS.OPTED_OUT, source, at, recordedBy },
+  }));
+};
+
+/**
+ * Adds a number to the do-not-contact list.
+ */
+export const suppressNumber = (digits, { note = null, source, recordedBy = null }) =>
+  updateRecord(digits, { event: "suppressed", source, recordedBy, note }, (_, at) => ({
+    suppression: { reason: CONSENT_REASONS.SUPPRESSED, note, source, at, recordedBy },
+  }));
+
+/**
+ * Lifts any suppression. Resolves with the record, or null when the number
+ * was not suppressed.
+ */
+export const unsuppressNumber = async (digits, { source, recordedBy = null }) => {
+  const record = await consents.get(digits);
+  if (!record?.suppression) return null;
+  return updateRecord(digits, { event: "unsuppressed", source, recordedBy }, () => ({
+    suppression: null,
+    // An opt-out is superseded by an explicit lift of its suppression
+    optOut: null,
+  }));
+};
+
+/**
+ * Lists suppressed numbers, most recent first.
+ */
+export const listSuppressions = async () => {
+  const records = await consents.find((record) => record.suppression);
+  return records
+    .map(({ phoneNumber, suppression }) => ({ phoneNumber, ...suppression }))
+    .sort((a, b) => b.at.localeCompare(a.at));
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚦 SEND CHECKS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Checks whether a number may be messaged. Resolves with
+ * `{ allowed: true }` or `{ allowed: false, reason, error }` with a
+ * CONSENT_REASONS reason.
+ */
+export const checkRecipientConsent = async (digits) => {
+  const record = await consents.get(digits);
+
+  if (record?.suppression) {
+    const optedOut = record.suppression.reason === CONSENT_REASONS.OPTED_OUT;
+    return {
+      allowed: false,
+      reason: record.suppression.reason,
+      error: optedOut
+        ? "Recipient has opted out of WhatsApp messages."
+        : "Recipient is on the do-not-contact list.",
+    };
+  }
+  if (CONFIG.REQUIRE_OPT_IN && !record?.optIn) {
+    return {
+      allowed: false,
+      reason: CONSENT_REASONS.NO_CONSENT,
+      error: "Recipient has not opted in to WhatsApp messages.",
+    };
+  }
+  return { allowed: true };
+};
+
+/**
+ * Classifies an inbound reply as a consent keyword: "opt_out", "opt_in",
+ * or null for anything else.
+ */
+export const parseConsentKeyword = (text) => {
+  const normalized = String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N} ]/gu, "")
+    .replace(/\s+/g, " ");
+  if (OPT_OUT_KEYWORDS.includes(normalized)) return "opt_out";
+  if (OPT_IN_KEYWORDS.includes(normalized)) return "opt_in";
+  return null;
+};
@@ -0,0 +1,134 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📤 CRM Webhook
+ * --------------------------------------------------------------------------
+ * Pushes new leads to a CRM endpoint (CRM_WEBHOOK_URL) as signed JSON
+ * POSTs. Deliveries run on a persistent job queue, so a CRM outage is
+ * retried with backoff (CRM_WEBHOOK_MAX_ATTEMPTS) and survives a restart.
+ * A 4xx answer other than 429 fails the delivery for good.
+ *
+ * Every request carries:
+ *   - X-Webhook-Id         delivery id, stable across retries
+ *   - X-Webhook-Event      "lead.created"
+ *   - X-Webhook-Timestamp  Unix seconds when the attempt was signed
+ *   - X-Webhook-Signature  "sha256=" + hex HMAC-SHA256 of
+ *                          `${timestamp}.${rawBody}` with CRM_WEBHOOK_SECRET
+ *
+ * Receivers should recompute the signature over the raw body and reject
+ * stale timestamps.
+ * --------------------------------------------------------------------------
+ */
+
+import crypto from "crypto";
+import { createJobQueue } from "./jobQueue.js";
+import { createUpstreamClient } from "./upstreamClient.js";
+import { getBackoffDelay } from "./pagespeedService.js";
+import { getLead } from "./leadStore.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "crmWebhook" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  URL: process.env.CRM_WEBHOOK_URL,
+  SECRET: process.env.CRM_WEBHOOK_SECRET,
+  MAX_ATTEMPTS: parseInt(process.env.CRM_WEBHOOK_MAX_ATTEMPTS) || 5,
+  TIMEOUT: 10000,
+  JOB_STORE: process.env.AUDIT_JOB_STORE, // "memory" | "file", defaults to STORAGE_DRIVER
+};
+
+export const CRM_EVENTS = {
+  LEAD_CREATED: "lead.created",
+};
+
+if (CONFIG.URL && !CONFIG.SECRET) {
+  log.warn(
+    "⚠️  Warning: CRM_WEBHOOK_URL is set without CRM_WEBHOOK_SECRET - leads are not pushed"
+  );
+}
+
+// The job queue owns retries; the client adds timeouts and the circuit breaker
+const client = createUpstreamClient({
+  name: "crm",
+  timeout: CONFIG.TIMEOUT,
+  retry: { retries: 0 },
+});
+
+/**
+ * True when new leads are pushed to a CRM.
+ */
+export const isCrmWebhookConfigured = () => Boolean(CONFIG.URL && CONFIG.SECRET);
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Signs a webhook body for the given Unix timestamp.
+ */
+export const signWebhookBody = (timestamp, body, secret = CONFIG.SECRET) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+/**
+ * Maps a lead to the CRM payload: E.164 phone numbers and the latest
+ * audit up front.
+ */
+const toCrmLead = ({ ownerId, phoneNumbers, audits, ...lead }) => ({
+  ...lead,
+  clientId: ownerId,
+  phoneNumbers: phoneNumbers.map((digits) => `+${digits}`),
+  latestAudit: audits[audits.length - 1] || null,
+  audits,
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🧵 DELIVERY QUEUE */
+/* -------------------------------------------------------------------------- */
+
+export const crmQueue = createJobQueue({
+  name: "crm-webhooks",
+  maxAttempts: CONFIG.MAX_ATTEMPTS,
+  retryDelay: getBackoffDelay,
+  driver: CONFIG.JOB_STORE,
+  handler: async (job) => {
+    const lead = await getLead(job.input.leadId);
+    if (!lead) {
+      throw Object.assign(new Error(`Lead ${job.input.leadId} no longer exists`), { fatal: true });
+    }
+
+    const body = JSON.stringify({
+      id: job.id,
+      event: job.input.event,
+      createdAt: job.createdAt,
+      lead: toCrmLead(lead),
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await client.request({
+      method: "post",
+      url: CONFIG.URL,
+      data: body,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": job.id,
+        "X-Webhook-Event": job.input.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signWebhookBody(timestamp, body),
+      },
+    });
+
+    log.info(`📤 Lead ${lead.id} pushed to the CRM (HTTP ${response.status})`);
+    return { httpStatus: response.status, deliveredAt: new Date().toISOString() };
+  },
+});
+
+/**
+ * Queues a new lead for delivery to the CRM. Resolves with the delivery
+ * job, or null when no CRM webhook is configured.
+ */
+export const pushNewLead = (lead) =>
+  isCrmWebhookConfigured()
+    ? crmQueue.add({ leadId: lead.id, event: CRM_EVENTS.LEAD_CREATED })
+    : Promise.resolve(null);
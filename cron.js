@@ -0,0 +1,123 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🗓️ Cron Expressions
+ * --------------------------------------------------------------------------
+ * Parses five-field cron expressions ("minute hour day month weekday",
+ * evaluated in UTC) and computes the next run time. Supports *, lists,
+ * ranges, steps and the @hourly / @daily / @weekly / @monthly aliases.
+ * --------------------------------------------------------------------------
+ */
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "weekday", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const MINUTE = 60 * 1000;
+const SEARCH_LIMIT_MS = 366 * 24 * 60 * MINUTE;
+
+/**
+ * Builds an error flagged as a client input problem.
+ */
+const cronError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Expands one cron field ("*\/15", "1-5", "0,30") into a set of values.
+ */
+const parseField = (source, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of source.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw cronError(`Invalid cron ${name} field: "${source}"`);
+
+    const [, range, start, end, step] = match;
+    const from = range === "*" ? min : Number(start);
+    const to = range === "*" ? max : end !== undefined ? Number(end) : step ? max : from;
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw cronError(`Cron ${name} field out of range: "${source}"`);
+    }
+    for (let value = from; value <= to; value += increment) values.add(value);
+  }
+
+  return values;
+};
+
+/**
+ * Parses a cron expression. Throws a 400-flagged error when invalid.
+ */
+export const parseCron = (expression) => {
+  const source = ALIASES[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError(`Cron expression must have 5 fields, got "${expression}"`);
+  }
+
+  const [minute, hour, day, month, weekday] = parts.map((part, i) =>
+    parseField(part, FIELDS[i])
+  );
+  if (weekday.has(7)) weekday.add(0);
+
+  return {
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+};
+
+/**
+ * True when a UTC date matches the parsed expression's day fields.
+ */
+const matchesDay = (cron, date) => {
+  const day = cron.day.has(date.getUTCDate());
+  const weekday = cron.weekday.has(date.getUTCDay());
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+};
+
+/**
+ * Returns the first run time (ms) strictly after `from`, or null when the
+ * expression never matches within a year.
+ */
+export const getNextRun = (expression, from) => {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  const date = new Date(Math.floor(new Date(from).getTime() / MINUTE) * MINUTE + MINUTE);
+  const limit = date.getTime() + SEARCH_LIMIT_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1) || !matchesDay(cron, date)) {
+      date.setUTCHours(24, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setTime(date.getTime() + MINUTE);
+      continue;
+    }
+    return date.getTime();
+  }
+
+  return null;
+};
@@ -0,0 +1,230 @@
+/**
+ * --------------------------------------------------------------------------
+ * ✉️ Email Report Renderer
+ * --------------------------------------------------------------------------
+ * Renders audit reports as `{ subject, text, html }` emails in any brand
+ * and locale. The audit email mirrors the sections of the WhatsApp report
+ * (header, performance overview, core metrics, web vitals, issues,
+ * recommendations, footer); the site-summary and comparison variants reuse
+ * their WhatsApp message as the body.
+ *
+ * HTML uses inline styles and tables only, since most mail clients drop
+ * <style> blocks.
+ * --------------------------------------------------------------------------
+ */
+
+import {
+  getScoreRating,
+  evaluateMetric,
+  formatMetric,
+  calculatePassRate,
+  getHealthStatus,
+  formatTimestamp,
+} from "./reportUtils.js";
+import { resolveTemplate } from "./templates.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Removes WhatsApp *bold* and _italic_ markers.
+ */
+const stripMarkup = (text) => text.replace(/\*([^*\n]+)\*/g, "$1").replace(/_([^_\n]+)_/g, "$1");
+
+/**
+ * Escapes text and turns WhatsApp *bold* and _italic_ markers into tags.
+ */
+const markupToHtml = (text) =>
+  escapeHtml(text)
+    .replace(/\*([^*\n]+)\*/g, "<strong>$1</strong>")
+    .replace(/_([^_\n]+)_/g, "<em>$1</em>");
+
+const VITALS = ["fcp", "lcp", "cls", "speedIndex", "tti", "tbt"];
+
+/* -------------------------------------------------------------------------- */
+/* 🧱 HTML LAYOUT */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Wraps body HTML in the branded email layout.
+ */
+const layout = ({ colors, title, body, footer }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f3f4f6;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;font-family:Arial,Helvetica,sans-serif;color:${colors.text};">
+<tr><td style="background:${colors.primary};color:#ffffff;padding:20px 24px;border-radius:8px 8px 0 0;font-size:20px;font-weight:bold;">${escapeHtml(title)}</td></tr>
+<tr><td style="padding:8px 24px 16px;font-size:14px;line-height:1.5;">${body}</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid ${colors.track};color:${colors.muted};font-size:12px;line-height:1.5;">${footer}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+const section = (colors, title, content) =>
+  `<h2 style="margin:24px 0 8px;font-size:16px;color:${colors.primary};">${escapeHtml(title)}</h2>${content}`;
+
+/**
+ * Label/value table; the first column is bold and every cell is escaped.
+ */
+const table = (colors, rows) => {
+  const cell = (value, i) =>
+    `<td style="border-bottom:1px solid ${colors.track};${i === 0 ? "font-weight:bold;" : ""}">` +
+    `${escapeHtml(value)}</td>`;
+  const body = rows.map((cells) => `<tr>${cells.map(cell).join("")}</tr>`).join("");
+  return `<table role="presentation" width="100%" cellpadding="6" cellspacing="0" style="border-collapse:collapse;">${body}</table>`;
+};
+
+const footerLines = ({ t, brand }) => [
+  t("footer.tagline", { brand: brand.name }),
+  stripMarkup(t("footer.help")),
+  t("footer.cta"),
+];
+
+/* -------------------------------------------------------------------------- */
+/* ✉️ RENDERERS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Renders the audit report email. Takes the same report data as
+ * formatSEOReportMessage, including optional `previousScores`.
+ */
+export const renderReportEmail = (reportData, template = resolveTemplate()) => {
+  const { t, brand } = template;
+  const {
+    url = "N/A",
+    email = "N/A",
+    overallScore = 0,
+    mobileScore = 0,
+    desktopScore = 0,
+    seoScore = 0,
+    accessibilityScore = 0,
+    bestPracticesScore = 0,
+    performanceScore = overallScore,
+    metrics = {},
+    issues = { critical: 0, warning: 0, passed: 0 },
+    recommendations = [],
+    timestamp = formatTimestamp(new Date(), template),
+    previousScores = null,
+  } = reportData;
+  const { colors } = brand;
+
+  const score = (key, value) => {
+    const previous = previousScores?.[key];
+    const delta = typeof previous === "number" ? value - previous : null;
+    const change =
+      delta === null
+        ? ""
+        : ` (${t("trend.sinceLast", {
+            change: delta ? `${delta > 0 ? "+" : ""}${delta}` : t("trend.noChange"),
+          })})`;
+    return `${value}/100 - ${getScoreRating(value, t).label}${change}`;
+  };
+
+  const header = [
+    [t("report.website"), url],
+    [t("report.contact"), email || "N/A"],
+    [t("report.status"), getHealthStatus(issues, t)],
+    [t("report.generated"), timestamp],
+  ];
+  const performance = [
+    [t("score.overall"), score("overall", overallScore)],
+    [t("score.performance"), score("performance", performanceScore)],
+    [t("score.mobile"), score("mobile", mobileScore)],
+    [t("score.desktop"), score("desktop", desktopScore)],
+  ];
+  const core = [
+    [t("score.seo"), score("seo", seoScore)],
+    [t("score.accessibility"), score("accessibility", accessibilityScore)],
+    [t("score.bestPractices"), score("bestPractices", bestPracticesScore)],
+  ];
+  const vitals = VITALS.map((key) => {
+    const value = metrics[key] ?? null;
+    return [t(`metricName.${key}`), formatMetric(key, value, t), evaluateMetric(key, value, t).label];
+  });
+  const issueRows = [
+    [t("issues.critical"), String(issues.critical ?? 0)],
+    [t("issues.warnings"), String(issues.warning ?? 0)],
+    [t("issues.passed"), String(issues.passed ?? 0)],
+    [t("issues.passRate"), `${calculatePassRate(issues)}%`],
+    [t("issues.total"), String((issues.critical || 0) + (issues.warning || 0))],
+  ];
+  const top = recommendations.slice(0, 5);
+
+  // PLAIN TEXT
+  const lines = (rows) => rows.map((cells) => cells.join(": ")).join("\n");
+  const textSection = (title, content) => `${title}\n${"-".repeat(title.length)}\n${content}`;
+  const text = [
+    t("pdf.title"),
+    lines(header),
+    textSection(t("report.performanceOverview"), lines(performance)),
+    textSection(t("report.coreMetrics"), lines(core)),
+    textSection(
+      t("report.webVitals"),
+      lines(vitals.map(([name, value, rating]) => [name, `${value} (${rating})`]))
+    ),
+    textSection(t("report.issuesSummary"), lines(issueRows)),
+    top.length &&
+      textSection(t("report.topRecommendations"), top.map((r, i) => `${i + 1}. ${r}`).join("\n")),
+    footerLines(template).join("\n"),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  // HTML
+  const body = [
+    table(colors, header),
+    section(colors, t("report.performanceOverview"), table(colors, performance)),
+    section(colors, t("report.coreMetrics"), table(colors, core)),
+    section(colors, t("report.webVitals"), table(colors, vitals)),
+    section(colors, t("report.issuesSummary"), table(colors, issueRows)),
+    top.length
+      ? section(
+          colors,
+          t("report.topRecommendations"),
+          `<ol style="margin:0;padding-left:20px;">${top
+            .map((r) => `<li>${escapeHtml(r)}</li>`)
+            .join("")}</ol>`
+        )
+      : "",
+  ].join("");
+
+  return {
+    subject: t("email.subject", { url }),
+    text,
+    html: layout({
+      colors,
+      title: t("pdf.title"),
+      body,
+      footer: footerLines(template).map(escapeHtml).join("<br>"),
+    }),
+  };
+};
+
+/**
+ * Renders a prebuilt WhatsApp message (site summary or comparison) as an
+ * email: markers become tags in HTML and are stripped from the text part.
+ */
+export const renderMessageEmail = (subject, message, template = resolveTemplate()) => {
+  const { colors } = template.brand;
+  return {
+    subject,
+    text: stripMarkup(message),
+    html: layout({
+      colors,
+      title: subject,
+      body: `<div style="white-space:pre-wrap;">${markupToHtml(message)}</div>`,
+      footer: escapeHtml(template.t("footer.tagline", { brand: template.brand.name })),
+    }),
+  };
+};
@@ -0,0 +1,114 @@
+/**
+ * --------------------------------------------------------------------------
+ * ✉️ Email Transport
+ * --------------------------------------------------------------------------
+ * Sends report emails over SMTP and maps every send to the same
+ * `{ success, messageId, error, provider }` result as the WhatsApp
+ * transport. Any SMTP server works, including a local sink (MailHog,
+ * smtp4dev) for testing: set SMTP_HOST/SMTP_PORT and leave SMTP_USER
+ * empty for unauthenticated servers.
+ *
+ * Messages: `{ to, subject, text, html, attachments? }` where attachments
+ * are `{ filename, content: Buffer, contentType }`.
+ * --------------------------------------------------------------------------
+ */
+
+import nodemailer from "nodemailer";
+import { logger, requestIdHeaders } from "./logger.js";
+import { emailMessages } from "./metrics.js";
+
+const log = logger.child({ module: "emailTransport" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  HOST: process.env.SMTP_HOST,
+  PORT: parseInt(process.env.SMTP_PORT) || 587,
+  SECURE: process.env.SMTP_SECURE === "true", // implicit TLS (port 465)
+  USER: process.env.SMTP_USER,
+  PASS: process.env.SMTP_PASS,
+  FROM: process.env.EMAIL_FROM,
+  REPLY_TO: process.env.EMAIL_REPLY_TO,
+  TIMEOUT: 30000,
+};
+
+const PROVIDER = "smtp";
+
+/**
+ * Builds a send result in the transport's shape.
+ */
+const result = (success, { messageId = null, error = null } = {}) => ({
+  success,
+  messageId,
+  error,
+  provider: PROVIDER,
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 TRANSPORT */
+/* -------------------------------------------------------------------------- */
+
+let transporter = null;
+
+/**
+ * Creates the SMTP transporter on first use.
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: CONFIG.HOST,
+      port: CONFIG.PORT,
+      secure: CONFIG.SECURE,
+      auth: CONFIG.USER ? { user: CONFIG.USER, pass: CONFIG.PASS } : undefined,
+      connectionTimeout: CONFIG.TIMEOUT,
+      greetingTimeout: CONFIG.TIMEOUT,
+      socketTimeout: CONFIG.TIMEOUT,
+    });
+  }
+  return transporter;
+};
+
+/**
+ * True when an SMTP server and sender address are configured.
+ */
+export const isEmailConfigured = () => Boolean(CONFIG.HOST && CONFIG.FROM);
+
+/**
+ * Returns the SMTP server as `{ provider, host, port }`, for health checks.
+ */
+export const getEmailEndpoint = () =>
+  isEmailConfigured() ? { provider: PROVIDER, host: CONFIG.HOST, port: CONFIG.PORT } : null;
+
+/**
+ * Opens an SMTP connection and completes the handshake (and login, when
+ * configured). Rejects when the server is unreachable.
+ */
+export const verifyEmailTransport = () => getTransporter().verify();
+
+/**
+ * Sends one email. Never throws: failures resolve with `success: false`.
+ */
+export const sendEmail = async ({ to, subject, text, html, attachments = [] }) => {
+  if (!isEmailConfigured()) return result(false, { error: "Email service not configured." });
+
+  try {
+    const info = await getTransporter().sendMail({
+      from: CONFIG.FROM,
+      replyTo: CONFIG.REPLY_TO,
+      to,
+      subject,
+      text,
+      html,
+      attachments,
+      headers: requestIdHeaders(),
+    });
+    emailMessages.inc({ provider: PROVIDER, outcome: "success" });
+    return result(true, { messageId: info.messageId });
+  } catch (err) {
+    emailMessages.inc({ provider: PROVIDER, outcome: "failure" });
+    log.warn(`⚠️  SMTP send to ${to} failed: ${err.message}`);
+    return result(false, { error: err.message });
+  }
+};
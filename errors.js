@@ -0,0 +1,88 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🚨 Error Envelope
+ * --------------------------------------------------------------------------
+ * Every failed API response uses one shape:
+ *
+ *   { success: false, code, message, errors?, ...context }
+ *
+ * `code` is a stable machine-readable identifier (see ERROR_CODES);
+ * `errors` lists field-level problems for VALIDATION_ERROR; context such
+ * as `limit`, `resetAt` or `retryAt` stays at the top level. Handlers that
+ * only set a status get the status's default code from errorEnvelope().
+ * --------------------------------------------------------------------------
+ */
+
+export const ERROR_CODES = {
+  VALIDATION_ERROR: "VALIDATION_ERROR",
+  INVALID_JSON: "INVALID_JSON",
+  BAD_REQUEST: "BAD_REQUEST",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  ENDPOINT_NOT_FOUND: "ENDPOINT_NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  RATE_LIMITED: "RATE_LIMITED",
+  QUOTA_EXCEEDED: "QUOTA_EXCEEDED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+  UPSTREAM_ERROR: "UPSTREAM_ERROR",
+  SERVICE_UNAVAILABLE: "SERVICE_UNAVAILABLE",
+  UPSTREAM_TIMEOUT: "UPSTREAM_TIMEOUT",
+  // URL policy rejections (urlPolicy.js)
+  URL_INVALID: "URL_INVALID",
+  URL_SCHEME_NOT_ALLOWED: "URL_SCHEME_NOT_ALLOWED",
+  URL_CREDENTIALS_NOT_ALLOWED: "URL_CREDENTIALS_NOT_ALLOWED",
+  URL_DOMAIN_BLOCKED: "URL_DOMAIN_BLOCKED",
+  URL_PRIVATE_ADDRESS: "URL_PRIVATE_ADDRESS",
+  URL_DNS_FAILED: "URL_DNS_FAILED",
+  URL_TOO_MANY_REDIRECTS: "URL_TOO_MANY_REDIRECTS",
+};
+
+const CODE_BY_STATUS = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  429: ERROR_CODES.RATE_LIMITED,
+  500: ERROR_CODES.INTERNAL_ERROR,
+  502: ERROR_CODES.UPSTREAM_ERROR,
+  503: ERROR_CODES.SERVICE_UNAVAILABLE,
+  504: ERROR_CODES.UPSTREAM_TIMEOUT,
+};
+
+/**
+ * Returns the default code for an HTTP status.
+ */
+export const codeForStatus = (status) =>
+  CODE_BY_STATUS[status] || (status >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.BAD_REQUEST);
+
+/**
+ * Builds an error response body. `extra` may carry `code`, `errors` and
+ * any context fields.
+ */
+export const errorBody = (status, message, { code, ...extra } = {}) => ({
+  success: false,
+  code: code || codeForStatus(status),
+  message,
+  ...extra,
+});
+
+/**
+ * Middleware that completes error bodies sent with `res.json()`: any
+ * `{ success: false }` body with a 4xx/5xx status gets the status's
+ * default code when the handler did not set one.
+ */
+export const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === "object" && body.success === false) {
+      const { message, ...rest } = body;
+      return json(errorBody(res.statusCode, message, rest));
+    }
+    return json(body);
+  };
+  next();
+};
@@ -0,0 +1,263 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🔑 Google API Key Pool
+ * --------------------------------------------------------------------------
+ * Spreads PageSpeed calls over several server-only Google API keys. Tracks
+ * each key's daily usage, rotates to the least-used healthy key, and
+ * quarantines keys that hit their quota or are rejected by Google so one
+ * bad key no longer fails every audit.
+ *
+ * Keys come from GOOGLE_PAGESPEED_API_KEYS (comma-separated). The legacy
+ * NEXT_PUBLIC_GOOGLE_PAGESPEED_API_KEY is still read as a fallback, but the
+ * NEXT_PUBLIC_ prefix exposes it to frontend bundles, so a warning is
+ * logged until it is moved.
+ * --------------------------------------------------------------------------
+ */
+
+import crypto from "crypto";
+import { createCollection } from "./storage.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "googleKeyPool" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const loadKeys = () => {
+  const keys = (process.env.GOOGLE_PAGESPEED_API_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  if (keys.length) return keys;
+
+  const legacy = process.env.NEXT_PUBLIC_GOOGLE_PAGESPEED_API_KEY;
+  if (legacy) {
+    log.warn(
+      "⚠️  NEXT_PUBLIC_GOOGLE_PAGESPEED_API_KEY is deprecated: move it to GOOGLE_PAGESPEED_API_KEYS so it cannot ship to the frontend"
+    );
+    return [legacy];
+  }
+  return [];
+};
+
+const CONFIG = {
+  DAILY_LIMIT: parseInt(process.env.GOOGLE_KEY_DAILY_LIMIT) || 25000,
+  QUARANTINE_MS: parseInt(process.env.GOOGLE_KEY_QUARANTINE_MS) || 15 * 60 * 1000, // 15 minutes
+  RATE_LIMIT_COOLDOWN_MS: parseInt(process.env.GOOGLE_KEY_RATE_LIMIT_COOLDOWN_MS) || 60 * 1000,
+  STORE: process.env.GOOGLE_KEY_STORE, // "memory" | "file", defaults to STORAGE_DRIVER
+};
+
+/**
+ * Identifies a key without revealing it: a short hash for storage and a
+ * masked label for admin output.
+ */
+const describeKey = (value) => ({
+  id: crypto.createHash("sha256").update(value).digest("hex").slice(0, 12),
+  label: `${value.slice(0, 4)}…${value.slice(-4)}`,
+  value,
+});
+
+const KEYS = loadKeys().map(describeKey);
+
+// Why a key is quarantined; only a rate-limit cooldown may be cut short
+export const QUARANTINE_REASONS = {
+  DAILY_QUOTA: "daily quota exceeded",
+  RATE_LIMITED: "rate limited",
+  REJECTED: "key rejected",
+};
+
+const usage = createCollection("google-key-usage", CONFIG.STORE);
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Google's PageSpeed quota resets daily; usage is bucketed per UTC day.
+ */
+const today = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+const nextUtcMidnight = (now = Date.now()) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+/**
+ * Loads a key's usage record, resetting the counter on a new day.
+ */
+const getUsage = async (keyId, now = Date.now()) => {
+  const record = await usage.get(keyId);
+  const fresh = {
+    id: keyId,
+    day: today(now),
+    used: 0,
+    quarantinedUntil: null,
+    quarantineReason: null,
+    lastError: null,
+  };
+  if (!record) return fresh;
+  return record.day === today(now) ? record : { ...record, day: fresh.day, used: 0 };
+};
+
+/**
+ * Applies `change(record)` to a key's usage record, creating it if needed.
+ */
+const updateUsage = async (keyId, change) => {
+  const updated = await usage.update(keyId, (record) => ({
+    ...record,
+    ...change(record.day === today() ? record : { ...record, day: today(), used: 0 }),
+  }));
+  if (updated) return updated;
+  const created = await getUsage(keyId);
+  return usage.insert({ ...created, ...change(created) });
+};
+
+/**
+ * Creates an error carrying the HTTP status the route should respond with.
+ */
+const poolError = (status, message, extra = {}) =>
+  Object.assign(new Error(message), { status, fatal: true, ...extra });
+
+/* -------------------------------------------------------------------------- */
+/* 🔄 KEY SELECTION */
+/* -------------------------------------------------------------------------- */
+
+export const hasGoogleApiKeys = () => KEYS.length > 0;
+
+/**
+ * Picks the least-used key that is not quarantined, under its daily limit
+ * and not in `exclude` (key ids already tried for this request). When no
+ * such key is left, the least recently quarantined key that is only
+ * cooling down from a per-minute rate limit is tried anyway, so a lone key
+ * is not locked out by one burst. Keys over their daily quota or rejected
+ * by Google are never retried early. Rejects with a fatal 503 when none is
+ * available.
+ */
+export const acquireGoogleKey = async ({ exclude = new Set() } = {}) => {
+  if (!KEYS.length) {
+    throw poolError(500, "Google PageSpeed API not configured. Please check your API key.");
+  }
+
+  const now = Date.now();
+  const candidates = [];
+  const rateLimited = [];
+  let retryAt = null;
+  for (const key of KEYS) {
+    const record = await getUsage(key.id, now);
+    const blockedUntil =
+      record.quarantinedUntil > now
+        ? record.quarantinedUntil
+        : record.used >= CONFIG.DAILY_LIMIT
+          ? nextUtcMidnight(now)
+          : null;
+    if (blockedUntil) {
+      retryAt = Math.min(retryAt ?? blockedUntil, blockedUntil);
+      const coolingDown = record.quarantineReason === QUARANTINE_REASONS.RATE_LIMITED;
+      if (coolingDown && record.used < CONFIG.DAILY_LIMIT && !exclude.has(key.id)) {
+        rateLimited.push({ key, quarantinedAt: record.quarantinedAt || 0 });
+      }
+      continue;
+    }
+    if (!exclude.has(key.id)) candidates.push({ key, used: record.used });
+  }
+
+  if (!candidates.length && rateLimited.length) {
+    rateLimited.sort((a, b) => a.quarantinedAt - b.quarantinedAt);
+    const { id, label, value } = rateLimited[0].key;
+    log.warn(`🔑 No healthy Google API key - trying rate-limited key ${label}`);
+    return { id, label, value };
+  }
+
+  if (!candidates.length) {
+    throw poolError(
+      503,
+      "All Google API keys are exhausted or temporarily unavailable. Please try again later.",
+      { retryAt: retryAt && new Date(retryAt).toISOString() }
+    );
+  }
+
+  candidates.sort((a, b) => a.used - b.used);
+  const { id, label, value } = candidates[0].key;
+  return { id, label, value };
+};
+
+/**
+ * Counts an accepted call against the key's daily usage.
+ */
+export const recordKeyUsage = (keyId) =>
+  updateUsage(keyId, (record) => ({
+    used: record.used + 1,
+    lastUsedAt: new Date().toISOString(),
+  }));
+
+/**
+ * Classifies a Google error response as a key problem, or null when the
+ * error is not the key's fault (e.g. the audited page failed to load).
+ * Daily quota errors park the key until the next UTC day, per-minute rate
+ * limits for a short cooldown, and rejected keys for QUARANTINE_MS.
+ */
+export const classifyKeyFailure = (status, message = "") => {
+  const now = Date.now();
+  if (status === 429 || (status === 403 && /quota|limit/i.test(message))) {
+    const daily = /per day|daily|dailyLimit/i.test(message);
+    return {
+      reason: daily ? QUARANTINE_REASONS.DAILY_QUOTA : QUARANTINE_REASONS.RATE_LIMITED,
+      until: daily ? nextUtcMidnight(now) : now + CONFIG.RATE_LIMIT_COOLDOWN_MS,
+    };
+  }
+  if (status === 401 || status === 403 || (status === 400 && /api key/i.test(message))) {
+    return { reason: QUARANTINE_REASONS.REJECTED, until: now + CONFIG.QUARANTINE_MS };
+  }
+  return null;
+};
+
+/**
+ * Quarantines a key until `until` and records why.
+ */
+export const quarantineKey = async (keyId, { reason, until }, message) => {
+  const key = KEYS.find((k) => k.id === keyId);
+  log.warn(
+    `🔑 Google API key ${key?.label || keyId} quarantined until ${new Date(until).toISOString()} (${reason})`
+  );
+  return updateUsage(keyId, () => ({
+    quarantinedAt: Date.now(),
+    quarantinedUntil: until,
+    quarantineReason: reason,
+    lastError: { reason, message, at: new Date().toISOString() },
+  }));
+};
+
+/* -------------------------------------------------------------------------- */
+/* 📈 ADMIN STATUS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Lists every key with today's usage and availability (values masked).
+ */
+export const getKeyPoolStatus = async () => {
+  const now = Date.now();
+  const keys = [];
+  for (const { id, label } of KEYS) {
+    const record = await getUsage(id, now);
+    const quarantined = record.quarantinedUntil > now;
+    keys.push({
+      id,
+      label,
+      status: quarantined ? "quarantined" : record.used >= CONFIG.DAILY_LIMIT ? "exhausted" : "active",
+      usedToday: record.used,
+      dailyLimit: CONFIG.DAILY_LIMIT,
+      remainingToday: Math.max(0, CONFIG.DAILY_LIMIT - record.used),
+      quarantinedUntil: quarantined ? new Date(record.quarantinedUntil).toISOString() : null,
+      quarantineReason: quarantined ? record.quarantineReason ?? null : null,
+      lastError: record.lastError,
+      lastUsedAt: record.lastUsedAt || null,
+    });
+  }
+  return {
+    day: today(now),
+    total: keys.length,
+    available: keys.filter((key) => key.status === "active").length,
+    keys,
+  };
+};
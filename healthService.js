@@ -0,0 +1,234 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🩺 Health Checks
+ * --------------------------------------------------------------------------
+ * Liveness and readiness for the container orchestrator. Readiness runs
+ * one check per dependency (config, storage, job queues, the WhatsApp
+ * provider, the SMTP server when email is configured, and the PageSpeed
+ * API) with a short timeout. Results are cached
+ * for HEALTH_CACHE_TTL_MS so frequent probes do not hammer the providers,
+ * and concurrent probes share one run.
+ *
+ * Provider probes also report the host's upstream circuit state (see
+ * upstreamClient.js), so an open circuit shows up next to the probe that
+ * explains it.
+ *
+ * HEALTH_CRITICAL_CHECKS lists the checks that make the service unready
+ * when they fail (default: all of them); the others are reported only.
+ * --------------------------------------------------------------------------
+ */
+
+import axios from "axios";
+import { hasGoogleApiKeys } from "./googleKeyPool.js";
+import { getPageSpeedEndpoint } from "./pagespeedService.js";
+import { getTransportEndpoints, isTransportConfigured } from "./whatsappTransport.js";
+import { getEmailEndpoint, verifyEmailTransport } from "./emailTransport.js";
+import { checkStorage } from "./storage.js";
+import { auditQueue } from "./auditService.js";
+import { siteAuditQueue } from "./siteAuditService.js";
+import { crmQueue } from "./crmWebhook.js";
+import { getCircuitState } from "./upstreamClient.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "healthService" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  TIMEOUT_MS: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000,
+  CACHE_TTL_MS: parseInt(process.env.HEALTH_CACHE_TTL_MS) || 30 * 1000,
+  CRITICAL: process.env.HEALTH_CRITICAL_CHECKS
+    ? process.env.HEALTH_CRITICAL_CHECKS.split(",").map((name) => name.trim())
+    : null, // null = every check is critical
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Rejects when `promise` takes longer than TIMEOUT_MS.
+ */
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${CONFIG.TIMEOUT_MS}ms`)),
+      CONFIG.TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Checks that a URL answers at all. Any response below 500 counts as
+ * reachable: the probe sends no credentials, so 4xx is expected.
+ */
+const probe = async (url) => {
+  const start = Date.now();
+  const response = await axios.get(url, {
+    timeout: CONFIG.TIMEOUT_MS,
+    validateStatus: () => true,
+  });
+  const host = new URL(url).host;
+  if (response.status >= 500) {
+    throw Object.assign(new Error(`${host} responded with HTTP ${response.status}`), {
+      details: { host, circuit: getCircuitState(url) },
+    });
+  }
+  return {
+    host,
+    httpStatus: response.status,
+    latencyMs: Date.now() - start,
+    circuit: getCircuitState(url),
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* ✅ CHECKS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Each check resolves with details or throws with the reason it failed.
+ */
+const checks = {
+  async config() {
+    const missing = [];
+    if (!isTransportConfigured()) missing.push("WhatsApp provider credentials");
+    if (!hasGoogleApiKeys()) missing.push("GOOGLE_PAGESPEED_API_KEYS");
+    if (missing.length) {
+      throw Object.assign(new Error(`Missing configuration: ${missing.join(", ")}`), {
+        details: { missing },
+      });
+    }
+    return { missing };
+  },
+
+  storage: () => checkStorage(),
+
+  async queues() {
+    const queues = [auditQueue.stats(), siteAuditQueue.stats(), crmQueue.stats()];
+    const stopped = queues.filter((queue) => !queue.started).map((queue) => queue.name);
+    if (stopped.length) {
+      throw Object.assign(new Error(`Job queue not started: ${stopped.join(", ")}`), {
+        details: { queues },
+      });
+    }
+    return { queues };
+  },
+
+  async whatsapp() {
+    const endpoints = getTransportEndpoints();
+    if (!endpoints.length) throw new Error("No WhatsApp provider configured");
+
+    // Failover means one reachable provider is enough
+    const results = await Promise.allSettled(endpoints.map(({ baseUrl }) => probe(baseUrl)));
+    const providers = endpoints.map(({ provider }, i) =>
+      results[i].status === "fulfilled"
+        ? { provider, reachable: true, ...results[i].value }
+        : { provider, reachable: false, error: results[i].reason.message }
+    );
+    if (!providers.some((provider) => provider.reachable)) {
+      throw Object.assign(new Error("No WhatsApp provider is reachable"), {
+        details: { providers },
+      });
+    }
+    return { providers };
+  },
+
+  // Email is optional: an unconfigured channel passes
+  async email() {
+    const endpoint = getEmailEndpoint();
+    if (!endpoint) return { configured: false };
+    const start = Date.now();
+    await verifyEmailTransport();
+    return { configured: true, ...endpoint, latencyMs: Date.now() - start };
+  },
+
+  pagespeed: () => probe(getPageSpeedEndpoint()),
+};
+
+const isCritical = (name) => !CONFIG.CRITICAL || CONFIG.CRITICAL.includes(name);
+
+/* -------------------------------------------------------------------------- */
+/* 🗃️ CACHED RUNS */
+/* -------------------------------------------------------------------------- */
+
+const results = new Map(); // name -> { result, expiresAt }
+const inFlight = new Map(); // name -> Promise
+
+/**
+ * Runs one check (or reuses a fresh cached result) and describes it as
+ * `{ status: "pass" | "fail", critical, durationMs, checkedAt, cached,
+ * details?, error? }`.
+ */
+const runCheck = async (name) => {
+  const cached = results.get(name);
+  if (cached && cached.expiresAt > Date.now()) return { ...cached.result, cached: true };
+  if (inFlight.has(name)) return inFlight.get(name);
+
+  const run = (async () => {
+    const start = Date.now();
+    let outcome;
+    try {
+      outcome = { status: "pass", details: await withTimeout(checks[name]()) };
+    } catch (error) {
+      outcome = { status: "fail", error: error.message, details: error.details };
+      log.warn(`🩺 Health check "${name}" failed: ${error.message}`);
+    }
+    const result = {
+      status: outcome.status,
+      critical: isCritical(name),
+      durationMs: Date.now() - start,
+      checkedAt: new Date(start).toISOString(),
+      cached: false,
+      ...(outcome.error && { error: outcome.error }),
+      ...(outcome.details && { details: outcome.details }),
+    };
+    results.set(name, { result, expiresAt: Date.now() + CONFIG.CACHE_TTL_MS });
+    return result;
+  })();
+
+  inFlight.set(name, run);
+  try {
+    return await run;
+  } finally {
+    inFlight.delete(name);
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🩺 PROBES */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Liveness: the process is up and serving requests. Never checks
+ * dependencies, so a provider outage does not get the container restarted.
+ */
+export const getLiveness = () => ({
+  status: "OK",
+  uptimeSeconds: Math.round(process.uptime()),
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Readiness: runs every check and reports `ready: false` when any critical
+ * one fails.
+ */
+export const getReadiness = async () => {
+  const names = Object.keys(checks);
+  const outcomes = await Promise.all(names.map(runCheck));
+  const breakdown = Object.fromEntries(names.map((name, i) => [name, outcomes[i]]));
+  const failed = names.filter((name) => breakdown[name].status === "fail");
+  const ready = !failed.some(isCritical);
+
+  return {
+    ready,
+    status: ready ? (failed.length ? "DEGRADED" : "OK") : "UNAVAILABLE",
+    failed,
+    checks: breakdown,
+    timestamp: new Date().toISOString(),
+  };
+};
@@ -0,0 +1,261 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🧵 Job Queue
+ * --------------------------------------------------------------------------
+ * Persistent background job queue with a concurrency limit, progress
+ * events and retries. Jobs live in a storage collection, so with the file
+ * driver they survive a restart: interrupted jobs are re-queued on start().
+ * Finished jobs stay readable for JOB_RETENTION_MS (24 hours) after they
+ * finish, then are pruned so the collection does not grow forever.
+ * --------------------------------------------------------------------------
+ */
+
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import { createCollection } from "./storage.js";
+import { logger, getRequestId, runWithContext } from "./logger.js";
+
+const log = logger.child({ module: "jobQueue" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  RETENTION_MS: parseInt(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000,
+  PRUNE_INTERVAL_MS: 10 * 60 * 1000,
+};
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+/**
+ * Creates a job queue.
+ *
+ * `handler(job, updateProgress)` performs the work and resolves with the
+ * job result. Errors flagged `fatal` fail the job immediately; others are
+ * retried up to `maxAttempts` times, waiting `retryDelay(attempt)` ms.
+ * Done and failed jobs are removed `retentionMs` after they finish.
+ */
+export const createJobQueue = ({
+  name,
+  handler,
+  concurrency = 1,
+  maxAttempts = 3,
+  retryDelay = () => 0,
+  retentionMs = CONFIG.RETENTION_MS,
+  driver,
+}) => {
+  const jobs = createCollection(name, driver);
+  const events = new EventEmitter();
+  const pending = [];
+  const timers = new Set();
+  let running = 0;
+  let started = false;
+  let pruneTimer = null;
+
+  events.setMaxListeners(0);
+
+  /**
+   * Applies a patch to a job, persists it and notifies listeners.
+   */
+  const updateJob = async (id, patch) => {
+    const job = await jobs.update(id, (current) => ({
+      ...current,
+      ...(typeof patch === "function" ? patch(current) : patch),
+      updatedAt: new Date().toISOString(),
+    }));
+    if (job) events.emit(id, job);
+    return job;
+  };
+
+  /**
+   * Starts queued jobs until the concurrency limit is reached.
+   */
+  const pump = () => {
+    while (started && running < concurrency && pending.length) {
+      const id = pending.shift();
+      running++;
+      execute(id)
+        .catch((err) => log.error(`❌ Job ${id} crashed`, { error: err }))
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  };
+
+  /**
+   * Queues a job id, optionally after a delay.
+   */
+  const schedule = (id, delay = 0) => {
+    if (delay <= 0) {
+      pending.push(id);
+      return pump();
+    }
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      pending.push(id);
+      pump();
+    }, delay);
+    timers.add(timer);
+  };
+
+  /**
+   * Runs a single job attempt and records its outcome.
+   */
+  const execute = async (id) => {
+    const job = await updateJob(id, (current) => ({
+      status: JOB_STATUS.RUNNING,
+      attempts: current.attempts + 1,
+      startedAt: current.startedAt || new Date().toISOString(),
+    }));
+    if (!job) return;
+
+    const updateProgress = (progress) =>
+      updateJob(id, (current) => ({
+        progress: { ...current.progress, ...progress },
+      }));
+
+    try {
+      // Keep the enqueuing request's id on the job's log lines, even after a restart
+      const result = await runWithContext({ requestId: job.requestId || job.id }, () =>
+        handler(job, updateProgress)
+      );
+      await updateJob(id, {
+        status: JOB_STATUS.DONE,
+        result,
+        error: null,
+        finishedAt: new Date().toISOString(),
+      });
+      log.info(`✅ Job ${id} completed`);
+    } catch (err) {
+      const retry = !err.fatal && job.attempts < maxAttempts;
+      const error = { message: err.message, status: err.status || null };
+
+      if (retry) {
+        const delay = retryDelay(job.attempts);
+        log.warn(
+          `⚠️  Job ${id} attempt ${job.attempts}/${maxAttempts} failed: ${err.message} - retrying in ${delay}ms`
+        );
+        await updateJob(id, { status: JOB_STATUS.QUEUED, error });
+        schedule(id, delay);
+      } else {
+        log.error(`❌ Job ${id} failed`, { error: err });
+        await updateJob(id, {
+          status: JOB_STATUS.FAILED,
+          error,
+          finishedAt: new Date().toISOString(),
+        });
+      }
+    }
+  };
+
+  /**
+   * Removes done and failed jobs that finished more than `retentionMs`
+   * ago. Resolves with the number of jobs removed.
+   */
+  const prune = async (now = Date.now()) => {
+    const expired = await jobs.find(
+      (job) =>
+        (job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED) &&
+        now - new Date(job.finishedAt).getTime() > retentionMs
+    );
+    for (const job of expired) await jobs.remove(job.id);
+    if (expired.length) log.info(`🧹 Pruned ${expired.length} finished ${name} job(s)`);
+    return expired.length;
+  };
+
+  return {
+    events,
+    prune,
+
+    /**
+     * Persists a new job and queues it. Resolves with the stored job.
+     */
+    async add(input, progress = {}) {
+      const now = new Date().toISOString();
+      const job = await jobs.insert({
+        id: randomUUID(),
+        requestId: getRequestId() || null,
+        status: JOB_STATUS.QUEUED,
+        input,
+        progress,
+        attempts: 0,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+      });
+      schedule(job.id);
+      return job;
+    },
+
+    /**
+     * Returns a job by id, or null.
+     */
+    get(id) {
+      return jobs.get(id);
+    },
+
+    /**
+     * Returns in-process counters for health checks.
+     */
+    stats() {
+      return { name, started, running, pending: pending.length, retrying: timers.size };
+    },
+
+    /**
+     * Re-queues stored jobs that were queued or interrupted mid-run, then
+     * starts processing.
+     */
+    async start() {
+      if (started) return;
+      started = true;
+
+      const unfinished = (
+        await jobs.find(
+          (job) =>
+            job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING
+        )
+      ).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      for (const job of unfinished) {
+        if (job.status === JOB_STATUS.RUNNING) {
+          await updateJob(job.id, { status: JOB_STATUS.QUEUED });
+        }
+        if (!pending.includes(job.id)) pending.push(job.id);
+      }
+
+      if (unfinished.length) {
+        log.info(`🧵 Resuming ${unfinished.length} ${name} job(s)`);
+      }
+      pump();
+
+      await prune();
+      if (!started) return;
+      pruneTimer = setInterval(() => {
+        prune().catch((err) => log.error(`❌ Pruning ${name} jobs failed`, { error: err }));
+      }, Math.min(CONFIG.PRUNE_INTERVAL_MS, retentionMs));
+      // Pruning alone never keeps the process alive
+      pruneTimer.unref();
+    },
+
+    /**
+     * Stops starting new jobs and cancels pending retry and pruning timers.
+     */
+    stop() {
+      started = false;
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+      clearInterval(pruneTimer);
+      pruneTimer = null;
+    },
+  };
+};
@@ -0,0 +1,168 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🎯 Lead Controller
+ * --------------------------------------------------------------------------
+ * Lists captured leads with filters and pagination, and exports them as
+ * CSV or JSON for import into a CRM or spreadsheet. Non-admin keys only
+ * see the leads from their own report requests.
+ * --------------------------------------------------------------------------
+ */
+
+import { getLead, listLeads } from "./leadStore.js";
+import { parsePhoneNumber } from "./phoneNumber.js";
+import { resolveTemplate } from "./templates.js";
+import { canAccess, getOwnerFilter } from "./authMiddleware.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "leadController" });
+
+export const EXPORT_FORMATS = ["csv", "json"];
+
+const CSV_COLUMNS = [
+  "id",
+  "emails",
+  "phoneNumbers",
+  "urls",
+  "latestUrl",
+  "latestOverallScore",
+  "sources",
+  "requestCount",
+  "replyCount",
+  "lastReply",
+  "createdAt",
+  "updatedAt",
+];
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Sends the standard 500 response for unexpected errors.
+ */
+const internalError = (res, error, context) => {
+  log.error(`❌ ${context}`, { error });
+  return res.status(500).json({
+    success: false,
+    message: "Internal server error",
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * Builds the listing filters from the query. Resolves the phone number
+ * filter to E.164 digits; returns null when it is not a valid number.
+ */
+const getFilters = (req) => {
+  const { source, url, email, phoneNumber, from, to, replied } = req.query;
+  const filters = { ownerId: getOwnerFilter(req), source, url, email, from, to, replied };
+  if (phoneNumber) {
+    const { countryCode } = resolveTemplate({ brand: req.apiKey?.brand });
+    const parsed = parsePhoneNumber(phoneNumber, countryCode);
+    if (!parsed.valid) return null;
+    filters.phoneNumber = parsed.digits;
+  }
+  return filters;
+};
+
+/**
+ * Quotes a CSV field when needed. Prospect-supplied text that a spreadsheet
+ * would run as a formula is prefixed with an apostrophe; phone numbers
+ * ("+91...") are left alone.
+ */
+const csvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=@\t\r]|^[+-](?![\d\s;+]*$)/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flattens a lead into one CSV row; lists are joined with "; ".
+ */
+const toCsvRow = (lead) => {
+  const latest = lead.audits[lead.audits.length - 1];
+  const row = {
+    id: lead.id,
+    emails: lead.emails.join("; "),
+    phoneNumbers: lead.phoneNumbers.map((digits) => `+${digits}`).join("; "),
+    urls: [...new Set(lead.audits.map((audit) => audit.url))].join("; "),
+    latestUrl: latest?.url,
+    latestOverallScore: latest?.scores?.overall,
+    sources: lead.sources.join("; "),
+    requestCount: lead.requestCount,
+    replyCount: lead.replies.length,
+    lastReply: lead.replies[lead.replies.length - 1]?.text,
+    createdAt: lead.createdAt,
+    updatedAt: lead.updatedAt,
+  };
+  return CSV_COLUMNS.map((column) => csvField(row[column])).join(",");
+};
+
+const invalidPhoneFilter = (res) =>
+  res.status(400).json({ success: false, message: "Invalid phoneNumber filter." });
+
+/* -------------------------------------------------------------------------- */
+/* 🎯 HANDLERS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Lists leads, newest activity first, with offset/limit pagination.
+ */
+export const getLeads = async (req, res) => {
+  try {
+    const filters = getFilters(req);
+    if (!filters) return invalidPhoneFilter(res);
+
+    const { offset, limit } = req.query;
+    const { total, leads } = await listLeads({ ...filters, offset, limit });
+    return res.status(200).json({
+      success: true,
+      total,
+      count: leads.length,
+      offset,
+      limit,
+      leads,
+    });
+  } catch (error) {
+    return internalError(res, error, "Failed to list leads");
+  }
+};
+
+/**
+ * Exports every lead matching the filters as a CSV or JSON download.
+ */
+export const exportLeads = async (req, res) => {
+  try {
+    const filters = getFilters(req);
+    if (!filters) return invalidPhoneFilter(res);
+
+    const { leads } = await listLeads(filters);
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.${req.query.format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    log.info(`📤 Exporting ${leads.length} lead(s) as ${req.query.format}`);
+
+    if (req.query.format === "json") {
+      return res.status(200).json({ success: true, count: leads.length, leads });
+    }
+    const rows = [CSV_COLUMNS.join(","), ...leads.map(toCsvRow)];
+    res.type("text/csv");
+    return res.status(200).send(`${rows.join("\r\n")}\r\n`);
+  } catch (error) {
+    return internalError(res, error, "Failed to export leads");
+  }
+};
+
+/**
+ * Returns a single lead with its audits and replies.
+ */
+export const getLeadById = async (req, res) => {
+  try {
+    const lead = await getLead(req.params.id);
+    if (!lead || !canAccess(req, lead.ownerId)) {
+      return res.status(404).json({ success: false, message: "Lead not found" });
+    }
+    return res.status(200).json({ success: true, lead });
+  } catch (error) {
+    return internalError(res, error, "Failed to load lead");
+  }
+};
@@ -0,0 +1,210 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🎯 Lead Store
+ * --------------------------------------------------------------------------
+ * One lead per prospect: contact details (emails and E.164 phone digits),
+ * every URL audited for them with its scores, where they came from, and
+ * their WhatsApp replies. Report requests and inbound replies both create
+ * or update leads; a lead is matched by any shared email or phone number
+ * within the same owner (the API client that requested the audit).
+ * Replies that match no audit go to unowned leads, left for an admin to
+ * triage, and never to another client's lead.
+ * --------------------------------------------------------------------------
+ */
+
+import { randomUUID } from "crypto";
+import { createCollection } from "./storage.js";
+import { toUrlKey } from "./auditStore.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "leadStore" });
+
+const leads = createCollection("leads");
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Finds the lead of `ownerId` (null for unowned leads) sharing an email or
+ * phone number, or null.
+ */
+const findContact = async (ownerId, { emails = [], phoneNumbers = [] }) => {
+  const [match] = await leads.find(
+    (lead) =>
+      lead.ownerId === ownerId &&
+      (lead.emails.some((email) => emails.includes(email)) ||
+        lead.phoneNumbers.some((number) => phoneNumbers.includes(number)))
+  );
+  return match || null;
+};
+
+/**
+ * Merges `change(lead)` into a lead.
+ */
+const updateLead = (id, change) =>
+  leads.update(id, (lead) => ({ ...lead, ...change(lead), updatedAt: new Date().toISOString() }));
+
+/**
+ * Creates a lead from contact details and the first event.
+ */
+const insertLead = ({ ownerId, emails = [], phoneNumbers = [], ...fields }) => {
+  const now = new Date().toISOString();
+  return leads.insert({
+    id: randomUUID(),
+    ownerId,
+    emails,
+    phoneNumbers,
+    audits: [],
+    sources: [],
+    replies: [],
+    requestCount: 0,
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+  });
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🎯 LEAD CAPTURE */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Creates or updates the lead for a report request. `emails` are
+ * lowercased addresses and `phoneNumbers` E.164 digits; `scores` is the
+ * audit's score set. Resolves with `{ lead, created }`.
+ */
+export const captureAuditLead = async ({
+  ownerId = null,
+  emails = [],
+  phoneNumbers = [],
+  url,
+  auditId = null,
+  scores = null,
+  source,
+}) => {
+  const now = new Date().toISOString();
+  const audit = { url, auditId, scores, requestedAt: now };
+  const existing = await findContact(ownerId, { emails, phoneNumbers });
+
+  if (existing) {
+    const lead = await updateLead(existing.id, (current) => ({
+      emails: unique([...current.emails, ...emails]),
+      phoneNumbers: unique([...current.phoneNumbers, ...phoneNumbers]),
+      audits: [...current.audits, audit],
+      sources: unique([...current.sources, source]),
+      requestCount: current.requestCount + 1,
+      lastRequestedAt: now,
+    }));
+    return { lead, created: false };
+  }
+
+  log.info(`🎯 New lead for ${url} (${source})`);
+  const lead = await insertLead({
+    ownerId,
+    emails: unique(emails),
+    phoneNumbers: unique(phoneNumbers),
+    audits: [audit],
+    sources: [source],
+    requestCount: 1,
+    lastRequestedAt: now,
+  });
+  return { lead, created: true };
+};
+
+/**
+ * Records an inbound WhatsApp reply on the sender's lead, creating one when
+ * the number is unknown. `audit` is the audit the reply refers to, if any:
+ * its owner's lead is used. Replies to no known audit go to the unowned
+ * lead with that number. Resolves with `{ lead, created }`.
+ */
+export const recordReplyLead = async ({
+  phoneNumber,
+  audit = null,
+  text,
+  messageId,
+  provider,
+  receivedAt,
+}) => {
+  const ownerId = audit?.ownerId ?? null;
+  const reply = { messageId, text, receivedAt, auditId: audit?.id || null };
+  const source = `whatsapp-reply:${provider}`;
+  const existing = await findContact(ownerId, { phoneNumbers: [phoneNumber] });
+
+  if (existing) {
+    if (existing.replies.some((r) => r.messageId === messageId)) {
+      return { lead: existing, created: false };
+    }
+    const lead = await updateLead(existing.id, (current) => ({
+      replies: [...current.replies, reply],
+      sources: unique([...current.sources, source]),
+    }));
+    return { lead, created: false };
+  }
+
+  log.info(`🎯 New lead from ${phoneNumber}${audit ? ` (audit ${audit.id})` : ""}`);
+  const lead = await insertLead({
+    ownerId,
+    phoneNumbers: [phoneNumber],
+    audits: audit
+      ? [{ url: audit.url, auditId: audit.id, scores: audit.scores, requestedAt: receivedAt }]
+      : [],
+    sources: [source],
+    replies: [reply],
+  });
+  return { lead, created: true };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 QUERIES */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns a lead by id, or null.
+ */
+export const getLead = (id) => leads.get(id);
+
+/**
+ * Lists leads (newest activity first) matching the filters: owner, a
+ * source, an audited URL, an email, a phone number (E.164 digits), a
+ * createdAt date range and whether the prospect replied. Resolves with
+ * `{ total, leads }`, paginated by `offset`/`limit` (all when no limit).
+ */
+export const listLeads = async ({
+  ownerId,
+  source,
+  url,
+  email,
+  phoneNumber,
+  from,
+  to,
+  replied,
+  offset = 0,
+  limit,
+} = {}) => {
+  const urlKey = url ? toUrlKey(url) : null;
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+
+  const matches = await leads.find((lead) => {
+    const time = new Date(lead.createdAt).getTime();
+    return (
+      (ownerId === undefined || lead.ownerId === ownerId) &&
+      (!source || lead.sources.includes(source)) &&
+      (!urlKey || lead.audits.some((audit) => toUrlKey(audit.url) === urlKey)) &&
+      (!email || lead.emails.includes(email.toLowerCase())) &&
+      (!phoneNumber || lead.phoneNumbers.includes(phoneNumber)) &&
+      (replied === undefined || (lead.replies.length > 0) === replied) &&
+      time >= fromTime &&
+      time <= toTime
+    );
+  });
+
+  matches.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return {
+    total: matches.length,
+    leads: matches.slice(offset, limit === undefined ? undefined : offset + limit),
+  };
+};
@@ -0,0 +1,143 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🪵 Logger
+ * --------------------------------------------------------------------------
+ * Structured JSON logging with levels and a per-request correlation id.
+ * The id lives in AsyncLocalStorage, so every log line written while
+ * handling a request (or a job queued by it) carries it without threading
+ * it through function arguments. Secrets in fields and URLs are redacted
+ * before anything is written.
+ *
+ * LOG_LEVEL: debug | info (default) | warn | error
+ * LOG_FORMAT: json (default) | pretty (one readable line, for local dev)
+ * --------------------------------------------------------------------------
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const CONFIG = {
+  LEVEL: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info",
+  FORMAT: process.env.LOG_FORMAT === "pretty" ? "pretty" : "json",
+};
+
+// Field names whose values are never logged (accessToken, api_key, ...)
+const SECRET_FIELD = /(token|secret|password|authorization|cookie|api[-_]?key|^key|^sig|signature)$/i;
+
+// Query parameters and auth schemes masked inside strings (URLs, messages)
+const SECRET_PARAM = /([?&](?:key|api_key|access_token|token|sig|signature|auth)=)[^&\s"'#]+/gi;
+const SECRET_SCHEME = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+
+/* -------------------------------------------------------------------------- */
+/* 🧵 REQUEST CONTEXT */
+/* -------------------------------------------------------------------------- */
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `store` (e.g. `{ requestId }`) as the logging context.
+ */
+export const runWithContext = (store, fn) => context.run(store, fn);
+
+/**
+ * Returns the current request's correlation id, if any.
+ */
+export const getRequestId = () => context.getStore()?.requestId;
+
+/**
+ * Headers that carry the correlation id into outbound calls.
+ */
+export const requestIdHeaders = () => {
+  const requestId = getRequestId();
+  return requestId ? { "X-Request-Id": requestId } : {};
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🙈 REDACTION */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Masks secrets in a string: credential query parameters and
+ * Bearer/Basic credentials.
+ */
+export const redactString = (text) =>
+  text.replace(SECRET_PARAM, "$1[REDACTED]").replace(SECRET_SCHEME, "$1 [REDACTED]");
+
+/**
+ * Deep-copies a value with secret fields and secrets inside strings
+ * masked. Errors become `{ message, status, stack }`.
+ */
+export const redact = (value, depth = 0) => {
+  if (typeof value === "string") return redactString(value);
+  if (value instanceof Error) {
+    return redact(
+      {
+        message: value.message,
+        ...(value.status && { status: value.status }),
+        ...(CONFIG.LEVEL === "debug" && { stack: value.stack }),
+      },
+      depth
+    );
+  }
+  if (!value || typeof value !== "object") return value;
+  if (depth > 5) return "[Truncated]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_FIELD.test(key) && item ? "[REDACTED]" : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🪵 LOGGER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Writes one log entry. `fields` may be an object or an Error.
+ */
+const write = (level, bindings, message, fields) => {
+  if (LEVELS[level] < LEVELS[CONFIG.LEVEL]) return;
+
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(message)),
+    requestId: getRequestId(),
+    ...redact(bindings),
+    ...redact(extra || {}),
+  };
+
+  let line;
+  if (CONFIG.FORMAT === "pretty") {
+    const { time, msg, ...rest } = entry;
+    const details = Object.entries(rest).filter(([key, v]) => key !== "level" && v !== undefined);
+    line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${
+      details.length ? ` ${JSON.stringify(Object.fromEntries(details))}` : ""
+    }`;
+  } else {
+    line = JSON.stringify(entry);
+  }
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * Creates a logger whose entries include `bindings` (e.g. `{ module }`).
+ */
+export const createLogger = (bindings = {}) => ({
+  debug: (message, fields) => write("debug", bindings, message, fields),
+  info: (message, fields) => write("info", bindings, message, fields),
+  warn: (message, fields) => write("warn", bindings, message, fields),
+  error: (message, fields) => write("error", bindings, message, fields),
+  child: (more) => createLogger({ ...bindings, ...more }),
+});
+
+export const logger = createLogger();
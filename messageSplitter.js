@@ -0,0 +1,81 @@
+/**
+ * --------------------------------------------------------------------------
+ * ✂️ Message Splitter
+ * --------------------------------------------------------------------------
+ * Splits long WhatsApp messages into parts that fit a provider's text
+ * limit. Report messages are sections joined by blank lines, each heading
+ * opening with a `━━━` divider; parts break on those section boundaries
+ * and pack as many whole sections as fit. A section that is too long on
+ * its own is broken on line boundaries, and a single overlong line on
+ * character boundaries.
+ *
+ * Every part of a split message ends with a "(1/3)" marker so recipients
+ * can tell the order and spot a missing part. Lengths are UTF-16 code
+ * units, which over-counts emoji and so errs on the safe side.
+ * --------------------------------------------------------------------------
+ */
+
+// Longest marker reserved per part: "\n\n(99/99)"
+const MARKER_RESERVE = 9;
+
+// A section starts where a blank line is followed by a divider
+const SECTION_BOUNDARY = /\n\n(?=━{3,})/;
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Cuts a string into pieces of at most `max` code units without splitting
+ * a surrogate pair.
+ */
+const hardSplit = (text, max) => {
+  const pieces = [];
+  let piece = "";
+  for (const char of text) {
+    if (piece.length + char.length > max) {
+      pieces.push(piece);
+      piece = "";
+    }
+    piece += char;
+  }
+  if (piece) pieces.push(piece);
+  return pieces;
+};
+
+/**
+ * Greedily joins blocks with `separator` into chunks of at most `max`.
+ * Blocks longer than `max` are first broken by `breakBlock`.
+ */
+const pack = (blocks, separator, max, breakBlock) => {
+  const chunks = [];
+  let current = "";
+  for (const block of blocks.flatMap((b) => (b.length > max ? breakBlock(b) : [b]))) {
+    if (current && current.length + separator.length + block.length > max) {
+      chunks.push(current);
+      current = block;
+    } else {
+      current = current ? `${current}${separator}${block}` : block;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+/* -------------------------------------------------------------------------- */
+/* ✂️ SPLITTER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Splits `text` into parts of at most `maxLength` code units, markers
+ * included. Text that fits is returned as a single unmarked part.
+ */
+export const splitMessage = (text, maxLength) => {
+  if (!maxLength || text.length <= maxLength) return [text];
+
+  const max = maxLength - MARKER_RESERVE;
+  const byLine = (section) => pack(section.split("\n"), "\n", max, (line) => hardSplit(line, max));
+  const parts = pack(text.split(SECTION_BOUNDARY), "\n\n", max, byLine);
+
+  return parts.map((part, i) => `${part}\n\n(${i + 1}/${parts.length})`);
+};
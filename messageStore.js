@@ -0,0 +1,80 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📬 Message Store
+ * --------------------------------------------------------------------------
+ * Tracks every outbound WhatsApp message and its delivery timeline
+ * (sent → delivered → read, or failed) as reported by provider webhooks.
+ * --------------------------------------------------------------------------
+ */
+
+import { createCollection } from "./storage.js";
+
+const messages = createCollection("messages");
+
+export const DELIVERY_STATUSES = ["sent", "delivered", "read", "failed"];
+
+// Later statuses win; webhooks may arrive out of order.
+const STATUS_RANK = { sent: 0, delivered: 1, read: 2, failed: 3 };
+
+/**
+ * Records a message accepted by a provider. `ownerId` is the API client
+ * that sent it; only that client (or an admin) can read its timeline.
+ */
+export const recordSentMessage = ({
+  messageId,
+  provider,
+  to,
+  ownerId = null,
+  auditId = null,
+  kind,
+}) => {
+  const now = new Date().toISOString();
+  return messages.insert({
+    id: messageId,
+    provider,
+    to,
+    ownerId,
+    auditId,
+    kind,
+    status: "sent",
+    timeline: [{ status: "sent", at: now }],
+    createdAt: now,
+    updatedAt: now,
+  });
+};
+
+/**
+ * Returns a tracked message by provider message id, or null.
+ */
+export const getMessage = (messageId) => messages.get(messageId);
+
+/**
+ * Appends a status event to a tracked message. Resolves with the updated
+ * record, or null when the message is unknown.
+ */
+export const recordStatusEvent = (messageId, { status, at, error = null }) =>
+  messages.update(messageId, (message) => {
+    const duplicate = message.timeline.some(
+      (event) => event.status === status && event.at === at
+    );
+    if (duplicate) return message;
+
+    const timeline = [...message.timeline, { status, at, ...(error && { error }) }].sort(
+      (a, b) => a.at.localeCompare(b.at)
+    );
+    return {
+      ...message,
+      status:
+        STATUS_RANK[status] > STATUS_RANK[message.status] ? status : message.status,
+      timeline,
+      updatedAt: new Date().toISOString(),
+    };
+  });
+
+/**
+ * Returns the most recent message sent to a number, or null.
+ */
+export const getLatestMessageTo = async (to) => {
+  const sent = await messages.find((message) => message.to === to);
+  return sent.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+};
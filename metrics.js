@@ -0,0 +1,195 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📈 Metrics
+ * --------------------------------------------------------------------------
+ * A small in-process Prometheus registry (counters, histograms and
+ * collected gauges) plus the service's own metrics, rendered in the text
+ * exposition format by GET /metrics.
+ * --------------------------------------------------------------------------
+ */
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 REGISTRY */
+/* -------------------------------------------------------------------------- */
+
+const registry = [];
+
+// Seconds; covers fast API routes up to full PageSpeed runs
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`
+    : "";
+};
+
+/**
+ * Picks the declared label names from `labels` (missing ones become "")
+ * so series keys are stable.
+ */
+const pickLabels = (labelNames, labels = {}) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+/**
+ * Creates a monotonically increasing counter.
+ */
+export const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  const counter = {
+    inc(labels = {}, by = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += by;
+      series.set(key, entry);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ],
+  };
+  registry.push(counter);
+  return counter;
+};
+
+/**
+ * Creates a histogram of observed values (seconds by default).
+ * `startTimer(labels)` returns an `end(moreLabels)` function that observes
+ * the elapsed seconds and returns them.
+ */
+export const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+
+  const histogram = {
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || {
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        histogram.observe({ ...labels, ...moreLabels }, seconds);
+        return seconds;
+      };
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map(
+          (bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    ],
+  };
+  registry.push(histogram);
+  return histogram;
+};
+
+/**
+ * Creates a gauge whose value is read by `collect()` at scrape time.
+ */
+export const createGauge = ({ name, help, collect }) => {
+  const gauge = {
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`],
+  };
+  registry.push(gauge);
+  return gauge;
+};
+
+/**
+ * Renders every registered metric in the Prometheus text format.
+ */
+export const renderMetrics = () => `${registry.flatMap((metric) => metric.render()).join("\n")}\n`;
+
+/* -------------------------------------------------------------------------- */
+/* 📊 SERVICE METRICS */
+/* -------------------------------------------------------------------------- */
+
+export const httpRequestDuration = createHistogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by method, route and status",
+  labelNames: ["method", "route", "status"],
+});
+
+export const pageSpeedDuration = createHistogram({
+  name: "pagespeed_request_duration_seconds",
+  help: "Upstream PageSpeed Insights call latency by strategy and outcome",
+  labelNames: ["strategy", "outcome"],
+});
+
+export const pageSpeedRetries = createCounter({
+  name: "pagespeed_retries_total",
+  help: "PageSpeed attempts that failed and were retried",
+  labelNames: ["strategy"],
+});
+
+export const googleKeyQuarantines = createCounter({
+  name: "pagespeed_key_quarantines_total",
+  help: "Google API keys quarantined by reason",
+  labelNames: ["reason"],
+});
+
+export const whatsappMessages = createCounter({
+  name: "whatsapp_messages_total",
+  help: "WhatsApp send attempts by provider and outcome",
+  labelNames: ["provider", "outcome"],
+});
+
+export const emailMessages = createCounter({
+  name: "email_messages_total",
+  help: "Email send attempts by provider and outcome",
+  labelNames: ["provider", "outcome"],
+});
+
+export const upstreamRetries = createCounter({
+  name: "upstream_retries_total",
+  help: "Outbound HTTP attempts that failed and were retried, by client and reason",
+  labelNames: ["client", "reason"],
+});
+
+export const circuitBreakerTransitions = createCounter({
+  name: "upstream_circuit_transitions_total",
+  help: "Upstream circuit breaker state changes by host and new state",
+  labelNames: ["host", "state"],
+});
+
+export const rateLimitRejections = createCounter({
+  name: "rate_limit_rejections_total",
+  help: "Requests rejected by a rate limiter or quota",
+  labelNames: ["limiter"],
+});
+
+createGauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident memory size in bytes",
+  collect: () => process.memoryUsage().rss,
+});
+
+createGauge({
+  name: "process_uptime_seconds",
+  help: "Seconds since the process started",
+  collect: () => Math.round(process.uptime()),
+});
@@ -0,0 +1,513 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🔬 On-Page SEO Analyzer
+ * --------------------------------------------------------------------------
+ * Fetches a page and checks what Lighthouse does not fully cover: title and
+ * meta description length, heading structure, canonical and robots
+ * directives, image alt text, Open Graph / Twitter tags, JSON-LD validity,
+ * broken internal links, and robots.txt / sitemap presence.
+ *
+ * Each check yields a finding `{ id, category, status, title,
+ * recommendation, details }` with status critical, warning or passed.
+ * Findings that mirror a Lighthouse audit reuse its id so the report
+ * aggregator can merge them.
+ * --------------------------------------------------------------------------
+ */
+
+import { policyFetch } from "./urlPolicy.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  TIMEOUT: parseInt(process.env.ONPAGE_TIMEOUT) || 15000,
+  MAX_BYTES: 5 * 1024 * 1024,
+  LINK_CHECK_LIMIT: parseInt(process.env.ONPAGE_LINK_CHECK_LIMIT) || 20,
+  LINK_CHECK_CONCURRENCY: 5,
+  USER_AGENT: "MarketiqJunctionSEOBot/1.0 (+on-page audit)",
+};
+
+const LIMITS = {
+  TITLE: { min: 30, max: 60 },
+  DESCRIPTION: { min: 70, max: 160 },
+};
+
+export const FINDING_STATUS = {
+  CRITICAL: "critical",
+  WARNING: "warning",
+  PASSED: "passed",
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ HTML PARSING */
+/* -------------------------------------------------------------------------- */
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Decodes the common named and numeric HTML entities.
+ */
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+/**
+ * Strips tags and collapses whitespace.
+ */
+const toText = (html) => decodeEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+
+/**
+ * Parses a tag's attribute string into a lower-cased-name map.
+ */
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  for (const [, name, double, single, bare] of source.matchAll(pattern)) {
+    attributes[name.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? "");
+  }
+  return attributes;
+};
+
+/**
+ * Returns the attributes of every `<tag>` occurrence in the markup.
+ */
+const findTags = (html, tag) =>
+  [...html.matchAll(new RegExp(`<${tag}\\b([^>]*)>`, "gi"))].map(([, attrs]) =>
+    parseAttributes(attrs)
+  );
+
+/**
+ * Extracts the parts of a document the checks need. Comments, scripts and
+ * styles are removed before scanning tags so their contents cannot match.
+ */
+export const parseHtml = (html) => {
+  const jsonLd = [...html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)]
+    .filter(([, attrs]) => /application\/ld\+json/i.test(parseAttributes(attrs).type || ""))
+    .map(([, , body]) => body.trim());
+
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, "");
+
+  const titleMatch = markup.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const metas = findTags(markup, "meta");
+  const meta = (key) =>
+    metas.find((m) => (m.name || m.property || "").toLowerCase() === key)?.content;
+
+  return {
+    title: titleMatch ? toText(titleMatch[1]) : null,
+    description: meta("description") ?? null,
+    robots: meta("robots") ?? null,
+    metas,
+    meta,
+    headings: [...markup.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi)].map(
+      ([, level, inner]) => ({ level: Number(level), text: toText(inner) })
+    ),
+    canonicals: findTags(markup, "link")
+      .filter((link) => (link.rel || "").toLowerCase().split(/\s+/).includes("canonical"))
+      .map((link) => link.href || ""),
+    images: findTags(markup, "img"),
+    anchors: findTags(markup, "a").filter((a) => a.href),
+    jsonLd,
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🌐 HTTP HELPERS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Fetches a URL under the URL policy (public hosts only, checked
+ * redirects). Resolves with the response whatever its status.
+ */
+const fetchUrl = (url, { method = "get", headers = {} } = {}) =>
+  policyFetch(url, {
+    method,
+    timeout: CONFIG.TIMEOUT,
+    maxContentLength: CONFIG.MAX_BYTES,
+    responseType: "text",
+    headers: { "User-Agent": CONFIG.USER_AGENT, ...headers },
+  });
+
+/**
+ * Checks a link's status with HEAD, falling back to GET when HEAD is not
+ * supported. Resolves with the status code, or null on network errors.
+ */
+const checkLink = async (url) => {
+  try {
+    let response = await fetchUrl(url, { method: "head" });
+    if (response.status === 405 || response.status === 501) {
+      response = await fetchUrl(url);
+    }
+    return response.status;
+  } catch {
+    return null;
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 CHECKS */
+/* -------------------------------------------------------------------------- */
+
+const finding = (id, category, status, title, recommendation = null, details = undefined) => ({
+  id,
+  category,
+  status,
+  title,
+  recommendation: status === FINDING_STATUS.PASSED ? null : recommendation,
+  ...(details !== undefined && { details }),
+});
+
+const { CRITICAL, WARNING, PASSED } = FINDING_STATUS;
+
+/**
+ * Title presence and length.
+ */
+const checkTitle = ({ title }) => {
+  if (!title) {
+    return finding("document-title", "content", CRITICAL, "Page has no <title>",
+      "Add a unique, descriptive <title> of 30-60 characters");
+  }
+  const { min, max } = LIMITS.TITLE;
+  const details = { title, length: title.length };
+  if (title.length < min || title.length > max) {
+    return finding("document-title", "content", WARNING,
+      `Title is ${title.length} characters (recommended ${min}-${max})`,
+      `${title.length < min ? "Lengthen" : "Shorten"} the page title to ${min}-${max} characters`,
+      details);
+  }
+  return finding("document-title", "content", PASSED, "Title length is within range", null, details);
+};
+
+/**
+ * Meta description presence and length.
+ */
+const checkDescription = ({ description }) => {
+  if (!description?.trim()) {
+    return finding("meta-description", "content", CRITICAL, "Page has no meta description",
+      "Add a meta description of 70-160 characters summarising the page");
+  }
+  const length = description.trim().length;
+  const { min, max } = LIMITS.DESCRIPTION;
+  if (length < min || length > max) {
+    return finding("meta-description", "content", WARNING,
+      `Meta description is ${length} characters (recommended ${min}-${max})`,
+      `${length < min ? "Expand" : "Trim"} the meta description to ${min}-${max} characters`,
+      { length });
+  }
+  return finding("meta-description", "content", PASSED, "Meta description length is within range",
+    null, { length });
+};
+
+/**
+ * Exactly one non-empty H1 and no skipped heading levels.
+ */
+const checkHeadings = ({ headings }) => {
+  const h1s = headings.filter((h) => h.level === 1);
+  if (!h1s.length) {
+    return finding("heading-structure", "content", CRITICAL, "Page has no H1 heading",
+      "Add a single H1 that states the page's main topic");
+  }
+  if (h1s.some((h) => !h.text)) {
+    return finding("heading-structure", "content", CRITICAL, "H1 heading is empty",
+      "Give the H1 descriptive text");
+  }
+  if (h1s.length > 1) {
+    return finding("heading-structure", "content", WARNING, `Page has ${h1s.length} H1 headings`,
+      "Use a single H1 and demote the others to H2", { h1: h1s.map((h) => h.text) });
+  }
+  const skipped = headings.find((h, i) => i > 0 && h.level > headings[i - 1].level + 1);
+  if (skipped) {
+    return finding("heading-structure", "content", WARNING,
+      `Heading levels skip to H${skipped.level} ("${skipped.text}")`,
+      "Nest headings in order (H1 → H2 → H3) without skipping levels");
+  }
+  return finding("heading-structure", "content", PASSED, "Heading structure is valid");
+};
+
+/**
+ * A single, valid, same-site canonical URL.
+ */
+const checkCanonical = ({ canonicals }, pageUrl) => {
+  if (!canonicals.length) {
+    return finding("canonical", "indexing", WARNING, "Page has no canonical link",
+      'Add <link rel="canonical"> pointing to the preferred URL of this page');
+  }
+  if (canonicals.length > 1) {
+    return finding("canonical", "indexing", CRITICAL, `Page declares ${canonicals.length} canonical URLs`,
+      "Keep exactly one canonical link", { canonicals });
+  }
+  let canonical;
+  try {
+    canonical = new URL(canonicals[0], pageUrl);
+  } catch {
+    return finding("canonical", "indexing", CRITICAL, "Canonical URL is invalid",
+      "Fix the canonical link so it is an absolute, valid URL", { canonical: canonicals[0] });
+  }
+  if (canonical.hostname !== new URL(pageUrl).hostname) {
+    return finding("canonical", "indexing", WARNING, `Canonical points to another host (${canonical.hostname})`,
+      "Confirm the cross-domain canonical is intentional", { canonical: canonical.href });
+  }
+  return finding("canonical", "indexing", PASSED, "Canonical URL is valid", null, { canonical: canonical.href });
+};
+
+/**
+ * Meta robots and X-Robots-Tag directives.
+ */
+const checkRobotsDirectives = ({ robots }, headers) => {
+  const directives = [robots, headers["x-robots-tag"]]
+    .filter(Boolean)
+    .join(",")
+    .toLowerCase();
+  if (/\b(noindex|none)\b/.test(directives)) {
+    return finding("is-crawlable", "indexing", CRITICAL, "Page is blocked from indexing (noindex)",
+      "Remove the noindex directive from the robots meta tag / X-Robots-Tag header", { directives });
+  }
+  if (/\bnofollow\b/.test(directives)) {
+    return finding("is-crawlable", "indexing", WARNING, "Page links are not followed (nofollow)",
+      "Remove nofollow unless search engines should ignore every link on the page", { directives });
+  }
+  return finding("is-crawlable", "indexing", PASSED, "Page can be indexed");
+};
+
+/**
+ * Images without an alt attribute (alt="" marks decorative images).
+ */
+const checkImageAlt = ({ images }) => {
+  const missing = images.filter((img) => !("alt" in img)).map((img) => img.src || "(inline)");
+  if (missing.length) {
+    return finding("image-alt", "accessibility",
+      missing.length > images.length / 2 ? CRITICAL : WARNING,
+      `${missing.length} of ${images.length} images have no alt text`,
+      "Add descriptive alt text to content images (alt=\"\" for decorative ones)",
+      { missing: missing.slice(0, 10) });
+  }
+  return finding("image-alt", "accessibility", PASSED, "All images have alt attributes");
+};
+
+/**
+ * Open Graph and Twitter card tags for link previews.
+ */
+const checkSocialTags = ({ meta }) => {
+  const ogMissing = ["og:title", "og:description", "og:image"].filter((key) => !meta(key));
+  const openGraph = ogMissing.length
+    ? finding("open-graph", "social", WARNING, `Missing Open Graph tags: ${ogMissing.join(", ")}`,
+        "Add og:title, og:description and og:image so shared links render rich previews",
+        { missing: ogMissing })
+    : finding("open-graph", "social", PASSED, "Open Graph tags are present");
+
+  const twitter = meta("twitter:card")
+    ? finding("twitter-card", "social", PASSED, "Twitter card tag is present")
+    : finding("twitter-card", "social", WARNING, "Missing twitter:card tag",
+        'Add <meta name="twitter:card" content="summary_large_image">');
+
+  return [openGraph, twitter];
+};
+
+/**
+ * JSON-LD blocks must parse and declare @context and @type. Values that
+ * are not objects (e.g. `null`) carry no structured data and are skipped.
+ */
+const checkStructuredData = ({ jsonLd }) => {
+  const isObject = (value) => value !== null && typeof value === "object";
+  const types = [];
+  for (const [i, block] of jsonLd.entries()) {
+    let data;
+    try {
+      data = JSON.parse(block);
+    } catch (err) {
+      return finding("structured-data", "structured-data", CRITICAL,
+        `JSON-LD block ${i + 1} is not valid JSON`, "Fix the JSON syntax of the structured data",
+        { error: err.message });
+    }
+    if (!isObject(data)) continue;
+    const items = [].concat(Array.isArray(data) ? data : data["@graph"] ?? data).filter(isObject);
+    const invalid = items.find((item) => !item?.["@type"] || !(item["@context"] || data["@context"]));
+    if (invalid) {
+      return finding("structured-data", "structured-data", WARNING,
+        `JSON-LD block ${i + 1} is missing @context or @type`,
+        "Declare @context (https://schema.org) and @type on every structured data item");
+    }
+    types.push(...items.map((item) => item["@type"]).flat());
+  }
+
+  if (!types.length) {
+    return finding("structured-data", "structured-data", WARNING, "No JSON-LD structured data found",
+      "Add schema.org JSON-LD (e.g. Organization, WebPage, Product) to qualify for rich results");
+  }
+  return finding("structured-data", "structured-data", PASSED, "Structured data is valid", null, { types });
+};
+
+/**
+ * Same-origin links that return 4xx/5xx or fail to connect.
+ */
+const checkInternalLinks = async ({ anchors }, pageUrl) => {
+  const origin = new URL(pageUrl).origin;
+  const targets = new Set();
+  for (const { href } of anchors) {
+    try {
+      const target = new URL(href, pageUrl);
+      if (target.origin !== origin) continue;
+      target.hash = "";
+      targets.add(target.href);
+    } catch {
+      // Ignore unparsable hrefs (javascript:, malformed)
+    }
+  }
+
+  const checked = [...targets].slice(0, CONFIG.LINK_CHECK_LIMIT);
+  const broken = [];
+  for (let i = 0; i < checked.length; i += CONFIG.LINK_CHECK_CONCURRENCY) {
+    const batch = checked.slice(i, i + CONFIG.LINK_CHECK_CONCURRENCY);
+    const statuses = await Promise.all(batch.map(checkLink));
+    batch.forEach((url, j) => {
+      if (statuses[j] === null || statuses[j] >= 400) broken.push({ url, status: statuses[j] });
+    });
+  }
+
+  const details = { checked: checked.length, total: targets.size };
+  if (broken.length) {
+    return finding("broken-links", "links", CRITICAL,
+      `${broken.length} broken internal link${broken.length === 1 ? "" : "s"}`,
+      `Fix or remove broken internal links (e.g. ${broken[0].url})`, { ...details, broken });
+  }
+  return finding("broken-links", "links", PASSED, "No broken internal links found", null, details);
+};
+
+/**
+ * robots.txt presence and rules, plus a discoverable XML sitemap.
+ */
+const checkRobotsAndSitemap = async (pageUrl) => {
+  const origin = new URL(pageUrl).origin;
+  const findings = [];
+  let sitemapUrls = [`${origin}/sitemap.xml`];
+
+  let robots = null;
+  try {
+    robots = await fetchUrl(`${origin}/robots.txt`);
+  } catch {
+    // Treated as missing below
+  }
+
+  if (!robots || robots.status !== 200) {
+    findings.push(finding("robots-txt", "indexing", WARNING, "robots.txt is missing",
+      "Publish a robots.txt that allows crawling and lists your sitemap"));
+  } else {
+    const text = String(robots.data);
+    const declared = [...text.matchAll(/^\s*sitemap:\s*(\S+)/gim)].map(([, url]) => url);
+    if (declared.length) sitemapUrls = declared;
+
+    // Rules of the "User-agent: *" group(s)
+    let applies = false;
+    let blocksAll = false;
+    for (const line of text.split(/\r?\n/)) {
+      const [field, ...rest] = line.replace(/#.*/, "").split(":");
+      const value = rest.join(":").trim();
+      if (/^\s*user-agent\s*$/i.test(field)) applies = value === "*";
+      else if (applies && /^\s*disallow\s*$/i.test(field) && value === "/") blocksAll = true;
+    }
+
+    findings.push(
+      blocksAll
+        ? finding("robots-txt", "indexing", CRITICAL, "robots.txt blocks all crawlers",
+            'Remove "Disallow: /" for User-agent: * so search engines can crawl the site')
+        : finding("robots-txt", "indexing", PASSED, "robots.txt allows crawling")
+    );
+  }
+
+  let sitemapFound = null;
+  for (const url of sitemapUrls.slice(0, 3)) {
+    try {
+      const response = await fetchUrl(url);
+      if (response.status === 200 && /<(urlset|sitemapindex)[\s>]/i.test(String(response.data))) {
+        sitemapFound = url;
+        break;
+      }
+    } catch {
+      // Try the next candidate
+    }
+  }
+  findings.push(
+    sitemapFound
+      ? finding("sitemap", "indexing", PASSED, "XML sitemap found", null, { url: sitemapFound })
+      : finding("sitemap", "indexing", WARNING, "No XML sitemap found",
+          "Publish sitemap.xml and reference it from robots.txt")
+  );
+
+  return findings;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 ANALYZER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Summarises findings into issue counts and recommendations (critical
+ * first).
+ */
+export const summarizeFindings = (findings) => {
+  const issues = { critical: 0, warning: 0, passed: 0 };
+  for (const { status } of findings) issues[status]++;
+
+  const recommendations = [CRITICAL, WARNING].flatMap((status) =>
+    findings.filter((f) => f.status === status && f.recommendation).map((f) => f.recommendation)
+  );
+  return { issues, recommendations };
+};
+
+/**
+ * Fetches and analyzes a page. Resolves with `{ url, finalUrl, statusCode,
+ * analyzedAt, findings, issues, recommendations }`; throws when the page
+ * cannot be fetched at all.
+ */
+export const analyzePage = async (url) => {
+  let response;
+  try {
+    response = await fetchUrl(url, { headers: { Accept: "text/html,*/*" } });
+  } catch (error) {
+    // URL policy rejections keep their status and code
+    if (error.fatal) throw error;
+    throw Object.assign(new Error(`Could not fetch ${url}: ${error.message}`), { status: 502 });
+  }
+
+  const { finalUrl } = response;
+  const findings = [];
+
+  if (response.status >= 400) {
+    findings.push(finding("http-status", "indexing", CRITICAL, `Page returned HTTP ${response.status}`,
+      "Make sure the page responds with HTTP 200", { status: response.status }));
+  } else {
+    findings.push(finding("http-status", "indexing", PASSED, `Page returned HTTP ${response.status}`));
+
+    const page = parseHtml(String(response.data || ""));
+    findings.push(
+      checkTitle(page),
+      checkDescription(page),
+      checkHeadings(page),
+      checkCanonical(page, finalUrl),
+      checkRobotsDirectives(page, response.headers),
+      checkImageAlt(page),
+      ...checkSocialTags(page),
+      checkStructuredData(page),
+      await checkInternalLinks(page, finalUrl)
+    );
+  }
+
+  findings.push(...(await checkRobotsAndSitemap(finalUrl)));
+
+  return {
+    url,
+    finalUrl,
+    statusCode: response.status,
+    analyzedAt: new Date().toISOString(),
+    findings,
+    ...summarizeFindings(findings),
+  };
+};
@@ -0,0 +1,221 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🗃️ PageSpeed Cache
+ * --------------------------------------------------------------------------
+ * Caches PageSpeed results by normalized URL + strategy so repeated audits
+ * do not burn Google API quota, and coalesces concurrent identical
+ * requests onto one upstream call. Entries live in a pluggable store:
+ * "memory" (default), "file", or any Redis-compatible client via
+ * createRedisPageSpeedCacheStore().
+ * --------------------------------------------------------------------------
+ */
+
+import { runPageSpeed } from "./pagespeedService.js";
+import { toUrlKey } from "./auditStore.js";
+import { createCollection } from "./storage.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "pagespeedCache" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const CONFIG = {
+  TTL_MS: parseNumber(process.env.PAGESPEED_CACHE_TTL_MS, 15 * 60 * 1000),
+  MAX_ENTRIES: parseNumber(process.env.PAGESPEED_CACHE_MAX_ENTRIES, 100),
+  // Lighthouse responses are large; keep them out of the JSON files unless asked
+  STORE: process.env.PAGESPEED_CACHE_STORE || "memory",
+};
+
+/* -------------------------------------------------------------------------- */
+/* 💾 STORES */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Stores entries in a storage collection (memory or file), dropping
+ * expired entries and the oldest ones beyond MAX_ENTRIES on each write.
+ * Every store exposes `get(key)`, `set(key, entry, ttlMs)`, `remove(key)`
+ * and `count()`; entries are `{ data, cachedAt, expiresAt }`.
+ */
+const createCollectionCacheStore = (driver) => {
+  const entries = createCollection("pagespeed-cache", driver);
+
+  return {
+    async get(key) {
+      const entry = await entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await entries.remove(key);
+        return null;
+      }
+      return entry;
+    },
+    async set(key, entry) {
+      await entries.remove(key);
+      await entries.insert({ id: key, ...entry });
+
+      const now = Date.now();
+      const all = await entries.find();
+      const stale = all
+        .filter((e) => e.expiresAt <= now)
+        .concat(
+          all
+            .filter((e) => e.expiresAt > now)
+            .sort((a, b) => a.cachedAt - b.cachedAt)
+            .slice(0, Math.max(0, all.length - CONFIG.MAX_ENTRIES))
+        );
+      for (const { id } of stale) await entries.remove(id);
+    },
+    remove: (key) => entries.remove(key),
+    count: async () => (await entries.find()).length,
+  };
+};
+
+/**
+ * Creates a cache store on a Redis-compatible client (ioredis or any client
+ * exposing get/set with PX/del/keys). Redis expires entries itself.
+ */
+export const createRedisPageSpeedCacheStore = (client, prefix = "pagespeed:") => ({
+  async get(key) {
+    const raw = await client.get(prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  },
+  async set(key, entry, ttlMs) {
+    await client.set(prefix + key, JSON.stringify(entry), "PX", ttlMs);
+  },
+  remove: (key) => client.del(prefix + key),
+  count: async () => (await client.keys(`${prefix}*`)).length,
+});
+
+let store = createCollectionCacheStore(CONFIG.STORE);
+
+/**
+ * Replaces the cache store (e.g. with createRedisPageSpeedCacheStore(client)
+ * to share cached results across instances).
+ */
+export const setPageSpeedCacheStore = (customStore) => {
+  store = customStore;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 📈 STATS */
+/* -------------------------------------------------------------------------- */
+
+const stats = { hits: 0, misses: 0, coalesced: 0, bypassed: 0, errors: 0 };
+const inFlight = new Map();
+
+/**
+ * Returns cache counters, the hit ratio and the number of stored entries.
+ */
+export const getPageSpeedCacheStats = async () => {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: CONFIG.TTL_MS > 0,
+    ttlMs: CONFIG.TTL_MS,
+    ...stats,
+    hitRatio: lookups ? Number((stats.hits / lookups).toFixed(3)) : 0,
+    inFlight: inFlight.size,
+    entries: await store.count(),
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Reads cache directives from a request: `force=true` (body or query) or
+ * `Cache-Control: no-cache` skip cached entries, `no-store` also skips
+ * storing the result, and `max-age=N` only accepts entries up to N seconds
+ * old.
+ */
+export const getCacheOptions = (req) => {
+  const header = String(req.get?.("cache-control") || "").toLowerCase();
+  const force = [req.body?.force, req.query?.force].some((v) => v === true || v === "true");
+  const maxAge = header.match(/max-age=(\d+)/);
+
+  return {
+    force: force || /\bno-(cache|store)\b/.test(header),
+    store: !/\bno-store\b/.test(header),
+    maxAgeMs: maxAge ? Number(maxAge[1]) * 1000 : undefined,
+  };
+};
+
+/**
+ * Describes how a result was served, for responses.
+ */
+const describe = (hit, cachedAt, extra = {}) => ({
+  hit,
+  ageSeconds: Math.max(0, Math.round((Date.now() - cachedAt) / 1000)),
+  cachedAt: new Date(cachedAt).toISOString(),
+  ...extra,
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 CACHED FETCH */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Runs PageSpeed through the cache. Resolves with `{ data, cache }` where
+ * `cache` is `{ hit, ageSeconds, cachedAt, coalesced? }`. Options:
+ * `force` skips cached entries, `store: false` keeps the result out of the
+ * cache, `maxAgeMs` caps the age of an acceptable entry. Errors are never
+ * cached.
+ */
+export const getPageSpeed = async (url, strategy, { force = false, store: save = true, maxAgeMs } = {}) => {
+  const key = `${strategy}:${toUrlKey(url)}`;
+  const enabled = CONFIG.TTL_MS > 0;
+
+  if (enabled && !force) {
+    try {
+      const entry = await store.get(key);
+      if (entry && (maxAgeMs === undefined || Date.now() - entry.cachedAt <= maxAgeMs)) {
+        stats.hits++;
+        log.info(`🗃️ PageSpeed cache hit (${strategy}) for ${url}`);
+        return { data: entry.data, cache: describe(true, entry.cachedAt) };
+      }
+    } catch (error) {
+      stats.errors++;
+      log.warn("⚠️  PageSpeed cache read failed", { error });
+    }
+  }
+
+  // Identical requests already on their way to Google share that call
+  const pending = inFlight.get(key);
+  if (pending) {
+    stats.coalesced++;
+    const { data, cachedAt } = await pending;
+    return { data, cache: describe(false, cachedAt, { coalesced: true }) };
+  }
+
+  if (force) stats.bypassed++;
+  else stats.misses++;
+
+  const request = (async () => {
+    const data = await runPageSpeed(url, strategy);
+    const cachedAt = Date.now();
+    if (enabled && save) {
+      try {
+        await store.set(key, { data, cachedAt, expiresAt: cachedAt + CONFIG.TTL_MS }, CONFIG.TTL_MS);
+      } catch (error) {
+        stats.errors++;
+        log.warn("⚠️  PageSpeed cache write failed", { error });
+      }
+    }
+    return { data, cachedAt };
+  })();
+
+  inFlight.set(key, request);
+  try {
+    const { data, cachedAt } = await request;
+    return { data, cache: describe(false, cachedAt) };
+  } finally {
+    inFlight.delete(key);
+  }
+};
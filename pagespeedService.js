@@ -0,0 +1,204 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📊 PageSpeed Service
+ * --------------------------------------------------------------------------
+ * Fetches Lighthouse results from the Google PageSpeed Insights API through
+ * the shared upstream client (retries with backoff, circuit breaker),
+ * rotating through the Google API key pool when a key is rate limited or
+ * rejected. Shared by the raw PageSpeed route and the aggregated audit
+ * endpoint.
+ * --------------------------------------------------------------------------
+ */
+
+import {
+  hasGoogleApiKeys,
+  acquireGoogleKey,
+  recordKeyUsage,
+  classifyKeyFailure,
+  quarantineKey,
+} from "./googleKeyPool.js";
+import { logger } from "./logger.js";
+import {
+  pageSpeedDuration,
+  pageSpeedRetries,
+  googleKeyQuarantines,
+} from "./metrics.js";
+import { createUpstreamClient, UPSTREAM_ERRORS } from "./upstreamClient.js";
+
+const log = logger.child({ module: "pagespeedService" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  API_URL:
+    process.env.PAGESPEED_API_URL ||
+    "https://www.googleapis.com/pagespeedonline/v5/runPagespeed",
+  MAX_RETRIES: 3,
+  TIMEOUT: 60000,
+};
+
+// 429s are left to the key pool, which rotates keys instead of waiting
+const client = createUpstreamClient({
+  name: "pagespeed",
+  timeout: CONFIG.TIMEOUT,
+  retry: { retries: CONFIG.MAX_RETRIES - 1, baseDelayMs: 1000, statuses: [500, 502, 503, 504] },
+});
+
+export const STRATEGIES = ["mobile", "desktop"];
+
+/**
+ * The PageSpeed Insights endpoint, for health checks.
+ */
+export const getPageSpeedEndpoint = () => CONFIG.API_URL;
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Creates an error carrying the HTTP status the route should respond with.
+ * Errors flagged `fatal` are not worth retrying.
+ */
+const pageSpeedError = (status, message, extra = {}) =>
+  Object.assign(new Error(message), { status, ...extra });
+
+/**
+ * Exponential backoff delay before retry `attempt` (1s, 2s, 4s, ...).
+ * Shared with the audit job queue so both retry on the same schedule.
+ */
+export const getBackoffDelay = (attempt) => Math.pow(2, attempt - 1) * 1000;
+
+/**
+ * Calls the PageSpeed API once per healthy key until a key is accepted:
+ * rate-limited or rejected keys are quarantined and the next least-used
+ * key is tried. Rejects with a fatal error when the pool runs dry.
+ */
+const requestWithKeyPool = async (url, strategy) => {
+  const tried = new Set();
+
+  for (;;) {
+    const key = await acquireGoogleKey({ exclude: tried });
+    tried.add(key.id);
+
+    const apiUrl = `${CONFIG.API_URL}?url=${encodeURIComponent(
+      url
+    )}&strategy=${strategy}&key=${key.value}`;
+
+    const endTimer = pageSpeedDuration.startTimer({ strategy });
+    let response;
+    try {
+      response = await client.request({
+        method: "get",
+        url: apiUrl,
+        validateStatus: (status) => status < 500,
+        headers: {
+          "User-Agent":
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+        },
+        onRetry: () => pageSpeedRetries.inc({ strategy }),
+      });
+    } catch (error) {
+      endTimer({ outcome: error.httpStatus ? `http_${error.httpStatus}` : error.kind });
+      throw error;
+    }
+    endTimer({ outcome: response.status < 400 ? "success" : `http_${response.status}` });
+
+    const message = response.data?.error?.message;
+    const failure = classifyKeyFailure(response.status, message);
+    if (!failure) {
+      await recordKeyUsage(key.id);
+      return response;
+    }
+
+    log.error(`❌ API Error ${response.status} with key ${key.label}`, { message });
+    googleKeyQuarantines.inc({ reason: failure.reason });
+    await quarantineKey(key.id, failure, message);
+    log.info("🔄 Rotating to the next Google API key...");
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 PAGESPEED FETCH */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Runs PageSpeed Insights for a URL and strategy. Transient failures are
+ * retried by the upstream client; rejects with an error whose `status`
+ * mirrors the response the route sends.
+ */
+export const runPageSpeed = async (url, strategy) => {
+  if (!hasGoogleApiKeys()) {
+    log.error("❌ Google API key not configured");
+    throw pageSpeedError(
+      500,
+      "Google PageSpeed API not configured. Please check your API key.",
+      { fatal: true }
+    );
+  }
+
+  log.info(`📊 Fetching PageSpeed data (${strategy})`);
+
+  let response;
+  try {
+    // Quota and key errors are handled by the key pool
+    response = await requestWithKeyPool(url, strategy);
+  } catch (error) {
+    if (!error.kind) throw error;
+
+    log.error(`❌ PageSpeed request failed (${error.kind})`, { error });
+    if (error.kind === UPSTREAM_ERRORS.CIRCUIT_OPEN) {
+      throw pageSpeedError(503, "PageSpeed API is temporarily unavailable. Please retry later.", {
+        code: error.code,
+        retryAt: error.retryAt,
+        cause: error,
+      });
+    }
+    if (error.kind === UPSTREAM_ERRORS.TIMEOUT) {
+      throw pageSpeedError(504, "PageSpeed API timed out.", { code: error.code, cause: error });
+    }
+    throw pageSpeedError(
+      503,
+      "Failed to fetch PageSpeed data after multiple retries. The API may be experiencing issues.",
+      { cause: error }
+    );
+  }
+
+  if (response.status === 400) {
+    log.error("❌ Bad Request 400", { response: response.data });
+    throw pageSpeedError(400, "Invalid request to PageSpeed API", {
+      details: response.data.error?.message,
+      fatal: true,
+    });
+  }
+
+  if (response.status >= 400) {
+    log.error(`❌ API Error ${response.status}`, { response: response.data });
+    const message = response.data.error?.message || `API returned status ${response.status}`;
+    throw pageSpeedError(502, message, { fatal: true });
+  }
+
+  log.info(`✅ PageSpeed data fetched successfully for ${strategy}`);
+  return response.data;
+};
+
+/**
+ * Converts a runPageSpeed rejection into the JSON body the routes return.
+ */
+export const pageSpeedErrorBody = (error) => {
+  const isDev = process.env.NODE_ENV === "development";
+  const body = { success: false, message: error.message };
+
+  if (error.details !== undefined) body.details = error.details;
+  if (error.retryAt) body.retryAt = error.retryAt;
+  if (error.status === 503) {
+    body.error = isDev
+      ? error.cause?.message
+      : "Service temporarily unavailable";
+  } else if (error.cause) {
+    body.error = error.cause.message;
+  }
+
+  return body;
+};
@@ -0,0 +1,417 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📄 PDF Report Renderer
+ * --------------------------------------------------------------------------
+ * Renders a branded multi-page PDF from the same reportData used by the
+ * WhatsApp formatter: score gauges, web vitals table, issue summary and
+ * the full list of recommendations. Colors, fonts and strings come from
+ * the brand/locale template.
+ * --------------------------------------------------------------------------
+ */
+
+import PDFDocument from "pdfkit";
+import {
+  getScoreRating,
+  evaluateMetric,
+  formatMetric,
+  calculatePassRate,
+  getHealthStatus,
+  formatTimestamp,
+} from "./reportUtils.js";
+import { resolveTemplate } from "./templates.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "pdfReport" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+// Keyed by rating emoji so colors do not depend on the label language
+const RATING_COLORS = {
+  "🟢": "#16a34a",
+  "🟡": "#ca8a04",
+  "🟠": "#ea580c",
+  "🔴": "#dc2626",
+  "⚪": "#9ca3af",
+};
+
+const BUILTIN_FONTS = {
+  regular: "Helvetica",
+  bold: "Helvetica-Bold",
+  italic: "Helvetica-Oblique",
+};
+
+const MARGIN = 50;
+
+const SCORE_GAUGES = [
+  ["overall", "overallScore"],
+  ["performance", "performanceScore"],
+  ["mobile", "mobileScore"],
+  ["desktop", "desktopScore"],
+  ["seo", "seoScore"],
+  ["accessibility", "accessibilityScore"],
+  ["bestPractices", "bestPracticesScore"],
+];
+
+const VITALS = ["fcp", "lcp", "cls", "speedIndex", "tti", "tbt"];
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Removes glyphs the fonts cannot render: emoji always, and anything
+ * outside Latin when the built-in fonts are used.
+ */
+const toPlainText = (text, { latinOnly = true } = {}) =>
+  String(text)
+    .replace(
+      latinOnly
+        ? /[^\x20-\x7E\u00A0-\u024F\u2013-\u2026]/g
+        : /[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}\u{200D}]/gu,
+      ""
+    )
+    .trim();
+
+/**
+ * Returns the color associated with a rating emoji.
+ */
+const ratingColor = (emoji) => RATING_COLORS[emoji] || RATING_COLORS["⚪"];
+
+/**
+ * Builds an SVG arc path for a circle segment, starting at 12 o'clock.
+ */
+const arcPath = (cx, cy, r, fraction) => {
+  const angle = Math.min(fraction, 0.9999) * 2 * Math.PI;
+  const x = cx + r * Math.sin(angle);
+  const y = cy - r * Math.cos(angle);
+  const largeArc = angle > Math.PI ? 1 : 0;
+  return `M ${cx} ${cy - r} A ${r} ${r} 0 ${largeArc} 1 ${x} ${y}`;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🎨 SECTION RENDERERS */
+/* -------------------------------------------------------------------------- */
+
+// Each renderer receives `ctx`: { t, colors, fonts, text } where `text`
+// strips glyphs the active fonts cannot draw.
+
+/**
+ * Draws the branded header band and report metadata.
+ */
+const drawHeader = (doc, ctx, { url, email, issues, timestamp }) => {
+  const { t, colors, fonts, text } = ctx;
+
+  doc.rect(0, 0, doc.page.width, 110).fill(colors.primary);
+  doc
+    .fillColor("#ffffff")
+    .font(fonts.bold)
+    .fontSize(22)
+    .text(text(t("pdf.title")), MARGIN, 35)
+    .font(fonts.regular)
+    .fontSize(11)
+    .text(text(ctx.brandName), MARGIN, 68);
+
+  doc.fillColor(colors.text).fontSize(11);
+  const rows = [
+    [t("report.website"), url],
+    [t("report.contact"), email],
+    [t("report.status"), getHealthStatus(issues, t)],
+    [t("report.generated"), timestamp],
+  ];
+
+  let y = 130;
+  for (const [label, value] of rows) {
+    doc.font(fonts.bold).text(`${text(label)}:`, MARGIN, y, { continued: true });
+    doc.font(fonts.regular).text(` ${text(value)}`);
+    y += 18;
+  }
+  doc.y = y + 10;
+};
+
+/**
+ * Draws a section title with an accent underline.
+ */
+const drawSectionTitle = (doc, { colors, fonts, text }, title) => {
+  if (doc.y > doc.page.height - 150) doc.addPage();
+  const y = doc.y + 10;
+  doc
+    .fillColor(colors.primary)
+    .font(fonts.bold)
+    .fontSize(15)
+    .text(text(title), MARGIN, y);
+  doc
+    .moveTo(MARGIN, doc.y + 4)
+    .lineTo(doc.page.width - MARGIN, doc.y + 4)
+    .lineWidth(1.5)
+    .strokeColor(colors.accent)
+    .stroke();
+  doc.y += 16;
+};
+
+/**
+ * Draws a single circular score gauge.
+ */
+const drawGauge = (doc, { t, colors, fonts, text }, cx, cy, label, score) => {
+  const r = 30;
+  const { label: rating, emoji } = getScoreRating(score, t);
+
+  doc.lineWidth(7).strokeColor(colors.track).circle(cx, cy, r).stroke();
+  if (score > 0) {
+    doc
+      .lineWidth(7)
+      .strokeColor(ratingColor(emoji))
+      .path(arcPath(cx, cy, r, score / 100))
+      .stroke();
+  }
+
+  doc
+    .fillColor(colors.text)
+    .font(fonts.bold)
+    .fontSize(16)
+    .text(String(score), cx - r, cy - 9, { width: r * 2, align: "center" });
+  doc
+    .font(fonts.bold)
+    .fontSize(10)
+    .text(text(label), cx - 50, cy + r + 10, { width: 100, align: "center" });
+  doc
+    .font(fonts.regular)
+    .fontSize(9)
+    .fillColor(ratingColor(emoji))
+    .text(text(rating), cx - 50, cy + r + 24, { width: 100, align: "center" });
+};
+
+/**
+ * Draws the grid of category score gauges.
+ */
+const drawScoreGauges = (doc, ctx, reportData) => {
+  drawSectionTitle(doc, ctx, ctx.t("pdf.performanceOverview"));
+
+  const perRow = 4;
+  const cellWidth = (doc.page.width - MARGIN * 2) / perRow;
+  const top = doc.y + 40;
+
+  SCORE_GAUGES.forEach(([key, field], i) => {
+    const col = i % perRow;
+    const row = Math.floor(i / perRow);
+    const cx = MARGIN + cellWidth * col + cellWidth / 2;
+    const cy = top + row * 120;
+    drawGauge(doc, ctx, cx, cy, ctx.t(`score.${key}`), reportData[field] || 0);
+  });
+
+  const rows = Math.ceil(SCORE_GAUGES.length / perRow);
+  doc.x = MARGIN;
+  doc.y = top + rows * 120 - 20;
+};
+
+/**
+ * Draws the core web vitals table with evaluateMetric ratings.
+ */
+const drawVitalsTable = (doc, ctx, metrics) => {
+  const { t, colors, fonts, text } = ctx;
+  drawSectionTitle(doc, ctx, t("pdf.webVitals"));
+
+  const columns = [MARGIN, MARGIN + 260, MARGIN + 370];
+  const tableWidth = doc.page.width - MARGIN * 2;
+  let y = doc.y;
+
+  doc.rect(MARGIN, y, tableWidth, 22).fill(colors.primary);
+  doc.fillColor("#ffffff").font(fonts.bold).fontSize(10);
+  [t("pdf.metric"), t("pdf.value"), t("pdf.rating")].forEach((heading, i) =>
+    doc.text(text(heading), columns[i] + 8, y + 6)
+  );
+  y += 22;
+
+  VITALS.forEach((key, i) => {
+    const value = typeof metrics[key] === "number" ? metrics[key] : null;
+    const { label: rating, emoji } = evaluateMetric(key, value, t);
+
+    if (i % 2 === 0) doc.rect(MARGIN, y, tableWidth, 22).fill("#f3f4f6");
+    doc.fillColor(colors.text).font(fonts.regular).fontSize(10);
+    doc.text(text(t(`metricName.${key}`)), columns[0] + 8, y + 6);
+    doc.text(text(formatMetric(key, value, t)), columns[1] + 8, y + 6);
+    doc.fillColor(ratingColor(emoji)).font(fonts.bold);
+    doc.text(text(rating), columns[2] + 8, y + 6);
+    y += 22;
+  });
+
+  doc.x = MARGIN;
+  doc.y = y + 10;
+};
+
+/**
+ * Draws the issue counts, pass rate and health status.
+ */
+const drawIssueSummary = (doc, ctx, issues) => {
+  const { t, colors, fonts, text } = ctx;
+  drawSectionTitle(doc, ctx, t("pdf.issuesSummary"));
+
+  const critical = issues.critical || 0;
+  const warning = issues.warning || 0;
+  const boxes = [
+    [t("issues.critical"), critical, critical ? RATING_COLORS["🔴"] : RATING_COLORS["🟢"]],
+    [t("issues.warnings"), warning, warning ? RATING_COLORS["🟡"] : RATING_COLORS["🟢"]],
+    [t("issues.passed"), issues.passed || 0, RATING_COLORS["🟢"]],
+    [t("issues.passRate"), `${calculatePassRate(issues)}%`, colors.accent],
+  ];
+
+  const gap = 10;
+  const width = (doc.page.width - MARGIN * 2 - gap * (boxes.length - 1)) / boxes.length;
+  const y = doc.y;
+
+  boxes.forEach(([label, value, color], i) => {
+    const x = MARGIN + i * (width + gap);
+    doc.roundedRect(x, y, width, 60, 6).fill(color);
+    doc
+      .fillColor("#ffffff")
+      .font(fonts.bold)
+      .fontSize(20)
+      .text(String(value), x, y + 10, { width, align: "center" })
+      .font(fonts.regular)
+      .fontSize(10)
+      .text(text(label), x, y + 38, { width, align: "center" });
+  });
+
+  doc
+    .fillColor(colors.text)
+    .font(fonts.regular)
+    .fontSize(11)
+    .text(
+      `${text(t("pdf.totalIssues", { count: critical + warning }))}   |   ${text(
+        t("report.status")
+      )}: ${text(getHealthStatus(issues, t))}`,
+      MARGIN,
+      y + 75
+    );
+  doc.moveDown();
+};
+
+/**
+ * Draws every recommendation as a numbered list, flowing across pages.
+ */
+const drawRecommendations = (doc, ctx, recommendations) => {
+  const { t, colors, fonts, text } = ctx;
+  drawSectionTitle(doc, ctx, t("pdf.recommendations"));
+
+  if (!recommendations.length) {
+    doc
+      .fillColor(colors.muted)
+      .font(fonts.italic)
+      .fontSize(11)
+      .text(text(t("pdf.noRecommendations")), MARGIN);
+    return;
+  }
+
+  doc.fillColor(colors.text).font(fonts.regular).fontSize(11);
+  recommendations.forEach((recommendation, i) => {
+    doc.text(`${i + 1}. ${text(recommendation)}`, MARGIN, doc.y, {
+      width: doc.page.width - MARGIN * 2,
+      paragraphGap: 6,
+    });
+  });
+};
+
+/**
+ * Stamps the brand footer and page numbers on every buffered page.
+ */
+const drawFooters = (doc, { t, colors, fonts, text, brandName }) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - 35;
+    doc
+      .fillColor(colors.muted)
+      .font(fonts.regular)
+      .fontSize(8)
+      .text(text(t("footer.tagline", { brand: brandName })), MARGIN, y, {
+        lineBreak: false,
+      })
+      .text(text(t("pdf.page", { page: i + 1, count })), doc.page.width - MARGIN - 80, y, {
+        width: 80,
+        align: "right",
+        lineBreak: false,
+      });
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 RENDERER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Picks fonts for a template. Brand fonts are registered when configured;
+ * otherwise the built-in fonts are used, which only cover Latin scripts,
+ * so non-Latin locales fall back to English strings.
+ */
+const resolveFonts = (doc, template) => {
+  const { brand } = template;
+  if (brand.fonts?.regular && brand.fonts?.bold) {
+    doc.registerFont("BrandRegular", brand.fonts.regular);
+    doc.registerFont("BrandBold", brand.fonts.bold);
+    return {
+      template,
+      fonts: { regular: "BrandRegular", bold: "BrandBold", italic: "BrandRegular" },
+      latinOnly: false,
+    };
+  }
+
+  if (!template.latin) {
+    log.warn(
+      `⚠️  No PDF fonts configured for locale "${template.locale}" - rendering in English`
+    );
+    template = resolveTemplate({ brand: brand.id, locale: "en" });
+  }
+  return { template, fonts: BUILTIN_FONTS, latinOnly: true };
+};
+
+/**
+ * Renders the audit report as a PDF in the template's brand and locale,
+ * and resolves with its Buffer.
+ */
+export const renderReportPdf = (reportData, template = resolveTemplate()) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margins: { top: MARGIN, bottom: MARGIN + 20, left: MARGIN, right: MARGIN },
+      bufferPages: true,
+    });
+
+    const resolved = resolveFonts(doc, template);
+    const { t, brand } = resolved.template;
+    const ctx = {
+      t,
+      colors: brand.colors,
+      fonts: resolved.fonts,
+      brandName: brand.name,
+      text: (value) => toPlainText(value, { latinOnly: resolved.latinOnly }),
+    };
+
+    const {
+      url = "N/A",
+      email = "N/A",
+      metrics = {},
+      issues = { critical: 0, warning: 0, passed: 0 },
+      recommendations = [],
+      timestamp = formatTimestamp(new Date(), resolved.template),
+    } = reportData;
+
+    doc.info.Title = ctx.text(t("pdf.documentTitle", { url }));
+    doc.info.Author = brand.name;
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    drawHeader(doc, ctx, { url, email: email || "N/A", issues, timestamp });
+    drawScoreGauges(doc, ctx, reportData);
+    drawVitalsTable(doc, ctx, metrics);
+    doc.addPage();
+    drawIssueSummary(doc, ctx, issues);
+    drawRecommendations(doc, ctx, recommendations);
+    drawFooters(doc, ctx);
+
+    doc.end();
+  });
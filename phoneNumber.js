@@ -0,0 +1,87 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📞 Phone Numbers
+ * --------------------------------------------------------------------------
+ * E.164 parsing for WhatsApp recipients using libphonenumber's full
+ * metadata. Numbers without a "+" are read as national numbers of the
+ * brand's default country; when that does not give a valid number they
+ * are retried as international numbers without the "+" (e.g.
+ * "447911123456"). Only number types that can hold a WhatsApp account are
+ * accepted (WHATSAPP_ALLOWED_NUMBER_TYPES, default mobile numbers).
+ *
+ * Recipients are keyed by their E.164 digits without the "+", which is
+ * what the WhatsApp providers, quotas and the consent registry use.
+ * --------------------------------------------------------------------------
+ */
+
+import { parsePhoneNumberFromString } from "libphonenumber-js/max";
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  // FIXED_LINE_OR_MOBILE covers regions (US, CA, ...) that do not tell the two apart
+  ALLOWED_TYPES: (process.env.WHATSAPP_ALLOWED_NUMBER_TYPES || "MOBILE,FIXED_LINE_OR_MOBILE")
+    .split(",")
+    .map((type) => type.trim().toUpperCase())
+    .filter(Boolean),
+};
+
+export const PHONE_REJECTIONS = {
+  INVALID: "invalid_number",
+  UNSUPPORTED_TYPE: "unsupported_number_type",
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Parses `input` and returns the number only when libphonenumber considers
+ * it valid.
+ */
+const tryParse = (input, options) => {
+  const parsed = parsePhoneNumberFromString(input, options);
+  return parsed?.isValid() ? parsed : null;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 PARSING */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Parses a recipient number. `countryCode` is the calling code used for
+ * national numbers (the brand's default, e.g. "91"). Returns
+ * `{ valid: true, e164, digits, region, type }` or
+ * `{ valid: false, reason, error }` with a PHONE_REJECTIONS reason.
+ */
+export const parsePhoneNumber = (input, countryCode) => {
+  const raw = String(input ?? "").trim();
+  const international = raw.startsWith("+") || raw.startsWith("00");
+  const normalized = raw.startsWith("00") ? `+${raw.slice(2)}` : raw;
+
+  const parsed =
+    tryParse(normalized, international ? undefined : { defaultCallingCode: countryCode }) ||
+    (!international && tryParse(`+${raw.replace(/\D/g, "")}`));
+  if (!parsed) {
+    return { valid: false, reason: PHONE_REJECTIONS.INVALID, error: "Invalid phone number." };
+  }
+
+  const type = parsed.getType() || "UNKNOWN";
+  if (!CONFIG.ALLOWED_TYPES.includes(type)) {
+    return {
+      valid: false,
+      reason: PHONE_REJECTIONS.UNSUPPORTED_TYPE,
+      error: `Not a mobile number (${type.toLowerCase().replace(/_/g, " ")}).`,
+    };
+  }
+
+  return {
+    valid: true,
+    e164: parsed.number,
+    digits: parsed.number.slice(1),
+    region: parsed.country || null,
+    type,
+  };
+};
@@ -0,0 +1,368 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🎟️ Quota Service
+ * --------------------------------------------------------------------------
+ * Sliding-window quotas keyed by caller identity (IP, API key or phone
+ * number). Limits come from per-plan configuration that can be changed
+ * through QUOTA_PLANS / QUOTA_PLANS_FILE without code changes. Hits are
+ * kept in a pluggable store (QUOTA_STORE): "memory", "file" (default) or
+ * "redis" (REDIS_URL), shared across instances. Any Redis-compatible
+ * client can be plugged in via createRedisQuotaStore().
+ *
+ * A use is reserved before the work it pays for, so concurrent requests
+ * cannot overshoot a limit, and released when that work fails early.
+ * --------------------------------------------------------------------------
+ */
+
+import fs from "fs";
+import Redis from "ioredis";
+import { createCollection } from "./storage.js";
+import { logger } from "./logger.js";
+import { rateLimitRejections } from "./metrics.js";
+import { ERROR_CODES, errorBody } from "./errors.js";
+
+const log = logger.child({ module: "quotaService" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const CONFIG = {
+  STORE: process.env.QUOTA_STORE, // "memory" | "file" | "redis", defaults to STORAGE_DRIVER
+  REDIS_URL: process.env.REDIS_URL || "redis://localhost:6379",
+};
+
+const DEFAULT_QUOTA_CONFIG = {
+  defaultPlan: "free",
+  plans: {
+    free: {
+      maxRecipientsPerRequest: 3,
+      quotas: {
+        audit: { limit: 3, windowMs: DAY },
+        recipient: { limit: 5, windowMs: DAY },
+      },
+    },
+  },
+  // Identity → plan overrides, e.g. { "ip:203.0.113.7": "pro" }
+  assignments: {},
+};
+
+/**
+ * Loads quota plans from QUOTA_PLANS (inline JSON) or QUOTA_PLANS_FILE,
+ * falling back to the built-in free plan.
+ */
+const loadQuotaConfig = () => {
+  try {
+    const raw =
+      process.env.QUOTA_PLANS ||
+      (process.env.QUOTA_PLANS_FILE &&
+        fs.readFileSync(process.env.QUOTA_PLANS_FILE, "utf8"));
+    if (!raw) return DEFAULT_QUOTA_CONFIG;
+
+    const config = JSON.parse(raw);
+    return {
+      ...DEFAULT_QUOTA_CONFIG,
+      ...config,
+      plans: { ...DEFAULT_QUOTA_CONFIG.plans, ...config.plans },
+    };
+  } catch (err) {
+    log.error("❌ Invalid quota plan configuration", { error: err });
+    return DEFAULT_QUOTA_CONFIG;
+  }
+};
+
+const QUOTA_CONFIG = loadQuotaConfig();
+
+/* -------------------------------------------------------------------------- */
+/* 💾 STORES */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Stores hit timestamps per key in a storage collection (memory or file).
+ * Every store exposes `hits(key, now, windowMs)`, resolving to in-window
+ * timestamps, `record(key, now, windowMs)`, resolving to
+ * `{ hits, hit }` where `hit` identifies the new use, and
+ * `release(key, hit)`. Counters whose window has passed are removed on
+ * each write.
+ */
+const createCollectionQuotaStore = (driver) => {
+  const counters = createCollection("quotas", driver);
+  const inWindow = (hits, now, windowMs) => hits.filter((t) => t > now - windowMs);
+
+  const prune = async (now) => {
+    const expired = await counters.find((counter) => counter.expiresAt <= now);
+    for (const { id } of expired) await counters.remove(id);
+  };
+
+  // Writes run one at a time so concurrent first uses of a key all count
+  let pending = Promise.resolve();
+  const serialized = (write) => (...args) => {
+    const run = pending.then(() => write(...args));
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async hits(key, now, windowMs) {
+      const counter = await counters.get(key);
+      return counter ? inWindow(counter.hits, now, windowMs) : [];
+    },
+    record: serialized(async (key, now, windowMs) => {
+      await prune(now);
+      const updated = await counters.update(key, (counter) => ({
+        ...counter,
+        hits: [...inWindow(counter.hits, now, windowMs), now],
+        expiresAt: now + windowMs,
+      }));
+      const counter =
+        updated || (await counters.insert({ id: key, hits: [now], expiresAt: now + windowMs }));
+      return { hits: counter.hits, hit: now };
+    }),
+    release: serialized(async (key, hit) => {
+      await counters.update(key, (counter) => {
+        const hits = [...counter.hits];
+        const index = hits.lastIndexOf(hit);
+        if (index !== -1) hits.splice(index, 1);
+        return { ...counter, hits };
+      });
+    }),
+  };
+};
+
+/**
+ * Creates a quota store on a Redis-compatible client (ioredis or any
+ * client exposing multi() with zremrangebyscore/zadd/zrange/pexpire and
+ * zrem). Redis expires idle keys itself.
+ */
+export const createRedisQuotaStore = (client, prefix = "quota:") => {
+  const run = async (key, now, windowMs, member) => {
+    const tx = client.multi().zremrangebyscore(prefix + key, 0, now - windowMs);
+    if (member) tx.zadd(prefix + key, now, member).pexpire(prefix + key, windowMs);
+    tx.zrange(prefix + key, 0, -1, "WITHSCORES");
+    const results = await tx.exec();
+    const [, members] = results[results.length - 1];
+    return members.filter((_, i) => i % 2 === 1).map(Number);
+  };
+
+  return {
+    hits: (key, now, windowMs) => run(key, now, windowMs, null),
+    async record(key, now, windowMs) {
+      const hit = `${now}-${Math.random()}`;
+      return { hits: await run(key, now, windowMs, hit), hit };
+    },
+    release: (key, hit) => client.zrem(prefix + key, hit),
+  };
+};
+
+/**
+ * Builds the store selected by QUOTA_STORE.
+ */
+const createConfiguredStore = () => {
+  if (CONFIG.STORE !== "redis") return createCollectionQuotaStore(CONFIG.STORE);
+
+  const client = new Redis(CONFIG.REDIS_URL);
+  client.on("error", (err) => log.error("❌ Quota store Redis error", { error: err }));
+  log.info("🎟️  Quota hits are stored in Redis");
+  return createRedisQuotaStore(client);
+};
+
+let store = createConfiguredStore();
+
+/**
+ * Replaces the quota store (e.g. with createRedisQuotaStore(client) for
+ * limits shared across instances).
+ */
+export const setQuotaStore = (customStore) => {
+  store = customStore;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Builds a caller identity from the request: the API key when present
+ * (carrying its plan and per-key quota overrides), otherwise the IP.
+ */
+export const getRequestIdentity = (req) =>
+  req.apiKey
+    ? {
+        type: "apikey",
+        id: req.apiKey.clientId,
+        plan: req.apiKey.plan,
+        quotas: req.apiKey.quotas,
+      }
+    : { type: "ip", id: req.ip || req.socket?.remoteAddress || "unknown" };
+
+/**
+ * Resolves the plan for an identity (explicit plan, assignment or default),
+ * applying any identity-level quota overrides.
+ */
+export const getPlan = (identity) => {
+  const name =
+    identity.plan ||
+    QUOTA_CONFIG.assignments[`${identity.type}:${identity.id}`] ||
+    QUOTA_CONFIG.defaultPlan;
+  const plan = QUOTA_CONFIG.plans[name] || QUOTA_CONFIG.plans[QUOTA_CONFIG.defaultPlan];
+  return { name, ...plan, quotas: { ...plan.quotas, ...identity.quotas } };
+};
+
+/**
+ * Describes a quota window in words, e.g. "24 hours".
+ */
+export const formatWindow = (windowMs) => {
+  const hours = windowMs / (60 * 60 * 1000);
+  if (hours >= 1) return `${+hours.toFixed(1)} hour${hours === 1 ? "" : "s"}`;
+  return `${Math.round(windowMs / 60000)} minutes`;
+};
+
+/**
+ * Summarizes a window of hits against its limit.
+ */
+const summarize = (hits, { limit, windowMs }) => {
+  const oldest = hits.length ? Math.min(...hits) : null;
+  return {
+    limit,
+    windowMs,
+    used: hits.length,
+    remaining: Math.max(limit - hits.length, 0),
+    allowed: hits.length < limit,
+    resetAt: oldest ? new Date(oldest + windowMs).toISOString() : null,
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 QUOTA OPERATIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the state of a named quota for an identity without consuming it.
+ * Quotas the plan does not define are unlimited.
+ */
+export const checkQuota = async (quota, identity) => {
+  const rule = getPlan(identity).quotas?.[quota];
+  if (!rule) return { limit: null, remaining: null, allowed: true, resetAt: null };
+
+  const hits = await store.hits(`${quota}:${identity.type}:${identity.id}`, Date.now(), rule.windowMs);
+  return summarize(hits, rule);
+};
+
+/**
+ * Reserves `uses` uses of a named quota before the work they pay for and
+ * returns the updated state. When `allowed` is false the limit would be
+ * exceeded and nothing is reserved; otherwise `release()` gives the uses
+ * back if the work fails before it starts. `reservation` is a plain
+ * `{ key, hits }` record for releasing uses later, e.g. from a job (see
+ * releaseReservation).
+ */
+export const reserveQuota = async (quota, identity, uses = 1) => {
+  const rule = getPlan(identity).quotas?.[quota];
+  if (!rule) {
+    return {
+      limit: null,
+      remaining: null,
+      allowed: true,
+      resetAt: null,
+      reservation: null,
+      release: async () => {},
+    };
+  }
+
+  const key = `${quota}:${identity.type}:${identity.id}`;
+  const now = Date.now();
+  const reservation = { key, hits: [] };
+  let hits = [];
+  for (let i = 0; i < Math.max(uses, 1); i++) {
+    const recorded = await store.record(key, now, rule.windowMs);
+    hits = recorded.hits;
+    reservation.hits.push(recorded.hit);
+  }
+  const release = () => releaseReservation(reservation);
+
+  if (hits.length > rule.limit) {
+    await release();
+    // Concurrent over-limit reservations are on their way out too
+    const used = Math.min(hits.length - reservation.hits.length, rule.limit);
+    return { ...summarize(hits.slice(0, used), rule), allowed: false };
+  }
+  return { ...summarize(hits, rule), allowed: true, reservation, release };
+};
+
+/**
+ * Gives back the uses of a reservation made by reserveQuota.
+ */
+export const releaseReservation = async ({ key, hits }) => {
+  for (const hit of hits) await store.release(key, hit);
+};
+
+/**
+ * Returns every quota of the identity's plan with its current usage.
+ */
+export const getQuotaStatus = async (identity) => {
+  const plan = getPlan(identity);
+  const quotas = {};
+  for (const quota of Object.keys(plan.quotas || {})) {
+    quotas[quota] = await checkQuota(quota, identity);
+  }
+  return { plan: plan.name, maxRecipientsPerRequest: plan.maxRecipientsPerRequest, quotas };
+};
+
+/**
+ * Sets X-Quota-* headers from a quota state. (RateLimit-* belongs to the
+ * general request limiter in server.js.)
+ */
+export const setQuotaHeaders = (res, state) => {
+  if (state.limit === null) return;
+  res.set({
+    "X-Quota-Limit": String(state.limit),
+    "X-Quota-Remaining": String(state.remaining),
+    ...(state.resetAt && {
+      "X-Quota-Reset": String(
+        Math.max(Math.ceil((new Date(state.resetAt).getTime() - Date.now()) / 1000), 0)
+      ),
+    }),
+  });
+};
+
+/**
+ * Route middleware reserving `uses(req)` uses of a named quota for the
+ * caller. Over the limit it answers 429; otherwise it sets the X-Quota-*
+ * headers, exposes the reservation as `req.quota` and releases it when
+ * the response status is one for which `isSpent(status)` is false (by
+ * default, any error).
+ */
+export const requireQuota =
+  (quota, { uses = () => 1, isSpent = (status) => status < 400 } = {}) =>
+  async (req, res, next) => {
+    let state;
+    try {
+      state = await reserveQuota(quota, getRequestIdentity(req), uses(req));
+    } catch (error) {
+      return next(error);
+    }
+    setQuotaHeaders(res, state);
+
+    if (!state.allowed) {
+      rateLimitRejections.inc({ limiter: `quota:${quota}` });
+      const name = quota.charAt(0).toUpperCase() + quota.slice(1);
+      return res.status(429).json(
+        errorBody(429, `${name} limit exceeded. Max ${state.limit} per ${formatWindow(state.windowMs)}.`, {
+          code: ERROR_CODES.QUOTA_EXCEEDED,
+          limit: state.limit,
+          current: state.used,
+          resetAt: state.resetAt,
+        })
+      );
+    }
+
+    req.quota = state;
+    res.on("finish", () => {
+      if (isSpent(res.statusCode)) return;
+      state
+        .release()
+        .catch((error) => log.error(`❌ Failed to release ${quota} quota`, { error }));
+    });
+    next();
+  };
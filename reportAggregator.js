@@ -0,0 +1,443 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🧮 Report Aggregator
+ * --------------------------------------------------------------------------
+ * Turns raw PageSpeed (Lighthouse) responses for the mobile and desktop
+ * strategies into the normalized reportData consumed by the WhatsApp
+ * report formatter, merges on-page analyzer findings into the issue counts
+ * and recommendations, rolls page reports up into site-wide summaries and
+ * lines up competitor reports side by side.
+ * --------------------------------------------------------------------------
+ */
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CATEGORY_KEYS = {
+  performance: "performance",
+  seo: "seo",
+  accessibility: "accessibility",
+  bestPractices: "best-practices",
+};
+
+// Lighthouse audit id → metric key, with the divisor that converts the
+// audit's numericValue into the unit evaluateMetric() expects.
+const METRIC_AUDITS = {
+  fcp: { id: "first-contentful-paint", divisor: 1000 },
+  lcp: { id: "largest-contentful-paint", divisor: 1000 },
+  speedIndex: { id: "speed-index", divisor: 1000 },
+  tti: { id: "interactive", divisor: 1000 },
+  cls: { id: "cumulative-layout-shift", divisor: 1 },
+  tbt: { id: "total-blocking-time", divisor: 1 },
+};
+
+const UNSCORED_MODES = ["notApplicable", "manual", "informative", "error"];
+const IGNORED_GROUPS = ["metrics", "hidden"];
+const SEVERITY = { passed: 0, warning: 1, critical: 2 };
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Accepts either a full PageSpeed response or a bare lighthouseResult.
+ */
+const getLighthouseResult = (result) =>
+  result?.lighthouseResult || result || null;
+
+/**
+ * Converts a 0–1 Lighthouse score into a rounded 0–100 score.
+ */
+const toScore = (score) =>
+  typeof score === "number" ? Math.round(score * 100) : 0;
+
+/**
+ * Averages the non-null values of a list, rounded to an integer.
+ */
+const average = (values) => {
+  const present = values.filter((v) => typeof v === "number");
+  if (!present.length) return 0;
+  return Math.round(present.reduce((sum, v) => sum + v, 0) / present.length);
+};
+
+/**
+ * Classifies a single audit as critical, warning or passed (null if unscored).
+ */
+const classifyAudit = (audit) => {
+  if (!audit || UNSCORED_MODES.includes(audit.scoreDisplayMode)) return null;
+  if (typeof audit.score !== "number") return null;
+  if (audit.scoreDisplayMode === "binary") {
+    return audit.score === 1 ? "passed" : "critical";
+  }
+  if (audit.score >= 0.9) return "passed";
+  if (audit.score >= 0.5) return "warning";
+  return "critical";
+};
+
+/**
+ * Returns the estimated savings of an audit in milliseconds and bytes.
+ */
+const getSavings = (audit) => ({
+  ms: audit.details?.overallSavingsMs ?? 0,
+  bytes: audit.details?.overallSavingsBytes ?? 0,
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 EXTRACTORS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Extracts the four Lighthouse category scores (0–100).
+ */
+export const extractCategoryScores = (result) => {
+  const lhr = getLighthouseResult(result);
+  const scores = {};
+  for (const [key, categoryId] of Object.entries(CATEGORY_KEYS)) {
+    scores[key] = toScore(lhr?.categories?.[categoryId]?.score);
+  }
+  return scores;
+};
+
+/**
+ * Extracts core web vitals: fcp/lcp/speedIndex/tti in seconds, cls unitless,
+ * tbt in milliseconds. Metrics Lighthouse did not report are null.
+ */
+export const extractWebVitals = (result) => {
+  const lhr = getLighthouseResult(result);
+  const metrics = {};
+  for (const [key, { id, divisor }] of Object.entries(METRIC_AUDITS)) {
+    const value = lhr?.audits?.[id]?.numericValue;
+    metrics[key] = typeof value === "number" ? value / divisor : null;
+  }
+  return metrics;
+};
+
+/**
+ * Classifies every scored audit referenced by a category, keyed by audit id.
+ */
+export const classifyAudits = (result) => {
+  const lhr = getLighthouseResult(result);
+  const statuses = {};
+  for (const category of Object.values(lhr?.categories || {})) {
+    for (const ref of category.auditRefs || []) {
+      if (IGNORED_GROUPS.includes(ref.group)) continue;
+      const status = classifyAudit(lhr.audits?.[ref.id]);
+      if (status) statuses[ref.id] = status;
+    }
+  }
+  return statuses;
+};
+
+/**
+ * Lists failing opportunity audits ranked by estimated savings.
+ */
+export const rankOpportunities = (result) => {
+  const lhr = getLighthouseResult(result);
+  return Object.values(lhr?.audits || {})
+    .filter(
+      (audit) =>
+        audit.details?.type === "opportunity" &&
+        classifyAudit(audit) !== "passed" &&
+        classifyAudit(audit) !== null
+    )
+    .map((audit) => ({ id: audit.id, title: audit.title, savings: getSavings(audit) }))
+    .filter(({ savings }) => savings.ms > 0 || savings.bytes > 0)
+    .sort((a, b) => b.savings.ms - a.savings.ms || b.savings.bytes - a.savings.bytes);
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🧾 REPORT BUILDER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Merges per-strategy audit statuses and on-page findings, keeping the worst
+ * status per audit. On-page findings that mirror a Lighthouse audit share
+ * its id, so the same problem is only counted once.
+ */
+const mergeIssues = (results, findings) => {
+  const merged = {};
+  const sources = [
+    ...results.map(classifyAudits),
+    Object.fromEntries(findings.map(({ id, status }) => [id, status])),
+  ];
+  for (const statuses of sources) {
+    for (const [id, status] of Object.entries(statuses)) {
+      if (!merged[id] || SEVERITY[status] > SEVERITY[merged[id]]) {
+        merged[id] = status;
+      }
+    }
+  }
+
+  const issues = { critical: 0, warning: 0, passed: 0 };
+  for (const status of Object.values(merged)) issues[status]++;
+  return { issues, statuses: merged };
+};
+
+/**
+ * Builds recommendation strings: critical on-page findings first, then
+ * opportunities by estimated savings, remaining critical audits and finally
+ * on-page warnings.
+ */
+const buildRecommendations = (results, statuses, findings) => {
+  const byId = new Map();
+  for (const result of results) {
+    for (const opportunity of rankOpportunities(result)) {
+      const existing = byId.get(opportunity.id);
+      if (!existing || opportunity.savings.ms > existing.savings.ms) {
+        byId.set(opportunity.id, opportunity);
+      }
+    }
+  }
+
+  const opportunities = [...byId.values()]
+    .sort((a, b) => b.savings.ms - a.savings.ms || b.savings.bytes - a.savings.bytes)
+    .map(({ title, savings }) =>
+      savings.ms > 0
+        ? `${title} (save ~${(savings.ms / 1000).toFixed(2)}s)`
+        : `${title} (save ~${Math.round(savings.bytes / 1024)} KiB)`
+    );
+
+  const advised = (status) =>
+    findings.filter((f) => f.status === status && f.recommendation);
+  const onPageCritical = advised("critical");
+
+  const lhrs = results.map(getLighthouseResult);
+  const critical = Object.entries(statuses)
+    .filter(
+      ([id, status]) =>
+        status === "critical" &&
+        !byId.has(id) &&
+        !onPageCritical.some((finding) => finding.id === id)
+    )
+    .map(([id]) => lhrs.find((lhr) => lhr?.audits?.[id])?.audits[id].title)
+    .filter(Boolean);
+
+  return [
+    ...onPageCritical.map((finding) => finding.recommendation),
+    ...opportunities,
+    ...critical,
+    ...advised("warning").map((finding) => finding.recommendation),
+  ];
+};
+
+/**
+ * Lists non-passing audits with their titles, worst first.
+ */
+const listFailedAudits = (results, statuses, findings) => {
+  const lhrs = results.map(getLighthouseResult);
+  return Object.entries(statuses)
+    .filter(([, status]) => status !== "passed")
+    .map(([id, status]) => ({
+      id,
+      title:
+        lhrs.find((lhr) => lhr?.audits?.[id])?.audits[id].title ||
+        findings.find((finding) => finding.id === id)?.title ||
+        id,
+      status,
+    }))
+    .sort((a, b) => SEVERITY[b.status] - SEVERITY[a.status]);
+};
+
+/**
+ * Builds the normalized reportData from mobile and desktop PageSpeed results.
+ * Category scores, web vitals and the performance score follow the mobile
+ * run (Google indexes mobile-first), falling back to desktop when absent.
+ * The overall score averages all four categories across both strategies.
+ * `onPage` is an optional on-page analysis (see onPageAnalyzer.js) whose
+ * findings are merged into issues, failedAudits and recommendations.
+ */
+export const buildReport = ({ url, email, mobile = null, desktop = null, onPage = null }) => {
+  const results = [mobile, desktop].filter(Boolean);
+  const primary = mobile || desktop;
+
+  const mobileScores = mobile ? extractCategoryScores(mobile) : null;
+  const desktopScores = desktop ? extractCategoryScores(desktop) : null;
+  const primaryScores = extractCategoryScores(primary);
+
+  const overallScore = average(
+    Object.keys(CATEGORY_KEYS).flatMap((key) => [
+      mobileScores?.[key],
+      desktopScores?.[key],
+    ])
+  );
+
+  const findings = onPage?.findings || [];
+  const { issues, statuses } = mergeIssues(results, findings);
+
+  return {
+    url,
+    email,
+    overallScore,
+    mobileScore: mobileScores?.performance ?? 0,
+    desktopScore: desktopScores?.performance ?? 0,
+    performanceScore: primaryScores.performance,
+    seoScore: primaryScores.seo,
+    accessibilityScore: primaryScores.accessibility,
+    bestPracticesScore: primaryScores.bestPractices,
+    metrics: extractWebVitals(primary),
+    issues,
+    failedAudits: listFailedAudits(results, statuses, findings),
+    recommendations: buildRecommendations(results, statuses, findings),
+    onPage: onPage && {
+      finalUrl: onPage.finalUrl,
+      statusCode: onPage.statusCode,
+      analyzedAt: onPage.analyzedAt,
+      issues: onPage.issues,
+      findings,
+    },
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🗺️ SITE SUMMARY */
+/* -------------------------------------------------------------------------- */
+
+const SITE_SCORE_KEYS = {
+  overall: "overallScore",
+  performance: "performanceScore",
+  seo: "seoScore",
+  accessibility: "accessibilityScore",
+  bestPractices: "bestPracticesScore",
+};
+
+/**
+ * Aggregates per-page results into a site summary. `pages` entries are
+ * `{ url, auditId, report }` for audited pages or `{ url, error }` for
+ * pages that failed. Lists are capped at `top` entries.
+ */
+export const buildSiteReport = ({ site, pages, top = 5 }) => {
+  const audited = pages.filter((page) => page.report);
+
+  const averageScores = {};
+  const worstScores = {};
+  for (const [key, field] of Object.entries(SITE_SCORE_KEYS)) {
+    averageScores[key] = average(audited.map((page) => page.report[field]));
+    const worst = audited.reduce(
+      (min, page) => (!min || page.report[field] < min.report[field] ? page : min),
+      null
+    );
+    worstScores[key] = worst ? { score: worst.report[field], url: worst.url } : null;
+  }
+
+  const summarize = ({ url, auditId, report }) => ({
+    url,
+    auditId,
+    overallScore: report.overallScore,
+    performanceScore: report.performanceScore,
+    lcp: report.metrics.lcp,
+  });
+
+  const worstPages = [...audited]
+    .sort((a, b) => a.report.overallScore - b.report.overallScore)
+    .slice(0, top)
+    .map(summarize);
+
+  // Pages without an LCP measurement are left out rather than ranked fastest
+  const slowestPages = audited
+    .filter((page) => typeof page.report.metrics.lcp === "number")
+    .sort((a, b) => b.report.metrics.lcp - a.report.metrics.lcp)
+    .slice(0, top)
+    .map(summarize);
+
+  const failing = new Map();
+  for (const page of audited) {
+    for (const { id, title } of page.report.failedAudits || []) {
+      const entry = failing.get(id) || { id, title, pages: 0 };
+      entry.pages++;
+      failing.set(id, entry);
+    }
+  }
+  const topFailingAudits = [...failing.values()]
+    .sort((a, b) => b.pages - a.pages)
+    .slice(0, top * 2);
+
+  return {
+    site,
+    pageCount: pages.length,
+    auditedCount: audited.length,
+    failedCount: pages.length - audited.length,
+    averageScores,
+    worstScores,
+    worstPages,
+    slowestPages,
+    topFailingAudits,
+    failedPages: pages
+      .filter((page) => !page.report)
+      .map(({ url, error }) => ({ url, error })),
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* ⚔️ COMPETITOR COMPARISON */
+/* -------------------------------------------------------------------------- */
+
+// Compared metrics in display order. Scores are better when higher, web
+// vitals when lower.
+const COMPARISON_SCORES = {
+  overall: "overallScore",
+  performance: "performanceScore",
+  mobile: "mobileScore",
+  desktop: "desktopScore",
+  seo: "seoScore",
+  accessibility: "accessibilityScore",
+  bestPractices: "bestPracticesScore",
+};
+
+const COMPARISON_METRICS = [
+  ...Object.entries(COMPARISON_SCORES).map(([key, field]) => ({
+    key,
+    kind: "score",
+    read: (report) => report[field],
+  })),
+  ...Object.keys(METRIC_AUDITS).map((key) => ({
+    key,
+    kind: "vital",
+    read: (report) => report.metrics?.[key],
+  })),
+];
+
+/**
+ * Lines up site reports metric by metric. `sites[0]` is the prospect, the
+ * rest are competitors; entries are `{ url, name, auditId, report }` or
+ * `{ url, name, error }` for sites that could not be audited. Each matrix
+ * row ranks the audited sites (1 = best, ties share a rank), and `behind`
+ * lists the metrics where a competitor beats the prospect.
+ */
+export const buildComparisonReport = ({ sites }) => {
+  const matrix = COMPARISON_METRICS.map(({ key, kind, read }) => {
+    const higherIsBetter = kind === "score";
+    const raw = sites.map((site) => (site.report ? read(site.report) ?? null : null));
+    const isBetter = (a, b) => (higherIsBetter ? a > b : a < b);
+
+    const values = raw.map((value) =>
+      value === null
+        ? null
+        : { value, rank: 1 + raw.filter((other) => other !== null && isBetter(other, value)).length }
+    );
+    const leader = values.findIndex((entry) => entry?.rank === 1);
+    return { metric: key, kind, higherIsBetter, values, leader };
+  });
+
+  const behind = matrix
+    .filter((row) => row.values[0] && row.values[0].rank > 1)
+    .map(({ metric, kind, values, leader }) => ({
+      metric,
+      kind,
+      value: values[0].value,
+      best: values[leader].value,
+      leader,
+      rank: values[0].rank,
+    }));
+
+  return {
+    sites: sites.map(({ url, name = null, auditId = null, error }) => ({
+      url,
+      name,
+      auditId,
+      ...(error && { error }),
+    })),
+    matrix,
+    behind,
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📄 Report Controller
+ * --------------------------------------------------------------------------
+ * Serves stored audits as downloadable PDF reports.
+ * --------------------------------------------------------------------------
+ */
+
+import { getAudit } from "./auditStore.js";
+import { renderReportPdf } from "./pdfReport.js";
+import { canAccess } from "./authMiddleware.js";
+import { verifyResourceSignature } from "./apiKeyService.js";
+import { resolveTemplate } from "./templates.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "reportController" });
+
+/**
+ * Streams the PDF report for a stored audit. Accessible to the owning key
+ * or through a signed link. `?brand=` and `?locale=` pick the template.
+ */
+export const downloadReportPdf = async (req, res) => {
+  try {
+    const audit = await getAudit(req.params.id);
+
+    const signed = verifyResourceSignature(`report:${req.params.id}`, req.query);
+    if (!audit || (!signed && !canAccess(req, audit.ownerId))) {
+      return res.status(404).json({
+        success: false,
+        message: "Audit not found",
+      });
+    }
+
+    let template;
+    try {
+      template = resolveTemplate({
+        brand: req.query.brand || req.apiKey?.brand,
+        locale: req.query.locale,
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const pdf = await renderReportPdf(audit.report, template);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Length": pdf.length,
+      "Content-Disposition": `inline; filename="seo-audit-${audit.id}.pdf"`,
+    });
+    return res.status(200).send(pdf);
+  } catch (error) {
+    log.error("❌ PDF generation failed", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📐 Report Utilities
+ * --------------------------------------------------------------------------
+ * Rating and summary helpers shared by the WhatsApp message formatter and
+ * the PDF renderer. Labels are translated with a template's `t`; the emoji
+ * identify the band regardless of language.
+ * --------------------------------------------------------------------------
+ */
+
+import { translate, resolveTemplate } from "./templates.js";
+
+/**
+ * Returns emoji and label for a score range.
+ */
+export const getScoreRating = (score, t = translate) => {
+  if (score >= 90) return { label: t("rating.excellent"), emoji: "🟢" };
+  if (score >= 75) return { label: t("rating.good"), emoji: "🟡" };
+  if (score >= 50) return { label: t("rating.average"), emoji: "🟠" };
+  if (score > 0) return { label: t("rating.poor"), emoji: "🔴" };
+  return { label: t("rating.na"), emoji: "⚪" };
+};
+
+/**
+ * Evaluates a given metric (like LCP, CLS, etc.) for quality rating.
+ * A metric Lighthouse did not report (null) rates N/A.
+ */
+export const evaluateMetric = (metric, value, t = translate) => {
+  if (typeof value !== "number") return { label: t("rating.na"), emoji: "⚪" };
+  switch (metric) {
+    case "fcp":
+    case "lcp":
+    case "speedIndex":
+    case "tti":
+      if (value <= 2.5) return { label: t("rating.excellent"), emoji: "🟢" };
+      if (value <= 4) return { label: t("rating.good"), emoji: "🟡" };
+      if (value <= 6) return { label: t("rating.needsImprovement"), emoji: "🟠" };
+      return { label: t("rating.poor"), emoji: "🔴" };
+    case "cls":
+      if (value <= 0.1) return { label: t("rating.excellent"), emoji: "🟢" };
+      if (value <= 0.25) return { label: t("rating.good"), emoji: "🟡" };
+      if (value <= 0.5) return { label: t("rating.needsImprovement"), emoji: "🟠" };
+      return { label: t("rating.poor"), emoji: "🔴" };
+    case "tbt":
+      if (value <= 200) return { label: t("rating.excellent"), emoji: "🟢" };
+      if (value <= 400) return { label: t("rating.good"), emoji: "🟡" };
+      if (value <= 600) return { label: t("rating.needsImprovement"), emoji: "🟠" };
+      return { label: t("rating.poor"), emoji: "🔴" };
+    default:
+      return { label: t("rating.na"), emoji: "⚪" };
+  }
+};
+
+/**
+ * Formats a web vital in its unit: seconds, milliseconds for TBT, unitless
+ * CLS. A metric Lighthouse did not report (null) prints as N/A.
+ */
+export const formatMetric = (metric, value, t = translate) => {
+  if (typeof value !== "number") return t("rating.na");
+  if (metric === "cls") return value.toFixed(3);
+  if (metric === "tbt") return `${value.toFixed(0)}ms`;
+  return `${value.toFixed(2)}s`;
+};
+
+/**
+ * Calculates pass rate percentage based on issue counts.
+ */
+export const calculatePassRate = (issues) => {
+  const total = (issues.critical || 0) + (issues.warning || 0) + (issues.passed || 0);
+  return total > 0 ? Math.round((issues.passed / total) * 100) : 100;
+};
+
+/**
+ * Returns an overall health status summary.
+ */
+export const getHealthStatus = (issues, t = translate) => {
+  const totalIssues = (issues.critical || 0) + (issues.warning || 0);
+  if (issues.critical > 5) return t("health.highRisk");
+  if (issues.critical > 0) return t("health.moderateRisk");
+  if (totalIssues === 0) return t("health.excellent");
+  return t("health.needsImprovement");
+};
+
+/**
+ * Formats a timestamp (default: now) in a template's locale and timezone.
+ */
+export const formatTimestamp = (
+  date = new Date(),
+  { intl, timeZone } = resolveTemplate()
+) =>
+  new Date(date).toLocaleString(intl, {
+    timeZone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
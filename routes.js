@@ -1,153 +1,385 @@
 import express from "express";
-import axios from "axios";
-import dotenv from "dotenv";
 import { sendWhatsAppReport } from "./whatsappController.js";
+import {
+  runAudit,
+  runOnPageAnalysis,
+  listAuditHistory,
+  getAuditById,
+  getAuditTrend,
+} from "./auditController.js";
+import {
+  createAuditJob,
+  getAuditJob,
+  streamAuditJob,
+} from "./auditJobController.js";
+import {
+  verifyWhatsAppWebhook,
+  receiveWhatsAppWebhook,
+  getMessageStatus,
+} from "./webhookController.js";
+import { getQuotaStatus, getRequestIdentity, requireQuota } from "./quotaService.js";
+import { downloadReportPdf } from "./reportController.js";
+import {
+  createApiKey,
+  getApiKeys,
+  rotateKey,
+  revokeKey,
+} from "./apiKeyController.js";
+import {
+  createAuditSchedule,
+  getAuditSchedules,
+  getAuditSchedule,
+  pauseAuditSchedule,
+  resumeAuditSchedule,
+  deleteAuditSchedule,
+} from "./scheduleController.js";
+import { createSiteAudit, getSiteAudit } from "./siteAuditController.js";
+import { createComparison, getComparisonById } from "./compareController.js";
+import {
+  createConsent,
+  getConsentStatus,
+  revokeConsent,
+  getSuppressions,
+  createSuppression,
+  deleteSuppression,
+} from "./consentController.js";
+import { getLeads, exportLeads, getLeadById } from "./leadController.js";
+import { authenticate, requireScope } from "./authMiddleware.js";
+import { SCOPES } from "./apiKeyService.js";
+import { pageSpeedErrorBody } from "./pagespeedService.js";
+import {
+  getPageSpeed,
+  getCacheOptions,
+  getPageSpeedCacheStats,
+} from "./pagespeedCache.js";
+import { buildReport } from "./reportAggregator.js";
+import { saveAudit } from "./auditStore.js";
+import { listTemplates } from "./templates.js";
+import { getKeyPoolStatus } from "./googleKeyPool.js";
+import { logger } from "./logger.js";
+import { validate, buildOpenApiDocument } from "./validation.js";
+import { schemas } from "./schemas.js";
+import { enforceUrlPolicy } from "./urlPolicy.js";
+import { dedupeUrls, getPageLimit } from "./siteAuditService.js";
 
-dotenv.config();
+const log = logger.child({ module: "routes" });
 
 const router = express.Router();
 
-const GOOGLE_API_KEY = process.env.NEXT_PUBLIC_GOOGLE_PAGESPEED_API_KEY;
+/**
+ * Audit quota spent once PageSpeed has been reached: a result, a URL it
+ * rejected, an upstream error or a timeout. Other failures give it back.
+ */
+const auditQuota = (uses) =>
+  requireQuota("audit", {
+    uses,
+    isSpent: (status) => status < 400 || [400, 502, 504].includes(status),
+  });
 
-// ✅ PageSpeed API endpoint with retry logic
-router.post("/pagespeed/run", async (req, res) => {
-  try {
-    const { url, strategy } = req.body;
+// One audit use per page a site audit will measure
+const siteAuditPages = ({ body }) =>
+  body.sitemapUrl
+    ? getPageLimit(body.maxPages)
+    : dedupeUrls(body.urls ?? [], getPageLimit(body.maxPages)).length;
 
-    // Validate input
-    if (!url || !strategy) {
-      return res.status(400).json({
-        success: false,
-        message: "URL and strategy (mobile/desktop) are required",
-      });
-    }
+// ✅ WhatsApp delivery webhooks (authenticated by provider signatures)
+router.get("/webhooks/whatsapp", validate(schemas.verifyWebhook), verifyWhatsAppWebhook);
+router.post("/webhooks/whatsapp", validate(schemas.receiveWebhook), receiveWhatsAppWebhook);
 
-    // Validate strategy
-    if (!["mobile", "desktop"].includes(strategy)) {
-      return res.status(400).json({
-        success: false,
-        message: "Strategy must be 'mobile' or 'desktop'",
-      });
-    }
+// 📘 OpenAPI document generated from the route schemas
+let openApiDocument = null;
+router.get("/docs", validate(schemas.docs), (req, res) => {
+  openApiDocument ??= buildOpenApiDocument(router, {
+    prefix: "/api",
+    info: { title: "SEO Audit & WhatsApp Report API", version: "1.0.0" },
+  });
+  res.status(200).json(openApiDocument);
+});
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid URL format",
-      });
-    }
+// 🔒 Every other route requires an API key with the matching scope
+router.use(authenticate);
 
-    if (!GOOGLE_API_KEY) {
-      console.error("❌ Google API key not configured");
-      return res.status(500).json({
-        success: false,
-        message:
-          "Google PageSpeed API not configured. Please check your API key.",
-      });
-    }
-
-    // Retry logic
-    const maxRetries = 3;
-    let lastError = null;
+// ✅ PageSpeed API endpoint with retry logic and response caching
+router.post(
+  "/pagespeed/run",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.runPageSpeed),
+  enforceUrlPolicy("url"),
+  auditQuota(),
+  async (req, res) => {
+    try {
+      const { url, strategy } = req.body;
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        console.log(
-          `📊 Fetching PageSpeed data (${strategy}) - Attempt ${attempt}/${maxRetries}`
-        );
-
-        const apiUrl = `https://www.googleapis.com/pagespeedonline/v5/runPagespeed?url=${encodeURIComponent(
-          url
-        )}&strategy=${strategy}&key=${GOOGLE_API_KEY}`;
-
-        const response = await axios.get(apiUrl, {
-          timeout: 60000, // Increased from 30s to 60s
-          validateStatus: (status) => status < 500,
-          headers: {
-            "User-Agent":
-              "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-          },
+        const { data, cache } = await getPageSpeed(url, strategy, getCacheOptions(req));
+        res.set("X-Cache", cache.hit ? "HIT" : "MISS");
+        res.set("Age", String(cache.ageSeconds));
+        const audit = await saveAudit({
+          url,
+          strategy,
+          ownerId: req.apiKey.clientId,
+          report: buildReport({ url, [strategy]: data }),
         });
-
-        // Check for quota exceeded or API errors
-        if (response.status === 403) {
-          console.error("❌ API Error 403:", response.data);
-          return res.status(403).json({
-            success: false,
-            message:
-              "API quota exceeded or access denied. Check your API key permissions.",
-            details: response.data.error?.message,
-          });
-        }
-
-        if (response.status === 400) {
-          console.error("❌ Bad Request 400:", response.data);
-          return res.status(400).json({
-            success: false,
-            message: "Invalid request to PageSpeed API",
-            details: response.data.error?.message,
-          });
-        }
-
-        if (response.status >= 400) {
-          console.error(`❌ API Error ${response.status}:`, response.data);
-          throw new Error(
-            response.data.error?.message ||
-              `API returned status ${response.status}`
-          );
-        }
-
-        // Success
-        console.log(`✅ PageSpeed data fetched successfully for ${strategy}`);
         return res.status(200).json({
           success: true,
-          data: response.data,
+          data,
           strategy,
           url,
+          auditId: audit.id,
+          cache,
         });
       } catch (error) {
-        lastError = error;
-        console.warn(
-          `⚠️  Attempt ${attempt}/${maxRetries} failed:`,
-          error.message
-        );
-
-        // Don't retry on auth errors
-        if (error.message.includes("403") || error.message.includes("401")) {
-          console.error("❌ Authentication error - not retrying");
-          return res.status(500).json({
-            success: false,
-            message: "Google API authentication failed. Verify your API key.",
-            error: error.message,
-          });
-        }
-
-        // Wait before retry (exponential backoff)
-        if (attempt < maxRetries) {
-          const waitTime = Math.pow(2, attempt - 1) * 1000; // 1s, 2s, 4s
-          console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-          await new Promise((resolve) => setTimeout(resolve, waitTime));
-        }
+        if (!error.status) throw error;
+        return res.status(error.status).json(pageSpeedErrorBody(error));
       }
+    } catch (error) {
+      log.error("❌ Unexpected error", { error });
+      return res.status(500).json({
+        success: false,
+        message: "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
     }
+  }
+);
 
-    // All retries failed
-    console.error("❌ All retry attempts failed");
-    return res.status(503).json({
-      success: false,
-      message:
-        "Failed to fetch PageSpeed data after multiple retries. The API may be experiencing issues.",
-      error:
-        process.env.NODE_ENV === "development"
-          ? lastError?.message
-          : "Service temporarily unavailable",
+// ✅ Full audit endpoint (mobile + desktop, normalized report)
+router.post(
+  "/audit",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.runAudit),
+  enforceUrlPolicy("url"),
+  auditQuota(),
+  runAudit
+);
+
+// ✅ On-page SEO analysis only (title, headings, tags, links, robots/sitemap)
+router.post(
+  "/onpage-analysis",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.runOnPageAnalysis),
+  enforceUrlPolicy("url"),
+  runOnPageAnalysis
+);
+
+// ✅ Background audit jobs (poll or stream progress)
+router.post(
+  "/audit-jobs",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.createAuditJob),
+  enforceUrlPolicy("url"),
+  requireQuota("audit"),
+  createAuditJob
+);
+router.get(
+  "/audit-jobs/:id",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.getAuditJob),
+  getAuditJob
+);
+router.get(
+  "/audit-jobs/:id/events",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.streamAuditJob),
+  streamAuditJob
+);
+
+// ✅ Site-wide audits from a URL list or sitemap
+router.post(
+  "/site-audits",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.createSiteAudit),
+  enforceUrlPolicy("urls", "sitemapUrl"),
+  requireQuota("audit", { uses: siteAuditPages }),
+  createSiteAudit
+);
+router.get(
+  "/site-audits/:id",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.getSiteAudit),
+  getSiteAudit
+);
+
+// ✅ Competitor comparisons (prospect vs rivals, side by side)
+router.post(
+  "/compare",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.createComparison),
+  enforceUrlPolicy("url", "competitors"),
+  auditQuota(({ body }) => 1 + body.competitors.length),
+  createComparison
+);
+router.get(
+  "/compare/:id",
+  requireScope(SCOPES.READ_HISTORY),
+  validate(schemas.getComparison),
+  getComparisonById
+);
+
+// ✅ Recurring audit schedules with regression alerts
+router.post(
+  "/schedules",
+  requireScope(SCOPES.RUN_AUDITS),
+  requireScope(SCOPES.SEND_WHATSAPP),
+  validate(schemas.createSchedule),
+  enforceUrlPolicy("url"),
+  createAuditSchedule
+);
+router.get(
+  "/schedules",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.listSchedules),
+  getAuditSchedules
+);
+router.get(
+  "/schedules/:id",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.getSchedule),
+  getAuditSchedule
+);
+router.post(
+  "/schedules/:id/pause",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.pauseSchedule),
+  pauseAuditSchedule
+);
+router.post(
+  "/schedules/:id/resume",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.resumeSchedule),
+  resumeAuditSchedule
+);
+router.delete(
+  "/schedules/:id",
+  requireScope(SCOPES.RUN_AUDITS),
+  validate(schemas.deleteSchedule),
+  deleteAuditSchedule
+);
+
+// ✅ Audit history endpoints
+router.get(
+  "/audits",
+  requireScope(SCOPES.READ_HISTORY),
+  validate(schemas.listAudits),
+  listAuditHistory
+);
+router.get(
+  "/audits/trend",
+  requireScope(SCOPES.READ_HISTORY),
+  validate(schemas.getAuditTrend),
+  getAuditTrend
+);
+router.get(
+  "/audits/:id",
+  requireScope(SCOPES.READ_HISTORY),
+  validate(schemas.getAudit),
+  getAuditById
+);
+
+// ✅ PDF report download (API key or signed link)
+router.get(
+  "/reports/:id.pdf",
+  requireScope(SCOPES.READ_HISTORY, {
+    signedResource: (req) => `report:${req.params.id}`,
+  }),
+  validate(schemas.downloadReport),
+  downloadReportPdf
+);
+
+// ✅ WhatsApp send endpoint (uses controller)
+router.post(
+  "/send-whatsapp-report",
+  requireScope(SCOPES.SEND_WHATSAPP),
+  validate(schemas.sendWhatsAppReport),
+  sendWhatsAppReport
+);
+
+// ✅ Message delivery timeline
+router.get(
+  "/messages/:messageId",
+  requireScope(SCOPES.READ_HISTORY),
+  validate(schemas.getMessageStatus),
+  getMessageStatus
+);
+
+// ✅ WhatsApp consent: opt-ins, opt-outs and the do-not-contact list
+router.post(
+  "/consents",
+  requireScope(SCOPES.SEND_WHATSAPP),
+  validate(schemas.createConsent),
+  createConsent
+);
+router.get(
+  "/consents/:phoneNumber",
+  requireScope(SCOPES.SEND_WHATSAPP),
+  validate(schemas.getConsent),
+  getConsentStatus
+);
+router.delete(
+  "/consents/:phoneNumber",
+  requireScope(SCOPES.SEND_WHATSAPP),
+  validate(schemas.revokeConsent),
+  revokeConsent
+);
+router.get(
+  "/suppressions",
+  requireScope(SCOPES.ADMIN),
+  validate(schemas.listSuppressions),
+  getSuppressions
+);
+router.post(
+  "/suppressions",
+  requireScope(SCOPES.SEND_WHATSAPP),
+  validate(schemas.createSuppression),
+  createSuppression
+);
+router.delete(
+  "/suppressions/:phoneNumber",
+  requireScope(SCOPES.ADMIN),
+  validate(schemas.deleteSuppression),
+  deleteSuppression
+);
+
+// ✅ Leads captured from report requests and WhatsApp replies
+router.get("/leads", requireScope(SCOPES.READ_HISTORY), validate(schemas.listLeads), getLeads);
+router.get(
+  "/leads/export",
+  requireScope(SCOPES.READ_HISTORY),
+  validate(schemas.exportLeads),
+  exportLeads
+);
+router.get(
+  "/leads/:id",
+  requireScope(SCOPES.READ_HISTORY),
+  validate(schemas.getLead),
+  getLeadById
+);
+
+// ✅ Get audit status endpoint
+router.get("/audit-status", requireScope(), validate(schemas.getAuditStatus), async (req, res) => {
+  try {
+    const status = await getQuotaStatus(getRequestIdentity(req));
+    const audit = status.quotas.audit;
+
+    res.status(200).json({
+      success: true,
+      message: "Audit service is active",
+      plan: status.plan,
+      limits: {
+        maxAuditsPerDay: audit?.limit ?? null,
+        maxPhoneNumbersPerRequest: status.maxRecipientsPerRequest,
+      },
+      quota: audit && {
+        limit: audit.limit,
+        used: audit.used,
+        remaining: audit.remaining,
+        windowMs: audit.windowMs,
+        resetAt: audit.resetAt,
+      },
     });
   } catch (error) {
-    console.error("❌ Unexpected error:", error.message);
-    return res.status(500).json({
+    log.error("❌ Failed to load quota status", { error });
+    res.status(500).json({
       success: false,
       message: "Internal server error",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
@@ -155,19 +387,68 @@ router.post("/pagespeed/run", async (req, res) => {
   }
 });
 
-// ✅ WhatsApp send endpoint (uses controller)
-router.post("/send-whatsapp-report", sendWhatsAppReport);
-
-// ✅ Get audit status endpoint
-router.get("/audit-status", (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: "Audit service is active",
-    limits: {
-      maxAuditsPerDay: 3,
-      maxPhoneNumbersPerRequest: 3,
-    },
-  });
+// ✅ Available report brands and locales
+router.get("/templates", requireScope(), validate(schemas.listTemplates), (req, res) => {
+  res.status(200).json({ success: true, ...listTemplates() });
 });
 
+// ✅ Admin: PageSpeed cache hit/miss stats
+router.get(
+  "/admin/pagespeed-cache",
+  requireScope(SCOPES.ADMIN),
+  validate(schemas.getPageSpeedCacheStats),
+  async (req, res) => {
+    try {
+      res.status(200).json({ success: true, cache: await getPageSpeedCacheStats() });
+    } catch (error) {
+      log.error("❌ Failed to load cache stats", { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// ✅ Admin: Google API key pool usage (key values masked)
+router.get(
+  "/admin/google-keys",
+  requireScope(SCOPES.ADMIN),
+  validate(schemas.getGoogleKeyPool),
+  async (req, res) => {
+    try {
+      res.status(200).json({ success: true, pool: await getKeyPoolStatus() });
+    } catch (error) {
+      log.error("❌ Failed to load Google key pool status", { error });
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// ✅ Admin: API key management
+router.post(
+  "/admin/keys",
+  requireScope(SCOPES.ADMIN),
+  validate(schemas.createApiKey),
+  createApiKey
+);
+router.get("/admin/keys", requireScope(SCOPES.ADMIN), validate(schemas.listApiKeys), getApiKeys);
+router.post(
+  "/admin/keys/:id/rotate",
+  requireScope(SCOPES.ADMIN),
+  validate(schemas.rotateApiKey),
+  rotateKey
+);
+router.delete(
+  "/admin/keys/:id",
+  requireScope(SCOPES.ADMIN),
+  validate(schemas.revokeApiKey),
+  revokeKey
+);
+
 export default router;
@@ -0,0 +1,174 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🗓️ Schedule Controller
+ * --------------------------------------------------------------------------
+ * Registers, lists, pauses, resumes and deletes recurring audit schedules.
+ * --------------------------------------------------------------------------
+ */
+
+import { getSchedule, listSchedules, removeSchedule } from "./scheduleStore.js";
+import {
+  registerSchedule,
+  pauseSchedule,
+  resumeSchedule,
+} from "./scheduleService.js";
+import { parsePhoneNumber } from "./phoneNumber.js";
+import { getPlan, getRequestIdentity } from "./quotaService.js";
+import { canAccess, getOwnerFilter } from "./authMiddleware.js";
+import { resolveTemplate } from "./templates.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "scheduleController" });
+
+/**
+ * Sends the standard 500 response for unexpected errors.
+ */
+const internalError = (res, error, context) => {
+  log.error(`❌ ${context}`, { error });
+  return res.status(500).json({
+    success: false,
+    message: "Internal server error",
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * Loads a schedule the caller may access, or sends 404 and returns null.
+ */
+const findOwnSchedule = async (req, res) => {
+  const schedule = await getSchedule(req.params.id);
+  if (!schedule || !canAccess(req, schedule.ownerId)) {
+    res.status(404).json({
+      success: false,
+      message: "Schedule not found",
+    });
+    return null;
+  }
+  return schedule;
+};
+
+/**
+ * Registers a recurring audit.
+ * Body: { url, cadence, phoneNumbers, strategies?, thresholds?, brand?, locale? }
+ */
+export const createAuditSchedule = async (req, res) => {
+  try {
+    const { url, cadence, strategies, thresholds } = req.body;
+    let { phoneNumbers } = req.body;
+    if (!phoneNumbers && req.body.phoneNumber) phoneNumbers = [req.body.phoneNumber];
+
+    const templateChoice = {
+      brand: req.body.brand || req.apiKey?.brand,
+      locale: req.body.locale,
+    };
+    const { countryCode } = resolveTemplate(templateChoice);
+
+    const plan = getPlan(getRequestIdentity(req));
+    if (!Array.isArray(phoneNumbers) || !phoneNumbers.length) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one phone number is required for alerts",
+      });
+    }
+    if (phoneNumbers.length > plan.maxRecipientsPerRequest) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit exceeded: Maximum ${plan.maxRecipientsPerRequest} phone numbers allowed per schedule.`,
+      });
+    }
+
+    const parsed = phoneNumbers.map((number) => parsePhoneNumber(number, countryCode));
+    const invalid = phoneNumbers
+      .map((number, i) => (parsed[i].valid ? null : `${number} (${parsed[i].reason})`))
+      .filter(Boolean);
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid phone number(s): ${invalid.join(", ")}`,
+      });
+    }
+    const recipients = parsed.map(({ digits }) => digits);
+
+    const schedule = await registerSchedule({
+      ownerId: req.apiKey.clientId,
+      url,
+      strategies: [...new Set(strategies)],
+      recipients: [...new Set(recipients)],
+      cadence,
+      thresholds,
+      template: templateChoice,
+    });
+
+    log.info(`🗓️ Schedule ${schedule.id} registered for ${url} (${cadence})`);
+    return res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return internalError(res, error, "Failed to register schedule");
+  }
+};
+
+/**
+ * Lists the caller's schedules.
+ */
+export const getAuditSchedules = async (req, res) => {
+  try {
+    const schedules = await listSchedules({ ownerId: getOwnerFilter(req) });
+    return res.status(200).json({ success: true, count: schedules.length, schedules });
+  } catch (error) {
+    return internalError(res, error, "Failed to list schedules");
+  }
+};
+
+/**
+ * Returns a single schedule with its latest run result.
+ */
+export const getAuditSchedule = async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+    return res.status(200).json({ success: true, schedule });
+  } catch (error) {
+    return internalError(res, error, "Failed to fetch schedule");
+  }
+};
+
+/**
+ * Pauses a schedule until it is resumed.
+ */
+export const pauseAuditSchedule = async (req, res) => {
+  try {
+    if (!(await findOwnSchedule(req, res))) return;
+    const schedule = await pauseSchedule(req.params.id);
+    return res.status(200).json({ success: true, schedule });
+  } catch (error) {
+    return internalError(res, error, "Failed to pause schedule");
+  }
+};
+
+/**
+ * Resumes a paused schedule from its next cadence slot.
+ */
+export const resumeAuditSchedule = async (req, res) => {
+  try {
+    if (!(await findOwnSchedule(req, res))) return;
+    const schedule = await resumeSchedule(req.params.id);
+    return res.status(200).json({ success: true, schedule });
+  } catch (error) {
+    return internalError(res, error, "Failed to resume schedule");
+  }
+};
+
+/**
+ * Deletes a schedule.
+ */
+export const deleteAuditSchedule = async (req, res) => {
+  try {
+    if (!(await findOwnSchedule(req, res))) return;
+    await removeSchedule(req.params.id);
+    return res.status(200).json({ success: true, message: "Schedule deleted" });
+  } catch (error) {
+    return internalError(res, error, "Failed to delete schedule");
+  }
+};
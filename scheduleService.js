@@ -0,0 +1,390 @@
+/**
+ * --------------------------------------------------------------------------
+ * ⏱️ Schedule Service
+ * --------------------------------------------------------------------------
+ * Runs recurring audits on a cron cadence and compares each run with the
+ * previous one. When a score drops past the schedule's threshold, or a web
+ * vital falls into a worse evaluateMetric band, the recipients get a
+ * WhatsApp alert built from the standard report formatter.
+ * --------------------------------------------------------------------------
+ */
+
+import { performAudit } from "./auditService.js";
+import {
+  getAudit,
+  getPreviousAudit,
+  recordDeliveries,
+  diffScores,
+  SCORE_KEYS,
+} from "./auditStore.js";
+import {
+  createSchedule,
+  updateSchedule,
+  findDueSchedules,
+  SCHEDULE_STATUS,
+} from "./scheduleStore.js";
+import { parseCron, getNextRun } from "./cron.js";
+import { systemClock } from "./clock.js";
+import { evaluateMetric, formatMetric } from "./reportUtils.js";
+import { sendWhatsAppMessage, getDeliveredMessageIds } from "./whatsappTransport.js";
+import { checkRecipientConsent } from "./consentStore.js";
+import { recordSentMessage } from "./messageStore.js";
+import { reserveQuota } from "./quotaService.js";
+import { formatSEOReportMessage } from "./whatsappController.js";
+import { resolveTemplate } from "./templates.js";
+import { logger } from "./logger.js";
+import { rateLimitRejections } from "./metrics.js";
+
+const log = logger.child({ module: "scheduleService" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  TICK_MS: parseInt(process.env.SCHEDULER_TICK_MS) || 60 * 1000,
+  MIN_INTERVAL_MINUTES: parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES) || 60,
+  DEFAULT_SCORE_DROP: parseInt(process.env.SCHEDULE_SCORE_DROP_THRESHOLD) || 5,
+};
+
+const METRIC_KEYS = ["fcp", "lcp", "cls", "speedIndex", "tti", "tbt"];
+
+// evaluateMetric bands from best to worst
+const BAND_ORDER = ["🟢", "🟡", "🟠", "🔴"];
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Builds an error flagged as a client input problem.
+ */
+const scheduleError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Returns the next run as an ISO string, or null if the cadence never fires.
+ */
+const nextRunIso = (cadence, from) => {
+  const next = getNextRun(cadence, from);
+  return next === null ? null : new Date(next).toISOString();
+};
+
+/**
+ * Fills in default regression thresholds.
+ */
+export const normalizeThresholds = ({ scoreDrop, vitals } = {}) => ({
+  scoreDrop: Number.isFinite(scoreDrop) && scoreDrop > 0 ? scoreDrop : CONFIG.DEFAULT_SCORE_DROP,
+  vitals: vitals !== false,
+});
+
+/**
+ * Compares an audit with its baseline and lists regressions: scores that
+ * dropped by at least `scoreDrop` points, and (when `vitals` is on) web
+ * vitals whose evaluateMetric band got worse. Band labels use `t`.
+ */
+export const detectRegressions = (current, previous, thresholds, t) => {
+  const { scoreDrop, vitals } = normalizeThresholds(thresholds);
+  const regressions = [];
+
+  const delta = diffScores(current.scores, previous.scores);
+  for (const key of SCORE_KEYS) {
+    if (delta[key] !== null && -delta[key] >= scoreDrop) {
+      regressions.push({
+        type: "score",
+        key,
+        previous: previous.scores[key],
+        current: current.scores[key],
+        change: delta[key],
+      });
+    }
+  }
+
+  if (vitals) {
+    for (const key of METRIC_KEYS) {
+      const before = previous.metrics?.[key];
+      const now = current.metrics?.[key];
+      if (typeof before !== "number" || typeof now !== "number") continue;
+
+      const from = evaluateMetric(key, before, t);
+      const to = evaluateMetric(key, now, t);
+      if (BAND_ORDER.indexOf(to.emoji) > BAND_ORDER.indexOf(from.emoji)) {
+        regressions.push({
+          type: "metric",
+          key,
+          previous: before,
+          current: now,
+          from: from.label,
+          to: to.label,
+        });
+      }
+    }
+  }
+
+  return regressions;
+};
+
+/**
+ * Builds the WhatsApp alert in the schedule's template: a regression
+ * summary followed by the full report with "since last audit" changes.
+ */
+export const formatRegressionAlert = (audit, baseline, regressions, template = resolveTemplate()) => {
+  const { t } = template;
+  const lines = regressions.map((regression) => {
+    if (regression.type === "score") {
+      return `📉 *${t(`score.${regression.key}`)}:* ${regression.previous} → ${regression.current} (${regression.change})`;
+    }
+    const format = (value) => formatMetric(regression.key, value, t);
+    return `⚠️ *${t(`metric.${regression.key}`)}:* ${format(regression.previous)} → ${format(regression.current)} _(${regression.from} → ${regression.to})_`;
+  });
+
+  const summary = t(regressions.length === 1 ? "alert.summary.one" : "alert.summary.other", {
+    url: audit.url,
+    count: regressions.length,
+  });
+  const header = `🚨 *${t("alert.title")}*\n\n${summary}\n\n${lines.join("\n")}`;
+
+  return `${header}\n\n${formatSEOReportMessage(
+    { ...audit.report, previousScores: baseline.scores },
+    template
+  )}`;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 SCHEDULE RUNS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Sends the regression alert to every recipient of a schedule, honouring
+ * per-recipient quotas. Resolves with per-recipient results.
+ */
+const sendRegressionAlert = async (schedule, audit, baseline, regressions, template) => {
+  const text = formatRegressionAlert(audit, baseline, regressions, template);
+  const whatsappTemplate = { params: [audit.url, audit.report.overallScore ?? 0] };
+  const results = [];
+
+  for (const phoneNumber of schedule.recipients) {
+    // Consent can change after the schedule was registered
+    const consent = await checkRecipientConsent(phoneNumber);
+    if (!consent.allowed) {
+      results.push({ phoneNumber, success: false, reason: consent.reason, error: consent.error });
+      continue;
+    }
+
+    const recipient = { type: "phone", id: phoneNumber };
+    const quota = await reserveQuota("recipient", recipient);
+    if (!quota.allowed) {
+      rateLimitRejections.inc({ limiter: "quota:recipient" });
+      results.push({
+        phoneNumber,
+        success: false,
+        error: "Recipient limit exceeded. Try again later.",
+        resetAt: quota.resetAt,
+      });
+      continue;
+    }
+
+    const sent = await sendWhatsAppMessage({
+      to: phoneNumber,
+      type: "text",
+      text,
+      template: whatsappTemplate,
+    });
+    for (const messageId of getDeliveredMessageIds(sent)) {
+      await recordSentMessage({
+        messageId,
+        provider: sent.provider,
+        to: phoneNumber,
+        ownerId: audit.ownerId ?? null,
+        auditId: audit.id,
+        kind: "alert",
+      });
+    }
+
+    const result = { phoneNumber, success: sent.success, provider: sent.provider };
+    if (sent.success) result.messageId = sent.messageId;
+    else result.error = sent.error;
+    if (sent.parts) result.parts = sent.parts;
+    if (sent.remainingParts) result.remainingParts = sent.remainingParts;
+    results.push(result);
+  }
+
+  await recordDeliveries(audit.id, results);
+  return results;
+};
+
+/**
+ * Audits a schedule's URL, compares it with the schedule's previous audit
+ * (or the owner's latest audit of the URL on the first run) and alerts on
+ * regressions. Resolves with `{ auditId, regressions, deliveries }`.
+ */
+export const runSchedule = async (schedule) => {
+  const audit = await performAudit({
+    url: schedule.url,
+    strategies: schedule.strategies,
+    ownerId: schedule.ownerId,
+    // Regression checks need a fresh measurement, not a cached one
+    cacheOptions: { force: true },
+  });
+
+  const baseline =
+    (schedule.lastAuditId && (await getAudit(schedule.lastAuditId))) ||
+    (await getPreviousAudit(audit));
+
+  const template = resolveTemplate(schedule.template);
+  const regressions = baseline
+    ? detectRegressions(audit, baseline, schedule.thresholds, template.t)
+    : [];
+  const deliveries = regressions.length
+    ? await sendRegressionAlert(schedule, audit, baseline, regressions, template)
+    : [];
+
+  return { auditId: audit.id, regressions, deliveries };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🗓️ SCHEDULE MANAGEMENT */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Validates a cadence and registers a schedule. Throws 400-flagged errors
+ * for invalid or too-frequent cadences.
+ */
+export const registerSchedule = async (
+  { ownerId, url, strategies, recipients, cadence, thresholds, template },
+  clock = systemClock
+) => {
+  const cron = parseCron(cadence);
+  const now = clock.now();
+  const first = getNextRun(cron, now);
+  const second = first === null ? null : getNextRun(cron, first);
+
+  if (first === null) {
+    throw scheduleError(`Cadence "${cadence}" never runs`);
+  }
+  if (second !== null && second - first < CONFIG.MIN_INTERVAL_MINUTES * 60 * 1000) {
+    throw scheduleError(
+      `Cadence "${cadence}" is too frequent. Minimum interval is ${CONFIG.MIN_INTERVAL_MINUTES} minutes.`
+    );
+  }
+
+  return createSchedule({
+    ownerId,
+    url,
+    strategies,
+    recipients,
+    cadence,
+    thresholds: normalizeThresholds(thresholds),
+    template,
+    nextRunAt: first,
+    now,
+  });
+};
+
+/**
+ * Pauses a schedule. Resolves with the updated record or null.
+ */
+export const pauseSchedule = (id) =>
+  updateSchedule(id, { status: SCHEDULE_STATUS.PAUSED, nextRunAt: null });
+
+/**
+ * Resumes a schedule from the next cadence slot after now.
+ */
+export const resumeSchedule = (id, clock = systemClock) =>
+  updateSchedule(id, (current) => {
+    const nextRunAt = nextRunIso(current.cadence, clock.now());
+    return {
+      status: nextRunAt ? SCHEDULE_STATUS.ACTIVE : SCHEDULE_STATUS.PAUSED,
+      nextRunAt,
+    };
+  });
+
+/* -------------------------------------------------------------------------- */
+/* ⏰ SCHEDULER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Creates a scheduler that checks for due schedules every `tickMs` on the
+ * given clock. `tick()` can be called directly to process due schedules.
+ */
+export const createScheduler = ({
+  clock = systemClock,
+  tickMs = CONFIG.TICK_MS,
+  runner = runSchedule,
+} = {}) => {
+  let timer = null;
+  let started = false;
+
+  /**
+   * Runs every due schedule once. Resolves with the number processed.
+   */
+  const tick = async () => {
+    const now = clock.now();
+    const due = await findDueSchedules(now);
+
+    for (const schedule of due) {
+      // Claim the slot first so a slow or failing run is not repeated
+      const nextRunAt = nextRunIso(schedule.cadence, now);
+      await updateSchedule(schedule.id, {
+        nextRunAt,
+        ...(!nextRunAt && { status: SCHEDULE_STATUS.PAUSED }),
+      });
+
+      const lastRunAt = new Date(clock.now()).toISOString();
+      try {
+        const result = await runner(schedule);
+        await updateSchedule(schedule.id, (current) => ({
+          lastRunAt,
+          lastAuditId: result.auditId,
+          lastResult: { success: true, ...result },
+          runCount: current.runCount + 1,
+        }));
+        log.info(
+          `⏱️ Schedule ${schedule.id} ran for ${schedule.url}: ${result.regressions.length} regression(s)`
+        );
+      } catch (err) {
+        await updateSchedule(schedule.id, (current) => ({
+          lastRunAt,
+          lastResult: { success: false, error: err.message },
+          runCount: current.runCount + 1,
+        }));
+        log.error(`❌ Schedule ${schedule.id} failed`, { error: err });
+      }
+    }
+
+    return due.length;
+  };
+
+  const loop = async () => {
+    try {
+      await tick();
+    } catch (err) {
+      log.error("❌ Scheduler tick failed", { error: err });
+    } finally {
+      if (started) timer = clock.setTimeout(loop, tickMs);
+    }
+  };
+
+  return {
+    clock,
+    tick,
+
+    /**
+     * Starts checking for due schedules.
+     */
+    start() {
+      if (started) return;
+      started = true;
+      timer = clock.setTimeout(loop, 0);
+    },
+
+    /**
+     * Stops the scheduler; a run in progress finishes on its own.
+     */
+    stop() {
+      started = false;
+      clock.clearTimeout(timer);
+    },
+  };
+};
+
+export const auditScheduler = createScheduler();
@@ -0,0 +1,96 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🗓️ Schedule Store
+ * --------------------------------------------------------------------------
+ * Persists recurring audit schedules: what to audit, how often, who to
+ * alert and the outcome of the latest run.
+ * --------------------------------------------------------------------------
+ */
+
+import { randomUUID } from "crypto";
+import { createCollection } from "./storage.js";
+
+const schedules = createCollection("schedules");
+
+export const SCHEDULE_STATUS = {
+  ACTIVE: "active",
+  PAUSED: "paused",
+};
+
+/**
+ * Saves a new active schedule and returns it.
+ */
+export const createSchedule = async ({
+  ownerId = null,
+  url,
+  strategies,
+  recipients,
+  cadence,
+  thresholds,
+  template = {},
+  nextRunAt,
+  now = Date.now(),
+}) => {
+  const timestamp = new Date(now).toISOString();
+  return schedules.insert({
+    id: randomUUID(),
+    ownerId,
+    url,
+    strategies,
+    recipients,
+    cadence,
+    thresholds,
+    template,
+    status: SCHEDULE_STATUS.ACTIVE,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    nextRunAt: new Date(nextRunAt).toISOString(),
+    lastRunAt: null,
+    lastAuditId: null,
+    lastResult: null,
+    runCount: 0,
+  });
+};
+
+/**
+ * Returns a schedule by id, or null.
+ */
+export const getSchedule = (id) => schedules.get(id);
+
+/**
+ * Applies a patch (object or function of the current record).
+ */
+export const updateSchedule = (id, patch) =>
+  schedules.update(id, (current) => ({
+    ...current,
+    ...(typeof patch === "function" ? patch(current) : patch),
+    updatedAt: new Date().toISOString(),
+  }));
+
+/**
+ * Deletes a schedule. Resolves true when it existed.
+ */
+export const removeSchedule = (id) => schedules.remove(id);
+
+/**
+ * Lists schedules (newest first), optionally for a single owner.
+ */
+export const listSchedules = async ({ ownerId } = {}) =>
+  (
+    await schedules.find(
+      (schedule) => ownerId === undefined || schedule.ownerId === ownerId
+    )
+  ).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+/**
+ * Returns active schedules whose next run is at or before `now` (ms),
+ * oldest due first.
+ */
+export const findDueSchedules = async (now) =>
+  (
+    await schedules.find(
+      (schedule) =>
+        schedule.status === SCHEDULE_STATUS.ACTIVE &&
+        new Date(schedule.nextRunAt).getTime() <= now
+    )
+  ).sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
@@ -0,0 +1,301 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📐 Route Schemas
+ * --------------------------------------------------------------------------
+ * Request schemas for every /api route, passed to validate() in routes.js.
+ * Each spec carries the summary used by the OpenAPI document. Checks that
+ * depend on the caller (plan limits, ownership, known brands) stay in the
+ * controllers.
+ * --------------------------------------------------------------------------
+ */
+
+import { v } from "./validation.js";
+import { STRATEGIES } from "./pagespeedService.js";
+import { SCOPES } from "./apiKeyService.js";
+import { COMPARE_MAX_COMPETITORS } from "./compareService.js";
+import { REPORT_FORMATS, DELIVERY_CHANNELS } from "./whatsappController.js";
+import { EXPORT_FORMATS } from "./leadController.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🧱 SHARED FIELDS */
+/* -------------------------------------------------------------------------- */
+
+const id = v.object({ id: v.string({ min: 1, max: 128 }) });
+const score = () => v.number({ min: 0, max: 100 });
+const seconds = () => v.number({ min: 0 }).optional();
+
+const strategies = v
+  .array(v.enum(STRATEGIES), { min: 1, max: STRATEGIES.length })
+  .default(STRATEGIES)
+  .describe("PageSpeed strategies to run");
+const force = v.boolean().optional().describe("Skip cached PageSpeed results");
+const phone = v.oneOf([v.string({ min: 5, max: 32 }), v.integer({ min: 0 })]);
+const phoneNumbers = v
+  .array(phone, { min: 1 })
+  .optional()
+  .describe("Recipients; local numbers get the locale's country code");
+const phoneNumber = phone.optional().describe("Single recipient shorthand");
+const phoneParam = v.object({
+  phoneNumber: v.string({ min: 5, max: 32 }).describe("E.164 (URL-encoded +) or local number"),
+});
+const brand = v.string({ min: 1, max: 64 }).optional();
+const leadFilters = {
+  source: v.string({ max: 100 }).optional(),
+  url: v.url().optional().describe("Leads that had this URL audited"),
+  email: v.email().optional(),
+  phoneNumber: v.string({ min: 5, max: 32 }).optional(),
+  from: v.date().optional(),
+  to: v.date().optional(),
+  replied: v.boolean().optional().describe("Only leads that did (or did not) reply"),
+};
+const locale = v.string({ min: 2, max: 16 }).optional();
+
+/**
+ * Client-supplied report data for WhatsApp messages. Scores are 0-100 and
+ * web vitals are non-negative seconds (TBT in milliseconds, CLS unitless).
+ */
+const reportData = v
+  .object({
+    url: v.url(),
+    email: v.string({ max: 254 }).optional(),
+    overallScore: score().optional(),
+    mobileScore: score().optional(),
+    desktopScore: score().optional(),
+    seoScore: score().optional(),
+    accessibilityScore: score().optional(),
+    bestPracticesScore: score().optional(),
+    performanceScore: score().optional(),
+    metrics: v
+      .object({
+        fcp: seconds(),
+        lcp: seconds(),
+        cls: seconds(),
+        speedIndex: seconds(),
+        tti: seconds(),
+        tbt: seconds(),
+      })
+      .optional(),
+    issues: v
+      .object({
+        critical: v.integer({ min: 0 }).default(0),
+        warning: v.integer({ min: 0 }).default(0),
+        passed: v.integer({ min: 0 }).default(0),
+      })
+      .optional(),
+    recommendations: v.array(v.string({ max: 500 }), { max: 20 }).optional(),
+    timestamp: v.string({ max: 64 }).optional(),
+  })
+  .optional()
+  .describe("Report to send when no audit, site audit or comparison id is given");
+
+/* -------------------------------------------------------------------------- */
+/* 📐 ROUTE SCHEMAS */
+/* -------------------------------------------------------------------------- */
+
+export const schemas = {
+  docs: { summary: "OpenAPI document for this API" },
+
+  verifyWebhook: {
+    summary: "Meta webhook subscription handshake",
+    query: v.object({
+      "hub.mode": v.string().optional(),
+      "hub.verify_token": v.string().optional(),
+      "hub.challenge": v.string().optional(),
+    }),
+  },
+  receiveWebhook: {
+    summary: "WhatsApp provider delivery and reply webhook (provider-signed)",
+    body: v.object(),
+  },
+
+  runPageSpeed: {
+    summary: "Run PageSpeed Insights for one strategy",
+    body: v.object({ url: v.url(), strategy: v.enum(STRATEGIES), force }),
+  },
+  runAudit: {
+    summary: "Run a full mobile + desktop audit",
+    body: v.object({ url: v.url(), email: v.email().optional(), force }),
+  },
+  runOnPageAnalysis: {
+    summary: "Run only the on-page SEO analyzer",
+    body: v.object({ url: v.url() }),
+  },
+
+  createAuditJob: {
+    summary: "Queue a background audit",
+    body: v.object({ url: v.url(), email: v.email().optional(), strategies, force }),
+  },
+  getAuditJob: { summary: "Get a background audit's status", params: id },
+  streamAuditJob: { summary: "Stream a background audit's progress (SSE)", params: id },
+
+  createSiteAudit: {
+    summary: "Queue a site audit from a URL list or sitemap",
+    description: "Send exactly one of `urls` and `sitemapUrl`.",
+    body: v.object({
+      urls: v.array(v.url(), { min: 1 }).optional(),
+      sitemapUrl: v.url().optional(),
+      maxPages: v.integer({ min: 1 }).optional(),
+      // Site audits default to mobile only: Google indexes mobile-first and
+      // each extra strategy doubles the PageSpeed calls per page.
+      strategies: strategies.default(["mobile"]),
+    }),
+  },
+  getSiteAudit: { summary: "Get a site audit's status and summary", params: id },
+
+  createComparison: {
+    summary: "Audit a site against its competitors",
+    body: v.object({
+      url: v.url(),
+      email: v.email().optional(),
+      competitors: v.array(
+        v.oneOf([
+          v.url(),
+          v.object({ url: v.url(), name: v.string({ max: 100 }).optional() }),
+        ]),
+        { min: 1, max: COMPARE_MAX_COMPETITORS }
+      ),
+    }),
+  },
+  getComparison: { summary: "Get a stored comparison", params: id },
+
+  createSchedule: {
+    summary: "Register a recurring audit with regression alerts",
+    body: v.object({
+      url: v.url(),
+      cadence: v.string({ min: 1, max: 100 }).describe("Cron expression or preset (e.g. @daily)"),
+      phoneNumbers,
+      phoneNumber,
+      strategies,
+      thresholds: v
+        .object({
+          scoreDrop: v.number({ min: 1, max: 100 }).optional(),
+          vitals: v.boolean().optional(),
+        })
+        .optional(),
+      brand,
+      locale,
+    }),
+  },
+  listSchedules: { summary: "List schedules" },
+  getSchedule: { summary: "Get a schedule", params: id },
+  pauseSchedule: { summary: "Pause a schedule", params: id },
+  resumeSchedule: { summary: "Resume a schedule", params: id },
+  deleteSchedule: { summary: "Delete a schedule", params: id },
+
+  listAudits: {
+    summary: "List stored audits",
+    query: v.object({
+      url: v.url().optional(),
+      strategy: v.enum(STRATEGIES).optional(),
+      from: v.date().optional(),
+      to: v.date().optional(),
+      limit: v.integer({ min: 1, max: 200 }).default(50),
+    }),
+  },
+  getAuditTrend: {
+    summary: "Score history of a URL",
+    query: v.object({ url: v.url() }),
+  },
+  getAudit: { summary: "Get a stored audit", params: id },
+
+  downloadReport: {
+    summary: "Download an audit as a PDF report",
+    description: "Accepts an API key or the signed `expires`/`signature` link parameters.",
+    params: id,
+    query: v.object({
+      brand,
+      locale,
+      expires: v.string().optional(),
+      signature: v.string().optional(),
+    }),
+  },
+
+  sendWhatsAppReport: {
+    summary: "Send an audit, site audit, comparison or report over WhatsApp and/or email",
+    body: v.object({
+      channels: v
+        .array(v.enum(DELIVERY_CHANNELS), { min: 1, max: DELIVERY_CHANNELS.length })
+        .default(["whatsapp"]),
+      phoneNumbers,
+      phoneNumber,
+      emailAddresses: v
+        .array(v.email(), { min: 1 })
+        .optional()
+        .describe("Email recipients; defaults to the report's contact email"),
+      auditId: v.string({ max: 128 }).optional(),
+      siteAuditId: v.string({ max: 128 }).optional(),
+      comparisonId: v.string({ max: 128 }).optional(),
+      reportData,
+      format: v.enum(REPORT_FORMATS).default("text"),
+      email: v.string({ max: 254 }).optional(),
+      includeTrend: v.boolean().optional(),
+      useTemplate: v.boolean().optional(),
+      source: v
+        .string({ min: 1, max: 100 })
+        .default("audit-request")
+        .describe("Where the prospect came from, recorded on their lead"),
+      brand,
+      locale,
+    }),
+  },
+  getMessageStatus: {
+    summary: "Delivery timeline of a sent message",
+    params: v.object({ messageId: v.string({ min: 1, max: 256 }) }),
+  },
+
+  createConsent: {
+    summary: "Record a WhatsApp opt-in",
+    body: v.object({
+      phoneNumber: phone,
+      source: v.string({ min: 1, max: 100 }).describe("Where consent was given, e.g. website-form"),
+    }),
+  },
+  getConsent: { summary: "Consent status of a number", params: phoneParam },
+  revokeConsent: { summary: "Record a WhatsApp opt-out", params: phoneParam },
+  listSuppressions: { summary: "Do-not-contact list, opt-outs included (admin)" },
+  createSuppression: {
+    summary: "Add a number to the do-not-contact list",
+    body: v.object({ phoneNumber: phone, note: v.string({ max: 500 }).optional() }),
+  },
+  deleteSuppression: { summary: "Lift a number's suppression (admin)", params: phoneParam },
+
+  listLeads: {
+    summary: "List captured leads",
+    query: v.object({
+      ...leadFilters,
+      offset: v.integer({ min: 0 }).default(0),
+      limit: v.integer({ min: 1, max: 200 }).default(50),
+    }),
+  },
+  exportLeads: {
+    summary: "Export captured leads as CSV or JSON",
+    query: v.object({ ...leadFilters, format: v.enum(EXPORT_FORMATS).default("csv") }),
+  },
+  getLead: { summary: "Get a lead", params: id },
+
+  getAuditStatus: { summary: "Quota usage for the calling key" },
+  listTemplates: { summary: "Available report brands and locales" },
+  getPageSpeedCacheStats: { summary: "PageSpeed cache statistics (admin)" },
+  getGoogleKeyPool: { summary: "Google API key pool usage (admin)" },
+
+  createApiKey: {
+    summary: "Issue an API key (admin)",
+    body: v.object({
+      name: v.string({ min: 1, max: 100 }),
+      scopes: v.array(v.enum(Object.values(SCOPES)), { min: 1 }),
+      plan: v.string({ min: 1, max: 64 }).optional(),
+      quotas: v
+        .record(
+          v.object({
+            limit: v.integer({ min: 0 }),
+            windowMs: v.integer({ min: 1000 }),
+          })
+        )
+        .optional(),
+      brand,
+    }),
+  },
+  listApiKeys: { summary: "List API keys (admin)" },
+  rotateApiKey: { summary: "Rotate an API key (admin)", params: id },
+  revokeApiKey: { summary: "Revoke an API key (admin)", params: id },
+};
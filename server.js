@@ -1,26 +1,75 @@
+// Loads .env before any module reads its configuration
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
+import crypto from "crypto";
 import rateLimit from "express-rate-limit";
 import whatsappRoutes from "./routes.js";
-
-dotenv.config();
+import { auditQueue } from "./auditService.js";
+import { auditScheduler } from "./scheduleService.js";
+import { siteAuditQueue } from "./siteAuditService.js";
+import { crmQueue } from "./crmWebhook.js";
+import { hasGoogleApiKeys } from "./googleKeyPool.js";
+import { getLiveness, getReadiness } from "./healthService.js";
+import { getBearerToken, isMatchingToken } from "./authMiddleware.js";
+import { logger, runWithContext } from "./logger.js";
+import { ERROR_CODES, errorBody, errorEnvelope } from "./errors.js";
+import {
+  renderMetrics,
+  httpRequestDuration,
+  rateLimitRejections,
+} from "./metrics.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const log = logger.child({ module: "server" });
 
 // Validate required environment variables
 const requiredEnvVars = [
   "WHATSAPP_ACCESS_TOKEN",
   "WHATSAPP_INSTANCE_ID",
-  "NEXT_PUBLIC_GOOGLE_PAGESPEED_API_KEY",
 ];
 
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
-    console.warn(`⚠️  Warning: ${envVar} is not set`);
+    log.warn(`⚠️  Warning: ${envVar} is not set`);
   }
 }
+if (!hasGoogleApiKeys()) {
+  log.warn("⚠️  Warning: GOOGLE_PAGESPEED_API_KEYS is not set");
+}
+
+// Request ids, access logs and latency metrics. Runs first so every later
+// log line (and outbound call) carries the request's correlation id.
+const QUIET_PATHS = ["/health", "/health/live", "/health/ready", "/metrics"];
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  const requestId =
+    incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+  res.on("finish", () => {
+    // Label by route pattern, not raw path, to keep metric cardinality bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const seconds = endTimer({ route, status: res.statusCode });
+    const entry = {
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+    };
+    if (QUIET_PATHS.includes(req.path)) log.debug("request completed", entry);
+    else log.info("request completed", entry);
+  });
+
+  runWithContext({ requestId }, next);
+});
+
+// Every { success: false } response carries a machine-readable code
+app.use(errorEnvelope);
 
 // CORS Setup with allowed origins
 const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(",") || [
@@ -44,13 +93,17 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Cache-Control", "X-Request-Id"],
+    exposedHeaders: ["X-Cache", "Age", "X-Request-Id"],
   })
 );
 
-// Body parser middleware
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// Body parser middleware (raw body kept for webhook signature checks)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: "10mb", verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: "10mb", verify: keepRawBody }));
 
 // Rate limiter for general requests
 const generalLimiter = rateLimit({
@@ -59,34 +112,24 @@ const generalLimiter = rateLimit({
   message: "Too many requests, please try again later",
   standardHeaders: true,
   legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    rateLimitRejections.inc({ limiter: "general" });
+    log.warn("🚦 Rate limit exceeded", { ip: req.ip, path: req.path });
+    res
+      .status(options.statusCode)
+      .json(errorBody(options.statusCode, options.message, { code: ERROR_CODES.RATE_LIMITED }));
+  },
 });
 
-// Rate limiter for audit endpoint (stricter)
-const auditLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // 3 audits per hour per IP
-  message: "Audit limit exceeded. Maximum 3 audits per hour",
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Apply rate limiting
+// Apply rate limiting (audit quotas are enforced by quotaService)
 app.use((req, res, next) => {
-  if (req.path === "/health") {
+  // Health checks, metrics scrapes and provider webhooks are never rate limited
+  if (QUIET_PATHS.includes(req.path) || req.path === "/api/webhooks/whatsapp") {
     return next();
   }
-  if (req.path === "/api/send-whatsapp-report") {
-    return auditLimiter(req, res, next);
-  }
   generalLimiter(req, res, next);
 });
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
-});
-
 // Routes
 app.use("/api", whatsappRoutes);
 
@@ -100,31 +143,75 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Liveness probe: the process is up (dependencies are not checked)
+app.get("/health/live", (req, res) => {
+  res.set("Cache-Control", "no-store").status(200).json(getLiveness());
+});
+
+// Readiness probe: 503 with a per-check breakdown when a critical dependency fails
+app.get("/health/ready", async (req, res, next) => {
+  try {
+    const readiness = await getReadiness();
+    res.set("Cache-Control", "no-store").status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Prometheus metrics (optionally protected by METRICS_TOKEN)
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !isMatchingToken(getBearerToken(req), token)) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: "Endpoint not found",
-    path: req.path,
-  });
+  res.status(404).json(
+    errorBody(404, "Endpoint not found", { code: ERROR_CODES.ENDPOINT_NOT_FOUND, path: req.path })
+  );
 });
 
+// Body parser errors thrown before any route runs
+const PARSER_ERRORS = {
+  "entity.parse.failed": { code: ERROR_CODES.INVALID_JSON, message: "Request body is not valid JSON" },
+  "entity.too.large": { code: ERROR_CODES.PAYLOAD_TOO_LARGE, message: "Request body is too large" },
+};
+
 // Error handler middleware
 app.use((err, req, res, next) => {
-  console.error("Error:", err);
-  res.status(err.status || 500).json({
-    success: false,
-    message: err.message || "Internal server error",
-    ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
-  });
+  const status = err.status || err.statusCode || 500;
+  const known = PARSER_ERRORS[err.type];
+  if (status >= 500) log.error("❌ Unhandled error", { error: err, path: req.path });
+  else log.warn(`⚠️  Request rejected: ${err.message}`, { path: req.path });
+
+  res.status(status).json(
+    errorBody(status, known?.message || err.message || "Internal server error", {
+      // Only our own codes; Node system errors carry codes like ECONNRESET
+      code: known?.code || (Object.values(ERROR_CODES).includes(err.code) ? err.code : undefined),
+      ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
+    })
+  );
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`\n🚀 Server running on port ${PORT}`);
-  console.log(`📱 WhatsApp integration enabled`);
-  console.log(`🔒 CORS allowed origins: ${allowedOrigins.join(", ")}`);
-  console.log(
-    `📊 Rate limiting: ${process.env.RATE_LIMIT_MAX_REQUESTS} requests per 15 minutes\n`
-  );
+  auditQueue
+    .start()
+    .catch((err) => log.error("❌ Failed to start audit queue", { error: err }));
+  siteAuditQueue
+    .start()
+    .catch((err) => log.error("❌ Failed to start site audit queue", { error: err }));
+  crmQueue
+    .start()
+    .catch((err) => log.error("❌ Failed to start CRM webhook queue", { error: err }));
+  if (process.env.SCHEDULER_ENABLED !== "false") auditScheduler.start();
+
+  log.info(`🚀 Server running on port ${PORT}`, {
+    port: Number(PORT),
+    allowedOrigins,
+    rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  });
 });
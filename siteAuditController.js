@@ -0,0 +1,101 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🗺️ Site Audit Controller
+ * --------------------------------------------------------------------------
+ * Queues site-wide audits from a URL list or sitemap and reports their
+ * progress and aggregated summary.
+ * --------------------------------------------------------------------------
+ */
+
+import { siteAuditQueue, enqueueSiteAudit } from "./siteAuditService.js";
+import { canAccess } from "./authMiddleware.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "siteAuditController" });
+
+/**
+ * Shapes a stored site audit job for API responses.
+ */
+const toSiteAuditResponse = (job) => ({
+  id: job.id,
+  status: job.status,
+  source: job.input.sitemapUrl ? "sitemap" : "urls",
+  sitemapUrl: job.input.sitemapUrl || null,
+  maxPages: job.input.maxPages,
+  strategies: job.input.strategies,
+  progress: job.progress,
+  attempts: job.attempts,
+  summary: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  finishedAt: job.finishedAt,
+});
+
+/**
+ * Queues a site audit.
+ * Body: { urls: string[] } or { sitemapUrl }, plus optional maxPages and
+ * strategies.
+ */
+export const createSiteAudit = async (req, res) => {
+  try {
+    const { urls, sitemapUrl, maxPages, strategies } = req.body;
+
+    if (!sitemapUrl === !urls) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide either a list of URLs or a sitemap URL",
+      });
+    }
+
+    const job = await enqueueSiteAudit({
+      urls,
+      sitemapUrl,
+      maxPages,
+      strategies: [...new Set(strategies)],
+      ownerId: req.apiKey.clientId,
+      quota: req.quota?.reservation ?? null,
+    });
+
+    log.info(`🗺️ Site audit ${job.id} queued (${sitemapUrl || `${urls.length} URLs`})`);
+    return res.status(202).json({
+      success: true,
+      siteAuditId: job.id,
+      status: job.status,
+      maxPages: job.input.maxPages,
+      statusUrl: `/api/site-audits/${job.id}`,
+    });
+  } catch (error) {
+    log.error("❌ Failed to queue site audit", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Returns a site audit's progress and, once finished, its summary.
+ */
+export const getSiteAudit = async (req, res) => {
+  try {
+    const job = await siteAuditQueue.get(req.params.id);
+
+    if (!job || !canAccess(req, job.input.ownerId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Site audit not found",
+      });
+    }
+
+    return res.status(200).json({ success: true, siteAudit: toSiteAuditResponse(job) });
+  } catch (error) {
+    log.error("❌ Failed to load site audit", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
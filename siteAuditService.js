@@ -0,0 +1,189 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🗺️ Site Audit Service
+ * --------------------------------------------------------------------------
+ * Audits many pages of a site in the background. Pages come from an
+ * explicit URL list or a sitemap (whose pages must pass the URL policy
+ * too); they are deduplicated, capped, audited with bounded concurrency
+ * and rolled up into a site summary. Each page is stored as a regular
+ * audit, so page history and trends keep working.
+ * --------------------------------------------------------------------------
+ */
+
+import { performAudit } from "./auditService.js";
+import { toUrlKey } from "./auditStore.js";
+import { buildSiteReport } from "./reportAggregator.js";
+import { fetchSitemapUrls } from "./sitemap.js";
+import { checkUrl } from "./urlPolicy.js";
+import { createJobQueue } from "./jobQueue.js";
+import { releaseReservation } from "./quotaService.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "siteAuditService" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  MAX_PAGES: parseInt(process.env.SITE_AUDIT_MAX_PAGES) || 25,
+  PAGE_CONCURRENCY: parseInt(process.env.SITE_AUDIT_CONCURRENCY) || 3,
+  JOB_CONCURRENCY: parseInt(process.env.SITE_AUDIT_JOB_CONCURRENCY) || 1,
+  JOB_STORE: process.env.AUDIT_JOB_STORE, // "memory" | "file", defaults to STORAGE_DRIVER
+};
+
+export const SITE_AUDIT_MAX_PAGES = CONFIG.MAX_PAGES;
+const MAX_ATTEMPTS = 2;
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Keeps the first occurrence of each http(s) URL (compared by toUrlKey)
+ * and caps the list at `limit`.
+ */
+export const dedupeUrls = (urls, limit) => {
+  const seen = new Set();
+  const unique = [];
+  for (const url of urls) {
+    let parsed;
+    try {
+      parsed = new URL(String(url).trim());
+    } catch {
+      continue;
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) continue;
+
+    const key = toUrlKey(parsed.href);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    unique.push(parsed.href);
+    if (unique.length >= limit) break;
+  }
+  return unique;
+};
+
+/**
+ * Runs sitemap page URLs through the URL policy, keeping the normalized
+ * URLs it accepts in their original order. Submitted URL lists are checked
+ * by the route already.
+ */
+const applyUrlPolicy = async (urls) => {
+  const checks = await Promise.allSettled(urls.map((url) => checkUrl(url)));
+  return checks.flatMap((check, i) => {
+    if (check.status === "fulfilled") return [check.value.url];
+    log.warn(`⚠️  Skipping sitemap page ${urls[i]}: ${check.reason.message}`);
+    return [];
+  });
+};
+
+/**
+ * Caps a requested page count at SITE_AUDIT_MAX_PAGES.
+ */
+export const getPageLimit = (maxPages) => Math.min(maxPages || CONFIG.MAX_PAGES, CONFIG.MAX_PAGES);
+
+/**
+ * Gives back the audit quota reserved for pages beyond the first `used`.
+ */
+const releaseUnusedQuota = async (reservation, used) => {
+  if (!reservation) return;
+  await releaseReservation({ ...reservation, hits: reservation.hits.slice(used) });
+};
+
+/**
+ * Runs `fn` over `items` with at most `limit` calls in flight, preserving
+ * result order.
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🧵 SITE AUDIT QUEUE */
+/* -------------------------------------------------------------------------- */
+
+export const siteAuditQueue = createJobQueue({
+  name: "site-audit-jobs",
+  concurrency: CONFIG.JOB_CONCURRENCY,
+  maxAttempts: MAX_ATTEMPTS,
+  driver: CONFIG.JOB_STORE,
+  handler: async (job, updateProgress) => {
+    const { urls = [], sitemapUrl, maxPages, strategies, ownerId, quota } = job.input;
+
+    let candidates;
+    try {
+      candidates = sitemapUrl
+        ? await applyUrlPolicy(await fetchSitemapUrls(sitemapUrl, { limit: maxPages * 2 }))
+        : urls;
+    } catch (error) {
+      // No page was audited: the last attempt gives the reserved quota back
+      if (error.fatal || job.attempts >= MAX_ATTEMPTS) await releaseUnusedQuota(quota, 0);
+      throw error;
+    }
+    const pageUrls = dedupeUrls(candidates, maxPages);
+    await releaseUnusedQuota(quota, pageUrls.length);
+    if (!pageUrls.length) {
+      throw Object.assign(new Error("No auditable page URLs found"), {
+        status: 400,
+        fatal: true,
+      });
+    }
+
+    let completed = 0;
+    let failed = 0;
+    await updateProgress({ total: pageUrls.length, completed, failed });
+
+    const pages = await mapWithConcurrency(pageUrls, CONFIG.PAGE_CONCURRENCY, async (url) => {
+      try {
+        const audit = await performAudit({ url, strategies, ownerId });
+        completed++;
+        return { url, auditId: audit.id, report: audit.report };
+      } catch (error) {
+        failed++;
+        log.warn(`⚠️  Site audit page failed (${url}): ${error.message}`);
+        return { url, error: error.message };
+      } finally {
+        await updateProgress({ completed, failed });
+      }
+    });
+
+    const site = new URL(sitemapUrl || pageUrls[0]).origin;
+    return buildSiteReport({ site, pages });
+  },
+});
+
+/**
+ * Queues a site audit and resolves with the stored job. Pass either `urls`
+ * or `sitemapUrl`; `maxPages` is capped by SITE_AUDIT_MAX_PAGES. `quota`
+ * is the audit quota reservation for the pages; uses for pages that are
+ * not audited are released once the page list is known.
+ */
+export const enqueueSiteAudit = ({
+  urls,
+  sitemapUrl,
+  maxPages,
+  strategies,
+  ownerId = null,
+  quota = null,
+}) =>
+  siteAuditQueue.add(
+    {
+      urls,
+      sitemapUrl,
+      maxPages: getPageLimit(maxPages),
+      strategies,
+      ownerId,
+      quota,
+    },
+    { total: null, completed: 0, failed: 0 }
+  );
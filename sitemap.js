@@ -0,0 +1,147 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🗺️ Sitemap Reader
+ * --------------------------------------------------------------------------
+ * Fetches a sitemap.xml (plain or gzipped) and collects its page URLs,
+ * following sitemap index files breadth-first until the page limit is
+ * reached. As the sitemap protocol requires, only child sitemaps and pages
+ * on the sitemap's own host are kept (with or without "www.").
+ * --------------------------------------------------------------------------
+ */
+
+import zlib from "zlib";
+import { policyFetch } from "./urlPolicy.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "sitemap" });
+
+const CONFIG = {
+  TIMEOUT: 15000,
+  MAX_BYTES: 10 * 1024 * 1024,
+  MAX_SITEMAPS: 20,
+};
+
+const XML_ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&apos;": "'",
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Builds a sitemap error carrying an HTTP status. Client-side problems
+ * (bad URL, 4xx, unparseable XML) are flagged fatal so jobs do not retry.
+ */
+const sitemapError = (status, message, fatal = status < 500) =>
+  Object.assign(new Error(message), { status, fatal });
+
+/**
+ * Extracts the <loc> values of a sitemap document.
+ */
+const extractLocs = (xml) =>
+  [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gis)].map(
+    ([, loc]) => loc.replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity])
+  );
+
+/**
+ * Returns a filter keeping URLs on the same host as `base`, ignoring a
+ * leading "www.".
+ */
+const onHostOf = (base) => {
+  const host = (url) => new URL(url).host.replace(/^www\./i, "").toLowerCase();
+  const expected = host(base);
+  return (url) => {
+    try {
+      return host(url) === expected;
+    } catch {
+      return false;
+    }
+  };
+};
+
+/**
+ * Downloads a sitemap and returns its XML text, gunzipping when needed.
+ * The unzipped text is held to the same MAX_BYTES as the download.
+ */
+const downloadSitemap = async (url) => {
+  let response;
+  try {
+    response = await policyFetch(url, {
+      responseType: "arraybuffer",
+      timeout: CONFIG.TIMEOUT,
+      maxContentLength: CONFIG.MAX_BYTES,
+      headers: { Accept: "application/xml, text/xml, */*" },
+    });
+  } catch (error) {
+    // URL policy rejections keep their status and code
+    if (error.fatal) throw error;
+    throw sitemapError(502, `Could not fetch sitemap ${url}: ${error.message}`);
+  }
+  if (response.status >= 400) {
+    throw sitemapError(
+      response.status < 500 ? 400 : 502,
+      `Could not fetch sitemap ${url}: HTTP ${response.status}`
+    );
+  }
+
+  let body = Buffer.from(response.data);
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    try {
+      body = zlib.gunzipSync(body, { maxOutputLength: CONFIG.MAX_BYTES });
+    } catch (error) {
+      if (error.code === "ERR_BUFFER_TOO_LARGE") {
+        throw sitemapError(400, `Sitemap ${url} is larger than ${CONFIG.MAX_BYTES} bytes unzipped`);
+      }
+      throw sitemapError(400, `Sitemap ${url} is not valid gzip`);
+    }
+  }
+  return body.toString("utf8");
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 SITEMAP READER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Resolves a sitemap (or sitemap index) into at most `limit` page URLs.
+ * Only a failure of `sitemapUrl` itself rejects; child sitemaps that cannot
+ * be fetched or parsed are logged and skipped.
+ */
+export const fetchSitemapUrls = async (sitemapUrl, { limit = 50 } = {}) => {
+  const sameHost = onHostOf(sitemapUrl);
+  const queue = [sitemapUrl];
+  const visited = new Set();
+  const pages = [];
+
+  while (queue.length && pages.length < limit && visited.size < CONFIG.MAX_SITEMAPS) {
+    const url = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    let xml;
+    try {
+      xml = await downloadSitemap(url);
+    } catch (error) {
+      if (url === sitemapUrl) throw error;
+      log.warn(`⚠️  Skipping child sitemap ${url}: ${error.message}`);
+      continue;
+    }
+
+    if (/<sitemapindex[\s>]/i.test(xml)) {
+      queue.push(...extractLocs(xml).filter(sameHost));
+    } else if (/<urlset[\s>]/i.test(xml)) {
+      pages.push(...extractLocs(xml).filter(sameHost).slice(0, limit - pages.length));
+    } else if (url === sitemapUrl) {
+      throw sitemapError(400, `${url} is not a sitemap or sitemap index`);
+    } else {
+      log.warn(`⚠️  Skipping child sitemap ${url}: not a sitemap`);
+    }
+  }
+
+  return pages;
+};
@@ -0,0 +1,198 @@
+/**
+ * --------------------------------------------------------------------------
+ * 💾 Storage Layer
+ * --------------------------------------------------------------------------
+ * Pluggable record collections used by the persistent subsystems.
+ * The default "file" driver keeps each collection as a JSON file under
+ * DATA_DIR; the "memory" driver is volatile. Other backends can be added
+ * with registerStorageDriver().
+ * --------------------------------------------------------------------------
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "storage" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  DRIVER: process.env.STORAGE_DRIVER || "file",
+  DATA_DIR: process.env.DATA_DIR || path.resolve("data"),
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🧠 MEMORY DRIVER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Creates a volatile collection backed by a Map.
+ * Every driver exposes the same async interface.
+ */
+const createMemoryCollection = () => {
+  const records = new Map();
+
+  return {
+    async get(id) {
+      return records.get(id) || null;
+    },
+    async insert(record) {
+      records.set(record.id, record);
+      return record;
+    },
+    async update(id, patch) {
+      const existing = records.get(id);
+      if (!existing) return null;
+      const updated =
+        typeof patch === "function" ? patch(existing) : { ...existing, ...patch };
+      records.set(id, updated);
+      return updated;
+    },
+    async remove(id) {
+      return records.delete(id);
+    },
+    async find(predicate = () => true) {
+      return [...records.values()].filter(predicate);
+    },
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 📁 FILE DRIVER */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Creates a collection persisted as a JSON file. The file is loaded lazily
+ * and rewritten atomically after each mutation; writes are serialized.
+ */
+const createFileCollection = (name) => {
+  const file = path.join(CONFIG.DATA_DIR, `${name}.json`);
+  const memory = createMemoryCollection();
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const records = JSON.parse(await fs.readFile(file, "utf8"));
+          for (const record of records) await memory.insert(record);
+        } catch (err) {
+          if (err.code !== "ENOENT") {
+            log.error(`❌ Failed to load ${file}`, { error: err });
+            throw err;
+          }
+        }
+      })();
+    }
+    return loading;
+  };
+
+  const persist = () => {
+    writing = writing.catch(() => {}).then(async () => {
+      const records = await memory.find();
+      const tmp = `${file}.tmp`;
+      await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+      await fs.writeFile(tmp, JSON.stringify(records, null, 2));
+      await fs.rename(tmp, file);
+    });
+    return writing;
+  };
+
+  return {
+    async get(id) {
+      await load();
+      return memory.get(id);
+    },
+    async insert(record) {
+      await load();
+      await memory.insert(record);
+      await persist();
+      return record;
+    },
+    async update(id, patch) {
+      await load();
+      const updated = await memory.update(id, patch);
+      if (updated) await persist();
+      return updated;
+    },
+    async remove(id) {
+      await load();
+      const removed = await memory.remove(id);
+      if (removed) await persist();
+      return removed;
+    },
+    async find(predicate) {
+      await load();
+      return memory.find(predicate);
+    },
+  };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🔌 DRIVER REGISTRY */
+/* -------------------------------------------------------------------------- */
+
+const drivers = {
+  memory: createMemoryCollection,
+  file: createFileCollection,
+};
+
+/**
+ * Registers a custom storage driver. The factory receives the collection
+ * name and must return an object with get/insert/update/remove/find.
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Creates a named collection using the configured (or given) driver.
+ * The driver is resolved on first use, so drivers registered after the
+ * collection is declared still apply.
+ */
+export const createCollection = (name, driver) => {
+  let instance = null;
+
+  const resolve = () => {
+    if (!instance) {
+      const driverName = driver || CONFIG.DRIVER;
+      const factory = drivers[driverName];
+      if (!factory) {
+        throw new Error(`Unknown storage driver: ${driverName}`);
+      }
+      instance = factory(name);
+    }
+    return instance;
+  };
+
+  return {
+    get: async (id) => resolve().get(id),
+    insert: async (record) => resolve().insert(record),
+    update: async (id, patch) => resolve().update(id, patch),
+    remove: async (id) => resolve().remove(id),
+    find: async (predicate) => resolve().find(predicate),
+  };
+};
+
+/**
+ * Verifies the default backend is usable: for the file driver, DATA_DIR
+ * must be writable. Resolves with the driver details, rejects otherwise.
+ */
+export const checkStorage = async () => {
+  if (CONFIG.DRIVER !== "file") {
+    if (!drivers[CONFIG.DRIVER]) {
+      throw new Error(`Unknown storage driver: ${CONFIG.DRIVER}`);
+    }
+    return { driver: CONFIG.DRIVER };
+  }
+
+  const probe = path.join(CONFIG.DATA_DIR, `.health-${process.pid}`);
+  await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+  await fs.writeFile(probe, String(Date.now()));
+  await fs.rm(probe, { force: true });
+  return { driver: CONFIG.DRIVER, dataDir: CONFIG.DATA_DIR };
+};
@@ -0,0 +1,373 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🌐 Report Templates
+ * --------------------------------------------------------------------------
+ * Locale string bundles and white-label brands for WhatsApp messages,
+ * emails and PDF reports. A template combines a brand (name, colors,
+ * fonts, timezone, default country code) with a locale, and exposes
+ * `t(key, vars)` for translated strings. Brands can override any string
+ * per locale.
+ *
+ * Brands are configured as JSON, either inline in BRANDS or in the file
+ * named by BRANDS_FILE:
+ *
+ *   {
+ *     "acme": {
+ *       "name": "Acme Digital",
+ *       "locale": "hi",
+ *       "timezone": "Asia/Kolkata",
+ *       "countryCode": "91",
+ *       "colors": { "primary": "#0f766e", "accent": "#14b8a6" },
+ *       "fonts": { "regular": "/fonts/NotoSans.ttf", "bold": "/fonts/NotoSans-Bold.ttf" },
+ *       "strings": { "hi": { "footer.help": "..." } }
+ *     }
+ *   }
+ *
+ * Recommendations come from PageSpeed audit titles and stay in English.
+ * --------------------------------------------------------------------------
+ */
+
+import fs from "fs";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "templates" });
+
+/* -------------------------------------------------------------------------- */
+/* 🗣️ LOCALES */
+/* -------------------------------------------------------------------------- */
+
+export const DEFAULT_LOCALE = "en";
+
+const en = {
+  "rating.excellent": "Excellent",
+  "rating.good": "Good",
+  "rating.average": "Average",
+  "rating.needsImprovement": "Needs Improvement",
+  "rating.poor": "Poor",
+  "rating.na": "N/A",
+
+  "health.highRisk": "🚨 High Risk",
+  "health.moderateRisk": "⚠️ Moderate Risk",
+  "health.excellent": "✅ Excellent Health",
+  "health.needsImprovement": "🟡 Needs Improvement",
+
+  "score.overall": "Overall",
+  "score.performance": "Performance",
+  "score.mobile": "Mobile",
+  "score.desktop": "Desktop",
+  "score.seo": "SEO",
+  "score.accessibility": "Accessibility",
+  "score.bestPractices": "Best Practices",
+
+  "metric.fcp": "FCP",
+  "metric.lcp": "LCP",
+  "metric.cls": "CLS",
+  "metric.speedIndex": "Speed Index",
+  "metric.tti": "TTI",
+  "metric.tbt": "TBT",
+  "metricName.fcp": "First Contentful Paint (FCP)",
+  "metricName.lcp": "Largest Contentful Paint (LCP)",
+  "metricName.cls": "Cumulative Layout Shift (CLS)",
+  "metricName.speedIndex": "Speed Index",
+  "metricName.tti": "Time to Interactive (TTI)",
+  "metricName.tbt": "Total Blocking Time (TBT)",
+
+  "report.title": "COMPREHENSIVE SEO AUDIT REPORT",
+  "report.website": "Website",
+  "report.contact": "Contact",
+  "report.status": "Status",
+  "report.generated": "Generated",
+  "report.performanceOverview": "PERFORMANCE OVERVIEW",
+  "report.coreMetrics": "CORE METRICS",
+  "report.webVitals": "CORE WEB VITALS",
+  "report.issuesSummary": "ISSUES SUMMARY",
+  "report.topRecommendations": "TOP RECOMMENDATIONS",
+  "report.caption": "📄 SEO Audit Report for {url}",
+
+  "issues.critical": "Critical",
+  "issues.warnings": "Warnings",
+  "issues.passed": "Passed",
+  "issues.passRate": "Pass Rate",
+  "issues.total": "Total",
+
+  "trend.sinceLast": "Since last audit: {change}",
+  "trend.noChange": "no change",
+
+  "footer.tagline": "Professional SEO Audit by {brand}",
+  "footer.help": "*Need help?* Reply to discuss optimization strategies!",
+  "footer.cta": "Let's elevate your digital presence together.",
+
+  "pdf.title": "Comprehensive SEO Audit Report",
+  "pdf.documentTitle": "SEO Audit Report - {url}",
+  "pdf.performanceOverview": "Performance Overview",
+  "pdf.webVitals": "Core Web Vitals",
+  "pdf.issuesSummary": "Issues Summary",
+  "pdf.recommendations": "Recommendations",
+  "pdf.metric": "Metric",
+  "pdf.value": "Value",
+  "pdf.rating": "Rating",
+  "pdf.totalIssues": "Total issues: {count}",
+  "pdf.noRecommendations": "No recommendations - great job!",
+  "pdf.page": "Page {page} of {count}",
+
+  "email.subject": "SEO Audit Report - {url}",
+  "email.siteSubject": "Site-wide SEO Audit Summary - {url}",
+  "email.compareSubject": "Competitor Comparison - {url}",
+
+  "alert.title": "PERFORMANCE ALERT",
+  "alert.summary.one": "Your scheduled audit of {url} found 1 regression since the last run:",
+  "alert.summary.other":
+    "Your scheduled audit of {url} found {count} regressions since the last run:",
+
+  "site.title": "SITE-WIDE SEO AUDIT SUMMARY",
+  "site.site": "Site",
+  "site.pagesAudited": "Pages audited",
+  "site.averageScores": "AVERAGE SCORES",
+  "site.worstPages": "PAGES NEEDING ATTENTION",
+  "site.slowestPages": "SLOWEST PAGES (LCP)",
+  "site.commonIssues": "MOST COMMON ISSUES",
+  "site.pagesAffected": "{count}/{total} pages",
+  "site.failedPages": "{count} page(s) could not be audited",
+
+  "compare.title": "COMPETITOR COMPARISON",
+  "compare.you": "You",
+  "compare.rival": "Rival {letter}",
+  "compare.scores": "SCORES",
+  "compare.behind": "WHERE YOU'RE BEHIND",
+  "compare.behindLine": "{metric}: {you} vs {best} ({leader})",
+  "compare.leading": "You lead or tie on every metric 🏆",
+  "compare.failed": "{name} could not be audited",
+};
+
+const hi = {
+  "rating.excellent": "उत्कृष्ट",
+  "rating.good": "अच्छा",
+  "rating.average": "औसत",
+  "rating.needsImprovement": "सुधार आवश्यक",
+  "rating.poor": "कमज़ोर",
+  "rating.na": "लागू नहीं",
+
+  "health.highRisk": "🚨 उच्च जोखिम",
+  "health.moderateRisk": "⚠️ मध्यम जोखिम",
+  "health.excellent": "✅ उत्कृष्ट स्थिति",
+  "health.needsImprovement": "🟡 सुधार आवश्यक",
+
+  "score.overall": "कुल",
+  "score.performance": "परफ़ॉर्मेंस",
+  "score.mobile": "मोबाइल",
+  "score.desktop": "डेस्कटॉप",
+  "score.seo": "एसईओ",
+  "score.accessibility": "सुलभता",
+  "score.bestPractices": "सर्वोत्तम प्रथाएँ",
+
+  "metricName.fcp": "फ़र्स्ट कंटेंटफ़ुल पेंट (FCP)",
+  "metricName.lcp": "लार्जेस्ट कंटेंटफ़ुल पेंट (LCP)",
+  "metricName.cls": "क्यूम्युलेटिव लेआउट शिफ़्ट (CLS)",
+  "metricName.speedIndex": "स्पीड इंडेक्स",
+  "metricName.tti": "टाइम टू इंटरैक्टिव (TTI)",
+  "metricName.tbt": "टोटल ब्लॉकिंग टाइम (TBT)",
+  "metric.speedIndex": "स्पीड इंडेक्स",
+
+  "report.title": "व्यापक एसईओ ऑडिट रिपोर्ट",
+  "report.website": "वेबसाइट",
+  "report.contact": "संपर्क",
+  "report.status": "स्थिति",
+  "report.generated": "तैयार किया गया",
+  "report.performanceOverview": "परफ़ॉर्मेंस अवलोकन",
+  "report.coreMetrics": "मुख्य मेट्रिक्स",
+  "report.webVitals": "कोर वेब वाइटल्स",
+  "report.issuesSummary": "समस्याओं का सारांश",
+  "report.topRecommendations": "प्रमुख सुझाव",
+  "report.caption": "📄 {url} की एसईओ ऑडिट रिपोर्ट",
+
+  "issues.critical": "गंभीर",
+  "issues.warnings": "चेतावनियाँ",
+  "issues.passed": "सफल",
+  "issues.passRate": "सफलता दर",
+  "issues.total": "कुल",
+
+  "trend.sinceLast": "पिछले ऑडिट से: {change}",
+  "trend.noChange": "कोई बदलाव नहीं",
+
+  "footer.tagline": "{brand} द्वारा पेशेवर एसईओ ऑडिट",
+  "footer.help": "*मदद चाहिए?* ऑप्टिमाइज़ेशन पर चर्चा के लिए जवाब दें!",
+  "footer.cta": "आइए मिलकर आपकी डिजिटल उपस्थिति को बेहतर बनाएँ।",
+
+  "pdf.title": "व्यापक एसईओ ऑडिट रिपोर्ट",
+  "pdf.documentTitle": "एसईओ ऑडिट रिपोर्ट - {url}",
+  "pdf.performanceOverview": "परफ़ॉर्मेंस अवलोकन",
+  "pdf.webVitals": "कोर वेब वाइटल्स",
+  "pdf.issuesSummary": "समस्याओं का सारांश",
+  "pdf.recommendations": "सुझाव",
+  "pdf.metric": "मेट्रिक",
+  "pdf.value": "मान",
+  "pdf.rating": "रेटिंग",
+  "pdf.totalIssues": "कुल समस्याएँ: {count}",
+  "pdf.noRecommendations": "कोई सुझाव नहीं - बहुत बढ़िया!",
+  "pdf.page": "पृष्ठ {page} / {count}",
+
+  "email.subject": "एसईओ ऑडिट रिपोर्ट - {url}",
+  "email.siteSubject": "पूरी साइट का एसईओ ऑडिट सारांश - {url}",
+  "email.compareSubject": "प्रतिस्पर्धी तुलना - {url}",
+
+  "alert.title": "परफ़ॉर्मेंस अलर्ट",
+  "alert.summary.one": "{url} के निर्धारित ऑडिट में पिछली बार से 1 गिरावट मिली:",
+  "alert.summary.other": "{url} के निर्धारित ऑडिट में पिछली बार से {count} गिरावटें मिलीं:",
+
+  "site.title": "पूरी साइट का एसईओ ऑडिट सारांश",
+  "site.site": "साइट",
+  "site.pagesAudited": "ऑडिट किए गए पेज",
+  "site.averageScores": "औसत स्कोर",
+  "site.worstPages": "ध्यान देने योग्य पेज",
+  "site.slowestPages": "सबसे धीमे पेज (LCP)",
+  "site.commonIssues": "सबसे आम समस्याएँ",
+  "site.pagesAffected": "{count}/{total} पेज",
+  "site.failedPages": "{count} पेज का ऑडिट नहीं हो सका",
+
+  "compare.title": "प्रतिस्पर्धी तुलना",
+  "compare.you": "आप",
+  "compare.rival": "प्रतिद्वंद्वी {letter}",
+  "compare.scores": "स्कोर",
+  "compare.behind": "जहाँ आप पीछे हैं",
+  "compare.behindLine": "{metric}: {you} बनाम {best} ({leader})",
+  "compare.leading": "आप हर मेट्रिक में आगे या बराबर हैं 🏆",
+  "compare.failed": "{name} का ऑडिट नहीं हो सका",
+};
+
+/**
+ * Supported locales. `intl` is the Intl locale for dates; `latin` tells
+ * the PDF renderer whether the built-in fonts can draw the strings.
+ */
+export const LOCALES = {
+  en: { intl: "en-US", latin: true, strings: en },
+  hi: { intl: "hi-IN", latin: false, strings: hi },
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🏷️ BRANDS */
+/* -------------------------------------------------------------------------- */
+
+export const DEFAULT_BRAND_ID = "default";
+
+const DEFAULT_BRAND = {
+  id: DEFAULT_BRAND_ID,
+  name: "Marketiq Junction",
+  locale: DEFAULT_LOCALE,
+  timezone: process.env.REPORT_TIMEZONE || "Asia/Kolkata",
+  countryCode: process.env.DEFAULT_COUNTRY_CODE || "91",
+  colors: {
+    primary: "#1e3a8a",
+    accent: "#3b82f6",
+    text: "#1f2937",
+    muted: "#6b7280",
+    track: "#e5e7eb",
+  },
+  fonts:
+    process.env.PDF_FONT_REGULAR && process.env.PDF_FONT_BOLD
+      ? { regular: process.env.PDF_FONT_REGULAR, bold: process.env.PDF_FONT_BOLD }
+      : null,
+  strings: {},
+};
+
+/**
+ * Loads brand definitions from BRANDS or BRANDS_FILE.
+ */
+const loadBrands = () => {
+  const source = process.env.BRANDS_FILE
+    ? fs.readFileSync(process.env.BRANDS_FILE, "utf8")
+    : process.env.BRANDS;
+  if (!source) return {};
+
+  try {
+    return JSON.parse(source);
+  } catch (err) {
+    log.error("❌ Invalid brand configuration", { error: err });
+    return {};
+  }
+};
+
+const BRANDS = Object.fromEntries(
+  Object.entries(loadBrands()).map(([id, brand]) => [
+    id,
+    {
+      ...DEFAULT_BRAND,
+      ...brand,
+      id,
+      colors: { ...DEFAULT_BRAND.colors, ...brand.colors },
+      strings: brand.strings || {},
+    },
+  ])
+);
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Builds an error flagged as a client input problem.
+ */
+const templateError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Creates `t(key, vars)` for a locale, with optional string overrides.
+ * Falls back to English, then to the key itself; `{name}` placeholders are
+ * filled from `vars`.
+ */
+export const createTranslator = (locale = DEFAULT_LOCALE, overrides = {}) => (key, vars = {}) => {
+  const text =
+    overrides[key] ?? LOCALES[locale]?.strings[key] ?? LOCALES[DEFAULT_LOCALE].strings[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+};
+
+/**
+ * English translator used when no template is given.
+ */
+export const translate = createTranslator(DEFAULT_LOCALE);
+
+/**
+ * True when a brand id is configured.
+ */
+export const isKnownBrand = (id) => id === DEFAULT_BRAND_ID || id in BRANDS;
+
+/**
+ * Lists configured locales and brands for clients.
+ */
+export const listTemplates = () => ({
+  locales: Object.keys(LOCALES),
+  brands: [DEFAULT_BRAND, ...Object.values(BRANDS)].map(({ id, name, locale, timezone }) => ({
+    id,
+    name,
+    locale,
+    timezone,
+  })),
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 TEMPLATE RESOLUTION */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Resolves a brand and locale into a template. The locale defaults to the
+ * brand's. Throws a 400-flagged error for unknown brands or locales.
+ */
+export const resolveTemplate = ({ brand: brandId, locale } = {}) => {
+  const brand = !brandId || brandId === DEFAULT_BRAND_ID ? DEFAULT_BRAND : BRANDS[brandId];
+  if (!brand) throw templateError(`Unknown brand "${brandId}"`);
+
+  const code = locale || brand.locale || DEFAULT_LOCALE;
+  if (!LOCALES[code]) {
+    throw templateError(
+      `Unsupported locale "${code}". Supported: ${Object.keys(LOCALES).join(", ")}`
+    );
+  }
+
+  return {
+    brand,
+    locale: code,
+    intl: LOCALES[code].intl,
+    latin: LOCALES[code].latin,
+    timeZone: brand.timezone,
+    countryCode: brand.countryCode,
+    t: createTranslator(code, brand.strings[code]),
+  };
+};
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+});
+
+const { saveAudit, getPreviousAudit } = await import("../auditStore.js");
+
+const report = (overallScore) => ({ overallScore, performanceScore: overallScore, metrics: {} });
+const tick = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+test("the previous audit comes from the same owner only", async () => {
+  const url = "https://shared.example/";
+  const own = await saveAudit({ url, strategy: "mobile", report: report(80), ownerId: "a" });
+  await tick();
+  await saveAudit({ url, strategy: "mobile", report: report(40), ownerId: "b" });
+  await tick();
+  const unowned = await saveAudit({ url, strategy: "mobile", report: report(60) });
+  await tick();
+  const latest = await saveAudit({ url, strategy: "mobile", report: report(70), ownerId: "a" });
+
+  assert.equal((await getPreviousAudit(latest)).id, own.id);
+  assert.equal(await getPreviousAudit(own), null);
+  assert.equal(await getPreviousAudit(unowned), null);
+});
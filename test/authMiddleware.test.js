@@ -0,0 +1,89 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { pageSpeedResponse } from "./helpers.js";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+});
+
+const { canAccess, getOwnerFilter, isMatchingToken } = await import("../authMiddleware.js");
+const { issueApiKey, SCOPES } = await import("../apiKeyService.js");
+const { saveAudit } = await import("../auditStore.js");
+const { buildReport } = await import("../reportAggregator.js");
+const { errorEnvelope } = await import("../errors.js");
+const { default: routes } = await import("../routes.js");
+
+const app = express();
+app.use(errorEnvelope);
+app.use(express.json());
+app.use("/api", routes);
+const server = app.listen(0, "127.0.0.1");
+await new Promise((resolve) => server.once("listening", resolve));
+after(() => server.close());
+
+/**
+ * Calls the API with `key` as the bearer token (none when null).
+ */
+const call = (path, key) =>
+  fetch(`http://127.0.0.1:${server.address().port}/api${path}`, {
+    headers: key ? { Authorization: `Bearer ${key}` } : {},
+  });
+
+const issue = async (name, scopes = [SCOPES.READ_HISTORY]) => {
+  const { key, record } = await issueApiKey({ name, scopes });
+  return { key, clientId: record.clientId };
+};
+
+const alice = await issue("alice");
+const bob = await issue("bob");
+const url = "https://shared.example";
+const report = buildReport({ url, mobile: pageSpeedResponse() });
+const aliceAudit = await saveAudit({ url, report, ownerId: alice.clientId });
+const bobAudit = await saveAudit({ url, report, ownerId: bob.clientId });
+
+test("keys only reach their own client's resources, admins reach all", () => {
+  const client = { apiKey: { clientId: "client-a", scopes: [SCOPES.READ_HISTORY] } };
+  const admin = { apiKey: { clientId: "ops", scopes: [SCOPES.ADMIN] } };
+
+  assert.equal(canAccess(client, "client-a"), true);
+  assert.equal(canAccess(client, "client-b"), false);
+  assert.equal(canAccess(client, null), false);
+  assert.equal(canAccess(admin, "client-b"), true);
+  assert.equal(canAccess({}, null), false);
+
+  assert.equal(getOwnerFilter(client), "client-a");
+  assert.equal(getOwnerFilter(admin), undefined);
+  assert.equal(getOwnerFilter({}), undefined);
+});
+
+test("audit history is isolated per client", async () => {
+  const list = async (key) => (await (await call("/audits", key)).json()).audits.map((a) => a.id);
+
+  assert.deepEqual(await list(alice.key), [aliceAudit.id]);
+  assert.deepEqual(await list(bob.key), [bobAudit.id]);
+  assert.deepEqual((await list("test-admin-key")).sort(), [aliceAudit.id, bobAudit.id].sort());
+
+  assert.equal((await call(`/audits/${aliceAudit.id}`, alice.key)).status, 200);
+  // Another client's audit looks like it does not exist
+  const foreign = await call(`/audits/${bobAudit.id}`, alice.key);
+  assert.equal(foreign.status, 404);
+  assert.equal((await foreign.json()).code, "NOT_FOUND");
+});
+
+test("history routes require a key with the history scope", async () => {
+  assert.equal((await call("/audits")).status, 401);
+  const sender = await issue("sender", [SCOPES.SEND_WHATSAPP]);
+  assert.equal((await call("/audits", sender.key)).status, 403);
+  assert.equal((await call("/audits", "sk_unknown")).status, 401);
+});
+
+test("tokens match a configured secret only when both are set and equal", () => {
+  assert.equal(isMatchingToken("scrape-token", "scrape-token"), true);
+  assert.equal(isMatchingToken("scrape-token-x", "scrape-token"), false);
+  assert.equal(isMatchingToken("short", "scrape-token"), false);
+  assert.equal(isMatchingToken(null, "scrape-token"), false);
+  assert.equal(isMatchingToken("", undefined), false);
+});
@@ -0,0 +1,131 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+  WHATSAPP_META_APP_SECRET: "test-app-secret",
+});
+
+const { parsePhoneNumber, PHONE_REJECTIONS } = await import("../phoneNumber.js");
+const {
+  parseConsentKeyword,
+  checkRecipientConsent,
+  getConsent,
+  recordOptIn,
+  suppressNumber,
+  CONSENT_REASONS,
+} = await import("../consentStore.js");
+const { default: routes } = await import("../routes.js");
+
+const app = express();
+app.use(express.json({ verify: (req, res, buf) => (req.rawBody = buf) }));
+app.use("/api", routes);
+const server = app.listen(0, "127.0.0.1");
+await new Promise((resolve) => server.once("listening", resolve));
+after(() => server.close());
+
+/**
+ * Posts a signed Meta webhook carrying one inbound text message.
+ */
+const reply = async (from, text) => {
+  const body = JSON.stringify({
+    entry: [
+      {
+        changes: [
+          {
+            value: {
+              messages: [
+                { from, id: crypto.randomUUID(), type: "text", text: { body: text } },
+              ],
+            },
+          },
+        ],
+      },
+    ],
+  });
+  const signature = crypto.createHmac("sha256", "test-app-secret").update(body).digest("hex");
+  const response = await fetch(
+    `http://127.0.0.1:${server.address().port}/api/webhooks/whatsapp`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Hub-Signature-256": `sha256=${signature}` },
+      body,
+    }
+  );
+  assert.equal(response.status, 200);
+};
+
+test("numbers are parsed to E.164 from national and international forms", () => {
+  for (const input of ["9876543210", "098765 43210", "+91 98765-43210", "0091 9876543210"]) {
+    const parsed = parsePhoneNumber(input, "91");
+    assert.equal(parsed.valid, true, input);
+    assert.equal(parsed.e164, "+919876543210");
+    assert.equal(parsed.digits, "919876543210");
+    assert.equal(parsed.region, "IN");
+  }
+  // Not a valid Indian number, but valid as an international one without "+"
+  assert.equal(parsePhoneNumber("447911123456", "91").e164, "+447911123456");
+  assert.equal(parsePhoneNumber("+1 201 555 0123", "91").type, "FIXED_LINE_OR_MOBILE");
+});
+
+test("invalid numbers and landlines are rejected with a reason", () => {
+  for (const input of ["12345", "", null, "+91 12345"]) {
+    assert.equal(parsePhoneNumber(input, "91").reason, PHONE_REJECTIONS.INVALID, String(input));
+  }
+  const landline = parsePhoneNumber("+44 20 7946 0958", "91");
+  assert.equal(landline.valid, false);
+  assert.equal(landline.reason, PHONE_REJECTIONS.UNSUPPORTED_TYPE);
+  assert.match(landline.error, /fixed line/);
+});
+
+test("STOP and START keywords are matched on the whole reply", () => {
+  for (const text of ["STOP", " stop ", "Stop!", "opt-out", "Unsubscribe."]) {
+    assert.equal(parseConsentKeyword(text), "opt_out", text);
+  }
+  for (const text of ["START", "unstop", "Opt in"]) {
+    assert.equal(parseConsentKeyword(text), "opt_in", text);
+  }
+  for (const text of ["please stop sending these", "started", "", undefined]) {
+    assert.equal(parseConsentKeyword(text), null, String(text));
+  }
+});
+
+test("a STOP reply suppresses the number and START lifts it", async () => {
+  const digits = "919876543210";
+  assert.equal((await checkRecipientConsent(digits)).reason, CONSENT_REASONS.NO_CONSENT);
+  await recordOptIn(digits, { source: "website-form" });
+  assert.equal((await checkRecipientConsent(digits)).allowed, true);
+
+  await reply(digits, "STOP");
+  const stopped = await checkRecipientConsent(digits);
+  assert.equal(stopped.allowed, false);
+  assert.equal(stopped.reason, CONSENT_REASONS.OPTED_OUT);
+
+  await reply(digits, "start");
+  assert.equal((await checkRecipientConsent(digits)).allowed, true);
+
+  const record = await getConsent(digits);
+  assert.deepEqual(
+    record.history.map(({ event, source }) => [event, source]),
+    [
+      ["opt_in", "website-form"],
+      ["opt_out", "whatsapp-reply:meta"],
+      ["opt_in", "whatsapp-reply:meta"],
+    ]
+  );
+});
+
+test("START never lifts a do-not-contact entry", async () => {
+  const digits = "447911123456";
+  await recordOptIn(digits, { source: "website-form" });
+  await suppressNumber(digits, { note: "complaint", source: "api" });
+  await reply(digits, "STOP");
+  await reply(digits, "START");
+
+  const check = await checkRecipientConsent(digits);
+  assert.equal(check.allowed, false);
+  assert.equal(check.reason, CONSENT_REASONS.SUPPRESSED);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getNextRun, parseCron } from "../cron.js";
+
+const next = (expression, from) => {
+  const run = getNextRun(expression, Date.parse(from));
+  return run === null ? null : new Date(run).toISOString();
+};
+
+test("runs strictly after `from`, ignoring seconds", () => {
+  assert.equal(next("@hourly", "2026-10-18T10:00:00.000Z"), "2026-10-18T11:00:00.000Z");
+  assert.equal(next("@hourly", "2026-10-18T10:00:30.000Z"), "2026-10-18T11:00:00.000Z");
+  assert.equal(next("*/15 * * * *", "2026-10-18T10:14:59.999Z"), "2026-10-18T10:15:00.000Z");
+});
+
+test("skips months too short for the day", () => {
+  assert.equal(next("0 0 31 * *", "2026-04-15T00:00:00Z"), "2026-05-31T00:00:00.000Z");
+  assert.equal(next("0 0 30 * *", "2026-01-31T00:00:00Z"), "2026-03-30T00:00:00.000Z");
+});
+
+test("finds leap days within a year and gives up on impossible dates", () => {
+  assert.equal(next("0 12 29 2 *", "2027-03-01T00:00:00Z"), "2028-02-29T12:00:00.000Z");
+  assert.equal(next("0 0 30 2 *", "2026-01-01T00:00:00Z"), null);
+});
+
+test("rolls over into the next year", () => {
+  assert.equal(next("0 0 1 1 *", "2026-12-31T23:59:00Z"), "2027-01-01T00:00:00.000Z");
+  assert.equal(next("59 23 31 12 *", "2026-12-31T23:59:00Z"), "2027-12-31T23:59:00.000Z");
+});
+
+test("matches either day field when both are restricted", () => {
+  // 2026-10-18 is a Sunday: the 13th or any Friday, whichever comes first
+  assert.equal(next("0 9 13 * 5", "2026-10-18T00:00:00Z"), "2026-10-23T09:00:00.000Z");
+  assert.equal(next("0 9 13 * *", "2026-10-18T00:00:00Z"), "2026-11-13T09:00:00.000Z");
+  assert.equal(next("0 9 * * 5", "2026-10-18T00:00:00Z"), "2026-10-23T09:00:00.000Z");
+});
+
+test("treats weekday 7 as Sunday", () => {
+  assert.equal(next("0 0 * * 7", "2026-10-17T12:00:00Z"), "2026-10-18T00:00:00.000Z");
+  assert.equal(next("0 0 * * 0", "2026-10-17T12:00:00Z"), "2026-10-18T00:00:00.000Z");
+});
+
+test("expands steps over ranges and from a start value", () => {
+  assert.equal(next("*/20 9-10 * * *", "2026-10-18T10:40:00Z"), "2026-10-19T09:00:00.000Z");
+  assert.deepEqual([...parseCron("5/15 * * * *").minute], [5, 20, 35, 50]);
+  assert.deepEqual([...parseCron("0 9-17/4 * * *").hour], [9, 13, 17]);
+});
+
+test("rejects invalid expressions with a 400", () => {
+  for (const expression of ["60 * * * *", "* * *", "5-1 * * * *", "*/0 * * * *", "@yearly"]) {
+    assert.throws(() => parseCron(expression), { status: 400 }, expression);
+  }
+});
@@ -0,0 +1,69 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startSmtpSink } from "./helpers.js";
+
+const smtp = await startSmtpSink();
+
+Object.assign(process.env, {
+  LOG_LEVEL: "error",
+  SMTP_HOST: "127.0.0.1",
+  SMTP_PORT: String(smtp.port),
+  EMAIL_FROM: "Reports <reports@example.com>",
+  EMAIL_REPLY_TO: "support@example.com",
+});
+
+const { sendEmail, isEmailConfigured, getEmailEndpoint, verifyEmailTransport } = await import(
+  "../emailTransport.js"
+);
+const { renderReportEmail } = await import("../emailReport.js");
+const { renderReportPdf } = await import("../pdfReport.js");
+
+after(() => smtp.close());
+
+const REPORT = {
+  url: "https://example.com",
+  email: "owner@example.com",
+  overallScore: 72,
+  mobileScore: 65,
+  desktopScore: 80,
+  seoScore: 90,
+  recommendations: ["Compress hero images"],
+};
+
+test("reads the SMTP settings from the environment", async () => {
+  assert.equal(isEmailConfigured(), true);
+  assert.deepEqual(getEmailEndpoint(), { provider: "smtp", host: "127.0.0.1", port: smtp.port });
+  await verifyEmailTransport();
+});
+
+test("delivers a report email with its PDF attachment", async () => {
+  const email = renderReportEmail(REPORT);
+  const pdf = await renderReportPdf(REPORT);
+  const sent = await sendEmail({
+    to: "owner@example.com",
+    ...email,
+    attachments: [{ filename: "seo-audit-report.pdf", content: pdf, contentType: "application/pdf" }],
+  });
+
+  assert.equal(sent.success, true);
+  assert.equal(sent.provider, "smtp");
+  assert.ok(sent.messageId);
+
+  const message = smtp.messages.at(-1);
+  assert.equal(message.from, "reports@example.com");
+  assert.deepEqual(message.to, ["owner@example.com"]);
+  assert.match(message.data, /^Reply-To: support@example\.com$/m);
+  assert.match(message.data, /^Content-Type: text\/html/m);
+  assert.match(message.data, /^Content-Type: application\/pdf; name=seo-audit-report\.pdf$/m);
+  assert.ok(message.data.includes(sent.messageId));
+});
+
+test("resolves with the SMTP error instead of throwing", async () => {
+  const delivered = smtp.messages.length;
+  const sent = await sendEmail({ to: "nobody@example.invalid", subject: "Hi", text: "Hi" });
+
+  assert.equal(sent.success, false);
+  assert.equal(sent.messageId, null);
+  assert.match(sent.error, /No such user/);
+  assert.equal(smtp.messages.length, delivered);
+});
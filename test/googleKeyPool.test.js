@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+  GOOGLE_PAGESPEED_API_KEYS: "key-daily-0001,key-banned-0002,key-burst-0003",
+});
+
+const { acquireGoogleKey, classifyKeyFailure, quarantineKey, getKeyPoolStatus } = await import(
+  "../googleKeyPool.js"
+);
+
+const labels = Object.fromEntries(
+  (await getKeyPoolStatus()).keys.map(({ id, label }) => [label, id])
+);
+const DAILY = labels["key-…0001"];
+const BANNED = labels["key-…0002"];
+const BURST = labels["key-…0003"];
+
+const rejection = (promise) =>
+  promise.then(
+    () => assert.fail("expected no key"),
+    (error) => error
+  );
+
+test("only a rate-limited key is tried early when no key is healthy", async () => {
+  await quarantineKey(DAILY, classifyKeyFailure(429, "Queries per day limit exceeded"));
+  await quarantineKey(BANNED, classifyKeyFailure(403, "API key not valid"));
+
+  // The burst key is still healthy
+  assert.equal((await acquireGoogleKey()).id, BURST);
+
+  await quarantineKey(BURST, classifyKeyFailure(429, "Queries per minute limit exceeded"));
+  assert.equal((await acquireGoogleKey()).id, BURST);
+
+  const error = await rejection(acquireGoogleKey({ exclude: new Set([BURST]) }));
+  assert.equal(error.status, 503);
+  assert.ok(error.retryAt);
+
+  const status = await getKeyPoolStatus();
+  assert.deepEqual(
+    status.keys.map((key) => key.quarantineReason),
+    ["daily quota exceeded", "key rejected", "rate limited"]
+  );
+  assert.equal(status.available, 0);
+});
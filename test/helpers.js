@@ -0,0 +1,147 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🧰 Test Helpers
+ * --------------------------------------------------------------------------
+ * Local stand-ins for the services the app talks to: an HTTP server for
+ * stubbed APIs and fixture pages, a minimal SMTP sink, and a Lighthouse
+ * result builder. Tests never reach a real third-party service.
+ * --------------------------------------------------------------------------
+ */
+
+import http from "http";
+import net from "net";
+
+/**
+ * Starts an HTTP server on a free port. Resolves with `{ url, requests,
+ * close }`; `requests` lists every request as `{ method, url, headers,
+ * body }` in arrival order.
+ */
+export const startHttpServer = (handler) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        },
+      })
+    );
+  });
+};
+
+/**
+ * Starts an SMTP server that accepts every message except those for
+ * recipients at the `.invalid` TLD. Resolves with `{ port, messages,
+ * close }`; each message is `{ from, to, data }`.
+ */
+export const startSmtpSink = () => {
+  const messages = [];
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+
+    let buffer = "";
+    let message = { from: null, to: [], data: "" };
+    let inData = false;
+    socket.write("220 sink ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === ".") {
+            messages.push(message);
+            message = { from: null, to: [], data: "" };
+            inData = false;
+            socket.write("250 OK queued\r\n");
+          } else {
+            message.data += `${line.startsWith("..") ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO") socket.write("250-sink\r\n250 8BITMIME\r\n");
+        else if (command === "MAIL") {
+          message.from = line.match(/<(.*)>/)?.[1];
+          socket.write("250 OK\r\n");
+        } else if (command === "RCPT") {
+          const recipient = line.match(/<(.*)>/)?.[1];
+          if (recipient?.endsWith(".invalid")) {
+            socket.write("550 No such user\r\n");
+            continue;
+          }
+          message.to.push(recipient);
+          socket.write("250 OK\r\n");
+        } else if (command === "DATA") {
+          inData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else socket.write("250 OK\r\n");
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => {
+          for (const socket of sockets) socket.destroy();
+          return new Promise((done) => server.close(done));
+        },
+      })
+    );
+  });
+};
+
+/**
+ * Builds a PageSpeed Insights response body with the given category
+ * scores (0-1) and largest contentful paint (ms).
+ */
+export const pageSpeedResponse = ({ performance = 0.9, seo = 0.9, lcp = 2000 } = {}) => ({
+  lighthouseResult: {
+    categories: {
+      performance: { score: performance, auditRefs: [] },
+      seo: { score: seo, auditRefs: [] },
+      accessibility: { score: 0.9, auditRefs: [] },
+      "best-practices": { score: 1, auditRefs: [] },
+    },
+    audits: {
+      "first-contentful-paint": { numericValue: 1200 },
+      "largest-contentful-paint": { numericValue: lcp },
+      "cumulative-layout-shift": { numericValue: 0.05 },
+      "total-blocking-time": { numericValue: 100 },
+      "speed-index": { numericValue: 2000 },
+      interactive: { numericValue: 3000 },
+    },
+  },
+});
+
+/**
+ * Answers a stub request with a JSON body.
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+});
+
+const { createJobQueue, JOB_STATUS } = await import("../jobQueue.js");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Resolves once a job is done or failed.
+ */
+const settled = (queue, job) =>
+  new Promise((resolve) => {
+    const onUpdate = (current) => {
+      if (current.status !== JOB_STATUS.DONE && current.status !== JOB_STATUS.FAILED) return;
+      queue.events.off(job.id, onUpdate);
+      resolve(current);
+    };
+    queue.events.on(job.id, onUpdate);
+  });
+
+test("finished jobs are pruned once their retention has passed", async () => {
+  let release;
+  const blocked = new Promise((resolve) => (release = resolve));
+  const queue = createJobQueue({
+    name: "prune-test",
+    retentionMs: HOUR,
+    maxAttempts: 1,
+    handler: async ({ input }) => {
+      if (input.fail) throw new Error("boom");
+      if (input.wait) await blocked;
+      return input;
+    },
+  });
+  await queue.start();
+
+  const done = await queue.add({});
+  const failed = await queue.add({ fail: true });
+  await Promise.all([settled(queue, done), settled(queue, failed)]);
+  const running = await queue.add({ wait: true });
+
+  // Nothing has expired yet
+  assert.equal(await queue.prune(), 0);
+  assert.equal(await queue.prune(Date.now() + HOUR + 1000), 2);
+  assert.equal(await queue.get(done.id), null);
+  assert.equal(await queue.get(failed.id), null);
+  // Unfinished jobs are never pruned
+  assert.equal((await queue.get(running.id)).status, JOB_STATUS.RUNNING);
+
+  const finished = settled(queue, running);
+  release();
+  await finished;
+  queue.stop();
+});
@@ -0,0 +1,140 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+});
+
+const { captureAuditLead, recordReplyLead, listLeads } = await import("../leadStore.js");
+const { issueApiKey, SCOPES } = await import("../apiKeyService.js");
+const { default: routes } = await import("../routes.js");
+
+const app = express();
+app.use(express.json());
+app.use("/api", routes);
+const server = app.listen(0, "127.0.0.1");
+await new Promise((resolve) => server.once("listening", resolve));
+after(() => server.close());
+
+const scores = { overall: 72 };
+let replies = 0;
+
+/**
+ * Records a WhatsApp reply to `audit` (null for an unknown audit).
+ */
+const reply = (phoneNumber, text, audit = null) =>
+  recordReplyLead({
+    phoneNumber,
+    audit,
+    text,
+    messageId: `wamid-${++replies}`,
+    provider: "meta",
+    receivedAt: new Date().toISOString(),
+  });
+
+test("requests sharing an email or phone number update one lead per owner", async () => {
+  const first = await captureAuditLead({
+    ownerId: "agency-a",
+    emails: ["owner@shop.example"],
+    url: "https://shop.example",
+    scores,
+    source: "api",
+  });
+  assert.equal(first.created, true);
+
+  // Same email, new phone number: the phone number joins the lead
+  const second = await captureAuditLead({
+    ownerId: "agency-a",
+    emails: ["owner@shop.example"],
+    phoneNumbers: ["919876543210"],
+    url: "https://shop.example/pricing",
+    scores,
+    source: "whatsapp",
+  });
+  assert.equal(second.created, false);
+  assert.equal(second.lead.id, first.lead.id);
+
+  // Matched on the phone number alone
+  const third = await captureAuditLead({
+    ownerId: "agency-a",
+    phoneNumbers: ["919876543210"],
+    url: "https://shop.example",
+    source: "api",
+  });
+  assert.equal(third.lead.id, first.lead.id);
+  assert.equal(third.lead.requestCount, 3);
+  assert.deepEqual(third.lead.sources, ["api", "whatsapp"]);
+
+  // Another owner never shares the lead
+  const other = await captureAuditLead({
+    ownerId: "agency-b",
+    emails: ["owner@shop.example"],
+    url: "https://shop.example",
+    source: "api",
+  });
+  assert.equal(other.created, true);
+  assert.equal((await listLeads({ ownerId: "agency-a" })).total, 1);
+});
+
+test("replies join the audit owner's lead, or an unowned one, once per message", async () => {
+  const audit = { id: "audit-1", ownerId: "agency-a", url: "https://shop.example", scores };
+  const { lead } = await reply("919876543210", "Interested, call me", audit);
+  assert.equal(lead.ownerId, "agency-a");
+  assert.equal(lead.replies.length, 1);
+
+  const orphan = await reply("919876543210", "Who is this?");
+  assert.equal(orphan.created, true);
+  assert.equal(orphan.lead.ownerId, null);
+
+  // A redelivered webhook is not recorded twice
+  const redelivered = await recordReplyLead({
+    phoneNumber: "919876543210",
+    audit,
+    text: "Interested, call me",
+    messageId: lead.replies[0].messageId,
+    provider: "meta",
+  });
+  assert.equal(redelivered.lead.replies.length, 1);
+});
+
+test("the CSV export quotes fields and defuses spreadsheet formulas", async () => {
+  const { key, record } = await issueApiKey({ name: "csv", scopes: [SCOPES.READ_HISTORY] });
+  const audit = { id: "audit-2", ownerId: record.clientId, url: "https://a.example", scores };
+  await captureAuditLead({
+    ownerId: record.clientId,
+    emails: ["a@a.example", "b@a.example"],
+    phoneNumbers: ["447911123456"],
+    url: "https://a.example",
+    scores,
+    source: "api",
+  });
+  const exportCsv = async () => {
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}/api/leads/export?format=csv`,
+      { headers: { Authorization: `Bearer ${key}` } }
+    );
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/csv/);
+    return (await response.text()).split("\r\n");
+  };
+
+  await reply("447911123456", '=HYPERLINK("http://evil.example","Click")', audit);
+  const [header, row, end] = await exportCsv();
+  assert.match(header, /^id,emails,phoneNumbers,/);
+  assert.equal(end, "");
+  // Phone numbers keep their "+", lists are joined with "; "
+  assert.match(row, /,a@a\.example; b@a\.example,\+447911123456,https:\/\/a\.example,/);
+  assert.match(row, /,"'=HYPERLINK\(""http:\/\/evil\.example"",""Click""\)",/);
+
+  await reply("447911123456", 'Hi, "we" need\nhelp', audit);
+  assert.match((await exportCsv())[1], /,"Hi, ""we"" need\nhelp",/);
+
+  await reply("447911123456", "+cmd|' /C calc'!A0", audit);
+  assert.match((await exportCsv())[1], /,'\+cmd\|' \/C calc'!A0,/);
+
+  // A reply that is just a number is data, not a formula
+  await reply("447911123456", "+91 98765 43210", audit);
+  assert.match((await exportCsv())[1], /,\+91 98765 43210,/);
+});
@@ -0,0 +1,141 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHttpServer } from "./helpers.js";
+
+const page = ({ head = "", body = "" }) =>
+  `<!doctype html><html lang="en"><head>${head}</head><body>${body}</body></html>`;
+
+const sendPage = (res, status, html, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", ...headers });
+  res.end(html);
+};
+
+// A site that follows every on-page recommendation
+const goodSite = await startHttpServer((req, res) => {
+  const { url } = goodSite;
+  if (req.url === "/robots.txt") {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    return res.end(`User-agent: *\nDisallow: /admin\nSitemap: ${url}/sitemap.xml\n`);
+  }
+  if (req.url === "/sitemap.xml") {
+    res.writeHead(200, { "Content-Type": "application/xml" });
+    return res.end(`<urlset><url><loc>${url}/</loc></url></urlset>`);
+  }
+  if (req.url === "/about") return sendPage(res, 200, page({ body: "<h1>About</h1>" }));
+  if (req.url !== "/") return sendPage(res, 404, "Not found");
+
+  return sendPage(
+    res,
+    200,
+    page({
+      head: `
+        <title>Handmade Ceramics and Pottery Classes in Town</title>
+        <meta name="description" content="Shop handmade ceramic mugs, bowls and vases, or book a beginner pottery class at our studio in town.">
+        <link rel="canonical" href="${url}/">
+        <meta property="og:title" content="Handmade Ceramics">
+        <meta property="og:description" content="Mugs, bowls and pottery classes">
+        <meta property="og:image" content="${url}/cover.jpg">
+        <meta name="twitter:card" content="summary_large_image">
+        <script type="application/ld+json">
+          {"@context": "https://schema.org", "@type": "Organization", "name": "Studio"}
+        </script>`,
+      body: `
+        <h1>Handmade ceramics</h1>
+        <h2>Classes</h2>
+        <img src="/mug.jpg" alt="Blue glazed mug">
+        <a href="/about">About us</a>
+        <a href="https://elsewhere.example/">Partner</a>`,
+    })
+  );
+});
+
+// A site that gets most things wrong
+const badSite = await startHttpServer((req, res) => {
+  if (req.url === "/robots.txt") {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    return res.end("User-agent: *\nDisallow: /\n");
+  }
+  if (req.url === "/null-json-ld") {
+    return sendPage(
+      res,
+      200,
+      page({ head: '<title>t</title><script type="application/ld+json">null</script>' })
+    );
+  }
+  if (req.url === "/gone") return sendPage(res, 410, "Gone");
+  if (req.url !== "/") return sendPage(res, 404, "Not found");
+
+  return sendPage(
+    res,
+    200,
+    page({
+      head: `
+        <meta name="robots" content="noindex">
+        <script type="application/ld+json">{"@context": "https://schema.org",</script>`,
+      body: `
+        <h1>One</h1><h1>Two</h1>
+        <img src="/a.jpg"><img src="/b.jpg">
+        <a href="/missing">Missing page</a>`,
+    }),
+    { "X-Robots-Tag": "nofollow" }
+  );
+});
+
+Object.assign(process.env, {
+  LOG_LEVEL: "error",
+  // The fixture servers listen on 127.0.0.1
+  URL_POLICY_ALLOW_PRIVATE: "true",
+});
+
+const { analyzePage } = await import("../onPageAnalyzer.js");
+
+after(() => Promise.all([goodSite.close(), badSite.close()]));
+
+const byId = (report) => Object.fromEntries(report.findings.map((f) => [f.id, f]));
+
+test("a well-built page passes every check", async () => {
+  const report = await analyzePage(`${goodSite.url}/`);
+  const failed = report.findings.filter((f) => f.status !== "passed");
+
+  assert.deepEqual(failed, []);
+  assert.equal(report.statusCode, 200);
+  assert.deepEqual(report.issues, { critical: 0, warning: 0, passed: report.findings.length });
+  assert.deepEqual(byId(report)["structured-data"].details.types, ["Organization"]);
+  // The external partner link is not checked
+  assert.deepEqual(byId(report)["broken-links"].details, { checked: 1, total: 1 });
+});
+
+test("flags missing tags, noindex, broken links and a blocked robots.txt", async () => {
+  const findings = byId(await analyzePage(`${badSite.url}/`));
+  const status = (id) => findings[id].status;
+
+  assert.equal(status("document-title"), "critical");
+  assert.equal(status("meta-description"), "critical");
+  assert.equal(status("heading-structure"), "warning");
+  assert.equal(status("canonical"), "warning");
+  assert.equal(status("is-crawlable"), "critical");
+  assert.equal(status("image-alt"), "critical");
+  assert.equal(status("structured-data"), "critical");
+  assert.equal(status("broken-links"), "critical");
+  assert.equal(status("robots-txt"), "critical");
+  assert.equal(status("sitemap"), "warning");
+  assert.match(findings["is-crawlable"].details.directives, /noindex/);
+  assert.deepEqual(findings["broken-links"].details.broken, [
+    { url: `${badSite.url}/missing`, status: 404 },
+  ]);
+});
+
+test("treats null JSON-LD as missing structured data", async () => {
+  const findings = byId(await analyzePage(`${badSite.url}/null-json-ld`));
+  assert.equal(findings["structured-data"].status, "warning");
+  assert.equal(findings["structured-data"].title, "No JSON-LD structured data found");
+});
+
+test("reports an error status without analysing the body", async () => {
+  const report = await analyzePage(`${badSite.url}/gone`);
+  const ids = report.findings.map((f) => f.id);
+
+  assert.equal(report.statusCode, 410);
+  assert.equal(byId(report)["http-status"].status, "critical");
+  assert.deepEqual(ids, ["http-status", "robots-txt", "sitemap"]);
+});
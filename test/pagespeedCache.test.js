@@ -0,0 +1,85 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHttpServer, pageSpeedResponse, sendJson } from "./helpers.js";
+
+// Slow enough that concurrent calls overlap
+const pageSpeed = await startHttpServer((req, res) =>
+  setTimeout(() => sendJson(res, 200, pageSpeedResponse()), 50)
+);
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+  GOOGLE_PAGESPEED_API_KEYS: "test-pagespeed-key",
+  PAGESPEED_API_URL: pageSpeed.url,
+  PAGESPEED_CACHE_TTL_MS: String(60 * 1000),
+});
+
+const { getPageSpeed, getCacheOptions, getPageSpeedCacheStats } = await import(
+  "../pagespeedCache.js"
+);
+
+after(() => pageSpeed.close());
+
+const PAGE = "https://cached.example/";
+
+test("concurrent identical requests share one call, later ones hit the cache", async () => {
+  const [first, second] = await Promise.all([
+    getPageSpeed(PAGE, "mobile"),
+    getPageSpeed("https://cached.example", "mobile"),
+  ]);
+  assert.equal(pageSpeed.requests.length, 1);
+  assert.equal(first.cache.hit, false);
+  assert.equal(second.cache.coalesced, true);
+  assert.deepEqual(second.data, first.data);
+
+  const cached = await getPageSpeed(PAGE, "mobile");
+  assert.equal(cached.cache.hit, true);
+  assert.equal(pageSpeed.requests.length, 1);
+
+  // Another strategy is another entry
+  await getPageSpeed(PAGE, "desktop");
+  assert.equal(pageSpeed.requests.length, 2);
+});
+
+test("force and an exceeded max-age go upstream again", async () => {
+  const before = pageSpeed.requests.length;
+  await getPageSpeed(PAGE, "mobile");
+  assert.equal(pageSpeed.requests.length, before);
+
+  const forced = await getPageSpeed(PAGE, "mobile", { force: true });
+  assert.equal(forced.cache.hit, false);
+  assert.equal(pageSpeed.requests.length, before + 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  const fresh = await getPageSpeed(PAGE, "mobile", { maxAgeMs: 0 });
+  assert.equal(fresh.cache.hit, false);
+  assert.equal(pageSpeed.requests.length, before + 2);
+
+  const stats = await getPageSpeedCacheStats();
+  assert.equal(stats.coalesced, 1);
+  assert.ok(stats.bypassed >= 1);
+});
+
+test("cache directives are read from the body, query and Cache-Control", () => {
+  const request = (headers, { body, query } = {}) => ({
+    get: (name) => headers[name.toLowerCase()],
+    body,
+    query,
+  });
+
+  assert.deepEqual(getCacheOptions(request({})), {
+    force: false,
+    store: true,
+    maxAgeMs: undefined,
+  });
+  assert.equal(getCacheOptions(request({}, { body: { force: true } })).force, true);
+  assert.equal(getCacheOptions(request({}, { query: { force: "true" } })).force, true);
+  assert.equal(getCacheOptions(request({ "cache-control": "no-cache" })).force, true);
+  assert.deepEqual(getCacheOptions(request({ "cache-control": "no-store" })), {
+    force: true,
+    store: false,
+    maxAgeMs: undefined,
+  });
+  assert.equal(getCacheOptions(request({ "cache-control": "max-age=30" })).maxAgeMs, 30000);
+});
@@ -0,0 +1,101 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+});
+
+const { reserveQuota, releaseReservation, checkQuota, requireQuota } = await import(
+  "../quotaService.js"
+);
+
+const HOUR = 60 * 60 * 1000;
+let clients = 0;
+
+/**
+ * A fresh API-key identity with its own audit limit.
+ */
+const client = (limit) => ({
+  type: "apikey",
+  id: `client-${++clients}`,
+  quotas: { audit: { limit, windowMs: HOUR } },
+});
+
+test("concurrent reservations never overshoot the limit", async () => {
+  const identity = client(2);
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => reserveQuota("audit", identity))
+  );
+
+  assert.equal(results.filter((r) => r.allowed).length, 2);
+  for (const rejected of results.filter((r) => !r.allowed)) {
+    assert.equal(rejected.used, 2);
+    assert.equal(rejected.remaining, 0);
+  }
+  assert.equal((await checkQuota("audit", identity)).used, 2);
+
+  await results.find((r) => r.allowed).release();
+  assert.equal((await checkQuota("audit", identity)).used, 1);
+  assert.equal((await reserveQuota("audit", identity)).allowed, true);
+});
+
+test("a multi-use reservation is all or nothing and can be given back in part", async () => {
+  const identity = client(3);
+  const first = await reserveQuota("audit", identity, 2);
+  assert.equal(first.allowed, true);
+  assert.equal(first.remaining, 1);
+
+  const second = await reserveQuota("audit", identity, 2);
+  assert.equal(second.allowed, false);
+  assert.equal(second.used, 2);
+  assert.equal((await checkQuota("audit", identity)).used, 2);
+
+  const { key, hits } = first.reservation;
+  await releaseReservation({ key, hits: hits.slice(1) });
+  assert.equal((await checkQuota("audit", identity)).used, 1);
+});
+
+test("quotas the plan does not define are unlimited", async () => {
+  const state = await reserveQuota("exports", client(1), 10);
+  assert.equal(state.allowed, true);
+  assert.equal(state.limit, null);
+});
+
+test("the route middleware sets headers, rejects with 429 and releases on early failure", async () => {
+  const identity = client(2);
+  const app = express();
+  app.use((req, res, next) => {
+    req.apiKey = { clientId: identity.id, quotas: identity.quotas };
+    next();
+  });
+  app.post(
+    "/work",
+    requireQuota("audit", { isSpent: (status) => status !== 503 }),
+    (req, res) => res.status(Number(req.query.status)).json({ success: req.query.status < 400 })
+  );
+  const server = app.listen(0, "127.0.0.1");
+  after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  const call = (status) =>
+    fetch(`http://127.0.0.1:${server.address().port}/work?status=${status}`, { method: "POST" });
+
+  const ok = await call(200);
+  assert.equal(ok.headers.get("x-quota-limit"), "2");
+  assert.equal(ok.headers.get("x-quota-remaining"), "1");
+
+  // Released once the response is sent
+  assert.equal((await call(503)).status, 503);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal((await checkQuota("audit", identity)).used, 1);
+
+  assert.equal((await call(502)).status, 502);
+  const rejected = await call(200);
+  assert.equal(rejected.status, 429);
+  const body = await rejected.json();
+  assert.equal(body.code, "QUOTA_EXCEEDED");
+  assert.equal(body.limit, 2);
+  assert.equal(body.current, 2);
+  assert.equal(rejected.headers.get("x-quota-remaining"), "0");
+});
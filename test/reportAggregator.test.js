@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pageSpeedResponse } from "./helpers.js";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+});
+
+const { buildReport, buildSiteReport, buildComparisonReport, extractWebVitals } = await import(
+  "../reportAggregator.js"
+);
+const { formatSEOReportMessage } = await import("../whatsappController.js");
+const { renderReportEmail } = await import("../emailReport.js");
+
+/**
+ * A PageSpeed response whose Lighthouse run did not report LCP.
+ */
+const withoutLcp = () => {
+  const response = pageSpeedResponse();
+  delete response.lighthouseResult.audits["largest-contentful-paint"];
+  return response;
+};
+
+test("metrics Lighthouse did not report are null, not zero", () => {
+  const metrics = extractWebVitals(withoutLcp());
+  assert.equal(metrics.lcp, null);
+  assert.equal(metrics.fcp, 1.2);
+  assert.equal(metrics.tbt, 100);
+});
+
+test("reports print N/A for a missing metric instead of rating it", () => {
+  const report = buildReport({ url: "https://example.com", mobile: withoutLcp() });
+
+  const message = formatSEOReportMessage(report);
+  assert.match(message, /LCP:\* N\/A _\(N\/A\)_/);
+  assert.match(message, /FCP:\* 1\.20s _\(Excellent\)_/);
+
+  const { text } = renderReportEmail(report);
+  assert.match(text, /Largest Contentful Paint \(LCP\)\W+N\/A/);
+});
+
+test("a site without LCP is unranked in comparisons and left out of the slowest pages", () => {
+  const measured = buildReport({ url: "https://a.example", mobile: pageSpeedResponse({ lcp: 5000 }) });
+  const missing = buildReport({ url: "https://b.example", mobile: withoutLcp() });
+
+  const { matrix } = buildComparisonReport({
+    sites: [
+      { url: "https://b.example", report: missing },
+      { url: "https://a.example", report: measured },
+    ],
+  });
+  const lcp = matrix.find((row) => row.metric === "lcp");
+  assert.deepEqual(lcp.values, [null, { value: 5, rank: 1 }]);
+  assert.equal(lcp.leader, 1);
+
+  const site = buildSiteReport({
+    site: "https://example.com",
+    pages: [
+      { url: "https://a.example", report: measured },
+      { url: "https://b.example", report: missing },
+    ],
+  });
+  assert.deepEqual(
+    site.slowestPages.map((page) => page.url),
+    ["https://a.example"]
+  );
+});
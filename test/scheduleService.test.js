@@ -0,0 +1,121 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHttpServer, pageSpeedResponse, sendJson } from "./helpers.js";
+
+let lighthouse = { performance: 0.9, lcp: 2000 };
+const pageSpeed = await startHttpServer((req, res) =>
+  sendJson(res, 200, pageSpeedResponse(lighthouse))
+);
+const whatsapp = await startHttpServer((req, res) =>
+  sendJson(res, 200, { status: "success", message_id: `wa-${whatsapp.requests.length}` })
+);
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+  ONPAGE_ANALYSIS_ENABLED: "false",
+  GOOGLE_PAGESPEED_API_KEYS: "test-pagespeed-key",
+  PAGESPEED_API_URL: pageSpeed.url,
+  WHATSAPP_API_URL: whatsapp.url,
+  WHATSAPP_ACCESS_TOKEN: "token",
+  WHATSAPP_INSTANCE_ID: "instance",
+});
+
+const { createManualClock } = await import("../clock.js");
+const { createScheduler, registerSchedule } = await import("../scheduleService.js");
+const { getSchedule } = await import("../scheduleStore.js");
+const { recordOptIn, recordOptOut } = await import("../consentStore.js");
+
+after(() => Promise.all([pageSpeed.close(), whatsapp.close()]));
+
+const RECIPIENT = "919876543210";
+
+test("a schedule runs on its cadence and alerts on a regression", async () => {
+  await recordOptIn(RECIPIENT, { source: "test" });
+  const clock = createManualClock("2026-10-18T10:00:00Z");
+  const schedule = await registerSchedule(
+    {
+      ownerId: "client-1",
+      url: "https://example.com/",
+      strategies: ["mobile"],
+      recipients: [RECIPIENT],
+      cadence: "@hourly",
+      thresholds: { scoreDrop: 5 },
+    },
+    clock
+  );
+  assert.equal(schedule.nextRunAt, "2026-10-18T11:00:00.000Z");
+
+  const scheduler = createScheduler({ clock, tickMs: 60 * 1000 });
+  scheduler.start();
+  try {
+    await clock.advance(30 * 60 * 1000);
+    assert.equal((await getSchedule(schedule.id)).runCount, 0);
+    assert.equal(pageSpeed.requests.length, 0);
+
+    // First run: nothing to compare with yet
+    await clock.advance(31 * 60 * 1000);
+    let current = await getSchedule(schedule.id);
+    assert.equal(current.runCount, 1);
+    assert.equal(current.nextRunAt, "2026-10-18T12:00:00.000Z");
+    assert.deepEqual(current.lastResult.regressions, []);
+    assert.equal(whatsapp.requests.length, 0);
+
+    // Second run: performance and LCP got worse
+    lighthouse = { performance: 0.6, lcp: 4500 };
+    await clock.advance(60 * 60 * 1000);
+    current = await getSchedule(schedule.id);
+    assert.equal(current.runCount, 2);
+    const regressions = current.lastResult.regressions.map(({ type, key }) => `${type}:${key}`);
+    assert.ok(regressions.includes("score:performance"), regressions.join());
+    assert.ok(regressions.includes("metric:lcp"), regressions.join());
+    assert.equal(current.lastResult.deliveries.length, 1);
+    assert.equal(current.lastResult.deliveries[0].success, true);
+
+    assert.equal(whatsapp.requests.length, 1);
+    const sent = JSON.parse(whatsapp.requests[0].body);
+    assert.equal(sent.number, RECIPIENT);
+    assert.match(sent.message, /example\.com/);
+
+    // Third run: no change, no alert
+    await clock.advance(60 * 60 * 1000);
+    current = await getSchedule(schedule.id);
+    assert.equal(current.runCount, 3);
+    assert.deepEqual(current.lastResult.regressions, []);
+    assert.equal(whatsapp.requests.length, 1);
+  } finally {
+    scheduler.stop();
+  }
+});
+
+test("regression alerts skip recipients who opted out", async () => {
+  const clock = createManualClock("2026-10-19T10:00:00Z");
+  const schedule = await registerSchedule(
+    {
+      ownerId: "client-2",
+      url: "https://example.org/",
+      strategies: ["mobile"],
+      recipients: [RECIPIENT],
+      cadence: "@daily",
+    },
+    clock
+  );
+  const scheduler = createScheduler({ clock, tickMs: 60 * 60 * 1000 });
+  const sentBefore = whatsapp.requests.length;
+
+  lighthouse = { performance: 0.9, lcp: 2000 };
+  await clock.set("2026-10-20T00:00:00Z");
+  await scheduler.tick();
+
+  lighthouse = { performance: 0.5, lcp: 2000 };
+  await recordOptOut(RECIPIENT, { source: "test" });
+  await clock.set("2026-10-21T00:00:00Z");
+  await scheduler.tick();
+
+  const current = await getSchedule(schedule.id);
+  assert.equal(current.runCount, 2);
+  assert.ok(current.lastResult.regressions.length > 0);
+  assert.equal(current.lastResult.deliveries[0].success, false);
+  assert.equal(current.lastResult.deliveries[0].reason, "opted_out");
+  assert.equal(whatsapp.requests.length, sentBefore);
+});
@@ -0,0 +1,130 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { startHttpServer, pageSpeedResponse, sendJson } from "./helpers.js";
+
+const sendXml = (res, status, xml) => {
+  res.writeHead(status, { "Content-Type": "application/xml" });
+  res.end(xml);
+};
+const urlset = (...locs) =>
+  `<urlset>${locs.map((loc) => `<url><loc>${loc}</loc></url>`).join("")}</urlset>`;
+const index = (...locs) =>
+  `<sitemapindex>${locs.map((loc) => `<sitemap><loc>${loc}</loc></sitemap>`).join("")}` +
+  "</sitemapindex>";
+
+const site = await startHttpServer((req, res) => {
+  const { url } = site;
+  switch (req.url) {
+    case "/sitemap.xml":
+      return sendXml(
+        res,
+        200,
+        index(
+          `${url}/missing.xml`,
+          `${url}/broken.xml.gz`,
+          "http://elsewhere.example/sitemap.xml",
+          `${url}/pages.xml`
+        )
+      );
+    case "/pages.xml":
+      return sendXml(
+        res,
+        200,
+        urlset(
+          `${url}/`,
+          `${url}/about?utm_source=sitemap`,
+          `${url}/about`,
+          "http://elsewhere.example/page",
+          `http://user:secret@${url.slice("http://".length)}/private`
+        )
+      );
+    case "/broken.xml.gz":
+      res.writeHead(200, { "Content-Type": "application/gzip" });
+      return res.end(zlib.gzipSync(urlset(`${url}/gz`)).subarray(0, 12));
+    default:
+      return sendXml(res, 404, "not found");
+  }
+});
+const pageSpeed = await startHttpServer((req, res) => sendJson(res, 200, pageSpeedResponse()));
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+  ONPAGE_ANALYSIS_ENABLED: "false",
+  GOOGLE_PAGESPEED_API_KEYS: "test-pagespeed-key",
+  PAGESPEED_API_URL: pageSpeed.url,
+  // The fixture site listens on 127.0.0.1
+  URL_POLICY_ALLOW_PRIVATE: "true",
+});
+
+const { fetchSitemapUrls } = await import("../sitemap.js");
+const { siteAuditQueue, enqueueSiteAudit } = await import("../siteAuditService.js");
+const { reserveQuota, checkQuota } = await import("../quotaService.js");
+
+after(() => {
+  siteAuditQueue.stop();
+  return Promise.all([site.close(), pageSpeed.close()]);
+});
+
+const rejection = (promise) =>
+  promise.then(
+    () => assert.fail("expected the sitemap to fail"),
+    (error) => error
+  );
+
+/**
+ * Resolves with a job once it is done or failed.
+ */
+const finished = (job) =>
+  new Promise((resolve) => {
+    const onUpdate = (current) => {
+      if (current.status !== "done" && current.status !== "failed") return;
+      siteAuditQueue.events.off(job.id, onUpdate);
+      resolve(current);
+    };
+    siteAuditQueue.events.on(job.id, onUpdate);
+  });
+
+test("skips failed child sitemaps and pages on other hosts", async () => {
+  const pages = await fetchSitemapUrls(`${site.url}/sitemap.xml`);
+  assert.deepEqual(pages, [
+    `${site.url}/`,
+    `${site.url}/about?utm_source=sitemap`,
+    `${site.url}/about`,
+    `http://user:secret@${site.url.slice("http://".length)}/private`,
+  ]);
+});
+
+test("fails when the root sitemap cannot be fetched", async () => {
+  const error = await rejection(fetchSitemapUrls(`${site.url}/missing.xml`));
+  assert.equal(error.status, 400);
+  assert.equal(error.fatal, true);
+});
+
+test("audits only sitemap pages that pass the URL policy and releases unused quota", async () => {
+  const identity = {
+    type: "apikey",
+    id: "site-client",
+    quotas: { audit: { limit: 10, windowMs: 60 * 60 * 1000 } },
+  };
+  const quota = await reserveQuota("audit", identity, 5);
+  siteAuditQueue.start();
+
+  const job = await enqueueSiteAudit({
+    sitemapUrl: `${site.url}/sitemap.xml`,
+    maxPages: 5,
+    strategies: ["mobile"],
+    ownerId: identity.id,
+    quota: quota.reservation,
+  });
+  const done = await finished(job);
+
+  assert.equal(done.status, "done", done.error?.message);
+  assert.equal(done.result.auditedCount, 2);
+  const audited = pageSpeed.requests.map(
+    (request) => new URL(request.url, pageSpeed.url).searchParams.get("url")
+  );
+  assert.deepEqual(audited.sort(), [`${site.url}/`, `${site.url}/about`]);
+  assert.equal((await checkQuota("audit", identity)).used, 2);
+});
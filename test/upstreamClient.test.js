@@ -0,0 +1,133 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHttpServer, sendJson } from "./helpers.js";
+
+Object.assign(process.env, {
+  LOG_LEVEL: "error",
+  UPSTREAM_BREAKER_THRESHOLD: "3",
+  UPSTREAM_BREAKER_RESET_MS: "200",
+});
+
+const { createUpstreamClient, getCircuitState, mayHaveReachedUpstream, UPSTREAM_ERRORS } =
+  await import("../upstreamClient.js");
+
+const servers = [];
+after(() => Promise.all(servers.map((server) => server.close())));
+
+/**
+ * Starts a stub that answers the nth request with `responses[n]` (the last
+ * one repeats): a status, `[status, headers]`, or null to never answer.
+ */
+const stub = async (...responses) => {
+  const server = await startHttpServer((req, res) => {
+    const response = responses[Math.min(server.requests.length, responses.length) - 1];
+    if (response === null) return;
+    const [status, headers] = [].concat(response);
+    sendJson(res, status, { status }, headers);
+  });
+  servers.push(server);
+  return server;
+};
+
+const client = createUpstreamClient({
+  name: "test",
+  timeout: 200,
+  retry: { retries: 2, baseDelayMs: 1 },
+});
+
+const rejection = (promise) =>
+  promise.then(
+    () => assert.fail("expected the request to fail"),
+    (error) => error
+  );
+
+test("retries a 503 after the Retry-After delay", async () => {
+  const server = await stub([503, { "Retry-After": "1" }], 200);
+  const delays = [];
+
+  const response = await client.request({
+    url: `${server.url}/`,
+    onRetry: ({ delayMs }) => delays.push(delayMs),
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(server.requests.length, 2);
+  assert.deepEqual(delays, [1000]);
+});
+
+test("gives up on repeated 429s with a typed error", async () => {
+  const server = await stub(429);
+  const error = await rejection(client.request({ url: `${server.url}/` }));
+
+  assert.equal(error.kind, UPSTREAM_ERRORS.RATE_LIMITED);
+  assert.equal(error.httpStatus, 429);
+  assert.equal(error.status, 503);
+  assert.equal(error.attempts, 3);
+  assert.equal(server.requests.length, 3);
+});
+
+test("does not retry client errors", async () => {
+  const server = await stub(400);
+  const error = await rejection(client.request({ url: `${server.url}/` }));
+
+  assert.equal(error.kind, UPSTREAM_ERRORS.CLIENT_ERROR);
+  assert.equal(error.fatal, true);
+  assert.equal(error.attempts, 1);
+  assert.equal(getCircuitState(server.url), "closed");
+});
+
+test("retries timeouts only for idempotent requests", async () => {
+  const [slow, slowSend] = await Promise.all([stub(null), stub(null)]);
+
+  const idempotent = await rejection(client.request({ url: `${slow.url}/` }));
+  assert.equal(idempotent.kind, UPSTREAM_ERRORS.TIMEOUT);
+  assert.equal(idempotent.attempts, 3);
+
+  const send = await rejection(
+    client.request({ method: "post", url: `${slowSend.url}/`, retry: { idempotent: false } })
+  );
+  assert.equal(send.kind, UPSTREAM_ERRORS.TIMEOUT);
+  assert.equal(send.attempts, 1);
+  assert.equal(mayHaveReachedUpstream(send), true);
+});
+
+test("retries a refused connection even when the request is not idempotent", async () => {
+  const server = await stub(200);
+  const { url } = server;
+  await server.close();
+
+  const error = await rejection(
+    client.request({ method: "post", url: `${url}/`, retry: { idempotent: false } })
+  );
+  assert.equal(error.kind, UPSTREAM_ERRORS.NETWORK);
+  assert.equal(error.attempts, 3);
+  assert.equal(mayHaveReachedUpstream(error), false);
+});
+
+test("opens the circuit after repeated failures and closes it after a good trial", async () => {
+  const server = await stub(500, 500, 500, 500, 200);
+  const once = { retries: 0 };
+
+  for (let i = 0; i < 3; i++) {
+    const error = await rejection(client.request({ url: `${server.url}/`, retry: once }));
+    assert.equal(error.kind, UPSTREAM_ERRORS.SERVER_ERROR);
+  }
+  assert.equal(getCircuitState(server.url), "open");
+
+  const open = await rejection(client.request({ url: `${server.url}/`, retry: once }));
+  assert.equal(open.kind, UPSTREAM_ERRORS.CIRCUIT_OPEN);
+  assert.equal(open.status, 503);
+  assert.ok(open.retryAt);
+  assert.equal(server.requests.length, 3);
+
+  // A failed trial reopens the circuit right away
+  await new Promise((resolve) => setTimeout(resolve, 250));
+  await rejection(client.request({ url: `${server.url}/`, retry: once }));
+  assert.equal(getCircuitState(server.url), "open");
+  assert.equal(server.requests.length, 4);
+
+  await new Promise((resolve) => setTimeout(resolve, 250));
+  const response = await client.request({ url: `${server.url}/`, retry: once });
+  assert.equal(response.status, 200);
+  assert.equal(getCircuitState(server.url), "closed");
+});
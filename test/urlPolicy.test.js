@@ -0,0 +1,123 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import dns from "dns";
+import axios from "axios";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+  URL_POLICY_ALLOW_PRIVATE: "false",
+  URL_POLICY_MAX_REDIRECTS: "3",
+});
+
+const { checkUrl, policyFetch, isPrivateAddress } = await import("../urlPolicy.js");
+
+const PUBLIC = "93.184.216.34";
+
+/**
+ * Answers dns.lookup from `answers` (hostname → address, or a function
+ * returning one per call) instead of the network.
+ */
+const stubDns = (answers) =>
+  mock.method(dns, "lookup", (hostname, options, callback) => {
+    const done = typeof options === "function" ? options : callback;
+    const answer = answers[hostname];
+    if (!answer) {
+      const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+      return done(Object.assign(error, { code: "ENOTFOUND" }));
+    }
+    const address = typeof answer === "function" ? answer() : answer;
+    const entry = { address, family: address.includes(":") ? 6 : 4 };
+    if (options?.all) return done(null, [entry]);
+    done(null, entry.address, entry.family);
+  });
+
+/**
+ * Answers axios requests with a redirect to `location(url)` until it
+ * returns null, then with a 200.
+ */
+const stubRedirects = (location) =>
+  mock.method(axios, "request", async ({ url }) => {
+    const next = location(url);
+    return next ? { status: 302, headers: { location: next } } : { status: 200, headers: {} };
+  });
+
+const rejection = (promise) =>
+  promise.then(
+    () => assert.fail("expected the URL to be rejected"),
+    (error) => error
+  );
+
+afterEach(() => mock.restoreAll());
+
+test("private, reserved and tunnelled IP literals are rejected", async () => {
+  for (const host of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "169.254.169.254",
+    "[::1]",
+    "[::ffff:127.0.0.1]",
+    "[::127.0.0.1]",
+    "[fd00::1]",
+    "[2002:c0a8:101::1]",
+    "[2001:0:4136:e378::1]",
+  ]) {
+    const error = await rejection(checkUrl(`http://${host}/`));
+    assert.equal(error.code, "URL_PRIVATE_ADDRESS", host);
+    assert.equal(error.status, 400);
+  }
+  assert.equal(isPrivateAddress(PUBLIC), false);
+  assert.equal(isPrivateAddress("2001:4860:4860::8888"), false);
+});
+
+test("hosts resolving to a private address are rejected", async () => {
+  stubDns({ "public.test": PUBLIC, "internal.test": "192.168.1.10", "v6.test": "fe80::1" });
+
+  assert.deepEqual(await checkUrl("https://public.test/page/?utm_source=x#top"), {
+    url: "https://public.test/page",
+    hostname: "public.test",
+    addresses: [PUBLIC],
+  });
+  for (const host of ["internal.test", "v6.test"]) {
+    assert.equal((await rejection(checkUrl(`https://${host}/`))).code, "URL_PRIVATE_ADDRESS");
+  }
+  const missing = await rejection(checkUrl("https://missing.test/"));
+  assert.equal(missing.code, "URL_DNS_FAILED");
+  assert.equal(missing.status, 400);
+});
+
+test("a host that rebinds to a private address is refused at connect time", async () => {
+  let lookups = 0;
+  stubDns({ "rebind.test": () => (++lookups === 1 ? PUBLIC : "127.0.0.1") });
+
+  const error = await rejection(policyFetch("http://rebind.test/", { timeout: 2000 }));
+  assert.equal(error.code, "URL_PRIVATE_ADDRESS");
+  assert.equal(lookups, 2);
+});
+
+test("every redirect hop is checked", async () => {
+  stubDns({ "public.test": PUBLIC, "internal.test": "10.0.0.5" });
+  const request = stubRedirects((url) =>
+    url === "https://public.test/start" ? "http://internal.test/admin" : null
+  );
+
+  const error = await rejection(policyFetch("https://public.test/start"));
+  assert.equal(error.code, "URL_PRIVATE_ADDRESS");
+  assert.equal(request.mock.callCount(), 1);
+
+  stubRedirects((url) => (url === "https://public.test/start" ? "/landing" : null));
+  const response = await policyFetch("https://public.test/start");
+  assert.equal(response.status, 200);
+  assert.equal(response.finalUrl, "https://public.test/landing");
+  assert.deepEqual(response.redirects, ["https://public.test/landing"]);
+});
+
+test("redirects beyond the limit are rejected", async () => {
+  stubDns({ "public.test": PUBLIC });
+  let hops = 0;
+  const request = stubRedirects(() => `/hop-${++hops}`);
+
+  const error = await rejection(policyFetch("https://public.test/"));
+  assert.equal(error.code, "URL_TOO_MANY_REDIRECTS");
+  assert.equal(request.mock.callCount(), 4);
+});
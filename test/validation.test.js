@@ -0,0 +1,112 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+});
+
+const { validate, v } = await import("../validation.js");
+const { errorEnvelope, ERROR_CODES } = await import("../errors.js");
+
+const app = express();
+app.use(errorEnvelope);
+app.use(express.json());
+app.post(
+  "/echo",
+  validate({
+    query: v.object({
+      limit: v.integer({ min: 1, max: 100 }).default(20),
+      verbose: v.boolean().optional(),
+      strategies: v.array(v.enum(["mobile", "desktop"])).optional(),
+    }),
+    body: v.object({
+      url: v.url(),
+      name: v.string({ max: 10 }).optional(),
+      since: v.date().optional(),
+      pages: v.array(v.url(), { max: 2 }).optional(),
+    }),
+  }),
+  (req, res) => res.json({ success: true, query: req.query, body: req.body })
+);
+app.get("/missing", (req, res) => res.status(404).json({ success: false, message: "Gone" }));
+app.get("/coded", (req, res) =>
+  res.status(503).json({ success: false, code: "CUSTOM", message: "Down", retryAt: "soon" })
+);
+const server = app.listen(0, "127.0.0.1");
+await new Promise((resolve) => server.once("listening", resolve));
+after(() => server.close());
+
+const call = async (path, body) => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: body ? "POST" : "GET",
+    headers: { "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test("query strings and body values are coerced to their schema types", async () => {
+  const { status, body } = await call("/echo?limit=5&verbose=false&strategies=mobile,desktop", {
+    url: " https://example.com ",
+    name: "  shop  ",
+    since: "2026-10-01",
+    extra: "kept",
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.query, { limit: 5, verbose: false, strategies: ["mobile", "desktop"] });
+  assert.deepEqual(body.body, {
+    url: "https://example.com",
+    name: "shop",
+    since: "2026-10-01T00:00:00.000Z",
+    extra: "kept",
+  });
+
+  // Empty query values count as absent and take the default
+  assert.deepEqual((await call("/echo?limit=", { url: "https://example.com" })).body.query, {
+    limit: 20,
+  });
+});
+
+test("every invalid field is reported in the VALIDATION_ERROR envelope", async () => {
+  const { status, body } = await call("/echo?limit=2.5&strategies=mobile,tablet", {
+    url: "ftp://example.com",
+    name: "far too long a name",
+    pages: ["https://a.example", "nope"],
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+  assert.equal(body.code, ERROR_CODES.VALIDATION_ERROR);
+  assert.deepEqual(
+    body.errors.map(({ field, location, code }) => [location, field, code]),
+    [
+      ["query", "limit", "invalid_type"],
+      ["query", "strategies[1]", "invalid_enum"],
+      ["body", "url", "invalid_scheme"],
+      ["body", "name", "too_big"],
+      ["body", "pages[1]", "invalid_url"],
+    ]
+  );
+  assert.match(body.message, /^Invalid request: limit must be an integer; /);
+
+  const missing = await call("/echo", {});
+  assert.deepEqual(missing.body.errors, [
+    { field: "url", location: "body", code: "required", message: "url is required" },
+  ]);
+});
+
+test("error responses get the status's default code unless they set one", async () => {
+  assert.deepEqual(await call("/missing"), {
+    status: 404,
+    body: { success: false, code: ERROR_CODES.NOT_FOUND, message: "Gone" },
+  });
+  assert.deepEqual((await call("/coded")).body, {
+    success: false,
+    code: "CUSTOM",
+    message: "Down",
+    retryAt: "soon",
+  });
+});
@@ -0,0 +1,71 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startHttpServer, sendJson } from "./helpers.js";
+
+// Fails the next send whose text contains `failOn`, once
+let failOn = null;
+const whatsapp = await startHttpServer((req, res) => {
+  const { message } = JSON.parse(req.body);
+  if (failOn && message.includes(failOn)) {
+    failOn = null;
+    return sendJson(res, 200, { status: "error", message: "Instance busy" });
+  }
+  sendJson(res, 200, { status: "success", message_id: `msg-${whatsapp.requests.length}` });
+});
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: "error",
+  WHATSAPP_PROVIDER: "simplywhatsapp",
+  WHATSAPP_API_URL: whatsapp.url,
+  WHATSAPP_ACCESS_TOKEN: "test-token",
+  WHATSAPP_INSTANCE_ID: "test-instance",
+});
+
+const { sendWhatsAppMessage } = await import("../whatsappTransport.js");
+
+after(() => whatsapp.close());
+
+// Three report sections of ~3000 characters: one part each at 4096
+const text = ["A", "B", "C"].map((name) => `━━━ ${name}\n${name.repeat(3000)}`).join("\n\n");
+
+test("a split message stops at the first failed part and resends only the rest", async () => {
+  failOn = "(2/3)";
+  const first = await sendWhatsAppMessage({ to: "+15551234567", type: "text", text });
+
+  assert.equal(first.success, false);
+  assert.match(first.error, /^Part 2 failed: Instance busy/);
+  assert.deepEqual(
+    first.parts.map(({ part, success }) => [part, success]),
+    [
+      [1, true],
+      [2, false],
+    ]
+  );
+  assert.equal(whatsapp.requests.length, 2);
+  assert.deepEqual(
+    first.remainingParts.map(({ part }) => part),
+    [2, 3]
+  );
+  assert.match(first.remainingParts[1].text, /^━━━ C\n[\s\S]*\(3\/3\)$/);
+
+  const resent = await sendWhatsAppMessage({
+    to: "+15551234567",
+    type: "text",
+    parts: first.remainingParts,
+  });
+  assert.equal(resent.success, true);
+  assert.equal(resent.remainingParts, undefined);
+  assert.deepEqual(
+    resent.parts.map(({ part, success }) => [part, success]),
+    [
+      [2, true],
+      [3, true],
+    ]
+  );
+  const delivered = whatsapp.requests.slice(2).map((req) => JSON.parse(req.body).message);
+  assert.deepEqual(
+    delivered,
+    first.remainingParts.map((part) => part.text)
+  );
+});
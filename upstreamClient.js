@@ -0,0 +1,313 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🔁 Upstream HTTP Client
+ * --------------------------------------------------------------------------
+ * Shared axios wrapper for third-party APIs (PageSpeed Insights and the
+ * WhatsApp providers) so every integration times out, retries and fails
+ * the same way:
+ *
+ *   - Retry policies per client (and per call): network errors, timeouts
+ *     and the configured statuses (429 and 5xx by default) are retried
+ *     with jittered exponential backoff, honoring `Retry-After`. Requests
+ *     that must not be repeated (`idempotent: false`) are only retried
+ *     when the upstream clearly did not take them: a listed status or a
+ *     failure to connect, never a timeout or a dropped connection.
+ *   - Per-host circuit breakers: after BREAKER_THRESHOLD consecutive
+ *     failures a host is skipped for BREAKER_RESET_MS, then one trial
+ *     request decides whether it closes again.
+ *   - Typed errors: every failure rejects with an error carrying `kind`
+ *     (UPSTREAM_ERRORS), `host`, `httpStatus`, `attempts`, the axios
+ *     `response` when there was one, and the `status`/`code` a route
+ *     should answer with.
+ *
+ * Responses that pass the call's `validateStatus` (2xx by default) resolve
+ * as-is; callers that inspect 4xx bodies widen it.
+ * --------------------------------------------------------------------------
+ */
+
+import axios from "axios";
+import { logger, requestIdHeaders } from "./logger.js";
+import { upstreamRetries, circuitBreakerTransitions } from "./metrics.js";
+import { ERROR_CODES } from "./errors.js";
+
+const log = logger.child({ module: "upstreamClient" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  BREAKER_THRESHOLD: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD) || 5,
+  BREAKER_RESET_MS: parseInt(process.env.UPSTREAM_BREAKER_RESET_MS) || 30 * 1000,
+  // Longest Retry-After we are willing to wait inside a request
+  MAX_RETRY_AFTER_MS: 60 * 1000,
+};
+
+const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 10 * 1000,
+  statuses: [429, 500, 502, 503, 504],
+  idempotent: true,
+};
+
+// Failures raised before the request reached the upstream
+const CONNECT_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+export const UPSTREAM_ERRORS = {
+  TIMEOUT: "timeout",
+  NETWORK: "network",
+  RATE_LIMITED: "rate_limited",
+  SERVER_ERROR: "server_error",
+  CLIENT_ERROR: "client_error",
+  CIRCUIT_OPEN: "circuit_open",
+};
+
+// Route status and error code per kind
+const ERROR_RESPONSES = {
+  [UPSTREAM_ERRORS.TIMEOUT]: [504, ERROR_CODES.UPSTREAM_TIMEOUT],
+  [UPSTREAM_ERRORS.NETWORK]: [502, ERROR_CODES.UPSTREAM_ERROR],
+  [UPSTREAM_ERRORS.RATE_LIMITED]: [503, ERROR_CODES.SERVICE_UNAVAILABLE],
+  [UPSTREAM_ERRORS.SERVER_ERROR]: [502, ERROR_CODES.UPSTREAM_ERROR],
+  [UPSTREAM_ERRORS.CLIENT_ERROR]: [502, ERROR_CODES.UPSTREAM_ERROR],
+  [UPSTREAM_ERRORS.CIRCUIT_OPEN]: [503, ERROR_CODES.SERVICE_UNAVAILABLE],
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Waits for the given number of milliseconds.
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Full-jitter exponential backoff: a random delay up to
+ * `baseDelayMs * 2^(attempt - 1)`, capped at `maxDelayMs`.
+ */
+const jitteredDelay = (attempt, { baseDelayMs, maxDelayMs }) =>
+  Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+/**
+ * Reads a Retry-After header (seconds or HTTP date) as milliseconds.
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "unknown";
+  }
+};
+
+/**
+ * Builds a typed upstream error.
+ */
+const upstreamError = (kind, message, extra = {}) => {
+  const [status, code] = ERROR_RESPONSES[kind];
+  return Object.assign(new Error(message), {
+    name: "UpstreamError",
+    kind,
+    status,
+    code,
+    // A request the upstream rejected will be rejected again
+    fatal: kind === UPSTREAM_ERRORS.CLIENT_ERROR,
+    ...extra,
+  });
+};
+
+/**
+ * Classifies a failed attempt: an axios error without a response, or a
+ * response that did not pass validateStatus.
+ */
+const classify = (error, response) => {
+  if (response) {
+    if (response.status === 429) return UPSTREAM_ERRORS.RATE_LIMITED;
+    return response.status >= 500 ? UPSTREAM_ERRORS.SERVER_ERROR : UPSTREAM_ERRORS.CLIENT_ERROR;
+  }
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") return UPSTREAM_ERRORS.TIMEOUT;
+  return UPSTREAM_ERRORS.NETWORK;
+};
+
+/**
+ * True when a failed request may still have been processed upstream (it
+ * timed out or the connection dropped mid-request), so repeating it is
+ * unsafe for requests that are not idempotent.
+ */
+export const mayHaveReachedUpstream = (error) =>
+  error.kind === UPSTREAM_ERRORS.TIMEOUT ||
+  (error.kind === UPSTREAM_ERRORS.NETWORK && !CONNECT_ERRORS.includes(error.cause?.code));
+
+/* -------------------------------------------------------------------------- */
+/* 🔌 CIRCUIT BREAKERS */
+/* -------------------------------------------------------------------------- */
+
+const breakers = new Map(); // host -> { state, failures, openedAt, trial }
+
+const getBreaker = (host) => {
+  if (!breakers.has(host)) {
+    breakers.set(host, { state: "closed", failures: 0, openedAt: null, trial: false });
+  }
+  return breakers.get(host);
+};
+
+const transition = (host, breaker, state) => {
+  if (breaker.state === state) return;
+  breaker.state = state;
+  circuitBreakerTransitions.inc({ host, state });
+  if (state === "closed") log.info(`🟢 Circuit for ${host} is closed`);
+  else log.warn(`${state === "open" ? "🔴" : "🟡"} Circuit for ${host} is ${state}`);
+};
+
+/**
+ * Admits a request to `host`, or returns the time the circuit reopens.
+ * An open circuit lets one trial request through once BREAKER_RESET_MS
+ * has passed.
+ */
+const admit = (host) => {
+  const breaker = getBreaker(host);
+  if (breaker.state === "closed") return { allowed: true };
+
+  const reopensAt = breaker.openedAt + CONFIG.BREAKER_RESET_MS;
+  if (Date.now() >= reopensAt && !breaker.trial) {
+    transition(host, breaker, "half-open");
+    breaker.trial = true;
+    return { allowed: true };
+  }
+  return { allowed: false, retryAt: new Date(Math.max(reopensAt, Date.now())).toISOString() };
+};
+
+/**
+ * Records the outcome of an attempt. Client errors say nothing about the
+ * host's health and are recorded as successes.
+ */
+const recordOutcome = (host, healthy) => {
+  const breaker = getBreaker(host);
+  breaker.trial = false;
+  if (healthy) {
+    breaker.failures = 0;
+    transition(host, breaker, "closed");
+    return;
+  }
+  breaker.failures++;
+  if (breaker.state === "half-open" || breaker.failures >= CONFIG.BREAKER_THRESHOLD) {
+    breaker.openedAt = Date.now();
+    transition(host, breaker, "open");
+  }
+};
+
+/**
+ * Describes every circuit breaker, for health checks.
+ */
+export const getCircuitStates = () =>
+  Object.fromEntries(
+    [...breakers].map(([host, { state, failures, openedAt }]) => [
+      host,
+      {
+        state,
+        failures,
+        ...(state !== "closed" && { openedAt: new Date(openedAt).toISOString() }),
+      },
+    ])
+  );
+
+/**
+ * Returns the circuit state of the host serving `url`.
+ */
+export const getCircuitState = (url) => breakers.get(hostOf(url))?.state || "closed";
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 CLIENT */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Creates a client for one integration. `name` labels logs and metrics;
+ * `timeout` and `retry` (see DEFAULT_RETRY) are defaults that each call
+ * can override, as can `onRetry({ attempt, kind, delayMs })`, which runs
+ * before every retry.
+ *
+ * `client.request(config)` takes an axios request config (plus optional
+ * `retry` and `onRetry`) and resolves with the axios response, or rejects
+ * with a typed upstream error. Only responses failing `validateStatus` are
+ * considered for a retry.
+ */
+export const createUpstreamClient = ({ name, timeout = 30000, retry = {}, onRetry } = {}) => {
+  const defaults = { ...DEFAULT_RETRY, ...retry };
+
+  const request = async ({ retry: callRetry, onRetry: callOnRetry = onRetry, ...config }) => {
+    const policy = { ...defaults, ...callRetry };
+    const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+    const host = hostOf(config.url);
+
+    for (let attempt = 1; ; attempt++) {
+      const admission = admit(host);
+      if (!admission.allowed) {
+        throw upstreamError(UPSTREAM_ERRORS.CIRCUIT_OPEN, `${host} is unavailable (circuit open)`, {
+          host,
+          attempts: attempt - 1,
+          retryAt: admission.retryAt,
+        });
+      }
+
+      let response = null;
+      let failure = null;
+      try {
+        response = await axios.request({
+          timeout,
+          ...config,
+          headers: { ...requestIdHeaders(), ...config.headers },
+          validateStatus: () => true,
+        });
+        if (validateStatus(response.status)) {
+          recordOutcome(host, true);
+          return response;
+        }
+      } catch (error) {
+        failure = error;
+      }
+
+      const kind = classify(failure, response);
+      recordOutcome(host, kind === UPSTREAM_ERRORS.CLIENT_ERROR);
+
+      const retryable =
+        attempt <= policy.retries &&
+        (response
+          ? policy.statuses.includes(response.status)
+          : policy.idempotent || !mayHaveReachedUpstream({ kind, cause: failure }));
+      const retryAfterMs = parseRetryAfter(response?.headers?.["retry-after"]);
+
+      if (!retryable || retryAfterMs > CONFIG.MAX_RETRY_AFTER_MS) {
+        const detail = response ? `HTTP ${response.status}` : failure.message;
+        throw upstreamError(kind, `${name} request to ${host} failed: ${detail}`, {
+          host,
+          httpStatus: response?.status ?? null,
+          attempts: attempt,
+          response: response || undefined,
+          ...(retryAfterMs !== null && {
+            retryAt: new Date(Date.now() + retryAfterMs).toISOString(),
+          }),
+          cause: failure || undefined,
+        });
+      }
+
+      const delayMs = retryAfterMs ?? jitteredDelay(attempt, policy);
+      upstreamRetries.inc({ client: name, reason: kind });
+      log.warn(
+        `🔁 ${name} ${kind} from ${host} (attempt ${attempt}/${policy.retries + 1})` +
+          ` - retrying in ${delayMs}ms`
+      );
+      callOnRetry?.({ attempt, kind, delayMs });
+      await sleep(delayMs);
+    }
+  };
+
+  return { name, request };
+};
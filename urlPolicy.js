@@ -0,0 +1,338 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🧱 URL Policy
+ * --------------------------------------------------------------------------
+ * Guards every URL the service audits or fetches against SSRF. A URL must
+ * use http/https, carry no credentials, avoid blocked domains and resolve
+ * only to public addresses (no private, loopback, link-local or reserved
+ * ranges). URLs are normalized first: IDN hosts become punycode, default
+ * ports, fragments, tracking parameters and trailing slashes are dropped.
+ *
+ * policyFetch() applies the same rules at connect time (so DNS rebinding
+ * cannot swap in a private address) and to every redirect hop.
+ *
+ * URL_POLICY_BLOCKED_DOMAINS: comma-separated domains (subdomains included)
+ * URL_POLICY_MAX_REDIRECTS:   redirect hops followed by policyFetch (5)
+ * URL_POLICY_ALLOW_PRIVATE:   "true" to allow private targets (local dev only)
+ * --------------------------------------------------------------------------
+ */
+
+import axios from "axios";
+import dns from "dns";
+import net from "net";
+import { ERROR_CODES, errorBody } from "./errors.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "urlPolicy" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const list = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase().replace(/^\.+|\.+$/g, ""))
+    .filter(Boolean);
+
+const CONFIG = {
+  SCHEMES: ["http:", "https:"],
+  BLOCKED_DOMAINS: list(process.env.URL_POLICY_BLOCKED_DOMAINS),
+  MAX_REDIRECTS: parseInt(process.env.URL_POLICY_MAX_REDIRECTS) || 5,
+  ALLOW_PRIVATE: process.env.URL_POLICY_ALLOW_PRIVATE === "true",
+  DNS_TIMEOUT: 5000,
+};
+
+// Query parameters that only track campaigns and never change the page
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(gclid|gbraid|wbraid|dclid|fbclid|msclkid|yclid|igshid|twclid|ttclid)$/i,
+  /^(mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|mkt_tok)$/i,
+];
+
+// Non-public IPv4/IPv6 ranges (IPv4-mapped IPv6 addresses match the IPv4 rules)
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // documentation
+  ["192.88.99.0", 24], // 6to4 relay
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 96], // unspecified, loopback, IPv4-compatible (::a.b.c.d)
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64], // discard
+  ["2001::", 32], // Teredo, tunnels to an embedded IPv4 address
+  ["2001:db8::", 32], // documentation
+  ["2002::", 16], // 6to4, tunnels to an embedded IPv4 address
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Creates a policy rejection. Rejections are client errors (never retried)
+ * unless `status` says otherwise.
+ */
+const policyError = (code, message, status = 400) =>
+  Object.assign(new Error(message), { status, code, fatal: status < 500 });
+
+/**
+ * True when an IP address is in a non-public range.
+ */
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+const isBlockedDomain = (hostname) =>
+  CONFIG.BLOCKED_DOMAINS.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+
+/**
+ * Resolves a hostname to every address it maps to.
+ */
+const resolveHost = (hostname) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(policyError(ERROR_CODES.URL_DNS_FAILED, `DNS lookup for ${hostname} timed out`, 502));
+    }, CONFIG.DNS_TIMEOUT);
+    dns.lookup(hostname, { all: true, verbatim: true }, (error, addresses) => {
+      clearTimeout(timer);
+      if (!error) return resolve(addresses);
+      const notFound = ["ENOTFOUND", "ENODATA"].includes(error.code);
+      reject(
+        policyError(
+          ERROR_CODES.URL_DNS_FAILED,
+          notFound
+            ? `Host ${hostname} does not resolve`
+            : `DNS lookup for ${hostname} failed: ${error.code}`,
+          notFound ? 400 : 502
+        )
+      );
+    });
+  });
+
+/* -------------------------------------------------------------------------- */
+/* 🧽 NORMALIZATION */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Normalizes a URL for auditing: punycode host, no default port, fragment,
+ * tracking parameters or trailing slash. Throws URL_INVALID when the
+ * input is not an absolute URL.
+ */
+export const normalizeUrl = (input) => {
+  let url;
+  try {
+    url = new URL(String(input).trim());
+  } catch {
+    throw policyError(ERROR_CODES.URL_INVALID, "Invalid URL format");
+  }
+
+  url.hash = "";
+  url.hostname = url.hostname.replace(/\.$/, "");
+  for (const name of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some((pattern) => pattern.test(name))) url.searchParams.delete(name);
+  }
+  if (url.pathname !== "/") url.pathname = url.pathname.replace(/\/+$/, "") || "/";
+
+  // URL keeps a bare "?" when every parameter was removed
+  return url.href.replace(/\?$/, "");
+};
+
+/* -------------------------------------------------------------------------- */
+/* ✅ POLICY CHECKS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Checks a parsed URL against the policy without touching DNS.
+ */
+const assertAllowedSyntax = (url) => {
+  if (!CONFIG.SCHEMES.includes(url.protocol)) {
+    throw policyError(
+      ERROR_CODES.URL_SCHEME_NOT_ALLOWED,
+      `URL scheme "${url.protocol.slice(0, -1)}" is not allowed. Use http or https.`
+    );
+  }
+  if (url.username || url.password) {
+    throw policyError(
+      ERROR_CODES.URL_CREDENTIALS_NOT_ALLOWED,
+      "URLs with credentials are not allowed"
+    );
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!hostname) throw policyError(ERROR_CODES.URL_INVALID, "URL must include a host");
+  if (isBlockedDomain(hostname)) {
+    throw policyError(ERROR_CODES.URL_DOMAIN_BLOCKED, `Domain ${hostname} is blocked`);
+  }
+  return hostname;
+};
+
+/**
+ * Rejects a host when any of its addresses is non-public.
+ */
+const assertPublicAddresses = (hostname, addresses) => {
+  if (CONFIG.ALLOW_PRIVATE) return;
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    log.warn(`🧱 Blocked ${hostname}: resolves to non-public address ${blocked.address}`);
+    throw policyError(
+      ERROR_CODES.URL_PRIVATE_ADDRESS,
+      `${hostname} resolves to a private or reserved address`
+    );
+  }
+};
+
+/**
+ * Normalizes a URL and enforces the policy, resolving the host. Resolves
+ * with `{ url, hostname, addresses }`; rejects with a `code`-carrying
+ * error (status 400, or 502 when DNS itself failed).
+ */
+export const checkUrl = async (input, { normalize = true } = {}) => {
+  const href = normalize ? normalizeUrl(input) : String(input);
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    throw policyError(ERROR_CODES.URL_INVALID, "Invalid URL format");
+  }
+
+  const hostname = assertAllowedSyntax(url);
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await resolveHost(hostname);
+  assertPublicAddresses(hostname, addresses);
+
+  return { url: href, hostname, addresses: addresses.map(({ address }) => address) };
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🌐 GUARDED FETCH */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * dns.lookup replacement for outgoing sockets: refuses to connect to
+ * non-public addresses, whatever the host resolved to at check time.
+ */
+const guardedLookup = (hostname, options, callback) => {
+  const opts = typeof options === "function" ? {} : options;
+  const done = typeof options === "function" ? options : callback;
+
+  dns.lookup(hostname, { ...opts, all: true }, (error, addresses) => {
+    if (error) return done(error);
+    try {
+      assertPublicAddresses(hostname, addresses);
+    } catch (policyErr) {
+      return done(policyErr);
+    }
+    if (opts.all) return done(null, addresses);
+    done(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Fetches a URL with axios under the policy. Redirects are followed by
+ * hand (at most URL_POLICY_MAX_REDIRECTS) so every hop is checked.
+ * Resolves with the final response whatever its status, plus `finalUrl`
+ * and `redirects`; rejects with policy errors or network errors.
+ */
+export const policyFetch = async (input, config = {}) => {
+  let { url } = await checkUrl(input, { normalize: false });
+  let method = (config.method || "get").toLowerCase();
+  const redirects = [];
+
+  for (;;) {
+    let response;
+    try {
+      response = await axios.request({
+        ...config,
+        url,
+        method,
+        maxRedirects: 0,
+        lookup: guardedLookup,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      // axios wraps the lookup rejection; restore the policy error
+      if (error.code === ERROR_CODES.URL_PRIVATE_ADDRESS) {
+        const { hostname } = new URL(url);
+        throw policyError(error.code, `${hostname} resolves to a private or reserved address`);
+      }
+      throw error;
+    }
+
+    const location = response.headers?.location;
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return Object.assign(response, { finalUrl: url, redirects });
+    }
+
+    if (redirects.length >= CONFIG.MAX_REDIRECTS) {
+      throw policyError(
+        ERROR_CODES.URL_TOO_MANY_REDIRECTS,
+        `${input} redirected more than ${CONFIG.MAX_REDIRECTS} times`
+      );
+    }
+    const next = new URL(location, url).href;
+    ({ url } = await checkUrl(next, { normalize: false }));
+    redirects.push(url);
+    if (response.status === 303) method = "get";
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🛂 MIDDLEWARE */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Applies checkUrl() to a body value: a URL string, a list of them, or
+ * objects with a `url` field (e.g. named competitors).
+ */
+const checkValue = async (value) => {
+  if (typeof value === "string") return (await checkUrl(value)).url;
+  if (Array.isArray(value)) return Promise.all(value.map(checkValue));
+  if (value && typeof value === "object" && typeof value.url === "string") {
+    return { ...value, url: await checkValue(value.url) };
+  }
+  return value;
+};
+
+/**
+ * Route middleware enforcing the policy on the given body fields and
+ * replacing them with their normalized URLs. Runs after validate().
+ */
+export const enforceUrlPolicy = (...fields) => async (req, res, next) => {
+  for (const field of fields) {
+    if (req.body?.[field] === undefined) continue;
+    try {
+      req.body[field] = await checkValue(req.body[field]);
+    } catch (error) {
+      if (!error.code) return next(error);
+      return res
+        .status(error.status)
+        .json(errorBody(error.status, `${field}: ${error.message}`, { code: error.code, field }));
+    }
+  }
+  next();
+};
@@ -0,0 +1,466 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🧾 Request Validation
+ * --------------------------------------------------------------------------
+ * Declarative schemas for route bodies, queries and params. A schema
+ * coerces what it safely can (numeric strings, "true"/"false", comma lists
+ * in queries), enforces bounds and URL schemes, and reports every problem
+ * as a field-level error inside the VALIDATION_ERROR envelope. The same
+ * schemas describe the API in the OpenAPI document served at /api/docs.
+ *
+ *   router.post("/audit", validate({ summary, body: v.object({ url: v.url() }) }), handler)
+ * --------------------------------------------------------------------------
+ */
+
+import { ERROR_CODES, errorBody } from "./errors.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 SCHEMA BUILDERS */
+/* -------------------------------------------------------------------------- */
+
+const INVALID = Symbol("invalid");
+
+// Loose email check shared with controllers that test addresses themselves
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Creates a schema from a type-specific `check(value, ctx)` (returns the
+ * coerced value, or INVALID after calling `ctx.fail`) and `json()` (its
+ * JSON Schema). Schemas are immutable; modifiers return copies.
+ */
+const define = ({ check, json }) => ({
+  check,
+  json,
+  required: true,
+  defaultValue: undefined,
+  description: undefined,
+  optional() {
+    return { ...this, required: false };
+  },
+  default(value) {
+    return { ...this, required: false, defaultValue: value };
+  },
+  describe(text) {
+    return { ...this, description: text };
+  },
+});
+
+/**
+ * Validates `value` against `schema`, collecting errors. Resolves with
+ * the coerced value (undefined for an absent optional field).
+ */
+const run = (schema, value, ctx) => {
+  if (value === undefined || value === null || (ctx.location === "query" && value === "")) {
+    if (schema.defaultValue !== undefined) return structuredClone(schema.defaultValue);
+    if (schema.required) ctx.fail("required", "is required");
+    return undefined;
+  }
+  return schema.check(value, ctx);
+};
+
+/**
+ * Child context for a nested field.
+ */
+const nested = (ctx, key) => {
+  const path = typeof key === "number" ? `${ctx.path}[${key}]` : ctx.path ? `${ctx.path}.${key}` : key;
+  return {
+    ...ctx,
+    path,
+    fail(code, message) {
+      ctx.errors.push({ field: path, location: ctx.location, code, message: `${path} ${message}` });
+      return INVALID;
+    },
+  };
+};
+
+const toNumber = (value) =>
+  typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+export const v = {
+  /**
+   * A string, trimmed. Options: min, max (length), pattern, values (enum),
+   * format (OpenAPI hint).
+   */
+  string: ({ min, max, pattern, values, format } = {}) =>
+    define({
+      check(value, ctx) {
+        if (typeof value !== "string") return ctx.fail("invalid_type", "must be a string");
+        const text = value.trim();
+        if (min !== undefined && text.length < min) {
+          return ctx.fail("too_small", `must be at least ${min} character${min === 1 ? "" : "s"}`);
+        }
+        if (max !== undefined && text.length > max) {
+          return ctx.fail("too_big", `must be at most ${max} characters`);
+        }
+        if (values && !values.includes(text)) {
+          return ctx.fail("invalid_enum", `must be one of: ${values.join(", ")}`);
+        }
+        if (pattern && !pattern.test(text)) return ctx.fail("invalid_format", "has an invalid format");
+        return text;
+      },
+      json: () => ({
+        type: "string",
+        ...(min !== undefined && { minLength: min }),
+        ...(max !== undefined && { maxLength: max }),
+        ...(values && { enum: values }),
+        ...(pattern && { pattern: pattern.source }),
+        ...(format && { format }),
+      }),
+    }),
+
+  /**
+   * One of a fixed list of strings.
+   */
+  enum: (values) => v.string({ values }),
+
+  /**
+   * An absolute URL with one of `schemes` (http/https by default).
+   */
+  url: ({ schemes = ["http", "https"] } = {}) =>
+    define({
+      check(value, ctx) {
+        if (typeof value !== "string") return ctx.fail("invalid_type", "must be a string");
+        let parsed;
+        try {
+          parsed = new URL(value.trim());
+        } catch {
+          return ctx.fail("invalid_url", "must be a valid URL");
+        }
+        if (!schemes.includes(parsed.protocol.slice(0, -1))) {
+          return ctx.fail("invalid_scheme", `must use ${schemes.join(" or ")}`);
+        }
+        if (!parsed.hostname) return ctx.fail("invalid_url", "must include a host");
+        return value.trim();
+      },
+      json: () => ({ type: "string", format: "uri", pattern: `^(${schemes.join("|")})://` }),
+    }),
+
+  /**
+   * An email address (loosely checked).
+   */
+  email: () => v.string({ max: 254, pattern: EMAIL_PATTERN, format: "email" }),
+
+  /**
+   * A date or date-time string; coerced to an ISO timestamp.
+   */
+  date: () =>
+    define({
+      check(value, ctx) {
+        const date = typeof value === "string" || typeof value === "number" ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) return ctx.fail("invalid_date", "must be a valid date");
+        return date.toISOString();
+      },
+      json: () => ({ type: "string", format: "date-time" }),
+    }),
+
+  /**
+   * A finite number; numeric strings are coerced. Options: min, max,
+   * integer.
+   */
+  number: ({ min, max, integer = false } = {}) =>
+    define({
+      check(value, ctx) {
+        const number = toNumber(value);
+        if (typeof number !== "number" || !Number.isFinite(number)) {
+          return ctx.fail("invalid_type", `must be ${integer ? "an integer" : "a number"}`);
+        }
+        if (integer && !Number.isInteger(number)) return ctx.fail("invalid_type", "must be an integer");
+        if (min !== undefined && number < min) return ctx.fail("too_small", `must be at least ${min}`);
+        if (max !== undefined && number > max) return ctx.fail("too_big", `must be at most ${max}`);
+        return number;
+      },
+      json: () => ({
+        type: integer ? "integer" : "number",
+        ...(min !== undefined && { minimum: min }),
+        ...(max !== undefined && { maximum: max }),
+      }),
+    }),
+
+  integer: (options = {}) => v.number({ ...options, integer: true }),
+
+  /**
+   * A boolean; "true"/"false"/"1"/"0" are coerced.
+   */
+  boolean: () =>
+    define({
+      check(value, ctx) {
+        if (typeof value === "boolean") return value;
+        if (["true", "1"].includes(value)) return true;
+        if (["false", "0"].includes(value)) return false;
+        return ctx.fail("invalid_type", "must be a boolean");
+      },
+      json: () => ({ type: "boolean" }),
+    }),
+
+  /**
+   * A list of `items`. In query strings a comma-separated value is split.
+   * Options: min, max (length).
+   */
+  array: (items, { min, max } = {}) =>
+    define({
+      check(value, ctx) {
+        const list =
+          ctx.location === "query" && typeof value === "string" ? value.split(",") : value;
+        if (!Array.isArray(list)) return ctx.fail("invalid_type", "must be a list");
+        if (min !== undefined && list.length < min) {
+          return ctx.fail("too_small", `must contain at least ${min} item${min === 1 ? "" : "s"}`);
+        }
+        if (max !== undefined && list.length > max) {
+          return ctx.fail("too_big", `must contain at most ${max} items`);
+        }
+        const result = list.map((item, i) => run(items, item, nested(ctx, i)));
+        return result.includes(INVALID) ? INVALID : result;
+      },
+      json: () => ({
+        type: "array",
+        items: toJsonSchema(items),
+        ...(min !== undefined && { minItems: min }),
+        ...(max !== undefined && { maxItems: max }),
+      }),
+    }),
+
+  /**
+   * An object with the given fields. Unknown fields are kept as sent, so
+   * handlers reading extra settings keep working.
+   */
+  object: (shape = {}) =>
+    define({
+      check(value, ctx) {
+        if (!isPlainObject(value)) return ctx.fail("invalid_type", "must be an object");
+        const result = { ...value };
+        let invalid = false;
+        for (const [key, field] of Object.entries(shape)) {
+          const parsed = run(field, value[key], nested(ctx, key));
+          if (parsed === INVALID) invalid = true;
+          else if (parsed === undefined) delete result[key];
+          else result[key] = parsed;
+        }
+        return invalid ? INVALID : result;
+      },
+      json: () => {
+        const entries = Object.entries(shape);
+        const required = entries.filter(([, field]) => field.required).map(([key]) => key);
+        return {
+          type: "object",
+          properties: Object.fromEntries(entries.map(([key, field]) => [key, toJsonSchema(field)])),
+          ...(required.length && { required }),
+        };
+      },
+    }),
+
+  /**
+   * An object whose every value matches `values` (e.g. a map of quotas).
+   */
+  record: (values) =>
+    define({
+      check(value, ctx) {
+        if (!isPlainObject(value)) return ctx.fail("invalid_type", "must be an object");
+        const entries = Object.entries(value).map(([key, item]) => [
+          key,
+          run(values, item, nested(ctx, key)),
+        ]);
+        return entries.some(([, item]) => item === INVALID) ? INVALID : Object.fromEntries(entries);
+      },
+      json: () => ({ type: "object", additionalProperties: toJsonSchema(values) }),
+    }),
+
+  /**
+   * The first of `options` that accepts the value.
+   */
+  oneOf: (options) =>
+    define({
+      check(value, ctx) {
+        for (const option of options) {
+          const errors = [];
+          const attempt = { ...ctx, errors, fail: () => errors.push(INVALID) && INVALID };
+          const parsed = run(option, value, attempt);
+          if (!errors.length) return parsed;
+        }
+        // Report the detailed errors of the form matching the value's type
+        const type = Array.isArray(value) ? "array" : typeof value;
+        const closest = options.find((option) =>
+          [type, type === "number" && "integer"].includes(option.json().type)
+        );
+        if (closest) return run(closest, value, ctx);
+        return ctx.fail("invalid_union", "does not match any of the accepted forms");
+      },
+      json: () => ({ oneOf: options.map(toJsonSchema) }),
+    }),
+};
+
+/**
+ * Returns a schema's JSON Schema, with its description and default.
+ */
+const toJsonSchema = (schema) => ({
+  ...schema.json(),
+  ...(schema.description && { description: schema.description }),
+  ...(schema.defaultValue !== undefined && { default: schema.defaultValue }),
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🛂 MIDDLEWARE */
+/* -------------------------------------------------------------------------- */
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Validates a request against `spec` ({ summary?, description?, params?,
+ * query?, body? }, each an object schema). Invalid requests get a 400
+ * VALIDATION_ERROR listing every failing field; valid ones continue with
+ * the coerced body and query. The spec is kept on the middleware for the
+ * OpenAPI document.
+ */
+export const validate = (spec) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const location of LOCATIONS) {
+      if (!spec[location]) continue;
+      const ctx = {
+        location,
+        path: "",
+        errors,
+        fail(code, message) {
+          errors.push({ field: location, location, code, message: `${location} ${message}` });
+          return INVALID;
+        },
+      };
+      parsed[location] = run(spec[location], req[location] ?? {}, ctx);
+    }
+
+    if (errors.length) {
+      return res.status(400).json(
+        errorBody(400, `Invalid request: ${errors.map((error) => error.message).join("; ")}`, {
+          code: ERROR_CODES.VALIDATION_ERROR,
+          errors,
+        })
+      );
+    }
+
+    if (parsed.body) req.body = parsed.body;
+    // Express 5 exposes req.query as a getter; shadow it with the coerced copy
+    if (parsed.query) {
+      Object.defineProperty(req, "query", { value: parsed.query, writable: true, configurable: true });
+    }
+    next();
+  };
+  middleware.spec = spec;
+  return middleware;
+};
+
+/* -------------------------------------------------------------------------- */
+/* 📘 OPENAPI */
+/* -------------------------------------------------------------------------- */
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    success: { type: "boolean", const: false },
+    code: { type: "string", enum: Object.values(ERROR_CODES) },
+    message: { type: "string" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          location: { type: "string", enum: LOCATIONS },
+          code: { type: "string" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+  required: ["success", "code", "message"],
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+});
+
+/**
+ * Lists query or path parameters from an object schema.
+ */
+const toParameters = (schema, location) => {
+  const { properties = {}, required = [] } = toJsonSchema(schema);
+  return Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || required.includes(name),
+    schema: property,
+    ...(property.description && { description: property.description }),
+  }));
+};
+
+/**
+ * Builds an OpenAPI 3.1 document from an Express router: every route with
+ * a validate() middleware is documented, and requireScope() middleware
+ * marks it as needing an API key.
+ */
+export const buildOpenApiDocument = (router, { prefix = "", info }) => {
+  const paths = {};
+
+  for (const layer of router.stack) {
+    const route = layer.route;
+    if (!route) continue;
+    const handlers = route.stack.map((entry) => entry.handle);
+    const spec = handlers.find((handler) => handler.spec)?.spec;
+    if (!spec) continue;
+
+    const scopes = handlers.filter((handler) => "scope" in handler).map((handler) => handler.scope);
+    const path = `${prefix}${route.path}`.replace(/:(\w+)/g, "{$1}");
+    const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    }));
+
+    const operation = {
+      summary: spec.summary,
+      ...(spec.description && { description: spec.description }),
+      tags: [route.path.split("/")[1]],
+      parameters: [
+        ...(spec.params ? toParameters(spec.params, "path") : pathParams),
+        ...(spec.query ? toParameters(spec.query, "query") : []),
+      ],
+      ...(spec.body && {
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: toJsonSchema(spec.body) } },
+        },
+      }),
+      responses: {
+        200: { description: "Success" },
+        ...((spec.body || spec.query) && { 400: errorResponse("Invalid request") }),
+        ...(scopes.length && {
+          401: errorResponse("Missing or invalid API key"),
+          403: errorResponse("API key lacks the required scope"),
+        }),
+        500: errorResponse("Internal server error"),
+      },
+      security: scopes.length ? [{ bearerAuth: [] }] : [],
+      ...(scopes.filter(Boolean).length && { "x-required-scopes": scopes.filter(Boolean) }),
+    };
+
+    paths[path] = paths[path] || {};
+    for (const method of Object.keys(route.methods).filter((m) => route.methods[m] && m !== "_all")) {
+      paths[path][method] = operation;
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info,
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer" } },
+      schemas: { Error: ERROR_SCHEMA },
+    },
+  };
+};
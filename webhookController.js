@@ -0,0 +1,137 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🪝 Webhook Controller
+ * --------------------------------------------------------------------------
+ * Receives WhatsApp delivery status callbacks and inbound replies, and
+ * exposes the delivery timeline of tracked messages. STOP/START replies
+ * update the consent registry instead of being captured as leads.
+ * --------------------------------------------------------------------------
+ */
+
+import {
+  detectWebhookProvider,
+  parseWebhook,
+  verifyMetaSubscription,
+} from "./whatsappWebhooks.js";
+import {
+  getMessage,
+  getLatestMessageTo,
+  recordStatusEvent,
+} from "./messageStore.js";
+import { getAudit } from "./auditStore.js";
+import { recordReplyLead } from "./leadStore.js";
+import { pushNewLead } from "./crmWebhook.js";
+import { parseConsentKeyword, recordOptIn, recordOptOut } from "./consentStore.js";
+import { canAccess } from "./authMiddleware.js";
+import { logger } from "./logger.js";
+
+const log = logger.child({ module: "webhookController" });
+
+/**
+ * Finds the audit a reply refers to: the quoted message if any, otherwise
+ * the last report sent to that number.
+ */
+const findRepliedAudit = async ({ from, contextId }) => {
+  const message =
+    (contextId && (await getMessage(contextId))) || (await getLatestMessageTo(from));
+  return message?.auditId ? getAudit(message.auditId) : null;
+};
+
+/**
+ * Handles Meta's GET subscription verification handshake.
+ */
+export const verifyWhatsAppWebhook = (req, res) => {
+  const challenge = verifyMetaSubscription(req.query);
+  if (challenge === null) {
+    return res.status(403).json({
+      success: false,
+      message: "Webhook verification failed",
+    });
+  }
+  return res.status(200).send(challenge);
+};
+
+/**
+ * Records delivery status events, applies consent keywords and captures
+ * other replies as leads.
+ */
+export const receiveWhatsAppWebhook = async (req, res) => {
+  try {
+    const provider = detectWebhookProvider(req);
+
+    if (!provider.verify(req)) {
+      log.warn(`⚠️  Rejected ${provider.name} webhook with invalid signature`);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid webhook signature",
+      });
+    }
+
+    const { statuses, replies } = parseWebhook(provider, req.body);
+    let tracked = 0;
+
+    for (const event of statuses) {
+      const message = await recordStatusEvent(event.messageId, event);
+      if (message) tracked++;
+    }
+
+    for (const reply of replies) {
+      const keyword = parseConsentKeyword(reply.text);
+      if (keyword) {
+        const consent = { source: `whatsapp-reply:${provider.name}` };
+        if (keyword === "opt_out") await recordOptOut(reply.from, consent);
+        else await recordOptIn(reply.from, consent);
+        continue;
+      }
+
+      const audit = await findRepliedAudit(reply);
+      const { lead, created } = await recordReplyLead({
+        phoneNumber: reply.from,
+        audit,
+        text: reply.text,
+        messageId: reply.messageId,
+        provider: provider.name,
+        receivedAt: reply.at,
+      });
+      if (created) await pushNewLead(lead);
+    }
+
+    log.info(
+      `🪝 ${provider.name} webhook: ${tracked}/${statuses.length} status event(s), ${replies.length} reply(ies)`
+    );
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    log.error("❌ Webhook processing failed", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Returns a tracked message with its delivery timeline. Messages of other
+ * clients are reported as not found.
+ */
+export const getMessageStatus = async (req, res) => {
+  try {
+    const message = await getMessage(req.params.messageId);
+
+    if (!message || !canAccess(req, message.ownerId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    return res.status(200).json({ success: true, message });
+  } catch (error) {
+    log.error("❌ Failed to load message", { error });
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
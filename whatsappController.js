@@ -3,125 +3,144 @@
  * 📱 WhatsApp SEO Report Controller
  * --------------------------------------------------------------------------
  * Sends formatted SEO audit reports via WhatsApp API.
- * Includes audit limits per IP, multiple recipient handling, 
- * and structured emoji-rich report formatting.
+ * Includes per-caller and per-recipient quotas, multiple recipient handling,
+ * and structured emoji-rich report formatting. Reports can reference a
+ * server-side audit by id instead of posting reportData directly, and can
+ * be delivered as text, a PDF document, or both, in any brand and locale
+ * from the template registry. Finished site audits are sent as a
+ * site-wide summary and competitor comparisons as a side-by-side variant.
+ * The same report can go out by email too: callers pick the channels and
+ * get per-channel, per-recipient results.
+ * WhatsApp recipients are parsed as E.164 numbers and checked against the
+ * consent registry; suppressed or non-consenting numbers are skipped with
+ * a per-recipient `reason`.
+ * Every request records its prospect (contact details, audited URL,
+ * scores, `source`) as a lead; new leads are pushed to the CRM webhook.
  * --------------------------------------------------------------------------
  */
 
-import axios from "axios";
-import dotenv from "dotenv";
-
-dotenv.config();
+import {
+  getAudit,
+  getPreviousAudit,
+  recordDeliveries,
+} from "./auditStore.js";
+import {
+  getScoreRating,
+  evaluateMetric,
+  formatMetric,
+  calculatePassRate,
+  getHealthStatus,
+  formatTimestamp,
+} from "./reportUtils.js";
+import {
+  sendWhatsAppMessage,
+  isTransportConfigured,
+  getDeliveredMessageIds,
+} from "./whatsappTransport.js";
+import { isEmailConfigured, sendEmail } from "./emailTransport.js";
+import { renderReportEmail, renderMessageEmail } from "./emailReport.js";
+import { renderReportPdf } from "./pdfReport.js";
+import { recordSentMessage } from "./messageStore.js";
+import { parsePhoneNumber } from "./phoneNumber.js";
+import { checkRecipientConsent } from "./consentStore.js";
+import { captureAuditLead } from "./leadStore.js";
+import { pushNewLead } from "./crmWebhook.js";
+import {
+  getRequestIdentity,
+  getPlan,
+  reserveQuota,
+  setQuotaHeaders,
+  formatWindow,
+} from "./quotaService.js";
+import { signResource } from "./apiKeyService.js";
+import { resolveTemplate, translate } from "./templates.js";
+import { canAccess } from "./authMiddleware.js";
+import { siteAuditQueue } from "./siteAuditService.js";
+import { getComparison } from "./compareService.js";
+import { JOB_STATUS } from "./jobQueue.js";
+import { logger } from "./logger.js";
+import { rateLimitRejections } from "./metrics.js";
+import { ERROR_CODES } from "./errors.js";
+import { EMAIL_PATTERN } from "./validation.js";
+
+const log = logger.child({ module: "whatsappController" });
 
 /* -------------------------------------------------------------------------- */
 /* 🧩 CONFIGURATION */
 /* -------------------------------------------------------------------------- */
 
 const CONFIG = {
-  ACCESS_TOKEN: process.env.WHATSAPP_ACCESS_TOKEN,
-  INSTANCE_ID: process.env.WHATSAPP_INSTANCE_ID,
-  API_BASE_URL:
-    process.env.WHATSAPP_API_URL || "https://app.simplywhatsapp.com/api",
-  AUDIT_LIMIT: 3,
-  RESET_INTERVAL: 24 * 60 * 60 * 1000, // 24 hours
+  PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL,
+  REPORT_LINK_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days for the provider to fetch the PDF
 };
 
-const auditCounts = new Map();
-setInterval(() => auditCounts.clear(), CONFIG.RESET_INTERVAL);
+export const REPORT_FORMATS = ["text", "pdf", "both"];
+export const DELIVERY_CHANNELS = ["whatsapp", "email"];
 
 /* -------------------------------------------------------------------------- */
 /* 🛠️ UTILITY FUNCTIONS */
 /* -------------------------------------------------------------------------- */
 
 /**
- * Formats and validates a phone number into international format.
- */
-const formatPhoneNumber = (phoneNumber) => {
-  if (!phoneNumber) return null;
-  const clean = phoneNumber.toString().replace(/\D/g, "");
-  if (clean.length < 10 || clean.length > 15) return null;
-  if (clean.length > 10) return clean;
-  if (clean.length === 10 && /^[6789]/.test(clean)) return "91" + clean;
-  if (clean.length === 11 && clean.startsWith("0")) return "91" + clean.slice(1);
-  return clean;
-};
-
-/**
- * Returns emoji and label for a score range.
+ * Returns a "since last audit" line for a score, or an empty string when
+ * there is no previous value to compare against.
  */
-const getScoreRating = (score) => {
-  if (score >= 90) return { label: "Excellent", emoji: "🟢" };
-  if (score >= 75) return { label: "Good", emoji: "🟡" };
-  if (score >= 50) return { label: "Average", emoji: "🟠" };
-  if (score > 0) return { label: "Poor", emoji: "🔴" };
-  return { label: "N/A", emoji: "⚪" };
+const formatScoreChange = (current, previous, t = translate) => {
+  if (typeof previous !== "number" || typeof current !== "number") return "";
+  const delta = current - previous;
+  const change =
+    delta > 0 ? `▲ +${delta}` : delta < 0 ? `▼ ${delta}` : `➖ ${t("trend.noChange")}`;
+  return `\n   ↳ _${t("trend.sinceLast", { change })}_`;
 };
 
 /**
- * Evaluates a given metric (like LCP, CLS, etc.) for quality rating.
+ * Records the prospect of a report request as a lead: the report's contact
+ * email, the email recipients and every valid phone number. Capture
+ * failures are logged and never fail the send.
  */
-const evaluateMetric = (metric, value) => {
-  switch (metric) {
-    case "fcp":
-    case "lcp":
-    case "speedIndex":
-    case "tti":
-      if (value <= 2.5) return { label: "Excellent", emoji: "🟢" };
-      if (value <= 4) return { label: "Good", emoji: "🟡" };
-      if (value <= 6) return { label: "Needs Improvement", emoji: "🟠" };
-      return { label: "Poor", emoji: "🔴" };
-    case "cls":
-      if (value <= 0.1) return { label: "Excellent", emoji: "🟢" };
-      if (value <= 0.25) return { label: "Good", emoji: "🟡" };
-      if (value <= 0.5) return { label: "Needs Improvement", emoji: "🟠" };
-      return { label: "Poor", emoji: "🔴" };
-    case "tbt":
-      if (value <= 200) return { label: "Excellent", emoji: "🟢" };
-      if (value <= 400) return { label: "Good", emoji: "🟡" };
-      if (value <= 600) return { label: "Needs Improvement", emoji: "🟠" };
-      return { label: "Poor", emoji: "🔴" };
-    default:
-      return { label: "N/A", emoji: "⚪" };
+const captureRequestLead = async (req, { reportData, audit, phoneNumbers, emailAddresses }) => {
+  try {
+    const { countryCode } = resolveTemplate({ brand: req.body.brand || req.apiKey?.brand });
+    const emails = [reportData.email, ...emailAddresses]
+      .filter((email) => EMAIL_PATTERN.test(email?.trim() || ""))
+      .map((email) => email.trim().toLowerCase());
+    const numbers = phoneNumbers
+      .map((number) => parsePhoneNumber(number, countryCode))
+      .filter((parsed) => parsed.valid)
+      .map((parsed) => parsed.digits);
+    if (!emails.length && !numbers.length) return;
+
+    const { lead, created } = await captureAuditLead({
+      ownerId: req.apiKey?.clientId ?? null,
+      emails,
+      phoneNumbers: numbers,
+      url: reportData.url,
+      auditId: audit?.id || null,
+      scores: audit?.scores || {
+        overall: reportData.overallScore ?? null,
+        mobile: reportData.mobileScore ?? null,
+        desktop: reportData.desktopScore ?? null,
+        seo: reportData.seoScore ?? null,
+      },
+      source: req.body.source,
+    });
+    if (created) await pushNewLead(lead);
+  } catch (error) {
+    log.error("❌ Failed to capture lead", { error });
   }
 };
 
-/**
- * Calculates pass rate percentage based on issue counts.
- */
-const calculatePassRate = (issues) => {
-  const total = (issues.critical || 0) + (issues.warning || 0) + (issues.passed || 0);
-  return total > 0 ? Math.round((issues.passed / total) * 100) : 100;
-};
-
-/**
- * Returns an overall health status summary.
- */
-const getHealthStatus = (issues) => {
-  const totalIssues = (issues.critical || 0) + (issues.warning || 0);
-  if (issues.critical > 5) return "🚨 High Risk";
-  if (issues.critical > 0) return "⚠️ Moderate Risk";
-  if (totalIssues === 0) return "✅ Excellent Health";
-  return "🟡 Needs Improvement";
-};
-
-/**
- * Formats current timestamp.
- */
-const formatTimestamp = () =>
-  new Date().toLocaleString("en-US", {
-    timeZone: "Asia/Kolkata",
-    dateStyle: "medium",
-    timeStyle: "short",
-  });
-
 /* -------------------------------------------------------------------------- */
 /* 🧾 MESSAGE BUILDER */
 /* -------------------------------------------------------------------------- */
 
 /**
- * Builds the WhatsApp-friendly SEO report message.
+ * Builds the WhatsApp-friendly SEO report message in the given template's
+ * brand and locale. When `previousScores` is given, each score gets a
+ * "since last audit" line.
  */
-const formatSEOReportMessage = (reportData) => {
+export const formatSEOReportMessage = (reportData, template = resolveTemplate()) => {
+  const { t, brand } = template;
   const {
     url = "N/A",
     email = "N/A",
@@ -135,56 +154,68 @@ const formatSEOReportMessage = (reportData) => {
     metrics = {},
     issues = { critical: 0, warning: 0, passed: 0 },
     recommendations = [],
-    timestamp = formatTimestamp(),
+    timestamp = formatTimestamp(new Date(), template),
+    previousScores = null,
   } = reportData;
 
-  const { fcp = 0, lcp = 0, cls = 0, speedIndex = 0, tti = 0, tbt = 0 } = metrics;
+  const score = (key, value) =>
+    `${value}/100 _(${getScoreRating(value, t).label})_${formatScoreChange(
+      value,
+      previousScores?.[key],
+      t
+    )}`;
+  const vital = (metric) => {
+    const value = metrics[metric] ?? null;
+    return `${formatMetric(metric, value, t)} _(${evaluateMetric(metric, value, t).label})_`;
+  };
+  const divider = "━━━━━━━━━━━━━━━━━━━━━━━━━━";
+  const heading = (title) => `${divider}\n*${title}*\n${divider}\n\n`;
 
   const sections = [];
 
   // HEADER
   sections.push(
-    `🚀 *COMPREHENSIVE SEO AUDIT REPORT*\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
-      `🌐 *Website:* ${url}\n📧 *Contact:* ${email}\n📊 *Status:* ${getHealthStatus(
-        issues
-      )}\n📅 *Generated:* ${timestamp}`
+    `🚀 *${t("report.title")}*\n\n${divider}\n\n` +
+      `🌐 *${t("report.website")}:* ${url}\n📧 *${t("report.contact")}:* ${email}\n` +
+      `📊 *${t("report.status")}:* ${getHealthStatus(issues, t)}\n📅 *${t("report.generated")}:* ${timestamp}`
   );
 
   // PERFORMANCE
   sections.push(
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━\n*📊 PERFORMANCE OVERVIEW*\n━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
-      `🧩 *Overall:* ${overallScore}/100 _(${getScoreRating(overallScore).label})_\n` +
-      `⚡ *Performance:* ${performanceScore}/100 _(${getScoreRating(performanceScore).label})_\n` +
-      `📱 *Mobile:* ${mobileScore}/100 _(${getScoreRating(mobileScore).label})_\n` +
-      `💻 *Desktop:* ${desktopScore}/100 _(${getScoreRating(desktopScore).label})_`
+    heading(`📊 ${t("report.performanceOverview")}`) +
+      `🧩 *${t("score.overall")}:* ${score("overall", overallScore)}\n` +
+      `⚡ *${t("score.performance")}:* ${score("performance", performanceScore)}\n` +
+      `📱 *${t("score.mobile")}:* ${score("mobile", mobileScore)}\n` +
+      `💻 *${t("score.desktop")}:* ${score("desktop", desktopScore)}`
   );
 
   // METRICS
   sections.push(
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━\n*🎯 CORE METRICS*\n━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
-      `🔍 *SEO:* ${seoScore}/100 _(${getScoreRating(seoScore).label})_\n` +
-      `♿ *Accessibility:* ${accessibilityScore}/100 _(${getScoreRating(accessibilityScore).label})_\n` +
-      `🧠 *Best Practices:* ${bestPracticesScore}/100 _(${getScoreRating(bestPracticesScore).label})_`
+    heading(`🎯 ${t("report.coreMetrics")}`) +
+      `🔍 *${t("score.seo")}:* ${score("seo", seoScore)}\n` +
+      `♿ *${t("score.accessibility")}:* ${score("accessibility", accessibilityScore)}\n` +
+      `🧠 *${t("score.bestPractices")}:* ${score("bestPractices", bestPracticesScore)}`
   );
 
   // WEB VITALS
   sections.push(
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━\n*⚡ CORE WEB VITALS*\n━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
-      `⏱️ *FCP:* ${fcp.toFixed(2)}s _(${evaluateMetric("fcp", fcp).label})_\n` +
-      `📏 *LCP:* ${lcp.toFixed(2)}s _(${evaluateMetric("lcp", lcp).label})_\n` +
-      `🌀 *CLS:* ${cls.toFixed(3)} _(${evaluateMetric("cls", cls).label})_\n` +
-      `🏎️ *Speed Index:* ${speedIndex.toFixed(2)}s _(${evaluateMetric("speedIndex", speedIndex).label})_\n` +
-      `🕐 *TTI:* ${tti.toFixed(2)}s _(${evaluateMetric("tti", tti).label})_\n` +
-      `🚧 *TBT:* ${tbt.toFixed(0)}ms _(${evaluateMetric("tbt", tbt).label})_`
+    heading(`⚡ ${t("report.webVitals")}`) +
+      `⏱️ *${t("metric.fcp")}:* ${vital("fcp")}\n` +
+      `📏 *${t("metric.lcp")}:* ${vital("lcp")}\n` +
+      `🌀 *${t("metric.cls")}:* ${vital("cls")}\n` +
+      `🏎️ *${t("metric.speedIndex")}:* ${vital("speedIndex")}\n` +
+      `🕐 *${t("metric.tti")}:* ${vital("tti")}\n` +
+      `🚧 *${t("metric.tbt")}:* ${vital("tbt")}`
   );
 
   // ISSUES
   const totalIssues = (issues.critical || 0) + (issues.warning || 0);
   sections.push(
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━\n*🔍 ISSUES SUMMARY*\n━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
-      `${issues.critical ? "🔴" : "✅"} *Critical:* ${issues.critical}\n` +
-      `${issues.warning ? "🟡" : "✅"} *Warnings:* ${issues.warning}\n` +
-      `🟢 *Passed:* ${issues.passed}\n📈 *Pass Rate:* ${calculatePassRate(issues)}%\n📊 *Total:* ${totalIssues}`
+    heading(`🔍 ${t("report.issuesSummary")}`) +
+      `${issues.critical ? "🔴" : "✅"} *${t("issues.critical")}:* ${issues.critical}\n` +
+      `${issues.warning ? "🟡" : "✅"} *${t("issues.warnings")}:* ${issues.warning}\n` +
+      `🟢 *${t("issues.passed")}:* ${issues.passed}\n📈 *${t("issues.passRate")}:* ${calculatePassRate(issues)}%\n` +
+      `📊 *${t("issues.total")}:* ${totalIssues}`
   );
 
   // RECOMMENDATIONS
@@ -193,13 +224,207 @@ const formatSEOReportMessage = (reportData) => {
       .slice(0, 5)
       .map((r, i) => `${i + 1}. ${r}`)
       .join("\n");
-    sections.push(`━━━━━━━━━━━━━━━━━━━━━━━━━━\n*💡 TOP RECOMMENDATIONS*\n━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n${top}`);
+    sections.push(heading(`💡 ${t("report.topRecommendations")}`) + top);
   }
 
   // FOOTER
   sections.push(
-    `━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n✨ _Professional SEO Audit by Marketiq Junction_\n` +
-      `📞 *Need help?* Reply to discuss optimization strategies!\n🌐 Let's elevate your digital presence together.`
+    `${divider}\n\n✨ _${t("footer.tagline", { brand: brand.name })}_\n` +
+      `📞 ${t("footer.help")}\n🌐 ${t("footer.cta")}`
+  );
+
+  return sections.join("\n\n");
+};
+
+/**
+ * Builds the site-wide summary variant: average scores, the worst and
+ * slowest pages, and the most common failing audits.
+ */
+export const formatSiteSummaryMessage = (siteReport, template = resolveTemplate()) => {
+  const { t, brand } = template;
+  const {
+    site,
+    pageCount = 0,
+    auditedCount = 0,
+    failedCount = 0,
+    averageScores = {},
+    worstPages = [],
+    slowestPages = [],
+    topFailingAudits = [],
+    timestamp = formatTimestamp(new Date(), template),
+  } = siteReport;
+
+  const divider = "━━━━━━━━━━━━━━━━━━━━━━━━━━";
+  const heading = (title) => `${divider}\n*${title}*\n${divider}\n\n`;
+  const sections = [];
+
+  // HEADER
+  sections.push(
+    `🗺️ *${t("site.title")}*\n\n${divider}\n\n` +
+      `🌐 *${t("site.site")}:* ${site}\n📄 *${t("site.pagesAudited")}:* ${auditedCount}/${pageCount}\n` +
+      `📅 *${t("report.generated")}:* ${timestamp}` +
+      (failedCount ? `\n⚠️ _${t("site.failedPages", { count: failedCount })}_` : "")
+  );
+
+  // AVERAGE SCORES
+  const average = (emoji, key) => {
+    const score = averageScores[key] ?? 0;
+    return `${emoji} *${t(`score.${key}`)}:* ${score}/100 _(${getScoreRating(score, t).label})_`;
+  };
+  sections.push(
+    heading(`📊 ${t("site.averageScores")}`) +
+      [
+        average("🧩", "overall"),
+        average("⚡", "performance"),
+        average("🔍", "seo"),
+        average("♿", "accessibility"),
+        average("🧠", "bestPractices"),
+      ].join("\n")
+  );
+
+  // WORST PAGES
+  if (worstPages.length) {
+    const lines = worstPages.map(
+      (page, i) =>
+        `${i + 1}. ${getScoreRating(page.overallScore, t).emoji} ${page.url}\n   ${page.overallScore}/100`
+    );
+    sections.push(heading(`🚨 ${t("site.worstPages")}`) + lines.join("\n"));
+  }
+
+  // SLOWEST PAGES
+  if (slowestPages.length) {
+    const lines = slowestPages.map(
+      (page, i) =>
+        `${i + 1}. ${page.url}\n   ${formatMetric("lcp", page.lcp, t)} _(${evaluateMetric("lcp", page.lcp, t).label})_`
+    );
+    sections.push(heading(`🐢 ${t("site.slowestPages")}`) + lines.join("\n"));
+  }
+
+  // COMMON ISSUES
+  if (topFailingAudits.length) {
+    const lines = topFailingAudits
+      .slice(0, 5)
+      .map(
+        (audit, i) =>
+          `${i + 1}. ${audit.title} _(${t("site.pagesAffected", {
+            count: audit.pages,
+            total: auditedCount,
+          })})_`
+      );
+    sections.push(heading(`🔁 ${t("site.commonIssues")}`) + lines.join("\n"));
+  }
+
+  // FOOTER
+  sections.push(
+    `${divider}\n\n✨ _${t("footer.tagline", { brand: brand.name })}_\n` +
+      `📞 ${t("footer.help")}\n🌐 ${t("footer.cta")}`
+  );
+
+  return sections.join("\n\n");
+};
+
+const COMPARISON_EMOJI = {
+  overall: "🧩",
+  performance: "⚡",
+  mobile: "📱",
+  desktop: "💻",
+  seo: "🔍",
+  accessibility: "♿",
+  bestPractices: "🧠",
+  fcp: "⏱️",
+  lcp: "📏",
+  cls: "🌀",
+  speedIndex: "🏎️",
+  tti: "🕐",
+  tbt: "🚧",
+};
+
+/**
+ * Formats a comparison metric value in its unit.
+ */
+const formatMetricValue = (metric, kind, value) => {
+  if (value === null || value === undefined) return "—";
+  return kind === "score" ? `${value}` : formatMetric(metric, value);
+};
+
+/**
+ * Builds the competitor comparison variant: one compact line per metric
+ * ("You: 62 | Rival A: 81"), flagged where the prospect is behind, and a
+ * closing list of those gaps.
+ */
+export const formatComparisonMessage = (comparison, template = resolveTemplate()) => {
+  const { t, brand } = template;
+  const {
+    sites = [],
+    matrix = [],
+    behind = [],
+    timestamp = formatTimestamp(new Date(), template),
+  } = comparison;
+
+  const divider = "━━━━━━━━━━━━━━━━━━━━━━━━━━";
+  const heading = (title) => `${divider}\n*${title}*\n${divider}\n\n`;
+  const label = (index) =>
+    index === 0
+      ? t("compare.you")
+      : sites[index].name || t("compare.rival", { letter: String.fromCharCode(64 + index) });
+  const metricLabel = (metric, kind) => t(kind === "score" ? `score.${metric}` : `metric.${metric}`);
+  const audited = sites.filter((site) => !site.error).length;
+
+  const row = ({ metric, kind, values }) => {
+    const cells = values.map(
+      (entry, i) => `${label(i)}: ${formatMetricValue(metric, kind, entry?.value)}`
+    );
+    const you = values[0];
+    const flag = you?.rank > 1 ? " ⚠️" : you && audited > 1 ? " 🏆" : "";
+    return `${COMPARISON_EMOJI[metric] || "•"} *${metricLabel(metric, kind)}:* ${cells.join(" | ")}${flag}`;
+  };
+
+  const sections = [];
+
+  // HEADER
+  sections.push(
+    `⚔️ *${t("compare.title")}*\n\n${divider}\n\n` +
+      sites.map((site, i) => `🌐 *${label(i)}:* ${site.url}`).join("\n") +
+      `\n📅 *${t("report.generated")}:* ${timestamp}` +
+      sites
+        .map((site, i) => (site.error ? `\n⚠️ _${t("compare.failed", { name: label(i) })}_` : ""))
+        .join("")
+  );
+
+  // SCORES
+  sections.push(
+    heading(`📊 ${t("compare.scores")}`) +
+      matrix.filter((entry) => entry.kind === "score").map(row).join("\n")
+  );
+
+  // WEB VITALS
+  sections.push(
+    heading(`⚡ ${t("report.webVitals")}`) +
+      matrix.filter((entry) => entry.kind === "vital").map(row).join("\n")
+  );
+
+  // GAPS
+  sections.push(
+    heading(`🚨 ${t("compare.behind")}`) +
+      (behind.length
+        ? behind
+            .map(
+              ({ metric, kind, value, best, leader }, i) =>
+                `${i + 1}. ${t("compare.behindLine", {
+                  metric: metricLabel(metric, kind),
+                  you: formatMetricValue(metric, kind, value),
+                  best: formatMetricValue(metric, kind, best),
+                  leader: label(leader),
+                })}`
+            )
+            .join("\n")
+        : t("compare.leading"))
+  );
+
+  // FOOTER
+  sections.push(
+    `${divider}\n\n✨ _${t("footer.tagline", { brand: brand.name })}_\n` +
+      `📞 ${t("footer.help")}\n🌐 ${t("footer.cta")}`
   );
 
   return sections.join("\n\n");
@@ -210,111 +435,366 @@ const formatSEOReportMessage = (reportData) => {
 /* -------------------------------------------------------------------------- */
 
 /**
- * Handles WhatsApp SEO report sending.
+ * Handles SEO report sending over WhatsApp, email or both. Text/PDF
+ * `format` applies to both channels: email carries the PDF as an
+ * attachment. Email recipients default to the report's contact address.
  */
 export const sendWhatsAppReport = async (req, res) => {
+  // The audit quota is reserved up front and released unless sending starts
+  let quota = null;
+  let sending = false;
   try {
-    const clientIP = req.ip || req.connection.remoteAddress || "unknown";
-    const count = auditCounts.get(clientIP) || 0;
+    const identity = getRequestIdentity(req);
+    const plan = getPlan(identity);
+    quota = await reserveQuota("audit", identity);
+    setQuotaHeaders(res, quota);
 
     // Rate limit check
-    if (count >= CONFIG.AUDIT_LIMIT) {
+    if (!quota.allowed) {
+      rateLimitRejections.inc({ limiter: "quota:audit" });
       return res.status(429).json({
         success: false,
-        message: `Audit limit exceeded. Max ${CONFIG.AUDIT_LIMIT} per 24 hours.`,
-        limit: CONFIG.AUDIT_LIMIT,
-        current: count,
+        code: ERROR_CODES.QUOTA_EXCEEDED,
+        message: `Audit limit exceeded. Max ${quota.limit} per ${formatWindow(quota.windowMs)}.`,
+        limit: quota.limit,
+        current: quota.used,
+        resetAt: quota.resetAt,
       });
     }
 
-    let { phoneNumbers, reportData } = req.body;
+    let {
+      phoneNumbers,
+      emailAddresses,
+      reportData,
+      auditId,
+      siteAuditId,
+      comparisonId,
+      format = "text",
+      channels = ["whatsapp"],
+    } = req.body;
     if (!phoneNumbers && req.body.phoneNumber) phoneNumbers = [req.body.phoneNumber];
+    const useWhatsApp = channels.includes("whatsapp");
+    const useEmail = channels.includes("email");
+
+    // A server-side audit takes precedence over client-supplied report data
+    let audit = null;
+    if (auditId) {
+      audit = await getAudit(auditId);
+      if (!audit || !canAccess(req, audit.ownerId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Audit not found.",
+        });
+      }
+      reportData = {
+        ...audit.report,
+        email: audit.report.email || req.body.email,
+      };
+
+      if (req.body.includeTrend) {
+        const previous = await getPreviousAudit(audit);
+        if (previous) reportData.previousScores = previous.scores;
+      }
+    }
+
+    // A finished site audit is sent as the site-summary variant
+    let siteReport = null;
+    if (siteAuditId) {
+      const job = await siteAuditQueue.get(siteAuditId);
+      if (!job || !canAccess(req, job.input.ownerId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Site audit not found.",
+        });
+      }
+      if (job.status !== JOB_STATUS.DONE) {
+        return res.status(409).json({
+          success: false,
+          message: "Site audit has not finished yet.",
+        });
+      }
+      siteReport = job.result;
+      reportData = { url: siteReport.site, overallScore: siteReport.averageScores.overall };
+    }
+
+    // A stored competitor comparison is sent as the comparison variant
+    let comparison = null;
+    if (comparisonId) {
+      comparison = await getComparison(comparisonId);
+      if (!comparison || !canAccess(req, comparison.ownerId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Comparison not found.",
+        });
+      }
+      reportData = {
+        url: comparison.url,
+        overallScore: comparison.matrix.find((row) => row.metric === "overall")?.values[0]?.value,
+      };
+    }
 
     // Input validation
-    if (!phoneNumbers?.length || !reportData) {
+    if (!reportData) {
+      return res.status(400).json({
+        success: false,
+        message: "An audit id, site audit id, comparison id or report data is required.",
+      });
+    }
+    if (!useEmail) emailAddresses = [];
+    else if (!emailAddresses?.length && EMAIL_PATTERN.test(reportData.email || "")) {
+      emailAddresses = [reportData.email];
+    }
+    if (!useWhatsApp) phoneNumbers = [];
+
+    if (useWhatsApp && !phoneNumbers?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Phone numbers are required for WhatsApp delivery.",
+      });
+    }
+    if (useEmail && !emailAddresses?.length) {
       return res.status(400).json({
         success: false,
-        message: "Phone numbers and report data are required.",
+        message:
+          "Email addresses are required for email delivery when the report has no contact email.",
+      });
+    }
+
+    if (phoneNumbers.length + emailAddresses.length > plan.maxRecipientsPerRequest) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit exceeded: Maximum ${plan.maxRecipientsPerRequest} recipients allowed per request.`,
+      });
+    }
+
+    let reportTemplate;
+    try {
+      reportTemplate = resolveTemplate({
+        brand: req.body.brand || req.apiKey?.brand,
+        locale: req.body.locale,
       });
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
     }
 
-    if (phoneNumbers.length > 3) {
+    if (format !== "text" && !audit) {
       return res.status(400).json({
         success: false,
-        message: "Limit exceeded: Maximum 3 phone numbers allowed per request.",
+        message: "PDF delivery requires an audit id.",
       });
     }
 
-    if (!CONFIG.ACCESS_TOKEN || !CONFIG.INSTANCE_ID) {
-      console.error("WhatsApp credentials missing");
+    if (useWhatsApp && !isTransportConfigured()) {
+      log.error("❌ WhatsApp credentials missing");
       return res.status(500).json({
         success: false,
         message: "WhatsApp service not configured.",
       });
     }
 
-    const messageText = formatSEOReportMessage(reportData);
+    if (useEmail && !isEmailConfigured()) {
+      log.error("❌ SMTP settings missing");
+      return res.status(500).json({
+        success: false,
+        message: "Email service not configured.",
+      });
+    }
+
+    const sendText = format !== "pdf";
+    const sendPdf = format !== "text";
+    const messageText = !sendText
+      ? null
+      : siteReport
+        ? formatSiteSummaryMessage(siteReport, reportTemplate)
+        : comparison
+          ? formatComparisonMessage(comparison, reportTemplate)
+          : formatSEOReportMessage(reportData, reportTemplate);
+    const pdfDocument = sendPdf
+      ? {
+          type: "document",
+          documentUrl: `${
+            CONFIG.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`
+          }/api/reports/${audit.id}.pdf?${new URLSearchParams({
+            brand: reportTemplate.brand.id,
+            locale: reportTemplate.locale,
+            ...signResource(`report:${audit.id}`, CONFIG.REPORT_LINK_TTL),
+          })}`,
+          filename: "seo-audit-report.pdf",
+          caption: reportTemplate.t("report.caption", { url: reportData.url }),
+        }
+      : null;
+    // Approved-template parameters for recipients outside the session window
+    const template = {
+      params: [reportData.url, reportData.overallScore ?? 0],
+      force: Boolean(req.body.useTemplate),
+    };
     const results = [];
 
     for (const number of phoneNumbers) {
-      const formatted = formatPhoneNumber(number);
-      if (!formatted) {
-        results.push({ phoneNumber: number, success: false, error: "Invalid phone number." });
+      const parsed = parsePhoneNumber(number, reportTemplate.countryCode);
+      if (!parsed.valid) {
+        results.push({
+          channel: "whatsapp",
+          phoneNumber: number,
+          success: false,
+          reason: parsed.reason,
+          error: parsed.error,
+        });
         continue;
       }
+      const formatted = parsed.digits;
 
-      try {
-        const payload = {
-          number: formatted,
-          type: "text",
-          message: messageText,
-          instance_id: CONFIG.INSTANCE_ID,
-          access_token: CONFIG.ACCESS_TOKEN,
-        };
+      // Suppressed and non-consenting numbers are never messaged
+      const consent = await checkRecipientConsent(formatted);
+      if (!consent.allowed) {
+        results.push({
+          channel: "whatsapp",
+          phoneNumber: formatted,
+          success: false,
+          reason: consent.reason,
+          error: consent.error,
+        });
+        continue;
+      }
 
-        const response = await axios.post(`${CONFIG.API_BASE_URL}/send`, payload, {
-          headers: { "Content-Type": "application/json" },
-          timeout: 30000,
-          validateStatus: (status) => status < 500,
+      const recipient = { type: "phone", id: formatted };
+      const recipientQuota = await reserveQuota("recipient", recipient);
+      if (!recipientQuota.allowed) {
+        rateLimitRejections.inc({ limiter: "quota:recipient" });
+        results.push({
+          channel: "whatsapp",
+          phoneNumber: formatted,
+          success: false,
+          error: "Recipient limit exceeded. Try again later.",
+          resetAt: recipientQuota.resetAt,
         });
+        continue;
+      }
+
+      sending = true;
+      const text = sendText
+        ? await sendWhatsAppMessage({ to: formatted, type: "text", text: messageText, template })
+        : null;
+      const pdf = sendPdf
+        ? await sendWhatsAppMessage({
+            to: formatted,
+            ...pdfDocument,
+            template: { ...template, force: template.force && !sendText },
+          })
+        : null;
+      for (const [kind, sent] of [["text", text], ["document", pdf]]) {
+        for (const messageId of sent ? getDeliveredMessageIds(sent) : []) {
+          await recordSentMessage({
+            messageId,
+            provider: sent.provider,
+            to: formatted,
+            ownerId: req.apiKey?.clientId ?? null,
+            auditId: audit?.id,
+            kind,
+          });
+        }
+      }
+
+      const primary = text || pdf;
+      const failed = [text, pdf].find((result) => result && !result.success);
+
+      const result = {
+        channel: "whatsapp",
+        phoneNumber: formatted,
+        success: !failed,
+        provider: primary.provider,
+      };
+      if (primary.success) result.messageId = primary.messageId;
+      if (text?.parts) result.parts = text.parts;
+      if (text?.remainingParts) result.remainingParts = text.remainingParts;
+      if (text && pdf?.success) result.documentMessageId = pdf.messageId;
+      if (failed) result.error = failed.error;
+      results.push(result);
+    }
 
-        if (response.data.status === "error" || response.status >= 400) {
+    if (emailAddresses.length) {
+      const email = siteReport
+        ? renderMessageEmail(
+            reportTemplate.t("email.siteSubject", { url: siteReport.site }),
+            formatSiteSummaryMessage(siteReport, reportTemplate),
+            reportTemplate
+          )
+        : comparison
+          ? renderMessageEmail(
+              reportTemplate.t("email.compareSubject", { url: comparison.url }),
+              formatComparisonMessage(comparison, reportTemplate),
+              reportTemplate
+            )
+          : renderReportEmail(reportData, reportTemplate);
+      const attachments = sendPdf
+        ? [
+            {
+              filename: "seo-audit-report.pdf",
+              content: await renderReportPdf(reportData, reportTemplate),
+              contentType: "application/pdf",
+            },
+          ]
+        : [];
+
+      for (const address of emailAddresses) {
+        const to = address.trim();
+        const recipient = { type: "email", id: to.toLowerCase() };
+        const recipientQuota = await reserveQuota("recipient", recipient);
+        if (!recipientQuota.allowed) {
+          rateLimitRejections.inc({ limiter: "quota:recipient" });
           results.push({
-            phoneNumber: formatted,
+            channel: "email",
+            email: to,
             success: false,
-            error: response.data.message || "WhatsApp API error",
+            error: "Recipient limit exceeded. Try again later.",
+            resetAt: recipientQuota.resetAt,
           });
-        } else {
-          results.push({
-            phoneNumber: formatted,
-            success: true,
-            messageId: response.data.message_id || null,
+          continue;
+        }
+
+        sending = true;
+        const sent = await sendEmail({ to, ...email, attachments });
+        if (sent.success && sent.messageId) {
+          await recordSentMessage({
+            messageId: sent.messageId,
+            provider: sent.provider,
+            to,
+            ownerId: req.apiKey?.clientId ?? null,
+            auditId: audit?.id,
+            kind: "email",
           });
         }
-      } catch (err) {
-        results.push({
-          phoneNumber: formatted,
-          success: false,
-          error: err.message || "Request failed",
-        });
+        const result = {
+          channel: "email",
+          email: to,
+          success: sent.success,
+          provider: sent.provider,
+        };
+        if (sent.success) result.messageId = sent.messageId;
+        else result.error = sent.error;
+        results.push(result);
       }
     }
 
-    auditCounts.set(clientIP, count + 1);
+    if (audit) await recordDeliveries(audit.id, results);
+    await captureRequestLead(req, { reportData, audit, phoneNumbers, emailAddresses });
 
     res.status(200).json({
       success: true,
-      message: "WhatsApp reports sent successfully.",
+      message: useEmail ? "Reports sent successfully." : "WhatsApp reports sent successfully.",
       results,
-      limit: CONFIG.AUDIT_LIMIT,
-      auditsRemaining: CONFIG.AUDIT_LIMIT - (count + 1),
+      limit: quota.limit,
+      auditsRemaining: quota.remaining,
+      resetAt: quota.resetAt,
     });
   } catch (err) {
-    console.error("WhatsApp sending failed:", err);
+    log.error("❌ WhatsApp sending failed", { error: err });
     res.status(500).json({
       success: false,
       message: "Internal server error.",
       error: process.env.NODE_ENV === "development" ? err.message : undefined,
     });
+  } finally {
+    if (quota?.allowed && !sending) await quota.release();
   }
 };
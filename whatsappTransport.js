@@ -0,0 +1,436 @@
+/**
+ * --------------------------------------------------------------------------
+ * 📡 WhatsApp Transport
+ * --------------------------------------------------------------------------
+ * Provider-agnostic WhatsApp messaging. Adapters for SimplyWhatsApp, the
+ * Meta WhatsApp Cloud API and Twilio map every send to the same
+ * `{ success, messageId, error, provider }` result. The primary provider
+ * comes from WHATSAPP_PROVIDER; WHATSAPP_FALLBACK_PROVIDER is tried when
+ * the primary fails.
+ *
+ * Messages: `{ to, type: "text", text }` or
+ * `{ to, type: "document", documentUrl, filename, caption }`, optionally
+ * with `template: { params, force }` for out-of-session sends: Meta falls
+ * back to its approved template when the session window is closed, and
+ * `force` sends the template (Meta template / Twilio Content SID) directly.
+ *
+ * Text longer than the provider's limit is split into ordered "(1/3)"
+ * parts (see messageSplitter.js), and the result lists every part's
+ * message id. Sending stops at the first failed part so the recipient
+ * never sees a gap: the failed and unsent parts come back as
+ * `remainingParts`, and passing them as `parts` resends just those.
+ *
+ * Provider calls go through the shared upstream client (see
+ * upstreamClient.js), the only retry layer: a send, or a part of a split
+ * message, is retried only when the provider clearly did not take it. A
+ * send that timed out may have been delivered: it is marked `uncertain`
+ * and neither retried nor failed over. A provider whose circuit is open
+ * fails fast, so sends fail over without waiting on a dead API.
+ * --------------------------------------------------------------------------
+ */
+
+import { logger } from "./logger.js";
+import { whatsappMessages } from "./metrics.js";
+import { splitMessage } from "./messageSplitter.js";
+import { createUpstreamClient, mayHaveReachedUpstream } from "./upstreamClient.js";
+
+const log = logger.child({ module: "whatsappTransport" });
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  PROVIDER: process.env.WHATSAPP_PROVIDER || "simplywhatsapp",
+  FALLBACK_PROVIDER: process.env.WHATSAPP_FALLBACK_PROVIDER || null,
+  TIMEOUT: 30000,
+  SIMPLYWHATSAPP: {
+    ACCESS_TOKEN: process.env.WHATSAPP_ACCESS_TOKEN,
+    INSTANCE_ID: process.env.WHATSAPP_INSTANCE_ID,
+    API_BASE_URL:
+      process.env.WHATSAPP_API_URL || "https://app.simplywhatsapp.com/api",
+  },
+  META: {
+    ACCESS_TOKEN: process.env.WHATSAPP_META_ACCESS_TOKEN,
+    PHONE_NUMBER_ID: process.env.WHATSAPP_META_PHONE_NUMBER_ID,
+    API_BASE_URL:
+      process.env.WHATSAPP_META_API_URL || "https://graph.facebook.com/v20.0",
+    TEMPLATE_NAME: process.env.WHATSAPP_META_TEMPLATE_NAME,
+    TEMPLATE_LANGUAGE: process.env.WHATSAPP_META_TEMPLATE_LANGUAGE || "en",
+  },
+  TWILIO: {
+    ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID,
+    AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN,
+    FROM: process.env.TWILIO_WHATSAPP_FROM,
+    CONTENT_SID: process.env.TWILIO_CONTENT_SID,
+    API_BASE_URL: process.env.TWILIO_API_URL || "https://api.twilio.com/2010-04-01",
+  },
+};
+
+// Meta error codes meaning the 24-hour customer service window is closed.
+const META_OUT_OF_SESSION_CODES = [131047, 470];
+
+// Sends are not idempotent: only retry answers that say the message was
+// not accepted, never a timeout that may have been delivered
+const client = createUpstreamClient({
+  name: "whatsapp",
+  timeout: CONFIG.TIMEOUT,
+  retry: { retries: 2, statuses: [429, 503], idempotent: false },
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Builds a failed send result.
+ */
+const failure = (error, extra = {}) => ({
+  success: false,
+  messageId: null,
+  error,
+  ...extra,
+});
+
+/**
+ * Extracts an error message from an axios error or response body.
+ */
+const describeError = (err, fallback) =>
+  err.response?.data?.error?.message ||
+  err.response?.data?.message ||
+  err.message ||
+  fallback;
+
+/**
+ * Builds the failed result for a request error, flagging sends that may
+ * have been delivered anyway.
+ */
+const requestFailure = (err, fallback, extra = {}) =>
+  failure(describeError(err, fallback), {
+    ...extra,
+    ...(mayHaveReachedUpstream(err) && { uncertain: true }),
+  });
+
+/* -------------------------------------------------------------------------- */
+/* 🔌 ADAPTERS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * SimplyWhatsApp: credentials travel in the JSON body of `/send`.
+ */
+const simplyWhatsApp = {
+  name: "simplywhatsapp",
+  baseUrl: CONFIG.SIMPLYWHATSAPP.API_BASE_URL,
+  maxTextLength: 4096,
+
+  isConfigured: () =>
+    Boolean(CONFIG.SIMPLYWHATSAPP.ACCESS_TOKEN && CONFIG.SIMPLYWHATSAPP.INSTANCE_ID),
+
+  async send(message) {
+    const { ACCESS_TOKEN, INSTANCE_ID, API_BASE_URL } = CONFIG.SIMPLYWHATSAPP;
+    const payload =
+      message.type === "document"
+        ? {
+            number: message.to,
+            type: "media",
+            message: message.caption,
+            media_url: message.documentUrl,
+            filename: message.filename,
+          }
+        : { number: message.to, type: "text", message: message.text };
+
+    try {
+      const response = await client.request({
+        method: "post",
+        url: `${API_BASE_URL}/send`,
+        data: { ...payload, instance_id: INSTANCE_ID, access_token: ACCESS_TOKEN },
+        headers: { "Content-Type": "application/json" },
+      });
+
+      if (response.data.status === "error") {
+        return failure(response.data.message || "WhatsApp API error");
+      }
+      return {
+        success: true,
+        messageId: response.data.message_id || null,
+        error: null,
+      };
+    } catch (err) {
+      return requestFailure(err, "WhatsApp API error");
+    }
+  },
+};
+
+/**
+ * Meta WhatsApp Cloud API. Falls back to the approved template when the
+ * recipient is outside the 24-hour session window.
+ */
+const metaCloud = {
+  name: "meta",
+  baseUrl: CONFIG.META.API_BASE_URL,
+  maxTextLength: 4096,
+
+  isConfigured: () =>
+    Boolean(CONFIG.META.ACCESS_TOKEN && CONFIG.META.PHONE_NUMBER_ID),
+
+  async post(body) {
+    const { ACCESS_TOKEN, PHONE_NUMBER_ID, API_BASE_URL } = CONFIG.META;
+    try {
+      const response = await client.request({
+        method: "post",
+        url: `${API_BASE_URL}/${PHONE_NUMBER_ID}/messages`,
+        data: { messaging_product: "whatsapp", recipient_type: "individual", ...body },
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${ACCESS_TOKEN}`,
+        },
+      });
+      return {
+        success: true,
+        messageId: response.data.messages?.[0]?.id || null,
+        error: null,
+      };
+    } catch (err) {
+      return requestFailure(err, "Meta Cloud API error", {
+        code: err.response?.data?.error?.code,
+      });
+    }
+  },
+
+  async sendTemplate(message) {
+    const params = message.template?.params || [];
+    const result = await this.post({
+      to: message.to,
+      type: "template",
+      template: {
+        name: message.template?.name || CONFIG.META.TEMPLATE_NAME,
+        language: { code: message.template?.language || CONFIG.META.TEMPLATE_LANGUAGE },
+        components: params.length
+          ? [
+              {
+                type: "body",
+                parameters: params.map((text) => ({ type: "text", text: String(text) })),
+              },
+            ]
+          : [],
+      },
+    });
+    return { ...result, viaTemplate: true };
+  },
+
+  async send(message) {
+    const body =
+      message.type === "document"
+        ? {
+            to: message.to,
+            type: "document",
+            document: {
+              link: message.documentUrl,
+              filename: message.filename,
+              caption: message.caption,
+            },
+          }
+        : {
+            to: message.to,
+            type: "text",
+            text: { body: message.text, preview_url: false },
+          };
+
+    const templateName = message.template?.name || CONFIG.META.TEMPLATE_NAME;
+    if (message.template?.force && templateName) return this.sendTemplate(message);
+
+    const result = await this.post(body);
+    if (
+      !result.success &&
+      META_OUT_OF_SESSION_CODES.includes(result.code) &&
+      message.template &&
+      templateName
+    ) {
+      log.warn(`⚠️  ${message.to} is outside the session window - sending template`);
+      return this.sendTemplate(message);
+    }
+    return result;
+  },
+};
+
+/**
+ * Twilio WhatsApp: form-encoded Messages API with basic auth.
+ */
+const twilio = {
+  name: "twilio",
+  baseUrl: CONFIG.TWILIO.API_BASE_URL,
+  maxTextLength: 1600,
+
+  isConfigured: () =>
+    Boolean(CONFIG.TWILIO.ACCOUNT_SID && CONFIG.TWILIO.AUTH_TOKEN && CONFIG.TWILIO.FROM),
+
+  async send(message) {
+    const { ACCOUNT_SID, AUTH_TOKEN, FROM, CONTENT_SID, API_BASE_URL } = CONFIG.TWILIO;
+    const form = new URLSearchParams({
+      From: `whatsapp:${FROM}`,
+      To: `whatsapp:+${message.to}`,
+    });
+
+    const viaTemplate = Boolean(message.template?.force && CONTENT_SID);
+    if (viaTemplate) {
+      form.set("ContentSid", CONTENT_SID);
+      form.set(
+        "ContentVariables",
+        JSON.stringify(
+          Object.fromEntries(
+            (message.template.params || []).map((value, i) => [String(i + 1), String(value)])
+          )
+        )
+      );
+    } else if (message.type === "document") {
+      form.set("Body", message.caption || "");
+      form.set("MediaUrl", message.documentUrl);
+    } else {
+      form.set("Body", message.text);
+    }
+
+    try {
+      const response = await client.request({
+        method: "post",
+        url: `${API_BASE_URL}/Accounts/${ACCOUNT_SID}/Messages.json`,
+        data: form.toString(),
+        auth: { username: ACCOUNT_SID, password: AUTH_TOKEN },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      });
+      return { success: true, messageId: response.data.sid || null, error: null, viaTemplate };
+    } catch (err) {
+      return requestFailure(err, "Twilio API error", { code: err.response?.data?.code });
+    }
+  },
+};
+
+const adapters = {
+  [simplyWhatsApp.name]: simplyWhatsApp,
+  [metaCloud.name]: metaCloud,
+  [twilio.name]: twilio,
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 TRANSPORT */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the configured providers in failover order.
+ */
+const getProviders = () =>
+  [CONFIG.PROVIDER, CONFIG.FALLBACK_PROVIDER]
+    .filter(Boolean)
+    .filter((name, i, names) => names.indexOf(name) === i)
+    .map((name) => {
+      if (!adapters[name]) throw new Error(`Unknown WhatsApp provider: ${name}`);
+      return adapters[name];
+    })
+    .filter((adapter) => adapter.isConfigured());
+
+/**
+ * True when at least one configured provider has credentials.
+ */
+export const isTransportConfigured = () => getProviders().length > 0;
+
+/**
+ * Lists the providers in failover order with their API base URL, for
+ * health checks.
+ */
+export const getTransportEndpoints = () =>
+  getProviders().map(({ name, baseUrl }) => ({ provider: name, baseUrl }));
+
+/**
+ * Sends one message through one adapter and counts the attempt.
+ */
+const attemptSend = async (adapter, message) => {
+  const { code, ...result } = await adapter.send(message);
+  whatsappMessages.inc({ provider: adapter.name, outcome: result.success ? "success" : "failure" });
+  return result;
+};
+
+/**
+ * Sends a message through one adapter, splitting text over the adapter's
+ * limit into parts (or sending the given `message.parts` as they are).
+ * Parts go out in order, each sent once (the upstream client retries clear
+ * rejections), and the first failed part stops the send: it and the parts
+ * after it are returned as `remainingParts`. Only the first part carries
+ * the out-of-session template, and once a template has replaced a part
+ * the remaining parts are skipped: the recipient can only receive
+ * templates until they reply.
+ */
+const sendWithAdapter = async (adapter, message) => {
+  const { parts: presplit, ...base } = message;
+  const texts = presplit
+    ? null
+    : message.type === "text" && !message.template?.force
+      ? splitMessage(message.text, adapter.maxTextLength)
+      : null;
+  if (!presplit && (!texts || texts.length === 1)) return attemptSend(adapter, base);
+
+  const queue = presplit || texts.map((text, i) => ({ part: i + 1, text }));
+  const count = presplit ? queue.length : texts.length;
+  if (!presplit) {
+    log.info(`✂️  Splitting message to ${message.to} into ${count} parts for ${adapter.name}`);
+  }
+
+  const parts = [];
+  let remainingParts = [];
+  for (const [i, { part, text }] of queue.entries()) {
+    const result = await attemptSend(adapter, {
+      ...base,
+      type: "text",
+      text,
+      template: i === 0 ? message.template : undefined,
+    });
+    parts.push({ part, ...result });
+    if (!result.success) {
+      log.warn(`⚠️  Part ${part} to ${message.to} failed, holding back the rest: ${result.error}`);
+      remainingParts = queue.slice(i);
+      break;
+    }
+    if (result.viaTemplate) break;
+  }
+
+  const failed = parts.find((part) => !part.success);
+  return {
+    success: !failed,
+    messageId: parts.find((part) => part.success)?.messageId || null,
+    error: failed ? `Part ${failed.part} failed: ${failed.error}` : null,
+    ...(failed?.uncertain && { uncertain: true }),
+    parts: parts.map(({ part, success, messageId, error, uncertain }) =>
+      success ? { part, success, messageId } : { part, success, error, uncertain }
+    ),
+    ...(remainingParts.length && { remainingParts }),
+  };
+};
+
+/**
+ * Sends a message through the primary provider, failing over to the
+ * secondary one when the primary returns an error. A send that may have
+ * been delivered (`uncertain`), or a split message with a delivered part,
+ * never fails over, so recipients never get the same text twice. Resent
+ * `parts` skip providers whose limit is shorter than the longest part.
+ */
+export const sendWhatsAppMessage = async (message) => {
+  const longest = Math.max(0, ...(message.parts || []).map(({ text }) => text.length));
+  const providers = getProviders().filter((adapter) => adapter.maxTextLength >= longest);
+  if (!providers.length) return failure("WhatsApp service not configured.");
+
+  let result = null;
+  for (const adapter of providers) {
+    result = { ...(await sendWithAdapter(adapter, message)), provider: adapter.name };
+    if (result.success) return result;
+    log.warn(`⚠️  ${adapter.name} send to ${message.to} failed: ${result.error}`);
+    if (result.uncertain || result.parts?.some((part) => part.success)) return result;
+  }
+  return result;
+};
+
+/**
+ * Lists the provider message ids a send delivered: one per part for split
+ * messages, otherwise the single message id.
+ */
+export const getDeliveredMessageIds = (result) =>
+  (result.parts || [result])
+    .filter((part) => part.success && part.messageId)
+    .map((part) => part.messageId);
@@ -0,0 +1,238 @@
+/**
+ * --------------------------------------------------------------------------
+ * 🪝 WhatsApp Webhooks
+ * --------------------------------------------------------------------------
+ * Per-provider signature verification and payload parsing for delivery
+ * status callbacks and inbound replies. Every provider is normalized to
+ * `{ statuses: [{ messageId, status, at, error }],
+ *    replies: [{ from, text, messageId, contextId, at }] }`.
+ * --------------------------------------------------------------------------
+ */
+
+import crypto from "crypto";
+import { DELIVERY_STATUSES } from "./messageStore.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🧩 CONFIGURATION */
+/* -------------------------------------------------------------------------- */
+
+const CONFIG = {
+  META_APP_SECRET: process.env.WHATSAPP_META_APP_SECRET,
+  META_VERIFY_TOKEN: process.env.WHATSAPP_META_VERIFY_TOKEN,
+  TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN,
+  SIMPLYWHATSAPP_SECRET: process.env.WHATSAPP_WEBHOOK_SECRET,
+  PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL,
+};
+
+const TWILIO_STATUS_MAP = { undelivered: "failed" };
+
+/* -------------------------------------------------------------------------- */
+/* 🛠️ UTILITY FUNCTIONS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Constant-time string comparison.
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Reduces a provider address ("whatsapp:+91...") to bare digits.
+ */
+const toDigits = (address) => String(address || "").replace(/\D/g, "");
+
+/**
+ * Converts a unix timestamp in seconds to ISO, defaulting to now.
+ */
+const fromUnix = (seconds) =>
+  seconds ? new Date(Number(seconds) * 1000).toISOString() : new Date().toISOString();
+
+/**
+ * Returns the externally visible URL of the request, as the provider saw it.
+ */
+const getPublicUrl = (req) =>
+  `${CONFIG.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`}${req.originalUrl}`;
+
+/* -------------------------------------------------------------------------- */
+/* 🔌 PROVIDERS */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Meta Cloud API: HMAC-SHA256 of the raw body with the app secret.
+ */
+const meta = {
+  name: "meta",
+
+  detect: (req) => Boolean(req.get("x-hub-signature-256")),
+
+  verify(req) {
+    if (!CONFIG.META_APP_SECRET || !req.rawBody) return false;
+    const expected =
+      "sha256=" +
+      crypto.createHmac("sha256", CONFIG.META_APP_SECRET).update(req.rawBody).digest("hex");
+    return safeEqual(req.get("x-hub-signature-256"), expected);
+  },
+
+  parse(body) {
+    const statuses = [];
+    const replies = [];
+
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        for (const status of value.statuses || []) {
+          statuses.push({
+            messageId: status.id,
+            status: status.status,
+            at: fromUnix(status.timestamp),
+            error: status.errors?.[0]?.title || null,
+          });
+        }
+        for (const message of value.messages || []) {
+          replies.push({
+            from: toDigits(message.from),
+            text: message.text?.body || message.button?.text || `[${message.type}]`,
+            messageId: message.id,
+            contextId: message.context?.id || null,
+            at: fromUnix(message.timestamp),
+          });
+        }
+      }
+    }
+    return { statuses, replies };
+  },
+};
+
+/**
+ * Twilio: base64 HMAC-SHA1 over the URL plus sorted form parameters.
+ */
+const twilio = {
+  name: "twilio",
+
+  detect: (req) => Boolean(req.get("x-twilio-signature")),
+
+  verify(req) {
+    if (!CONFIG.TWILIO_AUTH_TOKEN) return false;
+    const params = req.body || {};
+    const data = Object.keys(params)
+      .sort()
+      .reduce((acc, key) => acc + key + params[key], getPublicUrl(req));
+    const expected = crypto
+      .createHmac("sha1", CONFIG.TWILIO_AUTH_TOKEN)
+      .update(Buffer.from(data, "utf8"))
+      .digest("base64");
+    return safeEqual(req.get("x-twilio-signature"), expected);
+  },
+
+  parse(body) {
+    if (body.MessageStatus && body.MessageStatus !== "received") {
+      const status = TWILIO_STATUS_MAP[body.MessageStatus] || body.MessageStatus;
+      return {
+        statuses: [
+          {
+            messageId: body.MessageSid,
+            status,
+            at: new Date().toISOString(),
+            error: body.ErrorMessage || body.ErrorCode || null,
+          },
+        ],
+        replies: [],
+      };
+    }
+
+    return {
+      statuses: [],
+      replies: body.Body
+        ? [
+            {
+              from: toDigits(body.From),
+              text: body.Body,
+              messageId: body.MessageSid,
+              contextId: body.OriginalRepliedMessageSid || null,
+              at: new Date().toISOString(),
+            },
+          ]
+        : [],
+    };
+  },
+};
+
+/**
+ * SimplyWhatsApp has no signing scheme, so its callback URL carries the
+ * shared WHATSAPP_WEBHOOK_SECRET as `?token=` (or an X-Webhook-Token header).
+ */
+const simplyWhatsApp = {
+  name: "simplywhatsapp",
+
+  detect: () => true,
+
+  verify(req) {
+    const token = req.get("x-webhook-token") || req.query.token;
+    if (!CONFIG.SIMPLYWHATSAPP_SECRET || !token) return false;
+    return safeEqual(token, CONFIG.SIMPLYWHATSAPP_SECRET);
+  },
+
+  parse(body) {
+    const events = Array.isArray(body.events) ? body.events : [body];
+    const statuses = [];
+    const replies = [];
+
+    for (const event of events) {
+      if (event.type === "status") {
+        statuses.push({
+          messageId: event.message_id,
+          status: event.status,
+          at: event.timestamp ? fromUnix(event.timestamp) : new Date().toISOString(),
+          error: event.error || null,
+        });
+      } else if (event.type === "message") {
+        replies.push({
+          from: toDigits(event.from),
+          text: event.message,
+          messageId: event.message_id,
+          contextId: event.reply_to || null,
+          at: event.timestamp ? fromUnix(event.timestamp) : new Date().toISOString(),
+        });
+      }
+    }
+    return { statuses, replies };
+  },
+};
+
+const providers = [meta, twilio, simplyWhatsApp];
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 PUBLIC API */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Identifies the provider of a webhook request from its signature header.
+ */
+export const detectWebhookProvider = (req) =>
+  providers.find((provider) => provider.detect(req));
+
+/**
+ * Parses a verified webhook body, dropping statuses we do not track.
+ */
+export const parseWebhook = (provider, body) => {
+  const { statuses, replies } = provider.parse(body || {});
+  return {
+    statuses: statuses.filter(
+      (event) => event.messageId && DELIVERY_STATUSES.includes(event.status)
+    ),
+    replies: replies.filter((reply) => reply.from && reply.text),
+  };
+};
+
+/**
+ * Answers Meta's subscription handshake; returns the challenge or null.
+ */
+export const verifyMetaSubscription = (query) =>
+  query["hub.mode"] === "subscribe" &&
+  CONFIG.META_VERIFY_TOKEN &&
+  query["hub.verify_token"] === CONFIG.META_VERIFY_TOKEN
+    ? query["hub.challenge"]
+    : null;